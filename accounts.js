@@ -0,0 +1,108 @@
+// Accounts JavaScript
+// The account switcher. Several people can stay signed in on a shared device, such as a
+// campus lab computer, and move between their accounts without typing passwords again.
+// Each account keeps its own session (see session.js): logging one out leaves the others
+// signed in, and 'Log out of all accounts' clears the device before walking away from it.
+
+class AccountSwitcher {
+    // 1. The constructor keeps a reference to the main app for its session, user and modals.
+    constructor(app) {
+        this.app = app;
+        // The token of the session this page was loaded with, to notice when another tab logs it out.
+        this.token = null;
+    }
+
+    // 2. Wires up the switcher button and modal, and follows logouts made in other tabs.
+    initialize() {
+        this.token = this.app.session.getActiveToken();
+        document.getElementById('switchAccountBtn')?.addEventListener('click', () => {
+            this.open();
+        });
+        document.getElementById('accountsModal')?.addEventListener('click', async (e) => {
+            await this.handleClick(e);
+        });
+        // Another tab that logs this account out (or logs out of everything) leaves this page without a session.
+        window.addEventListener('storage', (e) => {
+            if (e.key !== null && e.key !== SIGNED_IN_ACCOUNTS_KEY) return;
+            if (!this.app.session.getAccounts().some(account => account.token === this.token)) {
+                window.location.href = 'index.html';
+            }
+        });
+    }
+
+    // 3. Opens the switcher with the accounts signed in on this device.
+    open() {
+        this.render();
+        this.app.openModal('accountsModal');
+    }
+
+    // 4. Fills the switcher. The current account comes first; the others can be switched to or logged out.
+    // The html`` template (see html.js) escapes the names and emails.
+    render() {
+        const currentId = this.app.currentUser.id;
+        const accounts = this.app.session.getAccounts();
+        const current = accounts.find(account => account.userId === currentId) || {
+            userId: currentId, name: this.app.currentUser.name, email: this.app.currentUser.email
+        };
+        const others = accounts.filter(account => account.userId !== currentId);
+        document.getElementById('accountsList').innerHTML = html`
+            ${[current, ...others].map(account => html`
+                <div class="inbox-thread alert-row account-row${account === current ? ' current' : ''}">
+                    <button class="alert-open" data-account-id="${account.userId}" data-account-action="switch">
+                        <strong>${account.name}</strong>
+                        <span class="inbox-thread-item">${account.email}${account.college ? ` · ${account.college}` : ''}</span>
+                    </button>
+                    ${account === current
+                        ? html`<span class="account-current">Current</span>`
+                        : html`<button class="alert-dismiss" data-account-id="${account.userId}" data-account-action="logout" title="Log out of this account">
+                            <i class="fas fa-sign-out-alt"></i>
+                        </button>`}
+                </div>
+            `)}`;
+    }
+
+    // 5. Handles clicks in the switcher: switch to or log out of another account, or log out of all of them.
+    async handleClick(e) {
+        const accountBtn = e.target.closest('[data-account-id]');
+        if (accountBtn) {
+            const userId = accountBtn.getAttribute('data-account-id');
+            if (accountBtn.getAttribute('data-account-action') === 'logout') {
+                await this.logOutOf(userId);
+            } else {
+                this.switchTo(userId);
+            }
+        } else if (e.target.closest('#logoutAllBtn')) {
+            await this.logOutAll();
+        }
+    }
+
+    // 6. Switches this tab to another signed-in account and reloads the page as them.
+    switchTo(userId) {
+        if (userId === this.app.currentUser.id) {
+            this.app.closeModal('accountsModal');
+            return;
+        }
+        if (!this.app.session.switchTo(userId)) {
+            this.app.showNotification('That account is no longer signed in on this device.', 'error');
+            this.render();
+            return;
+        }
+        // Drops any open listing or profile from the URL, since the other account may not be able to see it.
+        window.location.href = 'home.html';
+    }
+
+    // 7. Logs out one of the other accounts signed in on this device. The current account stays signed in.
+    async logOutOf(userId) {
+        const account = this.app.session.getAccounts().find(a => a.userId === userId);
+        if (!account || userId === this.app.currentUser.id) return;
+        await this.app.session.end(account.token);
+        this.app.showNotification(`${account.name} has been logged out`, 'success');
+        this.render();
+    }
+
+    // 8. Logs out every account signed in on this device and returns to the login page.
+    async logOutAll() {
+        await this.app.session.endAll();
+        window.location.href = 'index.html';
+    }
+}
@@ -1,61 +1,188 @@
 // Main Application JavaScript 
+
+// How many item cards are rendered at a time; more are added as the user scrolls or clicks 'Load more'.
+const ITEMS_PAGE_SIZE = 24;
+// How long to wait after the last keystroke before searching, so fast typing doesn't re-filter on every key.
+const SEARCH_DEBOUNCE_MS = 150;
+// Filter controls mirrored in the page URL, as query parameter -> element id (the view is stored as 'view').
+const URL_FILTER_PARAMS = {
+    q: 'searchInput',
+    campus: 'campusFilter',
+    category: 'categoryFilter',
+    mode: 'modeFilter',
+    sort: 'sortSelect',
+    min: 'minPrice',
+    max: 'maxPrice',
+    posted: 'postedWithinFilter'
+};
+// The views that can be linked to.
+const ITEM_VIEWS = ['all', 'free', 'favorites', 'mine'];
+// Remembers that this browser added the sample listings, so they aren't added again once they expire.
+const SAMPLE_DATA_KEY = 'campuskart_sample_seeded';
+
 class CampusKart { 
     // 1. The constructor is the first method to run when a new object of this class is created.
     constructor() {
-        // Initializes the current user object by fetching it from the browser's local storage.
-        this.currentUser = this.getCurrentUser();
-        // Fetches all saved items from local storage to display on the page.
-        this.items = this.getItems();
-        // Creates a copy of the items list to be used for filtering and searching. The spread operator '...' ensures a new array is created.
-        this.filteredItems = [...this.items];
+        // Chooses where items are stored (this browser or the shared CampusKart server). See storage.js.
+        this.storage = createStorage();
+        // Issues and validates login sessions. See session.js.
+        this.session = new SessionManager(this.storage);
+        // The logged-in user is only known once the session has been validated in initializeApp().
+        this.currentUser = null;
+        // Items are loaded asynchronously in initializeApp(), so both lists start empty.
+        this.items = [];
+        this.filteredItems = [];
         // Sets the default view of the items to show all items initially.
         this.currentView = 'all';
+        // Holds the id of the listing being edited from My Listings, or null when the form adds a new item.
+        this.editingItemId = null;
+        // Handles buyer–seller conversations and the inbox. See messages.js.
+        this.messages = new MessageCenter(this);
+        // Handles borrow requests, approvals and returns for 'borrow' items. See loans.js.
+        this.loans = new LoanManager(this);
+        // Handles offers and counter-offers on for-sale items. See offers.js.
+        this.offers = new OfferManager(this);
+        // Handles holds on items and the waitlist behind them. See reservations.js.
+        this.reservations = new ReservationManager(this);
+        // Expires listings that weren't renewed and cleans them up later. See expiry.js.
+        this.expiry = new ListingExpiry(this);
+        // Handles seller ratings and reviews after completed deals. See reviews.js.
+        this.reviews = new ReviewManager(this);
+        // Handles favorites, saved searches and their alerts. See favorites.js.
+        this.favorites = new FavoritesManager(this);
+        // Handles reports of listings and the moderation console. See moderation.js.
+        this.moderation = new ModerationManager(this);
+        // Imports listings from CSV or JSON files and exports the user's own. See bulk.js.
+        this.bulk = new BulkListings(this);
+        // Fills in book listings from their ISBN, typed or scanned. See books.js.
+        this.books = new BookLookup(this);
+        // Ranked, typo-tolerant search over the listings, and the matches of the current query. See search.js.
+        this.searchIndex = new SearchIndex();
+        // Shows a single listing at #/item/<id>. See detail.js.
+        this.detail = new ItemDetailPage(this);
+        // Shows a user's public profile at #/user/<id>. See profile.js.
+        this.profile = new ProfilePage(this);
+        // The account settings modal. See settings.js.
+        this.settings = new AccountSettings(this);
+        // Switches between the accounts signed in on this device. See accounts.js.
+        this.accounts = new AccountSwitcher(this);
+        // The item categories, subcategories, attributes and listing modes. See taxonomy.js.
+        this.taxonomy = new Taxonomy();
+        // The supported campuses, used to scope the marketplace to the user's own college. See colleges.js.
+        this.colleges = new CollegeDirectory();
+        // Keeps listing photos apart from the item records (IndexedDB or the server). See images.js.
+        this.images = createImageStore();
+        // Holds listings and messages created while offline until they can be sent, or null when records
+        // are kept in this browser. See offline.js.
+        this.outbox = createOfflineOutbox();
+        // The photo ids shown in the add/edit form, cover photo first.
+        this.formPhotos = [];
+        // Photos stored while filling in the form but not yet part of a saved listing.
+        this.unsavedPhotoIds = new Set();
+        this.searchMatches = null;
+        // How many of the filtered items are currently rendered, and the filters they were rendered for.
+        this.renderLimit = ITEMS_PAGE_SIZE;
+        this.lastFilterKey = null;
+        // Rendered card elements keyed by item id, reused as long as the card's HTML hasn't changed.
+        this.cardCache = new Map();
         
         // Calls the main function to start the application logic.
         this.initializeApp();
     }
 
     // 2. This function serves as the central hub for setting up the application's core features.
-    initializeApp() {
-        // Checks if a user is logged in. If not, it redirects them to the login page.
-        this.checkAuthStatus();
+    async initializeApp() {
+        // Checks if a user is logged in. If not, it redirects them to the login page and stops here.
+        if (!(await this.checkAuthStatus())) return;
         // Sets up all the event handlers for user interactions like clicks and form submissions.
         this.initializeEventListeners();
         // Customizes the user interface based on the user's role and data.
         this.setupUserInterface();
-        // Renders all the items on the webpage for the user to see.
-        this.renderItems();
-        // Loads pre-defined sample data if no items exist in local storage.
-        this.initializeSampleData();
+        // Restores the search, filters and view from the URL, so shared and bookmarked links open the same results.
+        this.restoreStateFromUrl();
+        // Shows when the connection is lost and sends what was queued meanwhile once it's back.
+        this.setupOfflineMode();
+        // Starts the inbox and the unread message counter in the nav bar.
+        this.messages.initialize();
+        // Loads the user's borrow requests and loans, so cards can show their state.
+        await this.loans.initialize();
+        // Loads the offers the user made or received, so cards can show where each negotiation stands.
+        await this.offers.initialize();
+        // Loads the user's favorites, so cards show their hearts, and checks for saved-search alerts.
+        await this.favorites.initialize();
+        // Wires up reporting and, for moderators and admins, the moderation console.
+        this.moderation.initialize();
+        // Wires up the import and export buttons in My Listings.
+        this.bulk.initialize();
+
+        try {
+            // Fetches all saved items from the storage layer.
+            this.items = await this.getItems();
+        } catch (error) {
+            // If the server can't be reached, the page still works with an empty grid.
+            this.showNotification('Could not load items. Please try again later.', 'error');
+        }
+        // Saved data that was damaged has been set aside (see storage.js); the rest of the page works without it.
+        if (this.storage.problems.length > 0) {
+            this.showNotification('Some saved data was damaged and has been set aside. Everything else loaded normally.', 'info');
+        }
+        // Filters the loaded items with the restored filters and renders them; the URL already reflects them.
+        this.applyFilters(false);
+        // Loads pre-defined sample data if no items exist yet.
+        await this.initializeSampleData();
+        // Moves on holds that ran out and keeps checking for them while the page is open.
+        await this.reservations.initialize();
+        // Marks the user's items as lent once a loan booked for a later date starts.
+        await this.loans.startDueLoans();
+        // Deletes listings that expired long ago and reminds the user to renew their own.
+        await this.expiry.initialize();
+        // Finds the user's completed deals that are waiting for a review of the seller.
+        await this.reviews.initialize();
+        // Moves photos still stored inside the user's older listings into the image store.
+        await this.migrateLegacyImages();
+        // Opens the listing named in the URL (#/item/<id>), now that the items are loaded.
+        this.detail.initialize();
+        this.detail.route();
+        // Opens the profile named in the URL (#/user/<id>) the same way.
+        this.profile.initialize();
+        this.profile.route();
     }
 
-    // 3. Verifies the user's login status to control access to the main page.
-    checkAuthStatus() {
+    // 3. Verifies the user's session to control access to the main page.
+    async checkAuthStatus() {
+        try {
+            // Only a valid, unexpired session yields a user; the session's expiry is refreshed while it's in use.
+            this.currentUser = await this.getCurrentUser();
+        } catch (error) {
+            // If the session can't be checked (e.g. the server is down), the user is treated as logged out.
+            this.currentUser = null;
+        }
+
         // If there is no user logged in...
         if (!this.currentUser) {
             // ...redirect the user to the login/signup page ('index.html').
             window.location.href = 'index.html';
-            return;
+            return false;
         }
+        return true;
     }
 
-    // 4. A reusable helper function to retrieve the current user's data from local storage.
+    // 4. A reusable helper function to retrieve the logged-in user behind this browser's session.
     getCurrentUser() {
-        // Retrieves the string from local storage, or returns 'null' if nothing is found.
-        // JSON.parse() converts the string back into a usable JavaScript object.
-        return JSON.parse(localStorage.getItem('campuskart_current_user') || 'null');
+        // Resolves to the user without password fields, or null if the session is missing or expired.
+        return this.session.getCurrentUser();
     }
 
-    // 5. A helper function to fetch all saved items from local storage.
-    getItems() {
-        // Retrieves the items string and converts it to a JavaScript array.
-        return JSON.parse(localStorage.getItem('campuskart_items') || '[]');
+    // 5. A helper function to fetch all saved items through the storage layer, plus any still waiting to be sent.
+    async getItems() {
+        // Resolves to an array of items, whichever adapter is in use.
+        return [...(await this.storage.list('items')), ...(await this.getQueuedRecords('items'))];
     }
 
-    // 6. A helper function to save the current items array back into local storage.
-    saveItems() {
-        // JSON.stringify() converts the JavaScript array into a string format, which is required for local storage.
-        localStorage.setItem('campuskart_items', JSON.stringify(this.items));
+    // 6. A helper function to save one new item through the storage layer.
+    saveItem(item) {
+        // Resolves to the item as stored, which is what the app keeps in this.items.
+        return this.storage.create('items', item);
     }
 
     // 7. Customizes the UI elements based on the logged-in user's details.
@@ -66,11 +193,24 @@ class CampusKart {
             userNameEl.textContent = this.currentUser.name;
         }
 
+        // The marketplace starts on the user's own campus. Accounts whose college isn't in the directory
+        // (from before it existed) can't be scoped, so they keep seeing every campus.
+        const college = this.colleges.get(this.getUserCollegeId());
+        const campusFilter = document.getElementById('campusFilter');
+        if (campusFilter) {
+            if (college) {
+                campusFilter.querySelector('option[value=""]').textContent = `My Campus (${college.name})`;
+                campusFilter.style.display = '';
+            } else {
+                campusFilter.style.display = 'none';
+            }
+        }
+
         // Selects all "Post Item" buttons across different parts of the page.
         const postBtns = document.querySelectorAll('#postItemBtn, #heroPostBtn, #footerPostBtn');
         postBtns.forEach(btn => {
             // This is a key logic: It checks if the user's role allows them to sell items.
-            if (this.currentUser.role === 'both') {
+            if (this.canSell()) {
                 // If the user is a seller, the button is displayed.
                 btn.style.display = 'flex';
             } else {
@@ -92,12 +232,26 @@ class CampusKart {
         this.setupSearchAndFilters();
         // Sets up event listeners for switching between different views (e.g., 'all' vs 'free' items).
         this.setupViewToggles();
+        // Sets up the buttons on item cards and loading more cards as the user scrolls.
+        this.setupItemsGrid();
+        // Restores the matching filters when the user goes back or forward through their filter history.
+        window.addEventListener('popstate', () => {
+            this.restoreStateFromUrl();
+        });
         // Sets up event listeners for the buttons in the hero section.
         this.setupHeroButtons();
         
+        // Opens the account settings, and the user's own public profile from their name.
+        this.settings.initialize();
+        document.getElementById('myProfileBtn')?.addEventListener('click', () => {
+            this.profile.open(this.currentUser.id);
+        });
+        // The account switcher, for shared devices with several people signed in.
+        this.accounts.initialize();
+
         // Adds a click listener to the logout button to log the user out.
-        document.getElementById('logoutBtn')?.addEventListener('click', () => {
-            this.logout();
+        document.getElementById('logoutBtn')?.addEventListener('click', async () => {
+            await this.logout();
         });
     }
 
@@ -127,7 +281,9 @@ class CampusKart {
                 // Prevents the default browser jump, allowing for a smooth scroll.
                 e.preventDefault();
                 // Finds the target element to scroll to based on the link's href attribute.
-                const target = document.querySelector(anchor.getAttribute('href'));
+                // A bare '#' (used by action links like 'Post Item') isn't a valid selector, so it has no target.
+                const href = anchor.getAttribute('href');
+                const target = href.length > 1 && !href.startsWith('#/') ? document.querySelector(href) : null;
                 if (target) {
                     // This is the key line: it scrolls the page to the target element with a smooth animation.
                     target.scrollIntoView({ behavior: 'smooth' });
@@ -140,20 +296,23 @@ class CampusKart {
 
     // 10. Manages the opening and closing of pop-up modal windows.
     setupModals() {
-        const addItemModal = document.getElementById('addItemModal');
-        const contactModal = document.getElementById('contactModal');
         const closeButtons = document.querySelectorAll('.close-btn');
 
         // Adds click listeners to all buttons that should open the 'Add Item' modal.
         document.querySelectorAll('#postItemBtn, #heroPostBtn, #footerPostBtn').forEach(btn => {
             btn?.addEventListener('click', () => {
-                // Checks if the user's role is set to 'both' (seller).
-                if (this.currentUser.role === 'both') {
+                // Checks if the user's role allows selling.
+                if (this.canSell()) {
+                    // Clears any leftover edit, so the form always starts empty for a new item.
+                    if (this.editingItemId) {
+                        this.resetAddItemForm();
+                    }
                     // Opens the 'addItemModal' modal.
                     this.openModal('addItemModal');
                 } else {
-                    // If the user is not a seller, a notification is displayed.
-                    this.showNotification('Only sellers can post items. Please update your account.', 'info');
+                    // If the user is not a seller, the settings are opened where they can start selling.
+                    this.showNotification('Only sellers can post items. You can start selling in your settings.', 'info');
+                    this.settings.open();
                 }
             });
         });
@@ -162,13 +321,13 @@ class CampusKart {
         closeButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 // Finds the closest parent element with the class '.modal' to determine which modal to close.
-                const modal = e.target.closest('.modal');
+                const modal = e.currentTarget.closest('.modal');
                 this.closeModal(modal.id);
             });
         });
 
         // Adds a listener to close the modal when the user clicks on the dimmed background.
-        [addItemModal, contactModal].forEach(modal => {
+        document.querySelectorAll('.modal').forEach(modal => {
             modal?.addEventListener('click', (e) => {
                 // Checks if the click happened directly on the modal container itself, not the content inside.
                 if (e.target === modal) {
@@ -182,32 +341,52 @@ class CampusKart {
     setupForms() {
         const addItemForm = document.getElementById('addItemForm');
         // Adds a 'submit' event listener to the 'Add Item' form.
-        addItemForm?.addEventListener('submit', (e) => {
+        addItemForm?.addEventListener('submit', async (e) => {
             // e.preventDefault() stops the default form submission (page reload).
             e.preventDefault();
-            // Calls the function that handles the item addition logic.
-            this.handleAddItem();
+            // Saves changes to an existing listing when editing, otherwise adds a new item.
+            if (this.editingItemId) {
+                await this.handleEditItem();
+            } else {
+                await this.handleAddItem();
+            }
         });
 
         const imageInput = document.getElementById('itemImage');
-        // Adds a 'change' event listener that fires when a user selects a file.
-        imageInput?.addEventListener('change', (e) => {
-            // Passes the selected file to the image upload handler function.
-            this.handleImageUpload(e.target.files[0]);
+        // Adds a 'change' event listener that fires when a user selects one or more files.
+        imageInput?.addEventListener('change', async (e) => {
+            // Passes the selected files to the image upload handler function.
+            await this.handleImageUpload([...e.target.files]);
+            // Clears the input so picking the same file again still fires 'change'.
+            e.target.value = '';
+        });
+
+        // The buttons on each photo in the form move it earlier or later, or remove it.
+        document.getElementById('photoList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-photo-action]');
+            if (btn) {
+                this.handlePhotoAction(Number(btn.getAttribute('data-photo-index')), btn.getAttribute('data-photo-action'));
+            }
         });
 
-        // Manages the visibility of the price input based on the 'Mode' dropdown.
+        // Fills the category and mode dropdowns from the taxonomy.
+        const categorySelect = document.getElementById('itemCategory');
         const modeSelect = document.getElementById('itemMode');
+        this.taxonomy.fillCategorySelect(categorySelect);
+        this.taxonomy.fillModeSelect(modeSelect);
+        this.taxonomy.fillSemesterSelect(document.getElementById('itemSemester'));
+        this.reservations.fillHoldSelect(document.getElementById('itemHoldHours'));
+        // Looks books up by ISBN as it's typed or scanned.
+        this.books.initialize();
+
+        // Shows the chosen category's subcategories and extra details (e.g. a book's ISBN).
+        categorySelect?.addEventListener('change', (e) => {
+            this.renderCategoryFields(e.target.value);
+        });
+
+        // Manages the visibility of the price, exchange and hold inputs based on the 'Mode' dropdown.
         modeSelect?.addEventListener('change', (e) => {
-            const priceGroup = document.getElementById('priceGroup');
-            // If the user selects 'donate', the price field is hidden.
-            if (e.target.value === 'donate') {
-                priceGroup.style.display = 'none';
-                document.getElementById('itemPrice').value = '';
-            } else {
-                // If any other mode is selected, the price field is shown.
-                priceGroup.style.display = 'block';
-            }
+            this.renderModeFields(e.target.value);
         });
     }
 
@@ -217,10 +396,20 @@ class CampusKart {
         const categoryFilter = document.getElementById('categoryFilter');
         const modeFilter = document.getElementById('modeFilter');
         const clearFilters = document.getElementById('clearFilters');
+        // Fills the filter dropdowns from the taxonomy; categories also list their subcategories.
+        this.taxonomy.fillCategorySelect(categoryFilter, true);
+        this.taxonomy.fillModeSelect(modeFilter);
+        // The sort order, price range and 'posted within' controls.
+        const otherFilters = ['campusFilter', 'sortSelect', 'minPrice', 'maxPrice', 'postedWithinFilter']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
 
         // Adds an 'input' event listener to the search bar to filter items as the user types.
+        // The search waits for a short pause in typing, so a long query is only searched once.
+        let searchTimer = null;
         searchInput?.addEventListener('input', () => {
-            this.applyFilters();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.applyFilters(), SEARCH_DEBOUNCE_MS);
         });
 
         // Adds a 'change' event listener to the category dropdown.
@@ -233,23 +422,34 @@ class CampusKart {
             this.applyFilters();
         });
 
+        // Adds 'change' listeners to the sort and range controls.
+        otherFilters.forEach(control => {
+            control.addEventListener('change', () => {
+                this.applyFilters();
+            });
+        });
+
         // Adds a click listener to the 'Clear Filters' button.
         clearFilters?.addEventListener('click', () => {
             // Resets all filter values to empty strings.
             searchInput.value = '';
             categoryFilter.value = '';
             modeFilter.value = '';
+            otherFilters.forEach(control => {
+                control.value = '';
+            });
             // Calls applyFilters to show all items again.
             this.applyFilters();
         });
     }
 
-    // 13. Controls the functionality of the 'All Items' and 'Free Items' view buttons.
+    // 13. Controls the functionality of the 'All Items', 'Free Items', 'Favorites' and 'My Listings' view buttons.
     setupViewToggles() {
         // Attaches a click listener to each view toggle button.
         document.querySelectorAll('.view-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const view = e.target.getAttribute('data-view');
+                // currentTarget is the button itself, even when the click lands on its icon.
+                const view = e.currentTarget.getAttribute('data-view');
                 this.switchView(view);
             });
         });
@@ -260,6 +460,13 @@ class CampusKart {
             document.querySelector('#home')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
         });
 
+        // Listener for the 'My Listings' link in the navigation, which shows only the user's own items.
+        document.getElementById('myListingsBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchView('mine');
+            document.querySelector('.marketplace')?.scrollIntoView({ behavior: 'smooth' });
+        });
+
         // Listener for the 'Free Items' button in the footer.
         document.getElementById('footerFreeBtn')?.addEventListener('click', () => {
             this.switchView('free');
@@ -276,83 +483,209 @@ class CampusKart {
         });
     }
 
-    // 15. Handles the image preview logic without uploading to a server.
-    handleImageUpload(file) {
+    // 15. Compresses the selected photos, stores them in the image store and adds them to the form.
+    async handleImageUpload(files) {
         // Exits the function if no file is selected.
-        if (!file) return;
+        if (!files || files.length === 0) return;
 
-        // Validates that the selected file is an image.
-        if (!file.type.startsWith('image/')) {
-            this.showNotification('Please select a valid image file', 'error');
-            return;
+        // Only as many photos as still fit on the listing are added.
+        const room = MAX_ITEM_PHOTOS - this.formPhotos.length;
+        if (files.length > room) {
+            this.showNotification(`A listing can have up to ${MAX_ITEM_PHOTOS} photos`, 'error');
+            if (room <= 0) return;
         }
 
-        // Validates the file size to be less than 5MB.
-        if (file.size > 5 * 1024 * 1024) {
-            this.showNotification('Image size should be less than 5MB', 'error');
-            return;
+        const imagePreview = document.getElementById('imagePreview');
+        imagePreview.classList.add('busy');
+        for (const file of files.slice(0, Math.max(room, 0))) {
+            // Validates that the selected file is an image.
+            if (!file.type.startsWith('image/')) {
+                this.showNotification('Please select a valid image file', 'error');
+                continue;
+            }
+            // The original may be large since it's shrunk before being stored.
+            if (file.size > MAX_PHOTO_FILE_BYTES) {
+                this.showNotification(`Photos should be less than ${MAX_PHOTO_FILE_BYTES / (1024 * 1024)}MB`, 'error');
+                continue;
+            }
+
+            try {
+                const photoId = `${Date.now()}-${randomToken(4)}`;
+                await this.images.save(photoId, await createPhotoVariants(file));
+                this.formPhotos.push(photoId);
+                this.unsavedPhotoIds.add(photoId);
+            } catch (error) {
+                this.showNotification(
+                    isNetworkError(error)
+                        ? "You're offline. Photos can be added once you're back online."
+                        : `Could not add ${file.name}. Please try another photo.`,
+                    'error'
+                );
+            }
+            this.renderPhotoList();
         }
+        imagePreview.classList.remove('busy');
+    }
 
-        // Creates a new FileReader instance to read the file.
-        const reader = new FileReader();
-        const imagePreview = document.getElementById('imagePreview');
+    // 16. Shows the form's photos in order, each with buttons to move or remove it. The first one is the cover.
+    renderPhotoList() {
+        const photoList = document.getElementById('photoList');
+        if (!photoList) return;
+
+        photoList.innerHTML = html`${this.formPhotos.map((photoId, index) => html`
+            <div class="photo-list-item">
+                <img src="${this.images.getUrl(photoId, 'thumb') || PHOTO_PLACEHOLDER}" alt="Photo ${index + 1}">
+                ${index === 0 && html`<span class="photo-cover-label">Cover</span>`}
+                <div class="photo-list-actions">
+                    <button type="button" data-photo-action="earlier" data-photo-index="${index}" title="Move earlier" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" data-photo-action="remove" data-photo-index="${index}" title="Remove photo">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                    <button type="button" data-photo-action="later" data-photo-index="${index}" title="Move later" ${index === this.formPhotos.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                </div>
+            </div>
+        `)}`;
 
-        // This event handler is called after the file has been successfully read.
-        reader.onload = (e) => {
-            // Sets the inner HTML of the preview container with a new <img> tag.
-            // e.target.result contains the image as a Base64 string, which serves as the image source.
-            imagePreview.innerHTML = `<img src="${e.target.result}" alt="Preview">`;
-            // Stores the Base64 string in a data attribute for easy access later when submitting the form.
-            imagePreview.setAttribute('data-image', e.target.result);
-        };
+        // The upload area stays available until the listing has as many photos as it can take.
+        const full = this.formPhotos.length >= MAX_ITEM_PHOTOS;
+        document.getElementById('itemImage').disabled = full;
+        document.querySelector('#imagePreview p').textContent = full
+            ? `Maximum of ${MAX_ITEM_PHOTOS} photos reached`
+            : this.formPhotos.length > 0 ? 'Click to add more photos' : 'Click to upload photos';
+
+        // Photos of a listing being edited may not have been loaded yet.
+        this.images.load(this.formPhotos, 'thumb').then(loaded => loaded && this.renderPhotoList());
+    }
+
+    // 17. Moves a photo in the form one place earlier or later, or removes it from the listing.
+    handlePhotoAction(index, action) {
+        const photos = this.formPhotos;
+        if (action === 'remove') {
+            const [photoId] = photos.splice(index, 1);
+            // A photo that was never saved with the listing can go right away; saved ones are deleted on save.
+            if (this.unsavedPhotoIds.delete(photoId)) {
+                this.removePhotos([photoId]);
+            }
+        } else {
+            const target = action === 'earlier' ? index - 1 : index + 1;
+            if (target < 0 || target >= photos.length) return;
+            [photos[index], photos[target]] = [photos[target], photos[index]];
+        }
+        this.renderPhotoList();
+    }
 
-        // Starts reading the file's content as a Base64 string.
-        reader.readAsDataURL(file);
+    // 18. Deletes photos from the image store. A failure only leaves an unused photo behind.
+    async removePhotos(photoIds) {
+        for (const photoId of photoIds) {
+            try {
+                await this.images.remove(photoId);
+            } catch (error) {
+                // Nothing refers to the photo any more, so it is simply never shown.
+            }
+        }
     }
 
-    // 16. Processes the form data to create and save a new item.
-    handleAddItem() {
+    // 19. Reads and validates the add/edit item form. Returns the item fields, or null if validation fails.
+    readItemForm() {
         // Gathers all the input values from the form.
         const name = document.getElementById('itemName').value.trim();
         const category = document.getElementById('itemCategory').value;
+        const subcategory = document.getElementById('itemSubcategory').value;
         const mode = document.getElementById('itemMode').value;
         const price = document.getElementById('itemPrice').value;
+        const wants = document.getElementById('itemWants').value.trim();
+        const holdHours = document.getElementById('itemHoldHours').value;
         const description = document.getElementById('itemDescription').value.trim();
-        const imagePreview = document.getElementById('imagePreview');
-        const image = imagePreview.getAttribute('data-image');
+        // Course and semester tags only count for categories that show them.
+        const courseTags = !!this.taxonomy.getCategory(category)?.courseTags;
+        const courses = courseTags ? parseCourseCodes(document.getElementById('itemCourses').value) : [];
+        const semester = courseTags ? document.getElementById('itemSemester').value : '';
+        // The category's extra details, keyed by attribute id.
+        const attributes = {};
+        document.querySelectorAll('#itemAttributes [data-attribute]').forEach(input => {
+            attributes[input.getAttribute('data-attribute')] = input.value.trim();
+        });
 
-        // Performs form validation to ensure required fields are filled.
-        if (!name || !category || !mode) {
-            this.showNotification('Please fill in all required fields', 'error');
-            return;
+        const error = this.validateItemFields({ name, category, subcategory, mode, price, wants, attributes, courses, semester });
+        if (error) {
+            this.showNotification(error, 'error');
+            return null;
         }
 
-        // Validates the price if the item is not a donation.
-        if (mode !== 'donate' && (!price || price <= 0)) {
-            this.showNotification('Please enter a valid price', 'error');
-            return;
-        }
-
-        // Creates a new item object with all collected data.
-        const newItem = {
-            id: Date.now().toString(),
+        const modeConfig = this.taxonomy.getMode(mode);
+        return {
             name,
             category,
+            subcategory: subcategory || null,
+            attributes: this.taxonomy.cleanAttributes(category, attributes),
+            courses: this.taxonomy.cleanCourses(category, courses),
+            semester: semester || null,
             mode,
-            price: mode === 'donate' ? 0 : parseFloat(price),
+            price: modeConfig.priced ? parseFloat(price) : 0,
+            wants: modeConfig.exchange ? wants : null,
+            holdHours: modeConfig.holds ? this.reservations.cleanHoldHours(holdHours) : null,
             description,
-            image: image || null,
+            // Only photo ids are stored on the item; the photos themselves are in the image store.
+            photos: [...this.formPhotos]
+        };
+    }
+
+    // 20. Checks item fields against the rules every listing must meet, whether typed into the form or
+    // imported in bulk (see bulk.js). Returns the problem as a message, or null if the fields are valid.
+    // The rules come from the taxonomy (see taxonomy.js).
+    validateItemFields(fields) {
+        return this.taxonomy.validate(fields);
+    }
+
+    // 21. Creates a new item object from validated fields, posted by the current user. New listings always start out
+    // available, and expire unless they're renewed (see expiry.js).
+    createListing(fields, id = Date.now().toString()) {
+        const createdAt = new Date().toISOString();
+        return {
+            id,
+            ...fields,
+            status: 'available',
             sellerId: this.currentUser.id,
             sellerName: this.currentUser.name,
             sellerCollege: this.currentUser.college,
-            sellerEmail: this.currentUser.email,
-            createdAt: new Date().toISOString()
+            sellerCollegeId: this.getUserCollegeId(),
+            createdAt,
+            expiresAt: this.expiry.getNewExpiry(createdAt)
         };
+    }
+
+    // 22. Processes the form data to create and save a new item.
+    async handleAddItem() {
+        const fields = this.readItemForm();
+        if (!fields) return;
 
-        // Adds the new item to the main array.
-        this.items.push(newItem);
-        // Saves the updated list of items to local storage.
-        this.saveItems();
+        // Creates a new item object with all collected data.
+        const newItem = this.createListing(fields);
+
+        let queued = false;
+        try {
+            // Saves the item first, so the grid only shows listings that were actually stored.
+            const savedItem = await this.saveItem(newItem);
+            // Adds the saved item to the main array.
+            this.items.push(savedItem);
+            // The new photos now belong to the listing, so resetting the form must keep them.
+            this.unsavedPhotoIds.clear();
+            // Lets other users whose saved searches match know about the new listing.
+            this.favorites.notifyMatches(savedItem);
+        } catch (error) {
+            // Offline, the listing waits in the outbox and is shown as waiting to sync until it's sent.
+            if (!isNetworkError(error) || !(await this.queueOffline('POST', '/items', newItem))) {
+                this.showNotification('Could not save your item. Please try again.', 'error');
+                return;
+            }
+            this.items.push({ ...newItem, pendingSync: true });
+            this.unsavedPhotoIds.clear();
+            queued = true;
+        }
         // Reruns the filters to include the new item in the displayed list.
         this.applyFilters();
         // Closes the modal after a successful submission.
@@ -361,54 +694,344 @@ class CampusKart {
         this.resetAddItemForm();
         
         // Displays a success message.
-        this.showNotification('Item added successfully!', 'success');
+        if (queued) {
+            this.showNotification("You're offline. Your item will be posted when you're back online.", 'info');
+        } else {
+            this.showNotification('Item added successfully!', 'success');
+        }
+    }
+
+    // 23. Saves the form's changes to the listing currently being edited.
+    async handleEditItem() {
+        const fields = this.readItemForm();
+        if (!fields) return;
+
+        const previousPhotos = this.getItemPhotoIds(this.items.find(i => i.id === this.editingItemId));
+        const saved = await this.updateOwnItem(this.editingItemId, fields);
+        if (!saved) return;
+
+        // Photos removed in the form are deleted once the listing no longer refers to them.
+        this.unsavedPhotoIds.clear();
+        await this.removePhotos(previousPhotos.filter(photoId => !fields.photos.includes(photoId)));
+
+        this.closeModal('addItemModal');
+        this.resetAddItemForm();
+        this.showNotification('Listing updated successfully!', 'success');
+    }
+
+    // 24. Opens the 'Add Item' modal pre-filled with one of the user's own listings, switching it into edit mode.
+    openEditItemModal(item) {
+        this.resetAddItemForm();
+        this.editingItemId = item.id;
+
+        // Copies every editable field of the listing into the form.
+        document.getElementById('itemName').value = item.name;
+        document.getElementById('itemCategory').value = item.category;
+        this.renderCategoryFields(item.category, item.attributes);
+        document.getElementById('itemSubcategory').value = item.subcategory || '';
+        document.getElementById('itemCourses').value = (item.courses || []).join(', ');
+        this.taxonomy.fillSemesterSelect(document.getElementById('itemSemester'), item.semester || '');
+        document.getElementById('itemMode').value = item.mode;
+        this.renderModeFields(item.mode);
+        document.getElementById('itemPrice').value = this.taxonomy.getMode(item.mode)?.priced ? item.price : '';
+        document.getElementById('itemWants').value = item.wants || '';
+        document.getElementById('itemHoldHours').value = this.reservations.cleanHoldHours(item.holdHours);
+        document.getElementById('itemDescription').value = item.description || '';
+
+        // Shows the current photos, which can be reordered, removed or added to.
+        this.formPhotos = [...this.getItemPhotoIds(item)];
+        this.renderPhotoList();
+
+        // Relabels the modal so it's clear the changes update an existing listing.
+        document.querySelector('#addItemModal .modal-header h2').innerHTML = '<i class="fas fa-edit"></i> Edit Item';
+        document.querySelector('#addItemForm .submit-btn').innerHTML = '<i class="fas fa-save"></i> Save Changes';
+        this.openModal('addItemModal');
+    }
+
+    // 25. Saves changes to one of the current user's listings and refreshes the grid. Returns the updated item, or null.
+    async updateOwnItem(itemId, changes) {
+        const item = this.items.find(i => i.id === itemId);
+        // Only the seller who posted a listing may change it.
+        if (!item || item.sellerId !== this.currentUser.id) {
+            this.showNotification('You can only change your own listings', 'error');
+            return null;
+        }
+
+        try {
+            const updated = await this.storage.update('items', itemId, { ...changes, updatedAt: new Date().toISOString() });
+            // Replaces the old copy in the main array with the stored one.
+            this.items = this.items.map(i => (i.id === itemId ? updated : i));
+        } catch (error) {
+            this.showNotification('Could not update your listing. Please try again.', 'error');
+            return null;
+        }
+
+        this.applyFilters();
+        return this.items.find(i => i.id === itemId);
+    }
+
+    // 26. Changes a listing's status: marks it sold, lent or given away, or relists it as available.
+    // Extra changes are saved along with it, e.g. who a sold item went to.
+    async setItemStatus(itemId, status, changes = {}) {
+        // A relisted item no longer belongs to its last buyer, nor is it held for anyone or waited for, and it's up
+        // for a full lifetime again.
+        const buyer = status === 'available'
+            ? { buyerId: null, buyerName: null, completedAt: null, reservation: null, waitlist: [], expiresAt: this.expiry.getNewExpiry() }
+            : {};
+        // With a server, the deal is completed there, which checks the buyer really took part (see server/deals.js).
+        const updated = this.storage.shared && REVIEWABLE_STATUSES.includes(status)
+            ? await this.completeOnServer(itemId, status, changes.buyerId || null)
+            : await this.updateOwnItem(itemId, { status, ...buyer, ...changes });
+        if (updated) {
+            this.showNotification(
+                status === 'available' ? 'Listing is available again' : `Listing marked as ${this.getStatusName(status).toLowerCase()}`,
+                'success'
+            );
+        }
     }
 
-    // 17. Resets the form fields and preview elements.
+    // 27. Marks one of the current user's listings sold, given away or traded through the CampusKart server.
+    // Returns the updated item, or null.
+    async completeOnServer(itemId, status, buyerId) {
+        try {
+            const updated = await this.storage.perform('items', itemId, 'complete', { status, buyerId });
+            this.items = this.items.map(i => (i.id === itemId ? updated : i));
+        } catch (error) {
+            this.showNotification(error.status === 409 ? error.message : 'Could not update your listing. Please try again.', 'error');
+            return null;
+        }
+        this.applyFilters();
+        return this.items.find(i => i.id === itemId);
+    }
+
+    // 28. Permanently deletes one of the current user's listings after a confirmation prompt.
+    async deleteItem(itemId) {
+        const item = this.items.find(i => i.id === itemId);
+        if (!item || item.sellerId !== this.currentUser.id) {
+            this.showNotification('You can only delete your own listings', 'error');
+            return;
+        }
+        if (!confirm(`Delete "${item.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.storage.remove('items', itemId);
+        } catch (error) {
+            this.showNotification('Could not delete your listing. Please try again.', 'error');
+            return;
+        }
+
+        // Removes the listing from the main array and refreshes the grid.
+        this.items = this.items.filter(i => i.id !== itemId);
+        this.applyFilters();
+        this.showNotification('Listing deleted', 'success');
+        await this.removePhotos(this.getItemPhotoIds(item));
+    }
+
+    // 29. Resets the form fields and preview elements.
     resetAddItemForm() {
         // Resets the form to clear all input values.
         document.getElementById('addItemForm').reset();
-        // Restores the default HTML for the image preview container.
-        document.getElementById('imagePreview').innerHTML = `
-            <i class="fas fa-camera"></i>
-            <p>Click to upload image</p>
-        `;
-        // Removes the Base64 image data.
-        document.getElementById('imagePreview').removeAttribute('data-image');
-        // Ensures the price group is visible for the next item.
-        document.getElementById('priceGroup').style.display = 'block';
-    }
-
-    // 18. Filters the items array based on user inputs.
-    applyFilters() {
-        // Gets the search term and converts it to lowercase.
-        const searchTerm = document.getElementById('searchInput')?.value.toLowerCase() || '';
+        // Clears the photos, deleting any that were added but never saved with a listing.
+        this.removePhotos([...this.unsavedPhotoIds]);
+        this.unsavedPhotoIds.clear();
+        this.formPhotos = [];
+        this.renderPhotoList();
+        // Clears the category's extra fields and shows the price for the next item.
+        this.renderCategoryFields('');
+        this.renderModeFields('');
+        this.taxonomy.fillSemesterSelect(document.getElementById('itemSemester'));
+        // Leaves edit mode and restores the modal's 'Add Item' labels.
+        this.editingItemId = null;
+        document.querySelector('#addItemModal .modal-header h2').innerHTML = '<i class="fas fa-plus-circle"></i> Add New Item';
+        document.querySelector('#addItemForm .submit-btn').innerHTML = '<i class="fas fa-plus"></i> Add Item';
+    }
+
+    // 30. Shows the form's subcategory dropdown, extra detail inputs and course tags for a category,
+    // the details filled with the given values.
+    renderCategoryFields(categoryId, values = {}) {
+        const subcategorySelect = document.getElementById('itemSubcategory');
+        this.taxonomy.fillSubcategorySelect(subcategorySelect, categoryId);
+        document.getElementById('subcategoryRow').style.display = subcategorySelect.options.length > 1 ? 'grid' : 'none';
+        document.getElementById('courseRow').style.display = this.taxonomy.getCategory(categoryId)?.courseTags ? 'grid' : 'none';
+
+        document.getElementById('itemAttributes').innerHTML = html`
+            ${this.taxonomy.getAttributes(categoryId).map(attribute => html`
+            <div class="input-group">
+                <label for="itemAttribute-${attribute.id}">${attribute.name}${!attribute.required && html` <span class="optional">(optional)</span>`}</label>
+                ${attribute.type === 'select'
+                    ? html`<select id="itemAttribute-${attribute.id}" data-attribute="${attribute.id}">
+                            <option value="">Select ${attribute.name}</option>
+                            ${attribute.options.map(option => html`<option value="${option}" ${values?.[attribute.id] === option && 'selected'}>${option}</option>`)}
+                        </select>`
+                    : html`<div class="attribute-input">
+                            <input type="text" id="itemAttribute-${attribute.id}" data-attribute="${attribute.id}"
+                                maxlength="${MAX_ATTRIBUTE_LENGTH}" placeholder="${attribute.placeholder || ''}" value="${values?.[attribute.id] || ''}">
+                            ${attribute.type === 'isbn' && this.books.createScanButton()}
+                        </div>`}
+            </div>`)}`;
+    }
+
+    // 31. Shows the price input for modes with a price, the exchange input for trades and the hold window
+    // for modes that can be reserved. With no mode chosen yet, the price input is shown.
+    renderModeFields(modeId) {
+        const mode = this.taxonomy.getMode(modeId);
+        const priced = !mode || mode.priced;
+        document.getElementById('priceGroup').style.display = priced ? 'block' : 'none';
+        document.getElementById('wantsGroup').style.display = mode?.exchange ? 'block' : 'none';
+        document.getElementById('holdGroup').style.display = mode?.holds ? 'block' : 'none';
+        if (!priced) document.getElementById('itemPrice').value = '';
+    }
+
+    // 32. Filters the items array based on user inputs, then records the filters in the URL unless told not to.
+    applyFilters(updateHistory = true) {
+        // Gets the search term; the search index takes care of case and punctuation.
+        const searchTerm = document.getElementById('searchInput')?.value || '';
+        // '' is the user's own campus, 'nearby' adds campuses close to it, 'all' shows every campus.
+        const campusScope = document.getElementById('campusFilter')?.value || '';
+        const userCollegeId = this.getUserCollegeId();
+        const campusIds = campusScope === 'nearby' ? this.colleges.getNearbyIds(userCollegeId) : [userCollegeId];
         const categoryFilter = document.getElementById('categoryFilter')?.value || '';
         const modeFilter = document.getElementById('modeFilter')?.value || '';
+        const sortOrder = document.getElementById('sortSelect')?.value || '';
+        // Empty price boxes mean 'no limit'.
+        const minPrice = parseFloat(document.getElementById('minPrice')?.value);
+        const maxPrice = parseFloat(document.getElementById('maxPrice')?.value);
+        // 'Posted within' is a number of days, or empty for any time.
+        const postedWithinDays = parseInt(document.getElementById('postedWithinFilter')?.value, 10);
+        const postedAfter = postedWithinDays ? Date.now() - postedWithinDays * 24 * 60 * 60 * 1000 : null;
+
+        // Looks the query up in the search index (rebuilt only when the items changed).
+        // The result maps each matching item's id to its relevance score and matched words, or is null for no query.
+        this.searchIndex.sync(this.items, category => this.getCategoryName(category));
+        this.searchMatches = this.searchIndex.search(searchTerm);
 
         // The .filter() method creates a new array of items that match all the conditions below.
         this.filteredItems = this.items.filter(item => {
-            // Checks if the item's name or description includes the search term.
-            const matchesSearch = item.name.toLowerCase().includes(searchTerm) ||
-                                 item.description.toLowerCase().includes(searchTerm);
+            // Checks if the item matched the search in its name, description, category, seller or college.
+            const matchesSearch = !this.searchMatches || this.searchMatches.has(item.id);
+            // Checks if the item comes from a campus in scope. The user's own listings are always in My Listings.
+            const matchesCampus = !userCollegeId || campusScope === 'all' || ['mine', 'favorites'].includes(this.currentView) ||
+                                  campusIds.includes(this.getItemCollegeId(item));
             // Checks if the item's category matches the selected filter.
-            const matchesCategory = !categoryFilter || item.category === categoryFilter;
+            // The filter can be a whole category ('books') or one of its subcategories ('books:textbooks').
+            const matchesCategory = this.taxonomy.matchesCategory(item, categoryFilter);
             // Checks if the item's mode matches the selected filter.
             const matchesMode = !modeFilter || item.mode === modeFilter;
-            // Checks if the item matches the current view ('all' or 'free').
+            // Checks the price range. Free and borrowable items count as a price of 0.
+            const matchesPrice = (isNaN(minPrice) || item.price >= minPrice) &&
+                                 (isNaN(maxPrice) || item.price <= maxPrice);
+            // Checks if the item was posted recently enough.
+            const matchesPosted = !postedAfter || Date.parse(item.createdAt) >= postedAfter;
+            // Checks if the item matches the current view ('all', 'free', the user's 'favorites' or their own listings in 'mine').
             const matchesView = this.currentView === 'all' || 
-                                (this.currentView === 'free' && (item.mode === 'donate' || item.mode === 'borrow'));
+                                (this.currentView === 'free' && this.isFreeMode(item.mode)) ||
+                                (this.currentView === 'favorites' && this.favorites.isFavorite(item.id)) ||
+                                (this.currentView === 'mine' && item.sellerId === this.currentUser.id);
+            // Sold and given-away items drop out of the public grid but stay visible in My Listings,
+            // and in Favorites, where the badge shows the user they're gone.
+            // Items out on an approved loan stay listed, showing when they come back, and reserved items stay
+            // listed so buyers can see they're spoken for.
+            const matchesStatus = ['mine', 'favorites'].includes(this.currentView) || this.isAvailable(item) || this.isOnLoan(item) ||
+                                  this.isReserved(item);
+            // Listings hidden by a moderator are only shown to their seller.
+            const isVisible = !this.isHidden(item);
+            // Expired listings are only shown in My Listings, where their seller can renew them.
+            const isCurrent = this.currentView === 'mine' || !this.expiry.isExpired(item);
 
             // Only items that satisfy all these conditions are kept in the new array.
-            return matchesSearch && matchesCategory && matchesMode && matchesView;
+            return matchesSearch && matchesCampus && matchesCategory && matchesMode && matchesPrice && matchesPosted &&
+                   matchesView && matchesStatus && isVisible && isCurrent;
         });
 
+        // Orders the results by the chosen sort.
+        this.sortItems(this.filteredItems, sortOrder);
+
+        // New filters start again from the first page of cards; re-rendering after an edit keeps the user's place.
+        const filterKey = JSON.stringify([searchTerm, campusScope, categoryFilter, modeFilter, sortOrder, minPrice, maxPrice,
+                                          postedWithinDays, this.currentView]);
+        if (filterKey !== this.lastFilterKey) {
+            this.lastFilterKey = filterKey;
+            this.renderLimit = ITEMS_PAGE_SIZE;
+        }
+
         // After filtering, the items are re-rendered on the page.
         this.renderItems();
+
+        // Keeps the URL in step with the filters, so the view can be bookmarked, shared and navigated with back/forward.
+        if (updateHistory) {
+            this.syncUrl();
+        }
     }
 
-    // 19. Switches the current view and updates the UI accordingly.
-    switchView(view) {
+    // 33. Writes the current search, filters and view into the URL's query string (e.g. ?q=calculator&view=free).
+    syncUrl() {
+        const params = new URLSearchParams();
+        Object.entries(URL_FILTER_PARAMS).forEach(([param, elementId]) => {
+            const value = document.getElementById(elementId)?.value.trim();
+            if (value) params.set(param, value);
+        });
+        if (this.currentView !== 'all') params.set('view', this.currentView);
+
+        const query = params.toString();
+        const current = new URLSearchParams(window.location.search);
+        // Parameter order doesn't matter, so both sides are sorted before comparing.
+        const sortedQuery = new URLSearchParams(params);
+        sortedQuery.sort();
+        current.sort();
+        if (sortedQuery.toString() === current.toString()) return;
+
+        // Typing a search only updates the current history entry, so back doesn't step through every word.
+        const changed = [...new Set([...params.keys(), ...current.keys()])]
+            .filter(param => params.get(param) !== current.get(param));
+        const searchOnly = changed.length === 1 && changed[0] === 'q';
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (searchOnly && this.lastUrlChange === 'q') {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+        this.lastUrlChange = changed.join(',');
+    }
+
+    // 34. Reads the search, filters and view from the URL into the page's controls and shows the matching items.
+    restoreStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        Object.entries(URL_FILTER_PARAMS).forEach(([param, elementId]) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                // Unknown dropdown values simply leave the dropdown on its first option.
+                element.value = params.get(param) || '';
+            }
+        });
+        // Restored state must not be pushed again, and the next search starts a new history entry.
+        this.lastUrlChange = null;
+
+        const view = params.get('view');
+        this.switchView(ITEM_VIEWS.includes(view) ? view : 'all', false);
+    }
+
+    // 35. Sorts items in place. With no explicit choice, search results are ordered by relevance and
+    // everything else by newest first. Ties keep their existing order because Array.sort is stable.
+    sortItems(items, sortOrder) {
+        const newest = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '');
+        const comparators = {
+            'newest': newest,
+            'price-asc': (a, b) => a.price - b.price,
+            'price-desc': (a, b) => b.price - a.price,
+            // Donated, borrowable and trade items first, each group newest first.
+            'free-first': (a, b) => this.isPaidMode(a.mode) - this.isPaidMode(b.mode) || newest(a, b),
+            'relevance': (a, b) => this.searchMatches.get(b.id).score - this.searchMatches.get(a.id).score
+        };
+
+        const order = sortOrder || (this.searchMatches ? 'relevance' : 'newest');
+        // Relevance only makes sense while searching; otherwise it falls back to newest.
+        const comparator = order === 'relevance' && !this.searchMatches ? newest : comparators[order] || newest;
+        items.sort(comparator);
+    }
+
+    // 36. Switches the current view and updates the UI accordingly. Restoring from the URL passes updateHistory = false.
+    switchView(view, updateHistory = true) {
         // Updates the current view state.
         this.currentView = view;
         
@@ -418,22 +1041,39 @@ class CampusKart {
         });
         // Adds the 'active' class to the newly selected view button.
         document.querySelector(`[data-view="${view}"]`)?.classList.add('active');
+        // Updates the section title so it's clear whether the grid shows the marketplace or the user's own listings.
+        const sectionTitle = document.getElementById('sectionTitle');
+        if (sectionTitle) {
+            sectionTitle.textContent = view === 'mine' ? 'My Listings' : view === 'favorites' ? 'My Favorites' : 'Latest Items';
+        }
+        // My Listings has its own import and export buttons. See bulk.js.
+        const listingTools = document.getElementById('myListingsTools');
+        if (listingTools) {
+            listingTools.style.display = view === 'mine' ? 'flex' : 'none';
+            document.getElementById('importListingsBtn').style.display = this.canSell() ? '' : 'none';
+        }
 
         // Re-applies the filters to display the correct items for the new view.
-        this.applyFilters();
+        this.applyFilters(updateHistory);
     }
 
-    // 20. Dynamically generates and displays the item cards on the page.
+    // 37. Dynamically generates and displays the item cards on the page.
+    // Only the first `renderLimit` results are rendered. Each card's element is cached by item id and reused
+    // while its HTML is unchanged, so filtering thousands of listings moves existing nodes instead of rebuilding them.
     renderItems() {
         const itemsGrid = document.getElementById('itemsGrid');
         const noItems = document.getElementById('noItems');
 
         if (!itemsGrid) return;
 
+        // Keeps an open detail page in step with the same changes.
+        this.detail.refresh();
+
         // If no items are found after filtering, the grid is hidden and a 'No items found' message is shown.
         if (this.filteredItems.length === 0) {
             itemsGrid.style.display = 'none';
             noItems.style.display = 'block';
+            this.updateLoadMore();
             return;
         }
 
@@ -441,93 +1081,415 @@ class CampusKart {
         itemsGrid.style.display = 'grid';
         noItems.style.display = 'none';
 
-        // The core of dynamic rendering: .map() generates an array of HTML strings for each item,
-        // .join('') combines them into one long string, and .innerHTML inserts that string into the DOM.
-        itemsGrid.innerHTML = this.filteredItems.map(item => this.createItemCard(item)).join('');
+        const visibleItems = this.filteredItems.slice(0, this.renderLimit);
+        // Cards show a placeholder until their thumbnails are loaded, then render again with them.
+        this.loadItemPhotos(visibleItems, 'thumb').then(loaded => loaded && this.renderItems());
+        visibleItems.forEach((item, index) => {
+            // The card's HTML doubles as its version: if anything shown on it changed, a fresh element is built.
+            const markup = this.createItemCard(item).toString();
+            let cached = this.cardCache.get(item.id);
+            if (!cached || cached.html !== markup) {
+                const template = document.createElement('template');
+                template.innerHTML = markup.trim();
+                cached = { html: markup, element: template.content.firstElementChild };
+                this.cardCache.set(item.id, cached);
+            }
 
-        // Attaches event listeners to the 'Contact Seller' buttons, which are created dynamically.
-        // This is done after rendering to ensure the buttons exist in the DOM.
-        document.querySelectorAll('.contact-seller-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const itemId = e.target.getAttribute('data-item-id');
-                const item = this.items.find(i => i.id === itemId);
-                if (item) {
-                    this.openContactModal(item);
-                }
+            // Only touches the DOM when the card isn't already in the right position.
+            const current = itemsGrid.children[index];
+            if (current !== cached.element) {
+                itemsGrid.insertBefore(cached.element, current || null);
+            }
+        });
+
+        // Removes cards that are no longer part of the visible results.
+        while (itemsGrid.children.length > visibleItems.length) {
+            itemsGrid.lastElementChild.remove();
+        }
+
+        // Forgets cached cards of deleted items once the cache grows well beyond the number of items.
+        if (this.cardCache.size > this.items.length * 2) {
+            const ids = new Set(this.items.map(item => item.id));
+            this.cardCache.forEach((_, id) => {
+                if (!ids.has(id)) this.cardCache.delete(id);
             });
+        }
+
+        this.updateLoadMore();
+    }
+
+    // 38. Sets up clicks on the buttons inside item cards and loading more cards on scroll.
+    setupItemsGrid() {
+        const itemsGrid = document.getElementById('itemsGrid');
+
+        // A single listener on the grid handles every card, including cards added later.
+        itemsGrid?.addEventListener('click', (e) => {
+            this.handleItemClick(e);
+        });
+
+        // Renders the next page of cards.
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        loadMoreBtn?.addEventListener('click', () => {
+            this.renderLimit += ITEMS_PAGE_SIZE;
+            this.renderItems();
         });
+
+        // Infinite scroll: loads the next page as soon as the 'Load more' button scrolls into view.
+        if (loadMoreBtn && 'IntersectionObserver' in window) {
+            new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting) && this.renderLimit < this.filteredItems.length) {
+                    this.renderLimit += ITEMS_PAGE_SIZE;
+                    this.renderItems();
+                }
+            }, { rootMargin: '200px' }).observe(loadMoreBtn);
+        }
     }
 
-    // 21. A helper function that takes an item object and returns a complete HTML string for its card.
+    // 39. Handles a click on an item card: its buttons run their action, anywhere else opens the listing's detail page.
+    handleItemClick(e) {
+        const btn = e.target.closest('button[data-item-id]');
+        if (btn) {
+            const item = this.items.find(i => i.id === btn.getAttribute('data-item-id'));
+            if (!item || btn.disabled) return;
+
+            if (btn.classList.contains('favorite-btn')) {
+                this.favorites.toggle(item);
+            } else if (btn.classList.contains('contact-seller-btn')) {
+                this.openContactModal(item);
+            } else if (btn.classList.contains('borrow-request-btn')) {
+                this.loans.openRequestModal(item);
+            } else if (btn.classList.contains('offer-btn')) {
+                this.offers.openOfferModal(item);
+            } else if (btn.classList.contains('reserve-btn')) {
+                this.reservations.handleAction(item);
+            } else if (btn.classList.contains('owner-action-btn')) {
+                this.handleOwnerAction(item, btn.getAttribute('data-action'));
+            } else if (btn.classList.contains('report-btn')) {
+                this.moderation.openReport(item);
+            }
+            return;
+        }
+
+        const card = e.target.closest('.item-card');
+        if (card) {
+            this.detail.open(card.getAttribute('data-item-id'));
+        }
+    }
+
+    // 40. Runs one of the seller's own actions from a card in My Listings.
+    handleOwnerAction(item, action) {
+        if (action === 'edit') {
+            this.openEditItemModal(item);
+        } else if (action === 'delete') {
+            this.deleteItem(item.id);
+        } else if (action === 'requests') {
+            this.loans.openRequests(item);
+        } else if (action === 'returned') {
+            this.loans.markReturned(item);
+        } else if (action === 'offers') {
+            this.offers.openOffers(item);
+        } else if (action === 'release') {
+            this.reservations.release(item);
+        } else if (action === 'renew') {
+            this.expiry.renew(item);
+        } else if (REVIEWABLE_STATUSES.includes(action)) {
+            // Asks who it went to first, so that buyer can review the seller.
+            this.reviews.openCompleteDealModal(item, action);
+        } else {
+            // The remaining actions ('lent', 'available') are status changes.
+            this.setItemStatus(item.id, action);
+        }
+    }
+
+    // 41. Shows how many results are rendered and whether there are more to load.
+    updateLoadMore() {
+        const loadMore = document.getElementById('loadMore');
+        if (!loadMore) return;
+
+        const shown = Math.min(this.renderLimit, this.filteredItems.length);
+        const hasMore = shown < this.filteredItems.length;
+        loadMore.style.display = hasMore ? 'flex' : 'none';
+        document.getElementById('resultsCount').textContent = `Showing ${shown} of ${this.filteredItems.length} items`;
+    }
+
+    // 42. A helper function that takes an item object and returns the complete HTML for its card.
+    // Every value from the item is escaped by the html`` template (see html.js).
     createItemCard(item) {
     // Conditionally set the price
-    const priceDisplay = item.mode === 'donate'
-        ? '<div class="item-price free">FREE</div>'
-        : item.mode === 'borrow'
-        ? '<div class="item-price free">BORROW</div>'
-        : `<div class="item-price">$${item.price.toFixed(2)}</div>`;
+    const priceDisplay = this.createPriceDisplay(item);
+
+    // Conditionally set the image: the card shows the listing's first photo.
+    const photo = this.getItemImages(item)[0];
+    const imageDisplay = photo
+        ? html`<img src="${photo}" alt="${item.name}">`
+        : html`<img src="${PHOTO_PLACEHOLDER}" alt="No Image Available">`;
 
-    // Conditionally set the image
-    const imageDisplay = item.image && item.image.trim() !== ""
-        ? `<img src="${item.image}" alt="${item.name}">`
-        : `<img src="/images/image.png" alt="No Image Available">`;
+    // Words that matched the current search are highlighted in the title and description.
+    // highlightTerms() escapes the text itself, so its <mark> tags are the only markup in the result.
+    const matchedTerms = this.searchMatches?.get(item.id)?.terms;
+    const title = rawHtml(highlightTerms(item.name, matchedTerms, escapeHtml));
+    const description = rawHtml(highlightTerms(item.description, matchedTerms, escapeHtml));
 
     // Return card template
-    return `
-        <div class="item-card">
+    return html`
+        <div class="item-card" data-item-id="${item.id}">
             <div class="item-image">
                 ${imageDisplay}
+                ${this.favorites.createFavoriteButton(item)}
             </div>
             <div class="item-content">
                 <div class="item-header">
-                    <h3 class="item-title">${item.name}</h3>
+                    <h3 class="item-title">${title}</h3>
                     <div class="item-badges">
                         <span class="badge category">${this.getCategoryName(item.category)}</span>
                         <span class="badge mode-${item.mode}">${this.getModeName(item.mode)}</span>
+                        ${this.taxonomy.describeAttributes(item).filter(({ attribute }) => attribute.badge).map(({ attribute, value }) => html`
+                        <span class="badge attribute">${attribute.name} ${value}</span>`)}
+                        ${!this.isAvailable(item) && html`<span class="badge status-${item.status}">${this.getStatusName(item.status)}</span>`}
+                        ${this.expiry.isExpired(item) && html`<span class="badge status-expired">Expired</span>`}
+                        ${item.pendingSync && html`<span class="badge pending-sync"><i class="fas fa-cloud-upload-alt"></i> Waiting to sync</span>`}
+                        ${item.hidden && html`<span class="badge hidden-badge"><i class="fas fa-eye-slash"></i> Hidden by a moderator</span>`}
                     </div>
                 </div>
                 ${priceDisplay}
-                ${item.description ? `<p class="item-description">${item.description}</p>` : ''}
+                ${item.wants && html`<p class="item-wants"><i class="fas fa-people-arrows"></i> Wants: ${item.wants}</p>`}
+                ${this.createCourseTags(item)}
+                ${this.createLoanStatus(item)}
+                ${this.createReservationStatus(item)}
+                ${this.expiry.createExpiryStatus(item)}
+                ${item.description && html`<p class="item-description">${description}</p>`}
+                ${this.currentView === 'mine' ? this.createOwnerActions(item) : html`
+                ${this.createBorrowAction(item)}
+                ${this.offers.createOfferAction(item)}
+                ${this.reservations.createReserveAction(item)}
                 <button class="contact-seller-btn" data-item-id="${item.id}">
                     <i class="fas fa-envelope"></i> Contact Seller
                 </button>
+                ${this.moderation.createReportButton(item)}`}
             </div>
         </div>
     `;
 }
 
+    // 43. Returns the price line for an item: its mode's label (FREE, BORROW, TRADE) or its price.
+    createPriceDisplay(item) {
+        const priceLabel = this.taxonomy.getMode(item.mode)?.priceLabel;
+        return priceLabel
+            ? html`<div class="item-price free">${priceLabel}</div>`
+            : html`<div class="item-price">$${Number(item.price).toFixed(2)}</div>`;
+    }
+
+    // 44. Returns the course codes and semester an item is tagged with, e.g. for a textbook.
+    createCourseTags(item) {
+        if (!item.courses?.length && !item.semester) return '';
+        return html`
+            <div class="course-tags">
+                <i class="fas fa-graduation-cap"></i>
+                ${(item.courses || []).map(course => html`<span class="course-tag">${course}</span>`)}
+                ${item.semester && html`<span class="semester-tag">${item.semester}</span>`}
+            </div>`;
+    }
 
-    // 22. Helper function to map category codes to full names.
-    getCategoryName(category) {
+    // 45. Returns the URLs of a listing's photos in one variant ('thumb' or 'full'), cover photo first.
+    // Older items and the sample data have a single 'image' URL instead of stored photos.
+    getItemImages(item, variant = 'thumb') {
+        const photoIds = this.getItemPhotoIds(item);
+        if (photoIds.length > 0) {
+            return photoIds.map(photoId => this.images.getUrl(photoId, variant) || PHOTO_PLACEHOLDER);
+        }
+        // A legacy URL that isn't safe to load (e.g. 'javascript:' or a non-image data URL) counts as no photo.
+        const image = safeUrl(item.image);
+        return image ? [image] : [];
+    }
+
+    // 46. Returns the ids of a listing's stored photos.
+    getItemPhotoIds(item) {
+        return Array.isArray(item?.photos) ? item.photos : [];
+    }
+
+    // 47. Loads one variant of the given items' photos. Resolves to true if any became available to show.
+    loadItemPhotos(items, variant) {
+        return this.images.load(items.flatMap(item => this.getItemPhotoIds(item)), variant);
+    }
+
+    // 48. Returns the 'On loan until <date>' line for a lent item, flagged when the return is overdue, or the
+    // 'Booked from <date>' line for an item lent from a later date.
+    createLoanStatus(item) {
+        if (this.isAvailable(item) && item.loan) {
+            return html`
+                <div class="loan-status">
+                    <i class="fas fa-calendar-check"></i> Booked from ${formatDate(item.loan.startDate)} until ${formatDate(item.loan.dueDate)}
+                </div>`;
+        }
+        if (!this.isOnLoan(item)) return '';
+        const overdue = this.loans.isOverdue(item);
+        return html`
+                <div class="loan-status${overdue ? ' overdue' : ''}">
+                    <i class="fas fa-${overdue ? 'exclamation-triangle' : 'clock'}"></i>
+                    ${overdue ? 'Overdue since' : 'On loan until'} ${formatDate(item.loan.dueDate)}
+                </div>`;
+    }
+
+    // 49. Returns the borrow request button for someone else's 'borrow' item, reflecting any request already made.
+    createBorrowAction(item) {
+        if (item.mode !== 'borrow' || item.sellerId === this.currentUser.id || this.expiry.isExpired(item)) return '';
+
+        const ownLoan = this.loans.getOwnLoan(item.id);
+        if (ownLoan) {
+            const label = ownLoan.status === 'approved'
+                ? `Borrowing until ${formatDate(ownLoan.endDate)}`
+                : 'Request Pending';
+            return html`<button class="borrow-request-btn" disabled><i class="fas fa-hourglass-half"></i> ${label}</button>`;
+        }
+        return html`
+                <button class="borrow-request-btn" data-item-id="${item.id}">
+                    <i class="fas fa-hand-holding"></i> Request to Borrow
+                </button>`;
+    }
+
+    // 50. Returns the edit / status / delete buttons shown on a card in My Listings.
+    createOwnerActions(item) {
+        // An item out on loan is closed by recording its return; an available or reserved item can be closed out
+        // with the status that fits its mode, and a reserved one released; anything else can be relisted.
+        const statusAction = this.isOnLoan(item)
+            ? html`<button class="owner-action-btn" data-action="returned" data-item-id="${item.id}">
+                    <i class="fas fa-undo"></i> Mark Returned
+               </button>`
+            : this.isReserved(item)
+            ? html`<button class="owner-action-btn" data-action="${this.getCompletedStatus(item.mode)}" data-item-id="${item.id}">
+                    <i class="fas fa-check"></i> Mark ${this.getStatusName(this.getCompletedStatus(item.mode))}
+               </button>
+               <button class="owner-action-btn" data-action="release" data-item-id="${item.id}">
+                    <i class="fas fa-lock-open"></i> Release Hold
+               </button>`
+            : this.isAvailable(item)
+            ? html`<button class="owner-action-btn" data-action="${this.getCompletedStatus(item.mode)}" data-item-id="${item.id}">
+                    <i class="fas fa-check"></i> Mark ${this.getStatusName(this.getCompletedStatus(item.mode))}
+               </button>`
+            : html`<button class="owner-action-btn" data-action="available" data-item-id="${item.id}">
+                    <i class="fas fa-redo"></i> Relist
+               </button>`;
+
+        return html`
+                <div class="owner-actions">
+                    <button class="owner-action-btn" data-action="edit" data-item-id="${item.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    ${statusAction}
+                    ${this.expiry.createRenewAction(item)}
+                    ${this.createRequestsAction(item)}
+                    ${this.offers.createOffersAction(item)}
+                    <button class="owner-action-btn danger" data-action="delete" data-item-id="${item.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>`;
+    }
+
+    // 51. Returns the button that opens pending borrow requests for one of the user's 'borrow' items.
+    createRequestsAction(item) {
+        const pending = this.loans.getPendingRequests(item.id).length;
+        if (item.mode !== 'borrow' || pending === 0) return '';
+        return html`
+                    <button class="owner-action-btn" data-action="requests" data-item-id="${item.id}">
+                        <i class="fas fa-inbox"></i> Requests <span class="unread-count">${pending}</span>
+                    </button>`;
+    }
+
+    // 52. Returns the 'Reserved for <buyer> until <time>' line on a held item. Only its seller, who also sees how many
+    // are waiting, and the buyer it's held for see it; everyone else sees the Reserved badge.
+    createReservationStatus(item) {
+        const reservation = item.reservation;
+        if (!this.isReserved(item) || !reservation) return '';
+        const isOwner = item.sellerId === this.currentUser.id;
+        if (!isOwner && reservation.buyerId !== this.currentUser.id) return '';
+        const waiting = item.waitlist?.length || 0;
+        return html`
+                <div class="reservation-status">
+                    <i class="fas fa-lock"></i>
+                    Reserved for ${isOwner ? reservation.buyerName : 'you'}${reservation.price && html` at ${formatPrice(reservation.price)}`}${reservation.expiresAt && html` until ${formatHoldTime(reservation.expiresAt)}`}${isOwner && waiting > 0 && html` · ${waiting} on the waitlist`}
+                </div>`;
+    }
+
+    // 53. Checks whether an item is still on offer. Items saved before statuses existed count as available.
+    isAvailable(item) {
+        return !item.status || item.status === 'available';
+    }
+
+    // 54. Checks whether an item is held for one buyer, who asked to reserve it or had an offer accepted. See reservations.js.
+    isReserved(item) {
+        return item.status === 'reserved';
+    }
+
+    // 55. Checks whether a moderator hid an item from the current user. Its seller still sees it. See moderation.js.
+    isHidden(item) {
+        return !!item.hidden && item.sellerId !== this.currentUser.id;
+    }
+
+    // 56. Checks whether an item is currently with a borrower through an approved loan.
+    isOnLoan(item) {
+        return item.status === 'lent' && !!item.loan;
+    }
+
+    // 57. Maps a mode to the status an item gets once the deal is done.
+    getCompletedStatus(mode) {
+        return this.taxonomy.getMode(mode)?.completedStatus || 'sold';
+    }
+
+    // 58. Helper function to map status codes to full names.
+    getStatusName(status) {
         const names = {
-            'stationery': 'Stationery',
-            'lab': 'Lab Items',
-            'tech': 'Tech',
-            'books': 'Books',
-            'misc': 'Misc'
+            'available': 'Available',
+            'reserved': 'Reserved',
+            'sold': 'Sold',
+            'lent': 'Lent Out',
+            'given': 'Given Away',
+            'traded': 'Traded'
         };
-        return names[category] || category;
+        return names[status] || status;
+    }
+
+    // 59. Checks whether the current user can post items: sellers ('both'), moderators and admins.
+    canSell() {
+        return this.currentUser.role === 'both' || isStaff(this.currentUser);
+    }
+
+    // 60. Returns the directory id of the logged-in user's college, or null if it isn't in the directory.
+    getUserCollegeId() {
+        return this.colleges.resolveId(this.currentUser.collegeId, this.currentUser.college);
     }
 
-    // 23. Helper function to map mode codes to full names.
+    // 61. Returns the directory id of the college an item was posted from. Older items only have the college's name.
+    getItemCollegeId(item) {
+        return this.colleges.resolveId(item.sellerCollegeId, item.sellerCollege);
+    }
+
+    // 62. Helper function to map category codes (or 'category:subcategory' filter values) to full names.
+    getCategoryName(category) {
+        return this.taxonomy.getCategoryName(category);
+    }
+
+    // 63. Helper function to map mode codes to full names.
     getModeName(mode) {
-        const names = {
-            'buy': 'For Sale',
-            'borrow': 'Borrow',
-            'donate': 'Free'
-        };
-        return names[mode] || mode;
+        return this.taxonomy.getModeName(mode);
+    }
+
+    // 64. Checks whether a mode's items belong in the Free Items view (donations and loans).
+    isFreeMode(mode) {
+        return !!this.taxonomy.getMode(mode)?.free;
+    }
+
+    // 65. Checks whether a mode's items are paid for, which 'Free First' sorts last.
+    isPaidMode(mode) {
+        const config = this.taxonomy.getMode(mode);
+        return !!config?.priced && !config.free;
     }
 
-    // 24. Opens the contact modal and populates it with the seller's information.
+    // 66. Opens the conversation with the item's seller. The seller's email is only shown if they opted in.
     openContactModal(item) {
-        document.getElementById('sellerName').textContent = item.sellerName;
-        document.getElementById('sellerCollege').textContent = item.sellerCollege;
-        document.getElementById('sellerEmail').textContent = item.sellerEmail;
-        this.openModal('contactModal');
+        this.messages.openConversation(item);
     }
 
-    // 25. A generic function to open any modal.
+    // 67. A generic function to open any modal.
     openModal(modalId) {
         const modal = document.getElementById(modalId);
         // Adds the 'active' class to make the modal visible.
@@ -536,7 +1498,7 @@ class CampusKart {
         document.body.style.overflow = 'hidden';
     }
 
-    // 26. A generic function to close any modal.
+    // 68. A generic function to close any modal.
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         // Removes the 'active' class to hide the modal.
@@ -545,15 +1507,15 @@ class CampusKart {
         document.body.style.overflow = 'auto';
     }
 
-    // 27. Manages the user logout process.
-    logout() {
-        // Removes the current user's data from local storage.
-        localStorage.removeItem('campuskart_current_user');
-        localStorage.removeItem('campuskart_items');
-        location.reload();
+    // 69. Manages the user logout process.
+    async logout() {
+        // Ends only this account's session. Listings stay where they are, and other accounts signed in on this
+        // device stay signed in.
+        await this.session.end();
+        window.location.href = 'index.html';
     }
 
-    // 28. A reusable function to display a notification banner on the screen.
+    // 70. A reusable function to display a notification banner on the screen.
     showNotification(message, type = 'info') {
         const notification = document.getElementById('notification');
         notification.textContent = message;
@@ -566,10 +1528,11 @@ class CampusKart {
         }, 3000);
     }
 
-    // 29. A function to load initial data if the items list is empty.
-    initializeSampleData() {
-        // Checks if there are no items in the items array.
-        if (this.items.length === 0) {
+    // 71. A function to load initial data if the items list is empty. It only runs once per browser: the samples
+    // are dated when they're first added and expire like any other listing, instead of coming back as new.
+    async initializeSampleData() {
+        // Checks if there are no items in the items array and the samples weren't added before.
+        if (this.items.length === 0 && !localStorage.getItem(SAMPLE_DATA_KEY)) {
             const sampleItems = [
                 {
                     id: 'sample1',
@@ -582,8 +1545,7 @@ class CampusKart {
                     sellerId: 'sample',
                     sellerName: 'Alex Johnson',
                     sellerCollege: 'State University',
-                    sellerEmail: 'alex.j@email.com',
-                    createdAt: new Date().toISOString()
+                    sellerCollegeId: 'state-university'
                 },
                 {
                     id: 'sample2',
@@ -596,13 +1558,14 @@ class CampusKart {
                     sellerId: 'sample',
                     sellerName: 'Sarah Chen',
                     sellerCollege: 'Tech Institute',
-                    sellerEmail: 'sarah.c@email.com',
-                    createdAt: new Date().toISOString()
+                    sellerCollegeId: 'tech-institute'
                 },
                 {
                     id: 'sample3',
                     name: 'Organic Chemistry Textbook',
                     category: 'books',
+                    subcategory: 'textbooks',
+                    courses: ['CHEM 201'],
                     mode: 'borrow',
                     price: 0,
                     description: 'Latest edition, available for borrowing for the semester.',
@@ -610,8 +1573,7 @@ class CampusKart {
                     sellerId: 'sample',
                     sellerName: 'Mike Rodriguez',
                     sellerCollege: 'Community College',
-                    sellerEmail: 'mike.r@email.com',
-                    createdAt: new Date().toISOString()
+                    sellerCollegeId: 'community-college'
                 },
                 {
                     id: 'sample4',
@@ -624,22 +1586,134 @@ class CampusKart {
                     sellerId: 'sample',
                     sellerName: 'Emma Wilson',
                     sellerCollege: 'Liberal Arts College',
-                    sellerEmail: 'emma.w@email.com',
-                    createdAt: new Date().toISOString()
+                    sellerCollegeId: 'liberal-arts-college'
                 }
             ];
-            // Populates the items array with the sample data.
-            this.items = sampleItems;
-            // Saves the sample data to local storage.
-            this.saveItems();
+            // Every sample is stamped with the time they were added, which also starts their expiry.
+            const seededAt = new Date().toISOString();
+            try {
+                // Saves each sample item and populates the items array with the stored copies.
+                this.items = [];
+                for (const item of sampleItems) {
+                    this.items.push(await this.saveItem({ ...item, createdAt: seededAt, expiresAt: this.expiry.getNewExpiry(seededAt) }));
+                }
+                localStorage.setItem(SAMPLE_DATA_KEY, seededAt);
+            } catch (error) {
+                // Sample data is optional; an unreachable server just leaves the grid empty.
+                return;
+            }
             // Renders the page with the newly added sample items.
             this.applyFilters();
         }
     }
+
+    // 72. Older versions stored each listing's photo inside the item as a base64 data URL. This moves the
+    // current user's ones into the image store, so the item records stay small.
+    async migrateLegacyImages() {
+        const legacyItems = this.items.filter(item =>
+            item.sellerId === this.currentUser.id && this.getItemPhotoIds(item).length === 0 && item.image?.startsWith('data:')
+        );
+
+        for (const item of legacyItems) {
+            try {
+                const photoId = `${Date.now()}-${randomToken(4)}`;
+                const blob = dataUrlToBlob(item.image);
+                await this.images.save(photoId, await createPhotoVariants(blob));
+                const updated = await this.storage.update('items', item.id, { photos: [photoId], image: null });
+                this.items = this.items.map(i => (i.id === item.id ? updated : i));
+            } catch (error) {
+                // The listing keeps its inline photo and the move is tried again on the next visit.
+            }
+        }
+
+        if (legacyItems.length > 0) {
+            this.applyFilters(false);
+        }
+    }
+
+    // 73. Shows the offline banner while there's no connection and sends the outbox when it comes back.
+    // Where the browser supports Background Sync the service worker sends it instead, and says so.
+    setupOfflineMode() {
+        const banner = document.getElementById('offlineBanner');
+        const updateBanner = () => {
+            if (banner) banner.style.display = navigator.onLine ? 'none' : 'block';
+        };
+        window.addEventListener('offline', updateBanner);
+        window.addEventListener('online', () => {
+            updateBanner();
+            this.syncOutbox();
+        });
+        navigator.serviceWorker?.addEventListener('message', (e) => {
+            if (e.data?.type === 'outbox-sent') this.reloadAfterSync(e.data.sent, e.data.rejected);
+        });
+        updateBanner();
+        // Anything left from an earlier visit is sent straight away.
+        this.syncOutbox();
+    }
+
+    // 74. Sends the listings and messages queued while offline.
+    async syncOutbox() {
+        if (!this.outbox || !navigator.onLine) return;
+        try {
+            const { sent, rejected } = await this.outbox.flush();
+            if (sent > 0 || rejected.length > 0) await this.reloadAfterSync(sent, rejected);
+        } catch (error) {
+            // Still queued; tried again when the connection next comes back.
+        }
+    }
+
+    // 75. Reloads the listings and conversations once queued changes reached the server. If the server refused
+    // any (say the session they were made with has ended), the user is told what wasn't posted instead.
+    async reloadAfterSync(sent, rejected = []) {
+        try {
+            this.items = await this.getItems();
+        } catch (error) {
+            // The grid keeps its current items until the next reload.
+        }
+        this.applyFilters(false);
+        this.messages.refreshUnreadCount();
+        if (rejected.length > 0) {
+            // A refused new thread takes its first message with it, so the message is what gets named.
+            const request = rejected.find(r => r.method === 'POST' && /\/(items|messages)$/.test(r.url)) || rejected[0];
+            const what = request.url.endsWith('/items') ? `Your listing "${request.body?.name}"`
+                : request.url.endsWith('/messages') ? 'Your message' : 'A change you made offline';
+            const others = rejected.length > 1 ? ` (${rejected.length - 1} more change${rejected.length > 2 ? 's' : ''} also failed)` : '';
+            this.showNotification(`${what} wasn't posted: ${request.error}${others}`, 'error');
+            return;
+        }
+        this.showNotification(`You're back online. ${sent === 1 ? '1 change was' : `${sent} changes were`} sent.`, 'success');
+    }
+
+    // 76. Queues a request to the CampusKart server until there's a connection. Resolves to true if it was queued.
+    async queueOffline(method, path, body) {
+        if (!this.outbox) return false;
+        try {
+            // The request keeps the session it was made with, so it's sent as this user even after switching accounts.
+            await this.outbox.add({ method, url: `${this.storage.baseUrl}${path}`, headers: getAuthHeaders(), body });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // 77. Returns the records created offline in a collection that haven't been sent yet, marked pendingSync.
+    async getQueuedRecords(collection) {
+        if (!this.outbox) return [];
+        try {
+            const requests = await this.outbox.list();
+            return requests
+                .filter(request => request.method === 'POST' && request.url === `${this.storage.baseUrl}/${collection}`)
+                .map(request => ({ ...request.body, pendingSync: true }));
+        } catch (error) {
+            return [];
+        }
+    }
 }
 
-// 30. The application's entry point.
+// 78. The application's entry point.
 // Ensures that the script runs only after the entire HTML document has been fully loaded and parsed.
 document.addEventListener('DOMContentLoaded', () => {
     new CampusKart();
+    // Caches the app so it opens, and shows the last listings it saw, without a connection. See offline.js.
+    registerServiceWorker();
 });
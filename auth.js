@@ -3,6 +3,16 @@
 class AuthManager {
     // 1. The constructor is called when a new AuthManager object is created.
     constructor() {
+        // Chooses where user accounts are stored (this browser or the shared CampusKart server). See storage.js.
+        this.storage = createStorage();
+        // Issues and validates login sessions. See session.js.
+        this.session = new SessionManager(this.storage);
+        // The supported campuses and their email domains. See colleges.js.
+        this.colleges = new CollegeDirectory();
+        // Sends and checks the code that proves a new user owns their college email. See verification.js.
+        this.verifier = createEmailVerifier(this.storage);
+        // The signup details waiting for their email to be verified, or null.
+        this.pendingSignup = null;
         // Sets up all event listeners for buttons and forms.
         this.initializeEventListeners();
         // Checks if a user is already logged in when the page loads.
@@ -20,17 +30,39 @@ class AuthManager {
         });
 
         // Form submissions: Adds a submit event listener to the login form.
-        document.getElementById('loginForm').addEventListener('submit', (e) => {
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
             // e.preventDefault() is crucial: it stops the page from reloading.
             e.preventDefault();
             // Calls the handleLogin method to process the login attempt.
-            this.handleLogin();
+            await this.handleLogin();
         });
 
         // Adds a submit event listener to the signup form.
-        document.getElementById('signupForm').addEventListener('submit', (e) => {
+        document.getElementById('signupForm').addEventListener('submit', async (e) => {
             e.preventDefault();
-            this.handleSignup();
+            await this.handleSignup();
+        });
+
+        // Shows which college the email address belongs to while it's being typed.
+        document.getElementById('signupEmail')?.addEventListener('input', () => {
+            this.updateCollegeMatch();
+        });
+
+        // The verification step: entering the code, asking for a new one, or going back to fix the details.
+        document.getElementById('verifyForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleVerify();
+        });
+        document.getElementById('resendCodeBtn')?.addEventListener('click', async () => {
+            await this.sendVerificationCode();
+        });
+        document.getElementById('verifyBackBtn')?.addEventListener('click', () => {
+            this.switchTab('signup');
+        });
+
+        // The accounts already signed in on this device: continue as one of them, or log it out.
+        document.getElementById('signedInAccounts')?.addEventListener('click', async (e) => {
+            await this.handleSignedInClick(e);
         });
 
         // Mode toggle handling: Adds a change listener to the 'itemMode' dropdown.
@@ -65,7 +97,7 @@ class AuthManager {
     }
 
     // 4. Handles the login logic.
-    handleLogin() {
+    async handleLogin() {
         // Fetches the values from the email and password input fields.
         const email = document.getElementById('loginEmail').value;
         const password = document.getElementById('loginPassword').value;
@@ -82,15 +114,18 @@ class AuthManager {
             return;
         }
 
-        // Retrieves all stored users from localStorage.
-        const users = this.getUsers();
-        // The .find() method looks for a user object that matches the entered email and password.
-        const user = users.find(u => u.email === email && u.password === password);
+        let user;
+        try {
+            // Checks the password and, if it matches an account in good standing, starts a session for it. See session.js.
+            user = await this.session.logIn(email, password);
+        } catch (error) {
+            // A suspended account can't log in, and learns why. See moderation.js.
+            this.showNotification(error.status === 403 ? error.message : 'Could not reach the server. Please try again.', 'error');
+            return;
+        }
 
         // If a matching user is found...
         if (user) {
-            // Saves the logged-in user's data to localStorage.
-            this.setCurrentUser(user);
             this.showNotification('Login successful! Redirecting...', 'success');
             // Redirects to the homepage after a short delay.
             setTimeout(() => {
@@ -103,14 +138,17 @@ class AuthManager {
     }
 
     // 5. Handles the signup logic.
-    handleSignup() {
+    async handleSignup() {
         // Retrieves input values from the signup form.
         const name = document.getElementById('signupName').value.trim();
-        const email = document.getElementById('signupEmail').value;
+        const email = document.getElementById('signupEmail').value.trim();
         const password = document.getElementById('signupPassword').value;
-        const college = document.getElementById('signupCollege').value.trim();
+        // The college comes from the email's domain, so students can only join their own campus.
+        const college = this.colleges.findByEmail(email);
         // Finds the value of the checked radio button for the user's role.
         const role = document.querySelector('input[name="role"]:checked').value;
+        // Buyers only see the seller's email if the seller opts in; otherwise they use in-app messages.
+        const showEmail = document.getElementById('signupShowEmail')?.checked || false;
 
         // Performs basic validation for all fields.
         if (!name || name.length < 2) {
@@ -125,36 +163,145 @@ class AuthManager {
             this.showNotification('Password must be at least 6 characters', 'error');
             return;
         }
-        if (!college || college.length < 2) {
-            this.showNotification('Please enter your college name', 'error');
+        if (!college) {
+            this.showNotification('Please sign up with your college email address (e.g. you@stateu.edu)', 'error');
             return;
         }
 
-        // Checks if a user with the same email already exists using the .some() method.
-        const users = this.getUsers();
-        if (users.some(u => u.email === email)) {
-            this.showNotification('User with this email already exists', 'error');
+        // Checks if a user with the same email already exists. The server does this itself before sending the code,
+        // since accounts can only be looked up once signed in.
+        if (!this.storage.shared) {
+            try {
+                const existingUsers = await this.getUsers({ email });
+                if (existingUsers.length > 0) {
+                    this.showNotification('User with this email already exists', 'error');
+                    return;
+                }
+            } catch (error) {
+                this.showNotification('Could not reach the server. Please try again.', 'error');
+                return;
+            }
+        }
+
+        // The account is only created once the emailed code has been entered.
+        this.pendingSignup = { name, email, password, college, role, showEmail };
+        if (await this.sendVerificationCode()) {
+            this.showVerifyStep();
+        }
+    }
+
+    // 6. Shows which college the signup email belongs to, or that its domain isn't a supported campus.
+    updateCollegeMatch() {
+        const email = document.getElementById('signupEmail').value.trim();
+        const college = this.colleges.findByEmail(email);
+        const match = document.getElementById('signupCollege');
+        const hasDomain = /@[^\s@]+\.[^\s@]+$/.test(email);
+
+        match.classList.toggle('matched', !!college);
+        match.classList.toggle('unknown', !college && hasDomain);
+        document.getElementById('signupCollegeName').textContent = college
+            ? `${college.name} (${college.city})`
+            : hasDomain
+            ? 'This email domain is not a supported college'
+            : 'Sign up with your college email address';
+    }
+
+    // 7. Sends a verification code to the pending signup's email. Resolves to false if it couldn't be sent.
+    async sendVerificationCode() {
+        const signup = this.pendingSignup;
+        if (!signup) return false;
+
+        let result;
+        try {
+            result = await this.verifier.send(signup.email);
+        } catch (error) {
+            // A 409 means the email already has an account.
+            this.showNotification(error.status === 409 ? error.message : 'Could not send the verification code. Please try again.', 'error');
+            return false;
+        }
+
+        document.getElementById('verifyEmail').textContent = signup.email;
+        document.getElementById('verifyCollege').textContent = signup.college.name;
+        // Without a server there is no way to email the code, so it is shown on the page instead.
+        document.getElementById('verifyLocalCode').textContent = result.code
+            ? `CampusKart is running without a mail server, so here is your code: ${result.code}`
+            : '';
+        this.showNotification(`A verification code was sent to ${signup.email}`, 'success');
+        return true;
+    }
+
+    // 8. Switches from the signup form to the code entry step.
+    showVerifyStep() {
+        document.querySelectorAll('.auth-form').forEach(form => {
+            form.classList.remove('active');
+        });
+        document.getElementById('verify').classList.add('active');
+        document.getElementById('verifyCode').value = '';
+        document.getElementById('verifyCode').focus();
+    }
+
+    // 9. Checks the entered code and, if it's right, creates the account.
+    async handleVerify() {
+        const signup = this.pendingSignup;
+        const code = document.getElementById('verifyCode').value.trim();
+        if (!signup) {
+            this.switchTab('signup');
+            return;
+        }
+        if (!/^\d{6}$/.test(code)) {
+            this.showNotification('Please enter the 6-digit code from the email', 'error');
+            return;
+        }
+
+        let verified = false;
+        try {
+            verified = await this.verifier.check(signup.email, code);
+        } catch (error) {
+            this.showNotification('Could not check the code. Please try again.', 'error');
             return;
         }
+        if (!verified) {
+            this.showNotification('That code is wrong or has expired. Check it or send a new one.', 'error');
+            return;
+        }
+
+        await this.createAccount(signup);
+    }
 
-        // Creates a new user object with all the details.
-        const newUser = {
-            id: Date.now().toString(), // Generates a unique ID using the current timestamp.
-            name,
-            email,
-            password,
-            college,
-            role,
-            createdAt: new Date().toISOString()
-        };
-
-        // Adds the new user to the array of all users.
-        users.push(newUser);
-        // Saves the updated array back to localStorage.
-        localStorage.setItem('campuskart_users', JSON.stringify(users));
+    // 10. Creates the account for a verified signup and logs the new user in.
+    async createAccount({ name, email, password, college, role, showEmail }) {
+        try {
+            // Creates a new user object with all the details.
+            const newUser = {
+                id: Date.now().toString(), // Generates a unique ID using the current timestamp.
+                name,
+                email,
+                // The college's name is kept alongside its id, so it can be shown without the directory.
+                college: college.name,
+                collegeId: college.id,
+                emailVerified: true,
+                // Admin addresses are set in index.html; nobody can choose a staff role at sign-up.
+                role: isAdminEmail(email) ? 'admin' : role,
+                showEmail,
+                createdAt: new Date().toISOString()
+            };
+
+            if (this.storage.shared) {
+                // The server hashes the password itself, then the new user logs in like anyone else.
+                await this.storage.create('users', { ...newUser, password });
+                await this.session.logIn(email, password);
+            } else {
+                // Only a salted hash of the password is stored.
+                const savedUser = await this.storage.create('users', { ...newUser, ...(await hashPassword(password)) });
+                // Starts a session so the new user is logged in straight away.
+                await this.setCurrentUser(savedUser);
+            }
+        } catch (error) {
+            this.showNotification('Could not create your account. Please try again.', 'error');
+            return;
+        }
+        this.pendingSignup = null;
         
-        // Sets the newly created user as the current logged-in user.
-        this.setCurrentUser(newUser);
         this.showNotification('Account created successfully! Redirecting...', 'success');
         
         setTimeout(() => {
@@ -162,38 +309,94 @@ class AuthManager {
         }, 1500);
     }
 
-    // 6. A helper function to validate email format using a regular expression.
+    // 11. A helper function to validate email format using a regular expression.
     validateEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
 
-    // 7. Retrieves the user data array from localStorage.
-    getUsers() {
-        return JSON.parse(localStorage.getItem('campuskart_users') || '[]');
+    // 12. Retrieves the users matching the given fields (e.g. { email }) through the storage layer.
+    getUsers(query = {}) {
+        return this.storage.list('users', query);
     }
 
-    // 8. Saves the current user's data to localStorage.
+    // 13. Logs a user in by starting a new session. Only the session token is kept in this browser.
     setCurrentUser(user) {
-        localStorage.setItem('campuskart_current_user', JSON.stringify(user));
+        return this.session.start(user);
     }
 
-    // 9. Retrieves the current logged-in user from localStorage.
+    // 14. Retrieves the logged-in user if this browser holds a valid, unexpired session.
     getCurrentUser() {
-        return JSON.parse(localStorage.getItem('campuskart_current_user') || 'null');
+        return this.session.getCurrentUser();
     }
 
-    // 10. Checks the authentication status on page load and redirects if necessary.
-    checkAuthStatus() {
-        const currentUser = this.getCurrentUser();
+    // 15. Checks the authentication status on page load and redirects if necessary.
+    async checkAuthStatus() {
+        let currentUser = null;
+        try {
+            currentUser = await this.getCurrentUser();
+        } catch (error) {
+            // If the session can't be checked, the login form simply stays on screen.
+        }
+        // Coming from 'Add another account' in the account switcher, the login form stays up for the new account.
+        const addingAccount = new URLSearchParams(window.location.search).has('add');
         // If a user is logged in AND they are on the login page...
-        if (currentUser && window.location.pathname.includes('index.html')) {
+        if (currentUser && !addingAccount && window.location.pathname.includes('index.html')) {
             // ...redirect them directly to the home page.
             window.location.href = 'home.html';
+            return;
+        }
+        this.renderSignedInAccounts();
+    }
+
+    // 16. Lists the accounts signed in on this device above the login form, so someone on a shared
+    // computer can carry on without their password. The html`` template (see html.js) escapes names and emails.
+    renderSignedInAccounts() {
+        const container = document.getElementById('signedInAccounts');
+        if (!container) return;
+        const accounts = this.session.getAccounts();
+        container.innerHTML = accounts.length === 0 ? '' : html`
+            <p class="signed-in-title">Signed in on this device</p>
+            ${accounts.map(account => html`
+                <div class="signed-in-account">
+                    <button type="button" class="signed-in-continue" data-account-id="${account.userId}">
+                        <i class="fas fa-user-circle"></i>
+                        <span>
+                            <strong>Continue as ${account.name}</strong>
+                            <small>${account.email}</small>
+                        </span>
+                    </button>
+                    <button type="button" class="alert-dismiss" data-account-id="${account.userId}" data-account-action="logout" title="Log out of this account">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `)}
+            <p class="signed-in-title">Or log in to another account</p>`;
+    }
+
+    // 17. Continues as one of the signed-in accounts, or logs it out of this device.
+    async handleSignedInClick(e) {
+        const button = e.target.closest('[data-account-id]');
+        if (!button) return;
+        const userId = button.getAttribute('data-account-id');
+        const account = this.session.getAccounts().find(a => a.userId === userId);
+        if (!account) {
+            this.renderSignedInAccounts();
+            return;
+        }
+
+        if (button.getAttribute('data-account-action') === 'logout') {
+            await this.session.end(account.token);
+            this.showNotification(`${account.name} has been logged out`, 'success');
+            this.renderSignedInAccounts();
+            return;
         }
+        // The home page checks the session as usual and sends the user back here if it has expired.
+        this.session.switchTo(userId);
+        window.location.href = 'home.html';
     }
 
-    // 11. A reusable function to display a notification message to the user.
+    // 18. A reusable function to display a notification message to the user.
     showNotification(message, type = 'info') {
         const notification = document.getElementById('notification');
         notification.textContent = message;
@@ -207,8 +410,10 @@ class AuthManager {
     }
 }
 
-// 12. Initializes the application.
+// 19. Initializes the application.
 // This event listener ensures that the JavaScript code runs only after the entire HTML content has been loaded.
 document.addEventListener('DOMContentLoaded', () => {
     new AuthManager();
+    // Caches the app so it can open without a connection. See offline.js.
+    registerServiceWorker();
 });
\ No newline at end of file
@@ -0,0 +1,138 @@
+// Books JavaScript
+// Fills in a book listing from its ISBN. The ISBN can be typed or read from a photo of the
+// barcode on the back cover, which the browser decodes on the device (nothing is uploaded).
+// The title, author and edition come from a small bundled catalog of common course textbooks,
+// or from an earlier listing of the same book, which also suggests the courses it was used for.
+
+// Common course textbooks by ISBN-13. A college can add the books its courses use here.
+const BOOK_CATALOG = {
+    '9780134093413': { title: 'Campbell Biology', author: 'Urry, Cain, Wasserman, Minorsky, Reece', edition: '11th' },
+    '9780134414232': { title: 'Chemistry: The Central Science', author: 'Brown, LeMay, Bursten, Murphy, Woodward, Stoltzfus', edition: '14th' },
+    '9781305957404': { title: 'Chemistry', author: 'Zumdahl, Zumdahl, DeCoste', edition: '10th' },
+    '9781285741550': { title: 'Calculus: Early Transcendentals', author: 'James Stewart', edition: '8th' },
+    '9781118230725': { title: 'Fundamentals of Physics', author: 'Halliday, Resnick, Walker', edition: '10th' },
+    '9780470458365': { title: 'Advanced Engineering Mathematics', author: 'Erwin Kreyszig', edition: '10th' },
+    '9780073383095': { title: 'Discrete Mathematics and Its Applications', author: 'Kenneth H. Rosen', edition: '7th' },
+    '9780262033848': { title: 'Introduction to Algorithms', author: 'Cormen, Leiserson, Rivest, Stein', edition: '3rd' },
+    '9780262046305': { title: 'Introduction to Algorithms', author: 'Cormen, Leiserson, Rivest, Stein', edition: '4th' },
+    '9780321573513': { title: 'Algorithms', author: 'Robert Sedgewick, Kevin Wayne', edition: '4th' },
+    '9780131103627': { title: 'The C Programming Language', author: 'Brian W. Kernighan, Dennis M. Ritchie', edition: '2nd' },
+    '9780134685991': { title: 'Effective Java', author: 'Joshua Bloch', edition: '3rd' }
+};
+// The barcode formats an ISBN can be printed as. Books use EAN-13 barcodes starting 978 or 979.
+const ISBN_BARCODE_FORMATS = ['ean_13'];
+
+class BookLookup {
+    // 1. The constructor keeps a reference to the main app for its items, form and notifications.
+    constructor(app) {
+        this.app = app;
+    }
+
+    // 2. Fills in the form when an ISBN is typed, and wires up the barcode scan button next to it.
+    // The ISBN input is re-rendered with the category, so the listeners are on its container.
+    initialize() {
+        const attributes = document.getElementById('itemAttributes');
+        attributes?.addEventListener('change', async (e) => {
+            if (e.target.matches('[data-attribute="isbn"]')) {
+                this.fillForm(e.target.value);
+            } else if (e.target.id === 'isbnScanInput') {
+                await this.scanBarcode(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        attributes?.addEventListener('click', (e) => {
+            if (e.target.closest('#isbnScanBtn')) {
+                document.getElementById('isbnScanInput').click();
+            }
+        });
+    }
+
+    // 3. Checks whether this browser can read barcodes from photos.
+    canScan() {
+        return 'BarcodeDetector' in window;
+    }
+
+    // 4. Returns the scan button and its hidden photo input, shown next to the ISBN input where scanning works.
+    createScanButton() {
+        if (!this.canScan()) return '';
+        return html`
+            <button type="button" class="isbn-scan-btn" id="isbnScanBtn" title="Scan the barcode">
+                <i class="fas fa-barcode"></i> Scan
+            </button>
+            <input type="file" id="isbnScanInput" class="isbn-scan-input" accept="image/*" capture="environment">`;
+    }
+
+    // 5. Looks a book up by ISBN: first the bundled catalog, then the newest earlier listing of the same book.
+    // Returns { title, author, edition, courses }, or null if the book isn't known.
+    lookup(isbn) {
+        const isbn13 = toIsbn13(isbn);
+        if (!isbn13) return null;
+
+        const listed = this.app.items
+            .filter(item => item.attributes?.isbn && toIsbn13(item.attributes.isbn) === isbn13 && !this.app.isHidden(item))
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))[0];
+        const catalog = BOOK_CATALOG[isbn13];
+        if (!catalog && !listed) return null;
+
+        return {
+            title: catalog?.title || listed.name,
+            author: catalog?.author || listed.attributes.author || '',
+            edition: catalog?.edition || listed.attributes.edition || '',
+            // Courses depend on the college, so they're only suggested from earlier listings.
+            courses: listed?.courses || []
+        };
+    }
+
+    // 6. Fills the empty title, author, edition and course inputs for an ISBN. What the seller already typed is kept.
+    fillForm(isbn) {
+        if (!isValidIsbn(isbn)) return;
+        const book = this.lookup(isbn);
+        if (!book) {
+            this.app.showNotification("We don't know this book yet. Please fill in its details.", 'info');
+            return;
+        }
+
+        const fill = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && !input.value.trim() && value) input.value = value;
+        };
+        fill('itemName', book.title);
+        fill('itemAttribute-author', book.author);
+        fill('itemAttribute-edition', book.edition);
+        fill('itemCourses', book.courses.join(', '));
+        this.app.showNotification(`Found "${book.title}"${book.edition && ` (${book.edition} edition)`}`, 'success');
+    }
+
+    // 7. Reads the ISBN from a photo of a book's barcode and fills the form with it.
+    async scanBarcode(file) {
+        if (!file) return;
+        let isbn = null;
+        try {
+            const detector = new BarcodeDetector({ formats: ISBN_BARCODE_FORMATS });
+            const image = await createImageBitmap(file);
+            const barcodes = await detector.detect(image);
+            image.close();
+            isbn = barcodes.map(barcode => barcode.rawValue).find(value => /^97[89]/.test(value) && isValidIsbn(value));
+        } catch (error) {
+            // Treated the same as a photo without a readable barcode.
+        }
+
+        if (!isbn) {
+            this.app.showNotification('No ISBN barcode found. Try a sharper photo, or type the ISBN.', 'error');
+            return;
+        }
+        document.getElementById('itemAttribute-isbn').value = isbn;
+        this.fillForm(isbn);
+    }
+}
+
+// Converts an ISBN-10 or ISBN-13 to the ISBN-13 the same book is listed under. Returns null if it isn't valid.
+function toIsbn13(value) {
+    const isbn = normalizeIsbn(value);
+    if (!isValidIsbn(isbn)) return null;
+    if (isbn.length === 13) return isbn;
+
+    const body = `978${isbn.slice(0, 9)}`;
+    const sum = [...body].reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+    return `${body}${(10 - (sum % 10)) % 10}`;
+}
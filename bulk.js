@@ -0,0 +1,317 @@
+// Bulk JavaScript
+// Lets a seller post many listings at once, e.g. when clearing out a dorm room at the end
+// of the semester, and download their listings. An import reads a CSV or JSON file, checks
+// every row with the same rules as the add item form, and previews the problems row by row
+// before anything is saved. Exports use the same columns, so an export can be imported again.
+
+// The category attributes (see taxonomy.js) each get a column of their own, e.g. 'isbn' or 'size'.
+const ATTRIBUTE_COLUMNS = [...new Set(TAXONOMY.categories.flatMap(category => (category.attributes || []).map(attribute => attribute.id)))];
+// The columns an import reads, in the order exports and the example file write them.
+const IMPORT_COLUMNS = ['name', 'category', 'subcategory', 'mode', 'price', 'wants', ...ATTRIBUTE_COLUMNS, 'courses', 'semester', 'description'];
+// Exports add the listing's state after the importable columns.
+const EXPORT_COLUMNS = [...IMPORT_COLUMNS, 'status', 'createdAt', 'expiresAt'];
+// The most rows one import can hold, and the largest file accepted.
+const MAX_IMPORT_ROWS = 200;
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+
+class BulkListings {
+    // 1. The constructor keeps a reference to the main app for its storage, items, validation and modals.
+    constructor(app) {
+        this.app = app;
+        // The rows of the chosen file, each { row, fields, error }, waiting to be imported.
+        this.rows = [];
+    }
+
+    // 2. Wires up the My Listings import and export buttons and the import modal.
+    initialize() {
+        document.getElementById('importListingsBtn')?.addEventListener('click', () => this.openImport());
+        document.getElementById('exportCsvBtn')?.addEventListener('click', () => this.exportListings('csv'));
+        document.getElementById('exportJsonBtn')?.addEventListener('click', () => this.exportListings('json'));
+        document.getElementById('importTemplateBtn')?.addEventListener('click', () => this.downloadTemplate());
+        document.getElementById('importFile')?.addEventListener('change', async (e) => {
+            await this.readFile(e.target.files[0]);
+        });
+        document.getElementById('importConfirmBtn')?.addEventListener('click', async () => {
+            await this.importRows();
+        });
+    }
+
+    // 3. Opens the import modal with no file chosen.
+    openImport() {
+        if (!this.app.canSell()) {
+            this.app.showNotification('Only sellers can post items. You can start selling in your settings.', 'info');
+            this.app.settings.open();
+            return;
+        }
+        document.getElementById('importFile').value = '';
+        this.rows = [];
+        this.renderPreview();
+        this.app.openModal('importModal');
+    }
+
+    // 4. Reads the chosen file, checks every row and shows the preview.
+    async readFile(file) {
+        this.rows = [];
+        if (!file) {
+            this.renderPreview();
+            return;
+        }
+        if (file.size > MAX_IMPORT_FILE_BYTES) {
+            this.app.showNotification('Please choose a file under 1MB', 'error');
+            this.renderPreview();
+            return;
+        }
+
+        let records;
+        try {
+            const text = await file.text();
+            // JSON is recognised by its extension or its first character; anything else is read as CSV.
+            const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+            records = isJson ? this.parseJson(text) : this.parseCsv(text);
+        } catch (error) {
+            this.app.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+            this.renderPreview();
+            return;
+        }
+        if (records.length > MAX_IMPORT_ROWS) {
+            this.app.showNotification(`A file can hold up to ${MAX_IMPORT_ROWS} listings. Please split it up.`, 'error');
+            this.renderPreview();
+            return;
+        }
+
+        this.rows = records.map((record, index) => {
+            const fields = this.toFields(record);
+            return { row: index + 1, fields, error: this.app.validateItemFields(fields) };
+        });
+        this.renderPreview();
+    }
+
+    // 5. Reads a JSON file: an array of listings, or an export ({ items: [...] }).
+    parseJson(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+            throw new Error('expected a list of listings');
+        }
+        return records;
+    }
+
+    // 6. Reads a CSV file whose first line names the columns. Quoted values may hold commas, quotes ("")
+    // and line breaks. Returns one object per line, keyed by the lower-cased column names.
+    parseCsv(text) {
+        const lines = [];
+        let line = [];
+        let value = '';
+        let quoted = false;
+        // Spreadsheet apps often save a byte order mark at the start.
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                line.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                line.push(value);
+                lines.push(line);
+                line = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (quoted) throw new Error('a quoted value is never closed');
+        if (value || line.length > 0) {
+            line.push(value);
+            lines.push(line);
+        }
+
+        // Blank lines, such as the one a trailing line break leaves, are skipped.
+        const [header, ...rows] = lines.filter(cells => cells.some(cell => cell.trim()));
+        const columns = (header || []).map(column => column.trim().toLowerCase());
+        if (!columns.includes('name')) {
+            throw new Error(`the first line must name the columns (${IMPORT_COLUMNS.join(', ')})`);
+        }
+        return rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, this.unescapeCell(cells[index] || '')])));
+    }
+
+    // 7. Turns a row into the add item form's fields. Categories, subcategories and types can be given by
+    // code ('tech') or by the name shown on the site ('Tech'); only priced types need a price. Attributes
+    // come from their own columns, or from an 'attributes' object in JSON. Courses are a comma-separated list.
+    toFields(record) {
+        const text = value => (value === undefined || value === null ? '' : String(value).trim());
+        const taxonomy = this.app.taxonomy;
+
+        const category = taxonomy.findCategoryId(record.category);
+        const subcategory = text(record.subcategory) && taxonomy.findSubcategoryId(category, record.subcategory);
+        const mode = taxonomy.findModeId(record.mode);
+        const modeConfig = taxonomy.getMode(mode);
+        const price = text(record.price).replace(/^\$/, '');
+        const attributes = Object.fromEntries(taxonomy.getAttributes(category).map(attribute =>
+            [attribute.id, text(record[attribute.id] ?? record.attributes?.[attribute.id])]));
+        return {
+            name: text(record.name),
+            category,
+            subcategory: subcategory || null,
+            // Validation checks what was given; the stored copy keeps only the category's filled-in attributes.
+            attributes,
+            mode,
+            price: modeConfig && !modeConfig.priced ? 0 : (price === '' ? NaN : Number(price)),
+            wants: modeConfig?.exchange ? text(record.wants) : null,
+            courses: Array.isArray(record.courses) ? record.courses.map(text).filter(Boolean) : parseCourseCodes(record.courses),
+            semester: text(record.semester) || null,
+            description: text(record.description),
+            photos: []
+        };
+    }
+
+    // 8. Shows every row of the chosen file with its problem, if any, and how many listings will be imported.
+    renderPreview() {
+        const valid = this.rows.filter(row => !row.error);
+        const invalid = this.rows.length - valid.length;
+        const app = this.app;
+
+        document.getElementById('importPreview').innerHTML = this.rows.length === 0 ? '' : html`
+            <p class="import-summary">
+                ${valid.length} of ${this.rows.length} rows ready to import${invalid > 0 && html`; <strong>${invalid} with problems will be skipped</strong>. Fix them in the file and choose it again to include them`}.
+            </p>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead>
+                        <tr><th>Row</th><th>Name</th><th>Category</th><th>Type</th><th>Price</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.rows.map(({ row, fields, error }) => html`
+                        <tr class="${error ? 'import-error' : ''}">
+                            <td>${row}</td>
+                            <td>${fields.name}</td>
+                            <td>${app.getCategoryName(fields.category)}</td>
+                            <td>${app.getModeName(fields.mode)}</td>
+                            <td>${app.taxonomy.getMode(fields.mode)?.priceLabel || (isNaN(fields.price) ? '' : `$${fields.price}`)}</td>
+                            <td>${error
+                                ? html`<i class="fas fa-exclamation-circle"></i> ${error}`
+                                : html`<i class="fas fa-check-circle"></i> OK`}</td>
+                        </tr>`)}
+                    </tbody>
+                </table>
+            </div>`;
+
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        confirmBtn.disabled = valid.length === 0;
+        confirmBtn.innerHTML = html`<i class="fas fa-file-import"></i> Import ${valid.length || ''} Listing${valid.length === 1 ? '' : 's'}`;
+    }
+
+    // 9. Saves the valid rows as new listings. Rows that fail to save are reported and kept in the preview.
+    async importRows() {
+        const valid = this.rows.filter(row => !row.error);
+        if (valid.length === 0) return;
+
+        const confirmBtn = document.getElementById('importConfirmBtn');
+        confirmBtn.disabled = true;
+        const failed = [];
+        for (const row of valid) {
+            // Timestamps alone could repeat within one import, so each id gets a random suffix.
+            const fields = {
+                ...row.fields,
+                attributes: this.app.taxonomy.cleanAttributes(row.fields.category, row.fields.attributes),
+                courses: this.app.taxonomy.cleanCourses(row.fields.category, row.fields.courses)
+            };
+            const item = this.app.createListing(fields, `${Date.now()}-${randomToken(4)}`);
+            try {
+                const saved = await this.app.saveItem(item);
+                this.app.items.push(saved);
+                this.app.favorites.notifyMatches(saved);
+            } catch (error) {
+                failed.push({ ...row, error: 'Could not be saved. Please try again.' });
+            }
+        }
+
+        this.app.applyFilters();
+        const imported = valid.length - failed.length;
+        if (failed.length > 0) {
+            this.rows = failed;
+            this.renderPreview();
+            this.app.showNotification(`Imported ${imported} listings; ${failed.length} could not be saved`, 'error');
+            return;
+        }
+        this.app.closeModal('importModal');
+        this.app.switchView('mine');
+        this.app.showNotification(`Imported ${imported} listing${imported === 1 ? '' : 's'}!`, 'success');
+    }
+
+    // 10. Downloads all of the current user's listings as CSV or JSON.
+    exportListings(format) {
+        const items = this.app.items
+            .filter(item => item.sellerId === this.app.currentUser.id && !item.pendingSync)
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        if (items.length === 0) {
+            this.app.showNotification("You don't have any listings to export yet", 'info');
+            return;
+        }
+
+        const exportValue = (item, column) => {
+            if (ATTRIBUTE_COLUMNS.includes(column)) return item.attributes?.[column];
+            return column === 'courses' ? (item.courses || []).join(', ') : item[column];
+        };
+        const rows = items.map(item => Object.fromEntries(EXPORT_COLUMNS.map(column => [column, exportValue(item, column) ?? ''])));
+        const date = new Date().toISOString().slice(0, 10);
+        if (format === 'json') {
+            this.download(`campuskart-listings-${date}.json`, JSON.stringify({ exportedAt: new Date().toISOString(), items: rows }, null, 2), 'application/json');
+        } else {
+            this.download(`campuskart-listings-${date}.csv`, this.toCsv(EXPORT_COLUMNS, rows), 'text/csv');
+        }
+    }
+
+    // 11. Downloads an example CSV showing the columns an import expects.
+    downloadTemplate() {
+        this.download('campuskart-import-example.csv', this.toCsv(IMPORT_COLUMNS, [
+            { name: 'Desk lamp', category: 'misc', mode: 'buy', price: 12, description: 'LED, three brightness levels' },
+            { name: 'Chemistry (Zumdahl), 10th edition', category: 'books', subcategory: 'textbooks', mode: 'borrow', price: 5,
+              isbn: '9781305957404', edition: '10th', courses: 'CHEM 101, CHEM 102', semester: 'Fall 2026', description: 'Some highlighting' },
+            { name: 'Graph paper notebooks', category: 'stationery', mode: 'donate', description: 'Three unused, free to a good home' },
+            { name: 'College hoodie', category: 'clothing', subcategory: 'merch', mode: 'trade', size: 'M',
+              wants: 'A size L hoodie', description: 'Worn twice' }
+        ].map(row => Object.fromEntries(IMPORT_COLUMNS.map(column => [column, row[column] ?? ''])))), 'text/csv');
+    }
+
+    // 12. Writes rows as CSV text with a header line, quoting values that need it.
+    toCsv(columns, rows) {
+        const cell = value => {
+            let text = String(value);
+            // A leading =, +, - or @ would run as a formula in a spreadsheet, so it's kept as text.
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\r\n') + '\r\n';
+    }
+
+    // 13. Undoes toCsv()'s protection against spreadsheet formulas.
+    unescapeCell(value) {
+        return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+    }
+
+    // 14. Saves text as a file through a temporary download link.
+    download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoked once the browser has had a chance to start the download.
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,66 @@
+// Colleges JavaScript
+// The directory of campuses CampusKart serves. Each college lists the email domains its
+// students sign up with, so an address like 'sam@cs.stateu.edu' identifies the campus,
+// and a location, so the marketplace can offer listings from nearby campuses too.
+
+// Every supported college. Add a campus here (with all of its student email domains) to open CampusKart to it.
+const COLLEGE_DIRECTORY = [
+    { id: 'state-university', name: 'State University', domains: ['stateu.edu'], city: 'Springfield', lat: 39.7817, lon: -89.6501 },
+    { id: 'tech-institute', name: 'Tech Institute', domains: ['techinstitute.edu', 'tech.edu'], city: 'Springfield', lat: 39.8003, lon: -89.6437 },
+    { id: 'community-college', name: 'Community College', domains: ['ccollege.edu'], city: 'Decatur', lat: 39.8403, lon: -88.9548 },
+    { id: 'liberal-arts-college', name: 'Liberal Arts College', domains: ['liberalarts.edu'], city: 'Evanston', lat: 42.0451, lon: -87.6877 },
+    { id: 'riverside-college', name: 'Riverside College', domains: ['riverside.edu'], city: 'Peoria', lat: 40.6936, lon: -89.5890 }
+];
+// Campuses within this distance of the user's own count as 'nearby'.
+const NEARBY_CAMPUS_KM = 80;
+
+class CollegeDirectory {
+    // 1. The constructor indexes the colleges by id.
+    constructor(colleges = COLLEGE_DIRECTORY) {
+        this.colleges = colleges;
+        this.byId = new Map(colleges.map(college => [college.id, college]));
+    }
+
+    // 2. Returns a college by its id, or null.
+    get(collegeId) {
+        return this.byId.get(collegeId) || null;
+    }
+
+    // 3. Finds the college an email address belongs to. Subdomains count, so 'cs.stateu.edu' is State University.
+    findByEmail(email) {
+        const domain = String(email).trim().toLowerCase().split('@')[1];
+        if (!domain) return null;
+        return this.colleges.find(college =>
+            college.domains.some(collegeDomain => domain === collegeDomain || domain.endsWith(`.${collegeDomain}`))
+        ) || null;
+    }
+
+    // 4. Finds a college by its name, ignoring case. Used for accounts and listings from before the directory.
+    findByName(name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        return this.colleges.find(college => college.name.toLowerCase() === wanted) || null;
+    }
+
+    // 5. Returns the id of the college a user or listing belongs to, from its collegeId or (for older records) its college name.
+    resolveId(collegeId, collegeName) {
+        return this.get(collegeId)?.id || this.findByName(collegeName)?.id || null;
+    }
+
+    // 6. Returns the ids of a college and every campus within NEARBY_CAMPUS_KM of it.
+    getNearbyIds(collegeId) {
+        const home = this.get(collegeId);
+        if (!home) return [];
+        return this.colleges
+            .filter(college => distanceKm(home, college) <= NEARBY_CAMPUS_KM)
+            .map(college => college.id);
+    }
+}
+
+// Great-circle distance in kilometres between two places with lat/lon in degrees (haversine formula).
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
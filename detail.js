@@ -0,0 +1,256 @@
+// Item Detail JavaScript
+// A client-side route (#/item/<id>) showing one listing on its own: photo gallery, full
+// description, seller, posting date, status and related items from the same category.
+// Because it lives in the URL hash, a listing can be bookmarked or sent to a classmate.
+
+// How many related items are shown under a listing.
+const RELATED_ITEMS_LIMIT = 4;
+
+class ItemDetailPage {
+    // 1. The constructor keeps a reference to the main app for its items, helpers and modals.
+    constructor(app) {
+        this.app = app;
+        // The id of the listing being shown, or null while the marketplace is shown.
+        this.itemId = null;
+        // Which of its photos is shown large, kept when the page re-renders.
+        this.photoIndex = 0;
+    }
+
+    // 2. Listens for route changes and wires up the page's own buttons.
+    initialize() {
+        window.addEventListener('hashchange', () => this.route());
+
+        document.getElementById('detailBackBtn')?.addEventListener('click', () => this.close());
+
+        const detail = document.getElementById('itemDetail');
+        detail?.addEventListener('click', (e) => {
+            // Switches the main photo when a thumbnail is clicked.
+            const thumb = e.target.closest('.gallery-thumb');
+            if (thumb) {
+                this.selectPhoto(Number(thumb.getAttribute('data-index')));
+                return;
+            }
+            // Opens the seller's public profile. See profile.js.
+            const profileLink = e.target.closest('.seller-profile-link');
+            if (profileLink) {
+                this.app.profile.open(profileLink.getAttribute('data-user-id'));
+                return;
+            }
+            // Rates the seller after a completed deal. See reviews.js.
+            const rateBtn = e.target.closest('.rate-seller-btn');
+            if (rateBtn) {
+                this.app.reviews.openReviewModal(rateBtn.getAttribute('data-deal-id'));
+                return;
+            }
+            // Contact, borrow and owner buttons (and related item cards) behave exactly as in the grid.
+            this.app.handleItemClick(e);
+        });
+    }
+
+    // 3. Shows a listing by adding a history entry, so the browser's back button returns to where the user was.
+    open(itemId) {
+        // Counts how many detail pages sit on top of the grid in history. A page opened from a shared link
+        // has no grid behind it (depth 0), and neither do the pages opened from it. Profile pages count the same way.
+        const currentDepth = history.state?.detailDepth || 0;
+        const onRoute = this.itemId || this.app.profile.userId;
+        const detailDepth = onRoute && currentDepth === 0 ? 0 : currentDepth + 1;
+
+        history.pushState({ detailDepth }, '', `${window.location.pathname}${window.location.search}#/item/${encodeURIComponent(itemId)}`);
+        this.route();
+    }
+
+    // 4. Returns to the listings: back through history to the grid if it's there, otherwise by dropping the hash.
+    close() {
+        const detailDepth = history.state?.detailDepth || 0;
+        if (detailDepth > 0) {
+            history.go(-detailDepth);
+            return;
+        }
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.route();
+    }
+
+    // 5. Reads the hash and shows either the requested listing or the marketplace.
+    route() {
+        const match = window.location.hash.match(/^#\/item\/(.+)$/);
+        if (!match) {
+            this.hide();
+            return;
+        }
+
+        const itemId = decodeURIComponent(match[1]);
+        const item = this.app.items.find(i => i.id === itemId);
+        // Moderators can still open a hidden listing to review it.
+        if (!item || (this.app.isHidden(item) && !isStaff(this.app.currentUser))) {
+            this.app.showNotification('This listing is no longer available', 'error');
+            this.close();
+            return;
+        }
+
+        // A different listing starts on its cover photo.
+        if (itemId !== this.itemId) {
+            this.photoIndex = 0;
+        }
+        this.itemId = itemId;
+        this.render(item);
+        this.app.profile.hide();
+        this.setMarketplaceVisible(false);
+        window.scrollTo({ top: 0 });
+    }
+
+    // 6. Re-renders the open listing after it changed (e.g. edited or marked sold), or leaves if it was deleted.
+    refresh() {
+        if (!this.itemId) return;
+        const item = this.app.items.find(i => i.id === this.itemId);
+        if (item) {
+            this.render(item);
+        } else {
+            this.close();
+        }
+    }
+
+    // 7. Hides the detail page and shows the marketplace again.
+    hide() {
+        if (!this.itemId) return;
+        this.itemId = null;
+        this.setMarketplaceVisible(true);
+    }
+
+    // 8. Toggles between the marketplace sections and the detail page.
+    setMarketplaceVisible(visible) {
+        document.querySelectorAll('.hero, .filters-section, .marketplace').forEach(section => {
+            section.style.display = visible ? '' : 'none';
+        });
+        document.getElementById('itemDetail').style.display = visible ? 'none' : 'block';
+    }
+
+    // 9. Fills the detail page for an item. The html`` template (see html.js) escapes every value from the listing.
+    render(item) {
+        const app = this.app;
+        const photos = app.getItemImages(item, 'full');
+        const thumbs = app.getItemImages(item, 'thumb');
+        const isOwner = item.sellerId === app.currentUser.id;
+        const attributes = app.taxonomy.describeAttributes(item);
+
+        document.getElementById('itemDetailContent').innerHTML = html`
+            <div class="detail-gallery">
+                <div class="detail-main-photo">
+                    <img id="detailMainPhoto" src="${photos[this.photoIndex] || photos[0] || PHOTO_PLACEHOLDER}" alt="${item.name}">
+                </div>
+                ${photos.length > 1 && html`
+                <div class="gallery-thumbs">
+                    ${thumbs.map((thumb, index) => html`
+                        <button class="gallery-thumb${index === this.photoIndex ? ' active' : ''}" data-index="${index}">
+                            <img src="${thumb}" alt="${item.name} photo ${index + 1}">
+                        </button>
+                    `)}
+                </div>`}
+            </div>
+            <div class="detail-info">
+                <div class="item-badges detail-badges">
+                    <span class="badge category">${app.getCategoryName(item.subcategory ? `${item.category}:${item.subcategory}` : item.category)}</span>
+                    <span class="badge mode-${item.mode}">${app.getModeName(item.mode)}</span>
+                    ${app.expiry.isExpired(item)
+                        ? html`<span class="badge status-expired">Expired</span>`
+                        : html`<span class="badge status-${item.status || 'available'}">${app.getStatusName(item.status || 'available')}</span>`}
+                </div>
+                ${item.hidden && html`
+                <p class="moderation-notice">
+                    <i class="fas fa-eye-slash"></i> Hidden by a moderator${item.hiddenReason && html`: ${item.hiddenReason}`}.
+                    ${isOwner ? 'Only you can see this listing.' : 'Only its seller and moderators can see it.'}
+                </p>`}
+                <h1 class="detail-title">${item.name}</h1>
+                ${app.createPriceDisplay(item)}
+                ${item.wants && html`<p class="item-wants"><i class="fas fa-people-arrows"></i> Wants in exchange: ${item.wants}</p>`}
+                ${app.createLoanStatus(item)}
+                ${app.createReservationStatus(item)}
+                ${app.expiry.createExpiryStatus(item)}
+                ${app.createCourseTags(item)}
+                ${attributes.length > 0 && html`
+                <dl class="detail-attributes">
+                    ${attributes.map(({ attribute, value }) => html`<div><dt>${attribute.name}</dt><dd>${value}</dd></div>`)}
+                </dl>`}
+                <p class="detail-posted"><i class="fas fa-clock"></i> Posted ${new Date(item.createdAt).toLocaleDateString(undefined, { dateStyle: 'long' })}</p>
+                <p class="detail-description">${item.description || 'No description provided.'}</p>
+                <div class="seller-info detail-seller">
+                    <div class="seller-avatar">
+                        <i class="fas fa-user-circle"></i>
+                    </div>
+                    <div class="seller-details">
+                        <h3>
+                            <button class="link-btn seller-profile-link" data-user-id="${item.sellerId}">${item.sellerName}</button>
+                        </h3>
+                        <p><i class="fas fa-university"></i> ${item.sellerCollege || ''}</p>
+                        <p id="detailSellerRating"></p>
+                    </div>
+                </div>
+                <div id="detailSellerReviews"></div>
+                <div class="detail-actions">
+                    ${isOwner ? app.createOwnerActions(item) : html`
+                    ${app.createBorrowAction(item)}
+                    ${app.offers.createOfferAction(item)}
+                    ${app.reservations.createReserveAction(item)}
+                    <button class="contact-seller-btn" data-item-id="${item.id}">
+                        <i class="fas fa-envelope"></i> Contact Seller
+                    </button>
+                    ${app.moderation.createReportButton(item)}`}
+                </div>
+            </div>
+        `;
+
+        // Related items are other available listings in the same category, newest first.
+        const related = app.items
+            .filter(other => other.id !== item.id && other.category === item.category && !app.isHidden(other) &&
+                             (app.isAvailable(other) || app.isOnLoan(other)))
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+            .slice(0, RELATED_ITEMS_LIMIT);
+
+        document.getElementById('relatedItems').style.display = related.length ? 'block' : 'none';
+        document.getElementById('relatedItemsGrid').innerHTML = related.map(other => app.createItemCard(other)).join('');
+
+        // Renders again once photos that weren't loaded yet are available.
+        Promise.all([
+            app.loadItemPhotos([item], 'full'),
+            app.loadItemPhotos([item, ...related], 'thumb')
+        ]).then(loaded => loaded.some(Boolean) && this.refresh());
+
+        this.renderSellerReviews(item);
+    }
+
+    // 10. Fills in the seller's rating and latest reviews once they're loaded, with a 'Rate Seller' button
+    // for a buyer or borrower who completed a deal for this item and hasn't reviewed it yet.
+    async renderSellerReviews(item) {
+        const reviews = this.app.reviews;
+        let latest = [];
+        try {
+            latest = await reviews.getReviews(item.sellerId);
+        } catch (error) {
+            // The listing is still useful without its seller's reviews.
+        }
+        // The page may have moved on to another listing while the reviews were loading.
+        if (this.itemId !== item.id) return;
+
+        const deal = reviews.getPendingDealForItem(item.id);
+        document.getElementById('detailSellerRating').innerHTML = reviews.createRatingSummary(await reviews.getSummary(item.sellerId));
+        document.getElementById('detailSellerReviews').innerHTML = html`
+            ${deal && html`
+            <button class="review-btn rate-seller-btn" data-deal-id="${deal.id}">
+                <i class="fas fa-star"></i> Rate Seller
+            </button>`}
+            ${reviews.createRecentReviews(latest)}
+        `;
+    }
+
+    // 11. Shows one of the listing's photos as the main photo.
+    selectPhoto(index) {
+        const item = this.app.items.find(i => i.id === this.itemId);
+        const photo = item && this.app.getItemImages(item, 'full')[index];
+        if (!photo) return;
+
+        this.photoIndex = index;
+        document.getElementById('detailMainPhoto').src = photo;
+        document.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.classList.toggle('active', Number(thumb.getAttribute('data-index')) === index);
+        });
+    }
+}
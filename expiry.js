@@ -0,0 +1,145 @@
+// Expiry JavaScript
+// Listings don't stay up forever. Every listing expires a set time after it's posted or
+// relisted, unless its seller renews it; the seller sees the days left in My Listings and is
+// reminded to renew as the date gets close. Expired listings drop out of the grid but stay
+// in My Listings for a grace period, then they're deleted for good, by their seller's browser
+// or the server. Only open listings expire: once an item is sold, lent or reserved it's no
+// longer waiting for a buyer.
+
+// How long a listing stays up after it's posted, relisted or renewed.
+const LISTING_LIFETIME_DAYS = 30;
+// How close to its expiry a listing gets a renew button and a reminder.
+const RENEW_NOTICE_DAYS = 5;
+// How long an expired listing can still be renewed before it's deleted.
+const EXPIRED_GRACE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ListingExpiry {
+    // 1. The constructor keeps a reference to the main app for its storage, user and items.
+    constructor(app) {
+        this.app = app;
+    }
+
+    // 2. Deletes the user's listings whose grace period is over and reminds them of the ones that need renewing.
+    // Needs the items to be loaded.
+    async initialize() {
+        await this.purgeStale();
+        this.promptRenewals();
+    }
+
+    // 3. Returns when a listing posted (or renewed) at the given time expires, as an ISO string.
+    getNewExpiry(from = new Date()) {
+        return new Date(new Date(from).getTime() + LISTING_LIFETIME_DAYS * DAY_MS).toISOString();
+    }
+
+    // 4. Returns when a listing expires. Listings from before expiry existed are given a date when they're read
+    // (see schema.js).
+    getExpiry(item) {
+        return item.expiresAt;
+    }
+
+    // 5. Returns the whole days until a listing expires, counted up (so 'in 1 day' means within the next day),
+    // or a negative number of days since it expired.
+    getDaysLeft(item) {
+        const remaining = new Date(this.getExpiry(item)) - Date.now();
+        return remaining > 0 ? Math.ceil(remaining / DAY_MS) : -Math.floor(-remaining / DAY_MS);
+    }
+
+    // 6. Checks whether an open listing has expired.
+    isExpired(item) {
+        return this.app.isAvailable(item) && !item.pendingSync && new Date(this.getExpiry(item)) <= new Date();
+    }
+
+    // 7. Checks whether an expired listing's grace period is over, so it can be deleted.
+    isPurgeable(item) {
+        return this.isExpired(item) && new Date(this.getExpiry(item)).getTime() + EXPIRED_GRACE_DAYS * DAY_MS <= Date.now();
+    }
+
+    // 8. Checks whether a listing is close enough to its expiry (or past it) to be renewed.
+    needsRenewal(item) {
+        return this.app.isAvailable(item) && !item.pendingSync && this.getDaysLeft(item) <= RENEW_NOTICE_DAYS;
+    }
+
+    // 9. Returns the 'Expires in N days' line the seller sees on an open listing, or the 'Expired' notice
+    // anyone who opens an expired listing sees.
+    createExpiryStatus(item) {
+        if (!this.app.isAvailable(item) || item.pendingSync) return '';
+        const isOwner = item.sellerId === this.app.currentUser.id;
+        const days = this.getDaysLeft(item);
+
+        if (this.isExpired(item)) {
+            const removedIn = Math.max(EXPIRED_GRACE_DAYS + days, 0);
+            return html`
+                <div class="expiry-status expired">
+                    <i class="fas fa-hourglass-end"></i>
+                    ${isOwner
+                        ? `Expired, hidden from buyers. Renew within ${formatDays(removedIn)} to keep it.`
+                        : 'This listing has expired.'}
+                </div>`;
+        }
+        if (!isOwner) return '';
+        return html`
+                <div class="expiry-status${days <= RENEW_NOTICE_DAYS ? ' soon' : ''}">
+                    <i class="fas fa-hourglass-half"></i> Expires in ${formatDays(days)}
+                </div>`;
+    }
+
+    // 10. Returns the renew button for one of the seller's listings that is about to expire or has expired.
+    createRenewAction(item) {
+        if (!this.needsRenewal(item)) return '';
+        return html`
+                    <button class="owner-action-btn" data-action="renew" data-item-id="${item.id}">
+                        <i class="fas fa-sync-alt"></i> Renew
+                    </button>`;
+    }
+
+    // 11. Keeps one of the seller's listings up for another full lifetime from now.
+    async renew(item) {
+        const updated = await this.app.updateOwnItem(item.id, { expiresAt: this.getNewExpiry(), renewedAt: new Date().toISOString() });
+        if (updated) {
+            this.app.showNotification(`"${updated.name}" renewed for ${LISTING_LIFETIME_DAYS} days`, 'success');
+        }
+    }
+
+    // 12. Tells the seller how many of their listings are expiring soon or have expired, pointing them to My Listings.
+    promptRenewals() {
+        const due = this.app.items.filter(item => item.sellerId === this.app.currentUser.id && this.needsRenewal(item));
+        if (due.length === 0) return;
+        const expired = due.filter(item => this.isExpired(item)).length;
+        this.app.showNotification(
+            due.length === 1
+                ? `"${due[0].name}" ${expired ? 'has expired' : 'expires soon'}. Renew it in My Listings to keep it up.`
+                : `${due.length} of your listings ${expired ? 'have expired or expire soon' : 'expire soon'}. Renew them in My Listings to keep them up.`,
+            'info'
+        );
+    }
+
+    // 13. Deletes the current user's listings whose grace period is over, with their photos. Other sellers' listings
+    // are left to them, or to the CampusKart server's sweep (see server/expiry.js).
+    async purgeStale() {
+        const stale = this.app.items.filter(item => item.sellerId === this.app.currentUser.id && this.isPurgeable(item));
+        const purged = new Set();
+        for (const item of stale) {
+            try {
+                // Another browser may have renewed or relisted it since the items were loaded.
+                const stored = await this.app.storage.get('items', item.id);
+                if (stored && !this.isPurgeable(stored)) continue;
+                if (stored) await this.app.storage.remove('items', item.id);
+                purged.add(item.id);
+                await this.app.removePhotos(this.app.getItemPhotoIds(item));
+            } catch (error) {
+                // Tried again on the next visit.
+            }
+        }
+        if (purged.size > 0) {
+            this.app.items = this.app.items.filter(item => !purged.has(item.id));
+            this.app.applyFilters(false);
+        }
+    }
+}
+
+// Formats a number of days, e.g. '1 day' or '12 days'.
+function formatDays(days) {
+    if (days <= 0) return 'less than a day';
+    return days === 1 ? '1 day' : `${days} days`;
+}
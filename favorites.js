@@ -0,0 +1,311 @@
+// Favorites JavaScript
+// Lets users keep track of items they want. The heart on each card saves an item to the
+// user's favorites, shown in the Favorites view. A saved search (query, category and mode)
+// is checked against every new listing (by the server, when there is one); a match leaves an
+// alert for the search's owner, which appears in their Alerts list and as an in-app notification.
+// Records live in the 'favorites', 'savedSearches' and 'alerts' collections.
+
+// The most saved searches one user can keep.
+const MAX_SAVED_SEARCHES = 20;
+
+class FavoritesManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user, filters and modals.
+    constructor(app) {
+        this.app = app;
+        // Ids of the items the current user has favorited.
+        this.favoriteIds = new Set();
+        // The current user's saved searches, oldest first, and their alerts, newest first.
+        this.savedSearches = [];
+        this.alerts = [];
+    }
+
+    // 2. Wires up the save-search and alert controls, loads the user's favorites and starts checking for new alerts.
+    async initialize() {
+        document.getElementById('saveSearchBtn')?.addEventListener('click', async () => {
+            await this.saveCurrentSearch();
+        });
+        document.getElementById('alertsBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openAlerts();
+        });
+        document.getElementById('alertsModal')?.addEventListener('click', async (e) => {
+            await this.handleAlertsClick(e);
+        });
+
+        await this.load();
+        await this.refreshAlerts();
+        // Alerts for other users' new listings arrive while the page is open, so they're checked like unread messages.
+        setInterval(() => this.refreshAlerts(), UNREAD_POLL_MS);
+    }
+
+    // 3. Loads the current user's favorites and saved searches.
+    async load() {
+        const userId = this.app.currentUser.id;
+        try {
+            const [favorites, searches] = await Promise.all([
+                this.app.storage.list('favorites', { userId }),
+                this.app.storage.list('savedSearches', { userId })
+            ]);
+            this.favoriteIds = new Set(favorites.map(favorite => favorite.itemId));
+            this.savedSearches = searches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        } catch (error) {
+            this.favoriteIds = new Set();
+            this.savedSearches = [];
+        }
+    }
+
+    // 4. Checks whether the current user has favorited an item.
+    isFavorite(itemId) {
+        return this.favoriteIds.has(itemId);
+    }
+
+    // 5. Adds an item to the user's favorites, or removes it if it's already there.
+    async toggle(item) {
+        const userId = this.app.currentUser.id;
+        // One record per user and item, so favoriting twice can't create duplicates.
+        const id = `${userId}:${item.id}`;
+        try {
+            if (this.isFavorite(item.id)) {
+                await this.app.storage.remove('favorites', id);
+                this.favoriteIds.delete(item.id);
+            } else {
+                await this.app.storage.create('favorites', { id, userId, itemId: item.id, createdAt: new Date().toISOString() });
+                this.favoriteIds.add(item.id);
+            }
+        } catch (error) {
+            this.app.showNotification('Could not update your favorites. Please try again.', 'error');
+            return;
+        }
+        this.app.applyFilters();
+        this.app.detail.refresh();
+    }
+
+    // 6. Returns the heart button for an item's card, filled in when it's a favorite.
+    createFavoriteButton(item) {
+        const active = this.isFavorite(item.id);
+        return html`
+            <button class="favorite-btn${active ? ' active' : ''}" data-item-id="${item.id}"
+                    title="${active ? 'Remove from favorites' : 'Add to favorites'}">
+                <i class="${active ? 'fas' : 'far'} fa-heart"></i>
+            </button>`;
+    }
+
+    // 7. Saves the current search box, category and mode as a saved search.
+    async saveCurrentSearch() {
+        const search = {
+            query: document.getElementById('searchInput')?.value.trim() || '',
+            category: document.getElementById('categoryFilter')?.value || '',
+            mode: document.getElementById('modeFilter')?.value || ''
+        };
+        if (!search.query && !search.category && !search.mode) {
+            this.app.showNotification('Type a search or choose a category or type first', 'info');
+            return;
+        }
+        const isSame = saved => saved.query.toLowerCase() === search.query.toLowerCase() &&
+                                saved.category === search.category && saved.mode === search.mode;
+        if (this.savedSearches.some(isSame)) {
+            this.app.showNotification('This search is already saved', 'info');
+            return;
+        }
+        if (this.savedSearches.length >= MAX_SAVED_SEARCHES) {
+            this.app.showNotification(`You can keep up to ${MAX_SAVED_SEARCHES} saved searches`, 'error');
+            return;
+        }
+
+        try {
+            const saved = await this.app.storage.create('savedSearches', {
+                id: Date.now().toString(),
+                userId: this.app.currentUser.id,
+                ...search,
+                createdAt: new Date().toISOString()
+            });
+            this.savedSearches.push(saved);
+        } catch (error) {
+            this.app.showNotification('Could not save your search. Please try again.', 'error');
+            return;
+        }
+        this.app.showNotification(`Saved! We'll let you know when a new item matches ${this.describeSearch(search)}.`, 'success');
+    }
+
+    // 8. Describes a saved search for lists and notifications, e.g. '"calculator" in Electronics (For Sale)'.
+    describeSearch(search) {
+        const parts = [];
+        if (search.query) parts.push(`"${search.query}"`);
+        if (search.category) parts.push(`${search.query ? 'in ' : ''}${this.app.getCategoryName(search.category)}`);
+        if (search.mode) parts.push(`(${this.app.getModeName(search.mode)})`);
+        return parts.join(' ');
+    }
+
+    // 9. Checks whether an item matches a saved search, with the same typo-tolerant matching as the search box.
+    matches(search, item) {
+        if (!this.app.taxonomy.matchesCategory(item, search.category)) return false;
+        if (search.mode && item.mode !== search.mode) return false;
+        if (!search.query) return true;
+
+        const index = new SearchIndex();
+        index.sync([item], category => this.app.getCategoryName(category));
+        return !!index.search(search.query)?.has(item.id);
+    }
+
+    // 10. Leaves an alert for every other user with a saved search that a newly added item matches. With a server,
+    // saved searches are private and the server does this as the listing is created (see server/alerts.js).
+    async notifyMatches(item) {
+        if (this.app.storage.shared) return;
+        let searches = [];
+        try {
+            searches = await this.app.storage.list('savedSearches');
+        } catch (error) {
+            // Alerts are a bonus; the listing itself was saved.
+            return;
+        }
+
+        // One alert per user, even if several of their searches match.
+        const alerted = new Set();
+        for (const search of searches) {
+            if (search.userId === item.sellerId || alerted.has(search.userId) || !this.matches(search, item)) continue;
+            alerted.add(search.userId);
+            try {
+                await this.app.storage.create('alerts', {
+                    id: `${search.userId}:${item.id}`,
+                    userId: search.userId,
+                    searchId: search.id,
+                    searchLabel: this.describeSearch(search),
+                    itemId: item.id,
+                    itemName: item.name,
+                    read: false,
+                    notified: false,
+                    createdAt: new Date().toISOString()
+                });
+            } catch (error) {
+                // A failed alert shouldn't stop the others.
+            }
+        }
+    }
+
+    // 11. Loads the current user's alerts, updates the badge and announces any that arrived since the last check.
+    async refreshAlerts() {
+        try {
+            const alerts = await this.app.storage.list('alerts', { userId: this.app.currentUser.id });
+            this.alerts = alerts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            // Leaves the alerts as they were if the server can't be reached.
+            return;
+        }
+        this.updateBadge();
+
+        const fresh = this.alerts.filter(alert => !alert.notified);
+        if (fresh.length === 0) return;
+        this.app.showNotification(
+            fresh.length === 1
+                ? `New match for ${fresh[0].searchLabel}: ${fresh[0].itemName}`
+                : `${fresh.length} new items match your saved searches`,
+            'info'
+        );
+        for (const alert of fresh) {
+            try {
+                await this.app.storage.update('alerts', alert.id, { notified: true });
+                alert.notified = true;
+            } catch (error) {
+                // It will be announced again on the next check.
+            }
+        }
+    }
+
+    // 12. Updates the alert counter next to 'Alerts' in the nav bar, hiding it when there's nothing unread.
+    updateBadge() {
+        const badge = document.getElementById('alertCount');
+        if (!badge) return;
+        const count = this.alerts.filter(alert => !alert.read).length;
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-flex' : 'none';
+    }
+
+    // 13. Opens the alerts modal with the user's alerts and saved searches.
+    openAlerts() {
+        this.renderAlerts();
+        this.app.openModal('alertsModal');
+    }
+
+    // 14. Fills the alerts modal. The html`` template (see html.js) escapes the item names and search text.
+    renderAlerts() {
+        document.getElementById('alertsList').innerHTML = this.alerts.length === 0
+            ? html`<p class="thread-empty">No alerts yet. Save a search and we'll tell you when a matching item is posted.</p>`
+            : html`${this.alerts.map(alert => html`
+                <div class="inbox-thread alert-row${alert.read ? '' : ' unread'}">
+                    <button class="alert-open" data-alert-id="${alert.id}">
+                        <strong>${alert.itemName}</strong>
+                        <span class="inbox-thread-item">Matches ${alert.searchLabel} · ${new Date(alert.createdAt).toLocaleDateString()}</span>
+                    </button>
+                    <button class="alert-dismiss" data-alert-id="${alert.id}" title="Dismiss">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `)}`;
+
+        document.getElementById('savedSearchesList').innerHTML = this.savedSearches.length === 0
+            ? html`<p class="thread-empty">No saved searches. Search or filter the listings, then click 'Save Search'.</p>`
+            : html`${this.savedSearches.map(search => html`
+                <div class="saved-search">
+                    <button class="link-btn saved-search-apply" data-search-id="${search.id}">${this.describeSearch(search)}</button>
+                    <button class="alert-dismiss saved-search-remove" data-search-id="${search.id}" title="Delete saved search">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `)}`;
+    }
+
+    // 15. Handles clicks in the alerts modal: open or dismiss an alert, run or delete a saved search.
+    async handleAlertsClick(e) {
+        const alertBtn = e.target.closest('[data-alert-id]');
+        const searchBtn = e.target.closest('[data-search-id]');
+        const alert = alertBtn && this.alerts.find(a => a.id === alertBtn.getAttribute('data-alert-id'));
+        const search = searchBtn && this.savedSearches.find(s => s.id === searchBtn.getAttribute('data-search-id'));
+
+        try {
+            if (alert && alertBtn.classList.contains('alert-dismiss')) {
+                await this.app.storage.remove('alerts', alert.id);
+                this.alerts = this.alerts.filter(a => a.id !== alert.id);
+            } else if (alert) {
+                if (!alert.read) {
+                    await this.app.storage.update('alerts', alert.id, { read: true });
+                    alert.read = true;
+                }
+                // The item was probably posted after this page loaded the listings.
+                if (!this.app.items.some(item => item.id === alert.itemId)) {
+                    this.app.items = await this.app.getItems();
+                    this.app.applyFilters(false);
+                }
+                this.app.closeModal('alertsModal');
+                this.app.detail.open(alert.itemId);
+            } else if (search && searchBtn.classList.contains('saved-search-remove')) {
+                await this.app.storage.remove('savedSearches', search.id);
+                this.savedSearches = this.savedSearches.filter(s => s.id !== search.id);
+            } else if (search) {
+                this.app.closeModal('alertsModal');
+                this.applySearch(search);
+            } else {
+                return;
+            }
+        } catch (error) {
+            this.app.showNotification('Something went wrong. Please try again.', 'error');
+        }
+        this.updateBadge();
+        this.renderAlerts();
+    }
+
+    // 16. Shows the listings for a saved search in the main grid.
+    applySearch(search) {
+        document.getElementById('searchInput').value = search.query;
+        document.getElementById('categoryFilter').value = search.category;
+        document.getElementById('modeFilter').value = search.mode;
+        // Leaves an open listing or profile by dropping its hash in place, since going back through
+        // history would land after the new filters were applied and undo them.
+        if (this.app.detail.itemId || this.app.profile.userId) {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+            this.app.detail.route();
+            this.app.profile.route();
+        }
+        this.app.switchView('all');
+        document.querySelector('.marketplace')?.scrollIntoView({ behavior: 'smooth' });
+    }
+}
@@ -0,0 +1,83 @@
+// HTML Templates JavaScript
+// Safe HTML templating for the cards and modals. Tag a template literal with `html` and
+// every interpolated value is escaped unless it is itself an `html` template (or marked
+// with rawHtml()), so a listing titled '<img onerror=...>' is shown as text, never run.
+// Values placed in src/href attributes are also checked with safeUrl().
+
+// Attributes whose value is a URL, so interpolated values must also pass safeUrl().
+const URL_ATTRIBUTE_PATTERN = /\s(?:src|href|action|formaction|poster)\s*=\s*["']$/i;
+// An interpolation right after '=' with no opening quote could break out of the attribute.
+const UNQUOTED_ATTRIBUTE_PATTERN = /=\s*$/;
+// Only raster image data URLs are allowed; SVG can contain script and other types can be navigated to.
+const SAFE_DATA_URL_PATTERN = /^data:image\/(?:png|jpe?g|gif|webp|avif);base64,[a-z0-9+/]+=*$/i;
+
+// Markup that is already safe to insert, as produced by html`` or rawHtml().
+class SafeHtml {
+    // 1. The constructor wraps the finished markup.
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    // 2. Lets the markup be assigned to innerHTML or joined like a plain string.
+    toString() {
+        return this.markup;
+    }
+}
+
+// Tag for template literals: html`<h3>${item.name}</h3>`. Returns SafeHtml.
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        const before = strings[index];
+        if (UNQUOTED_ATTRIBUTE_PATTERN.test(before)) {
+            throw new TypeError('html: attribute values must be quoted');
+        }
+        markup += URL_ATTRIBUTE_PATTERN.test(before)
+            ? escapeHtml(safeUrl(value))
+            : renderValue(value);
+        markup += strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// Marks markup produced elsewhere (e.g. highlightTerms() with escapeHtml) as already safe. Never pass user input.
+function rawHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// Turns one interpolated value into markup: nested templates as they are, lists joined, anything else escaped.
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    // Lets conditionals like ${isOwner && html`...`} render nothing when false.
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// Escapes the characters that are special in HTML text and quoted attribute values.
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/`/g, '&#96;');
+}
+
+// Returns the URL if it is safe to load as an image or follow as a link, otherwise ''.
+// Allows http(s), blob: (photos from IndexedDB), relative paths and raster image data URLs.
+function safeUrl(url) {
+    if (typeof url !== 'string') return '';
+    // Browsers ignore tabs, newlines and other control characters in URLs ('java\tscript:'), so they go first.
+    const trimmed = url.replace(/[\u0000-\u001F\u007F]/g, '').trim();
+    if (trimmed.startsWith('data:')) {
+        return SAFE_DATA_URL_PATTERN.test(trimmed) ? trimmed : '';
+    }
+    // Anything with a scheme must be one of the allowed ones; 'javascript:' and friends are dropped.
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !['http', 'https', 'blob'].includes(scheme[1].toLowerCase())) {
+        return '';
+    }
+    return trimmed;
+}
@@ -0,0 +1,200 @@
+// Images JavaScript
+// Listing photos are resized and recompressed in a canvas before they are saved, in two
+// variants: a small thumbnail for the grid and a larger one for the detail page. The image
+// data is kept out of the item records, which only list photo ids, so loading the items
+// stays fast and a few photos can't fill up localStorage.
+
+// How many photos one listing can have.
+const MAX_ITEM_PHOTOS = 6;
+// The largest original file accepted; it is shrunk well below this before being stored.
+const MAX_PHOTO_FILE_BYTES = 20 * 1024 * 1024;
+// The longest side (in pixels) and JPEG quality of each stored variant.
+const PHOTO_VARIANTS = {
+    thumb: { maxSize: 480, quality: 0.7 },
+    full: { maxSize: 1600, quality: 0.82 }
+};
+// Shown for listings without photos and for photos that couldn't be loaded.
+const PHOTO_PLACEHOLDER = '/images/image.png';
+
+// Keeps photos in this browser's IndexedDB, which (unlike localStorage) is made for binary data.
+class IndexedDbImageStore {
+    // 1. The constructor stores the database name; the database is opened on first use.
+    constructor(dbName = 'campuskart_images') {
+        this.dbName = dbName;
+        this.db = null;
+        // Object URLs of loaded photos by '<id>:<variant>'. null marks a photo that couldn't be found.
+        this.urls = new Map();
+        // Photos being loaded right now, so repeated renders don't load them twice.
+        this.pending = new Set();
+    }
+
+    // 2. Opens (and on first use creates) the database with a single 'photos' object store.
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('photos');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // 3. Runs one request against the 'photos' store and resolves with its result.
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction('photos', mode).objectStore('photos'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 4. Saves every variant of a photo, e.g. { thumb: Blob, full: Blob }.
+    async save(id, variants) {
+        for (const [variant, blob] of Object.entries(variants)) {
+            await this.run('readwrite', store => store.put(blob, `${id}:${variant}`));
+            this.urls.set(`${id}:${variant}`, URL.createObjectURL(blob));
+        }
+    }
+
+    // 5. Loads photos into object URLs. Resolves to true if any photo became available to show.
+    async load(ids, variant) {
+        const keys = ids.map(id => `${id}:${variant}`).filter(key => !this.urls.has(key) && !this.pending.has(key));
+        if (keys.length === 0) return false;
+
+        keys.forEach(key => this.pending.add(key));
+        try {
+            for (const key of keys) {
+                const blob = await this.run('readonly', store => store.get(key));
+                this.urls.set(key, blob ? URL.createObjectURL(blob) : null);
+            }
+        } catch (error) {
+            // The photos stay unloaded and are tried again on the next render.
+            return false;
+        } finally {
+            keys.forEach(key => this.pending.delete(key));
+        }
+        return true;
+    }
+
+    // 6. Returns the URL of a loaded photo, null if it's missing, or undefined if it hasn't been loaded yet.
+    getUrl(id, variant) {
+        return this.urls.get(`${id}:${variant}`);
+    }
+
+    // 7. Deletes every variant of a photo.
+    async remove(id) {
+        for (const variant of Object.keys(PHOTO_VARIANTS)) {
+            const key = `${id}:${variant}`;
+            await this.run('readwrite', store => store.delete(key));
+            if (this.urls.get(key)) URL.revokeObjectURL(this.urls.get(key));
+            this.urls.delete(key);
+        }
+    }
+}
+
+// Uploads photos to the CampusKart server (see server/index.js), which serves them back by URL.
+class HttpImageStore {
+    // 1. The constructor stores the API base URL (e.g. '/api').
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    // 2. PUT /api/images/<id>/<variant> with each variant's JPEG data as the body.
+    async save(id, variants) {
+        for (const [variant, blob] of Object.entries(variants)) {
+            await this.request('PUT', this.getUrl(id, variant), blob);
+        }
+    }
+
+    // 3. Photos are loaded by the browser straight from their URLs, so there is nothing to prepare.
+    async load() {
+        return false;
+    }
+
+    // 4. Returns the URL a photo variant is served from.
+    getUrl(id, variant) {
+        return `${this.baseUrl}/images/${encodeURIComponent(id)}/${variant}`;
+    }
+
+    // 5. DELETE /api/images/<id> removes every variant.
+    async remove(id) {
+        await this.request('DELETE', `${this.baseUrl}/images/${encodeURIComponent(id)}`);
+    }
+
+    // 6. Sends a request and turns any non-2xx response into a thrown Error, like HttpStorageAdapter.
+    async request(method, url, blob) {
+        const response = await fetch(url, {
+            method,
+            headers: blob ? { ...getAuthHeaders(), 'Content-Type': blob.type } : getAuthHeaders(),
+            body: blob
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            const error = new Error(data?.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+    }
+}
+
+// Picks where photos are kept, following the same <meta name="campuskart-api"> switch as createStorage().
+function createImageStore() {
+    const apiUrl = document.querySelector('meta[name="campuskart-api"]')?.getAttribute('content')?.trim();
+    return apiUrl ? new HttpImageStore(apiUrl) : new IndexedDbImageStore();
+}
+
+// Creates every stored variant of a photo from an image file (or Blob). Resolves to { thumb: Blob, full: Blob }.
+async function createPhotoVariants(file) {
+    const image = await decodeImage(file);
+    const variants = {};
+    for (const [variant, options] of Object.entries(PHOTO_VARIANTS)) {
+        variants[variant] = await compressImage(image, options);
+    }
+    return variants;
+}
+
+// Turns a base64 data URL back into a Blob without fetch(), which the page's Content-Security-Policy doesn't allow for data: URLs.
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+    return new Blob([bytes], { type });
+}
+
+// Decodes an image file into an <img> element that can be drawn on a canvas.
+function decodeImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The file could not be read as an image'));
+        };
+        image.src = url;
+    });
+}
+
+// Draws an image scaled down to fit maxSize on its longest side and encodes it as a JPEG Blob.
+function compressImage(image, { maxSize, quality }) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent areas (e.g. in PNG screenshots) become white instead of black.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be compressed'))), 'image/jpeg', quality);
+    });
+}
@@ -0,0 +1,314 @@
+// Loans JavaScript
+// The borrowing lifecycle for items listed with mode 'borrow'. A borrower requests a
+// date range, the owner approves or declines it, and an approved loan marks the item
+// as lent from its start date until the owner records its return. Loans live in the
+// 'loans' collection.
+
+// The longest loan a borrower can ask for in one request.
+const MAX_LOAN_DAYS = 120;
+
+class LoanManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user and modal helpers.
+    constructor(app) {
+        this.app = app;
+        // Every loan the current user is involved in, as borrower or owner.
+        this.loans = [];
+        // The item the borrow request modal is currently open for.
+        this.requestItem = null;
+    }
+
+    // 2. Wires up the borrow request form and loads the current user's loans.
+    async initialize() {
+        document.getElementById('borrowForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submitRequest();
+        });
+        await this.load();
+    }
+
+    // 3. Loads all loans where the current user is the borrower or the owner.
+    async load() {
+        const userId = this.app.currentUser.id;
+        try {
+            const [borrowing, lending] = await Promise.all([
+                this.app.storage.list('loans', { borrowerId: userId }),
+                this.app.storage.list('loans', { ownerId: userId })
+            ]);
+            this.loans = [...borrowing, ...lending];
+        } catch (error) {
+            this.loans = [];
+        }
+    }
+
+    // 4. Returns the requests still waiting for the owner's decision on an item, oldest first.
+    getPendingRequests(itemId) {
+        return this.loans
+            .filter(loan => loan.itemId === itemId && loan.status === 'requested')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // 5. Returns the current user's open (requested or approved) loan for an item, if any.
+    getOwnLoan(itemId) {
+        return this.loans.find(loan =>
+            loan.itemId === itemId &&
+            loan.borrowerId === this.app.currentUser.id &&
+            (loan.status === 'requested' || loan.status === 'approved')
+        ) || null;
+    }
+
+    // 6. Opens the borrow request modal for an item, with sensible default dates.
+    openRequestModal(item) {
+        if (item.sellerId === this.app.currentUser.id) {
+            this.app.showNotification('You cannot borrow your own item', 'info');
+            return;
+        }
+        if (this.getOwnLoan(item.id)) {
+            this.app.showNotification('You already have a request for this item', 'info');
+            return;
+        }
+
+        this.requestItem = item;
+        document.getElementById('borrowForm').reset();
+        document.getElementById('borrowItemName').textContent = item.name;
+
+        // Defaults to starting today (or the day after a current or booked loan ends) for one week.
+        const start = item.loan && item.loan.dueDate >= today()
+            ? addDays(item.loan.dueDate, 1)
+            : today();
+        document.getElementById('borrowStart').value = start;
+        document.getElementById('borrowStart').min = today();
+        document.getElementById('borrowEnd').value = addDays(start, 7);
+        document.getElementById('borrowEnd').min = today();
+
+        this.app.openModal('borrowModal');
+    }
+
+    // 7. Validates the requested dates and saves a new loan request for the owner to review.
+    async submitRequest() {
+        const item = this.requestItem;
+        if (!item) return;
+
+        const startDate = document.getElementById('borrowStart').value;
+        const endDate = document.getElementById('borrowEnd').value;
+        const note = document.getElementById('borrowNote').value.trim();
+
+        // Date inputs use 'YYYY-MM-DD', so plain string comparison orders them correctly.
+        if (!startDate || !endDate) {
+            this.app.showNotification('Please choose both dates', 'error');
+            return;
+        }
+        if (startDate < today()) {
+            this.app.showNotification('The loan cannot start in the past', 'error');
+            return;
+        }
+        if (endDate < startDate) {
+            this.app.showNotification('The return date must be after the start date', 'error');
+            return;
+        }
+        if (daysBetween(startDate, endDate) > MAX_LOAN_DAYS) {
+            this.app.showNotification(`Loans can be at most ${MAX_LOAN_DAYS} days`, 'error');
+            return;
+        }
+
+        const user = this.app.currentUser;
+        try {
+            const loan = await this.app.storage.create('loans', {
+                id: `${Date.now()}-${user.id}`,
+                itemId: item.id,
+                itemName: item.name,
+                ownerId: item.sellerId,
+                borrowerId: user.id,
+                borrowerName: user.name,
+                borrowerCollege: user.college,
+                startDate,
+                endDate,
+                note,
+                status: 'requested',
+                createdAt: new Date().toISOString()
+            });
+            this.loans.push(loan);
+        } catch (error) {
+            this.app.showNotification('Could not send your request. Please try again.', 'error');
+            return;
+        }
+
+        this.app.closeModal('borrowModal');
+        this.app.renderItems();
+        this.app.showNotification('Borrow request sent to the owner!', 'success');
+    }
+
+    // 8. Opens the owner's list of pending borrow requests for one of their items.
+    openRequests(item) {
+        const list = document.getElementById('loanRequestsList');
+        const requests = this.getPendingRequests(item.id);
+        document.getElementById('loanRequestsItemName').textContent = item.name;
+        list.innerHTML = '';
+
+        if (requests.length === 0) {
+            list.innerHTML = '<p class="thread-empty">No pending requests.</p>';
+        }
+
+        requests.forEach(loan => {
+            const row = document.createElement('div');
+            row.className = 'loan-request';
+            row.innerHTML = `
+                <div class="loan-request-details">
+                    <strong class="loan-request-name"></strong>
+                    <span>${formatDate(loan.startDate)} – ${formatDate(loan.endDate)}</span>
+                    <p class="loan-request-note"></p>
+                </div>
+                <div class="loan-request-actions">
+                    <button class="owner-action-btn" data-decision="approve"><i class="fas fa-check"></i> Approve</button>
+                    <button class="owner-action-btn danger" data-decision="decline"><i class="fas fa-times"></i> Decline</button>
+                </div>
+            `;
+            // User-provided text is filled in with textContent rather than inside the template.
+            row.querySelector('.loan-request-name').textContent = `${loan.borrowerName}${loan.borrowerCollege ? ` · ${loan.borrowerCollege}` : ''}`;
+            row.querySelector('.loan-request-note').textContent = loan.note || '';
+
+            row.querySelector('[data-decision="approve"]').addEventListener('click', () => this.approve(loan.id));
+            row.querySelector('[data-decision="decline"]').addEventListener('click', () => this.decline(loan.id));
+            list.appendChild(row);
+        });
+
+        this.app.openModal('loanRequestsModal');
+    }
+
+    // 9. Approves a request. The item shows as on loan from the start date until the return date; a loan that starts
+    // later is booked on the item until then (see startDueLoans).
+    async approve(loanId) {
+        const loan = this.loans.find(l => l.id === loanId);
+        const item = this.app.items.find(i => i.id === loan?.itemId);
+        if (!loan || !item) return;
+
+        // An item can only be with, or booked for, one borrower at a time.
+        if (item.loan) {
+            this.app.showNotification(this.app.isOnLoan(item)
+                ? 'Mark the current loan as returned before approving another'
+                : `This item is already booked from ${formatDate(item.loan.startDate)}`, 'error');
+            return;
+        }
+
+        // The item is updated first, so an approved loan is never left without it. Keeps a copy of the loan on the
+        // item, so the grid can show it without loading loans.
+        const started = loan.startDate <= today();
+        const updated = await this.app.updateOwnItem(item.id, {
+            ...(started ? { status: 'lent' } : {}),
+            loan: {
+                loanId,
+                borrowerId: loan.borrowerId,
+                borrowerName: loan.borrowerName,
+                startDate: loan.startDate,
+                dueDate: loan.endDate
+            }
+        });
+        if (!updated) return;
+
+        try {
+            const approved = await this.app.storage.update('loans', loanId, {
+                status: 'approved',
+                decidedAt: new Date().toISOString()
+            });
+            this.replace(approved);
+        } catch (error) {
+            // Puts the item back as it was, so it isn't shown as lent for a loan that was never approved.
+            await this.app.updateOwnItem(item.id, { status: item.status, loan: null });
+            this.app.showNotification('Could not approve the request. Please try again.', 'error');
+            return;
+        }
+
+        this.app.closeModal('loanRequestsModal');
+        this.app.showNotification(started
+            ? `Loan approved until ${formatDate(loan.endDate)}`
+            : `Loan approved from ${formatDate(loan.startDate)} until ${formatDate(loan.endDate)}`, 'success');
+    }
+
+    // 10. Declines a request; the item stays as it is.
+    async decline(loanId) {
+        try {
+            const declined = await this.app.storage.update('loans', loanId, {
+                status: 'declined',
+                decidedAt: new Date().toISOString()
+            });
+            this.replace(declined);
+        } catch (error) {
+            this.app.showNotification('Could not decline the request. Please try again.', 'error');
+            return;
+        }
+
+        const item = this.app.items.find(i => i.id === this.loans.find(l => l.id === loanId).itemId);
+        this.app.renderItems();
+        if (item) this.openRequests(item);
+        this.app.showNotification('Request declined', 'info');
+    }
+
+    // 11. Records that a lent item came back, closing the loan and making the item available again.
+    async markReturned(item) {
+        if (!this.app.isOnLoan(item)) return;
+
+        try {
+            const returned = await this.app.storage.update('loans', item.loan.loanId, {
+                status: 'returned',
+                returnedAt: new Date().toISOString()
+            });
+            this.replace(returned);
+        } catch (error) {
+            // A missing loan record shouldn't stop the owner from making the item available again.
+        }
+
+        const updated = await this.app.updateOwnItem(item.id, { status: 'available', loan: null });
+        if (updated) {
+            this.app.showNotification('Item marked as returned and available again', 'success');
+        }
+    }
+
+    // 12. Marks the current user's booked items as lent once their loan's start date arrives. Needs the items to be loaded.
+    async startDueLoans() {
+        const due = this.app.items.filter(item =>
+            item.sellerId === this.app.currentUser.id && this.app.isAvailable(item) && item.loan && item.loan.startDate <= today()
+        );
+        for (const item of due) {
+            await this.app.updateOwnItem(item.id, { status: 'lent' });
+        }
+    }
+
+    // 13. Checks whether an item's active loan is past its return date.
+    isOverdue(item) {
+        return this.app.isOnLoan(item) && item.loan.dueDate < today();
+    }
+
+    // 14. Swaps an updated loan into the local list.
+    replace(updated) {
+        this.loans = this.loans.map(loan => (loan.id === updated.id ? updated : loan));
+    }
+}
+
+// Returns today's date as 'YYYY-MM-DD' in the user's local time zone, matching <input type="date">.
+function today() {
+    const now = new Date();
+    return toDateString(now);
+}
+
+// Returns the 'YYYY-MM-DD' date a number of days after the given one.
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+}
+
+// Counts the days from one 'YYYY-MM-DD' date to another.
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / (24 * 60 * 60 * 1000));
+}
+
+// Formats a local Date as 'YYYY-MM-DD'.
+function toDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Formats a 'YYYY-MM-DD' date for display, e.g. 'Mar 3, 2025'.
+function formatDate(dateString) {
+    return new Date(`${dateString}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
@@ -0,0 +1,308 @@
+// Messaging JavaScript
+// Buyer–seller conversations about a listing. Each buyer gets one thread per item,
+// stored through the same storage layer as items ('threads' and 'messages' collections),
+// so both sides see the full history and the nav bar can show unread counts.
+
+// How often the unread badge is refreshed while the page is open.
+const UNREAD_POLL_MS = 30 * 1000;
+
+class MessageCenter {
+    // 1. The constructor keeps a reference to the main app for its storage, user and modal helpers.
+    constructor(app) {
+        this.app = app;
+        // The thread shown in the conversation modal, or null when it's closed.
+        this.activeThread = null;
+    }
+
+    // 2. Wires up the inbox link and message form, and starts keeping the unread badge up to date.
+    initialize() {
+        document.getElementById('messagesBtn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openInbox();
+        });
+
+        document.getElementById('messageForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.sendMessage();
+        });
+
+        this.refreshUnreadCount();
+        setInterval(() => this.refreshUnreadCount(), UNREAD_POLL_MS);
+    }
+
+    // 3. Opens the conversation about an item with its seller, from the 'Contact Seller' button.
+    async openConversation(item) {
+        const user = this.app.currentUser;
+        // A seller has nobody to contact about their own listing; their buyers' threads are in the inbox.
+        if (item.sellerId === user.id) {
+            this.app.showNotification('This is your listing. Replies from buyers appear in Messages.', 'info');
+            return;
+        }
+
+        // One thread per buyer per item, so the id can be derived instead of searched for.
+        const threadId = `${item.id}:${user.id}`;
+        let thread = null;
+        try {
+            thread = await this.app.storage.get('threads', threadId);
+        } catch (error) {
+            // Without the server the thread can't be loaded; the modal still opens with an empty history.
+        }
+
+        // The thread record is only saved once the first message is sent.
+        await this.showThread(thread || {
+            id: threadId,
+            itemId: item.id,
+            itemName: item.name,
+            buyerId: user.id,
+            buyerName: user.name,
+            sellerId: item.sellerId,
+            sellerName: item.sellerName,
+            sellerCollege: item.sellerCollege
+        });
+    }
+
+    // 4. Fills the conversation modal for a thread and marks its messages to the current user as read.
+    async showThread(thread) {
+        this.activeThread = thread;
+        const isSeller = thread.sellerId === this.app.currentUser.id;
+
+        // Shows whoever is on the other side of the conversation.
+        document.getElementById('conversationTitle').textContent = isSeller ? 'Message Buyer' : 'Contact Seller';
+        document.getElementById('sellerName').textContent = isSeller ? thread.buyerName : thread.sellerName;
+        document.getElementById('sellerCollege').textContent = isSeller ? (thread.buyerCollege || '') : (thread.sellerCollege || '');
+        document.getElementById('conversationItem').textContent = thread.itemName;
+
+        // The seller's email is only shown when they have opted in to sharing it.
+        const email = isSeller ? null : await this.getSellerEmail(thread.sellerId);
+        document.getElementById('sellerEmail').textContent = email || '';
+        document.getElementById('sellerEmailRow').style.display = email ? 'block' : 'none';
+
+        // A seller's rating from earlier buyers and borrowers helps decide whether to trust them. See reviews.js.
+        const ratingRow = document.getElementById('sellerRating');
+        ratingRow.innerHTML = '';
+        if (!isSeller) {
+            const summary = await this.app.reviews.getSummary(thread.sellerId);
+            ratingRow.innerHTML = this.app.reviews.createRatingSummary(summary);
+        }
+
+        document.getElementById('messageText').value = '';
+        this.app.openModal('contactModal');
+
+        const messages = await this.getMessages(thread.id);
+        this.renderThread(messages);
+        await this.markRead(messages);
+    }
+
+    // 5. Returns the seller's email if their account allows showing it to buyers, otherwise null.
+    async getSellerEmail(sellerId) {
+        try {
+            const seller = await this.app.storage.get('users', sellerId);
+            return seller?.showEmail ? seller.email : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 6. Loads every message in a thread, oldest first, including those still waiting in the offline outbox.
+    async getMessages(threadId) {
+        let messages = [];
+        try {
+            messages = await this.app.storage.list('messages', { threadId });
+        } catch (error) {
+            this.app.showNotification('Could not load messages. Please try again.', 'error');
+        }
+        // Messages written offline are shown as waiting until they're sent.
+        const queued = (await this.app.getQueuedRecords('messages')).filter(message => message.threadId === threadId);
+        return [...messages, ...queued].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // 7. Draws the message history as chat bubbles. Text is set with textContent, so messages can't inject markup.
+    renderThread(messages) {
+        const container = document.getElementById('messageThread');
+        container.innerHTML = '';
+
+        if (messages.length === 0) {
+            container.innerHTML = '<p class="thread-empty">No messages yet. Say hello!</p>';
+            return;
+        }
+
+        messages.forEach(message => {
+            const bubble = document.createElement('div');
+            // Messages sent by the current user are aligned to the right.
+            bubble.className = `message ${message.senderId === this.app.currentUser.id ? 'sent' : 'received'}${message.pendingSync ? ' pending' : ''}`;
+
+            const text = document.createElement('p');
+            text.textContent = message.text;
+            const time = document.createElement('span');
+            time.className = 'message-time';
+            time.textContent = message.pendingSync ? 'Waiting for a connection…' : new Date(message.createdAt).toLocaleString();
+
+            bubble.append(text, time);
+            container.appendChild(bubble);
+        });
+        // Keeps the newest message in view.
+        container.scrollTop = container.scrollHeight;
+    }
+
+    // 8. Sends the typed message in the active thread, creating the thread record on the first message.
+    async sendMessage() {
+        const textArea = document.getElementById('messageText');
+        const text = textArea.value.trim();
+        if (!text || !this.activeThread) return;
+
+        const user = this.app.currentUser;
+        const thread = this.activeThread;
+        const now = new Date().toISOString();
+        const isSeller = thread.sellerId === user.id;
+
+        // The message is addressed to the other participant, unread until they open the thread.
+        const message = {
+            id: `${Date.now()}-${user.id}`,
+            threadId: thread.id,
+            itemId: thread.itemId,
+            senderId: user.id,
+            recipientId: isSeller ? thread.buyerId : thread.sellerId,
+            text,
+            createdAt: now,
+            readAt: null
+        };
+        // Keeps a summary on the thread so the inbox can list conversations without loading every message.
+        const summary = { lastMessage: text, lastSenderId: user.id, updatedAt: now };
+
+        try {
+            // A message can only be posted in a saved thread, so a new thread is created first.
+            if (!(await this.app.storage.get('threads', thread.id))) {
+                this.activeThread = await this.app.storage.create('threads', {
+                    ...thread,
+                    buyerCollege: user.college,
+                    createdAt: now,
+                    ...summary
+                });
+                await this.app.storage.create('messages', message);
+            } else {
+                await this.app.storage.create('messages', message);
+                this.activeThread = await this.app.storage.update('threads', thread.id, summary);
+            }
+        } catch (error) {
+            if (!this.app.outbox || !isNetworkError(error) || !(await this.queueMessage(message, summary))) {
+                this.app.showNotification('Could not send your message. Please try again.', 'error');
+                return;
+            }
+        }
+
+        textArea.value = '';
+        this.renderThread(await this.getMessages(thread.id));
+    }
+
+    // 9. Offline, queues the message, and the thread's creation or summary update, to be sent in order once
+    // the connection is back. A new thread is created before its first message. Resolves to true if they were queued.
+    async queueMessage(message, summary) {
+        const thread = this.activeThread;
+        // Threads read from storage have a createdAt; one that only exists in this modal still has to be created.
+        if (thread.createdAt) {
+            if (!(await this.app.queueOffline('POST', '/messages', message))) return false;
+            await this.app.queueOffline('PATCH', `/threads/${encodeURIComponent(thread.id)}`, summary);
+            this.activeThread = { ...thread, ...summary };
+            return true;
+        }
+
+        const created = { ...thread, buyerCollege: this.app.currentUser.college, createdAt: message.createdAt, ...summary };
+        if (!(await this.app.queueOffline('POST', '/threads', created))) return false;
+        await this.app.queueOffline('POST', '/messages', message);
+        this.activeThread = created;
+        return true;
+    }
+
+    // 10. Marks messages addressed to the current user as read and updates the unread badge.
+    async markRead(messages) {
+        const unread = messages.filter(m => m.recipientId === this.app.currentUser.id && !m.readAt);
+        if (unread.length === 0) return;
+
+        const now = new Date().toISOString();
+        try {
+            await Promise.all(unread.map(m => this.app.storage.update('messages', m.id, { readAt: now })));
+        } catch (error) {
+            // The messages simply stay unread and will be marked next time the thread is opened.
+        }
+        this.refreshUnreadCount();
+    }
+
+    // 11. Returns every thread the current user takes part in, as buyer or seller, most recent first.
+    async getThreads() {
+        const userId = this.app.currentUser.id;
+        const [buying, selling] = await Promise.all([
+            this.app.storage.list('threads', { buyerId: userId }),
+            this.app.storage.list('threads', { sellerId: userId })
+        ]);
+        return [...buying, ...selling].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    // 12. Returns the current user's unread messages.
+    async getUnreadMessages() {
+        const messages = await this.app.storage.list('messages', { recipientId: this.app.currentUser.id });
+        return messages.filter(m => !m.readAt);
+    }
+
+    // 13. Opens the inbox modal listing all conversations with their unread counts.
+    async openInbox() {
+        const inboxList = document.getElementById('inboxList');
+        inboxList.innerHTML = '';
+        this.app.openModal('inboxModal');
+
+        let threads = [];
+        let unread = [];
+        try {
+            [threads, unread] = await Promise.all([this.getThreads(), this.getUnreadMessages()]);
+        } catch (error) {
+            this.app.showNotification('Could not load your messages. Please try again.', 'error');
+            return;
+        }
+
+        if (threads.length === 0) {
+            inboxList.innerHTML = '<p class="thread-empty">No conversations yet. Contact a seller to start one.</p>';
+            return;
+        }
+
+        threads.forEach(thread => {
+            const isSeller = thread.sellerId === this.app.currentUser.id;
+            const unreadCount = unread.filter(m => m.threadId === thread.id).length;
+
+            const row = document.createElement('button');
+            row.className = `inbox-thread${unreadCount ? ' unread' : ''}`;
+            row.innerHTML = `
+                <div class="inbox-thread-header">
+                    <strong class="inbox-thread-name"></strong>
+                    ${unreadCount ? `<span class="unread-count">${unreadCount}</span>` : ''}
+                </div>
+                <span class="inbox-thread-item"></span>
+                <p class="inbox-thread-preview"></p>
+            `;
+            // User-provided text is filled in with textContent rather than inside the template.
+            row.querySelector('.inbox-thread-name').textContent = isSeller ? thread.buyerName : thread.sellerName;
+            row.querySelector('.inbox-thread-item').textContent = thread.itemName;
+            row.querySelector('.inbox-thread-preview').textContent = thread.lastMessage || '';
+
+            row.addEventListener('click', () => {
+                this.app.closeModal('inboxModal');
+                this.showThread(thread);
+            });
+            inboxList.appendChild(row);
+        });
+    }
+
+    // 14. Updates the unread counter next to 'Messages' in the nav bar, hiding it when there's nothing new.
+    async refreshUnreadCount() {
+        const badge = document.getElementById('unreadCount');
+        if (!badge) return;
+
+        let count = 0;
+        try {
+            count = (await this.getUnreadMessages()).length;
+        } catch (error) {
+            // Leaves the badge as it was if the server can't be reached.
+            return;
+        }
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-flex' : 'none';
+    }
+}
@@ -0,0 +1,568 @@
+// Moderation JavaScript
+// Keeps the marketplace safe. Anyone can report a listing with a reason; moderators and
+// admins (see STAFF_ROLES in session.js) work through the report queue in the moderation
+// console, where they can hide or remove listings and suspend users. Every action is
+// written to an audit log. Admins can also appoint and remove moderators.
+// Records live in the 'reports' and 'moderationLog' collections.
+
+// Why a listing can be reported, keyed by the value stored on the report.
+const REPORT_REASONS = {
+    scam: 'Scam or fraud',
+    prohibited: 'Prohibited item',
+    offensive: 'Offensive or abusive',
+    misleading: 'Misleading or fake listing',
+    spam: 'Spam or duplicate',
+    other: 'Something else'
+};
+// The longest explanation a reporter can add.
+const MAX_REPORT_DETAILS_LENGTH = 500;
+// How many of the latest moderator actions the audit log shows.
+const MODERATION_LOG_LIMIT = 100;
+
+class ModerationManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user, items and modals.
+    constructor(app) {
+        this.app = app;
+        // The listing being reported in the report modal.
+        this.reportingItem = null;
+        // The console's open tab and the records it shows, loaded when it opens.
+        this.tab = 'reports';
+        this.reports = [];
+        this.users = [];
+        this.log = [];
+    }
+
+    // 2. Wires up the report form and, for moderators and admins, the console and its open-report counter.
+    initialize() {
+        document.getElementById('reportForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submitReport();
+        });
+
+        // The 'Moderation' link stays hidden for everyone else.
+        if (!this.isStaff()) return;
+        const consoleBtn = document.getElementById('moderationBtn');
+        if (consoleBtn) consoleBtn.style.display = 'flex';
+        consoleBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.open();
+        });
+        document.getElementById('moderationModal')?.addEventListener('click', async (e) => {
+            await this.handleClick(e);
+        });
+        document.getElementById('moderationUserSearch')?.addEventListener('input', () => this.renderUsers());
+
+        this.refreshReportCount();
+        // New reports come in while the page is open, so they're counted like unread messages.
+        setInterval(() => this.refreshReportCount(), UNREAD_POLL_MS);
+    }
+
+    // 3. Checks whether the current user is a moderator or admin.
+    isStaff() {
+        return isStaff(this.app.currentUser);
+    }
+
+    // 4. Returns the 'Report' button for someone else's listing.
+    createReportButton(item) {
+        if (item.sellerId === this.app.currentUser.id) return '';
+        return html`
+                <button class="report-btn" data-item-id="${item.id}" title="Report this listing">
+                    <i class="fas fa-flag"></i> Report
+                </button>`;
+    }
+
+    // 5. Opens the report modal for a listing, unless the user already reported it.
+    async openReport(item) {
+        try {
+            if (await this.app.storage.get('reports', this.getReportId(item.id))) {
+                this.app.showNotification("You've already reported this listing. Our moderators will look at it.", 'info');
+                return;
+            }
+        } catch (error) {
+            // Checked again when the report is saved.
+        }
+        this.reportingItem = item;
+        document.getElementById('reportForm').reset();
+        document.getElementById('reportItemName').textContent = item.name;
+        this.app.openModal('reportModal');
+    }
+
+    // 6. Saves the report for the moderators' queue.
+    async submitReport() {
+        const item = this.reportingItem;
+        if (!item) return;
+        const reason = document.querySelector('#reportForm input[name="reportReason"]:checked')?.value;
+        const details = document.getElementById('reportDetails').value.trim();
+
+        if (!REPORT_REASONS[reason]) {
+            this.app.showNotification('Please choose a reason', 'error');
+            return;
+        }
+        if (reason === 'other' && !details) {
+            this.app.showNotification('Please tell us what is wrong with this listing', 'error');
+            return;
+        }
+        if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+            this.app.showNotification(`Please keep the details under ${MAX_REPORT_DETAILS_LENGTH} characters`, 'error');
+            return;
+        }
+
+        const user = this.app.currentUser;
+        try {
+            await this.app.storage.create('reports', {
+                // One report per user and listing, so reporting twice can't inflate the queue.
+                id: this.getReportId(item.id),
+                itemId: item.id,
+                itemName: item.name,
+                sellerId: item.sellerId,
+                sellerName: item.sellerName,
+                reporterId: user.id,
+                reporterName: user.name,
+                reason,
+                details,
+                status: 'open',
+                createdAt: new Date().toISOString()
+            });
+        } catch (error) {
+            this.app.showNotification(
+                error.status === 409 ? "You've already reported this listing" : 'Could not send your report. Please try again.',
+                'error'
+            );
+            return;
+        }
+
+        this.reportingItem = null;
+        this.app.closeModal('reportModal');
+        this.app.showNotification('Thanks for letting us know. A moderator will review this listing.', 'success');
+    }
+
+    // 7. Returns the id of the current user's report of a listing.
+    getReportId(itemId) {
+        return `${this.app.currentUser.id}:${itemId}`;
+    }
+
+    // 8. Updates the open-report counter next to 'Moderation' in the nav bar.
+    async refreshReportCount() {
+        let open;
+        try {
+            open = await this.app.storage.list('reports', { status: 'open' });
+        } catch (error) {
+            // Leaves the counter as it was if the server can't be reached.
+            return;
+        }
+        const badge = document.getElementById('reportCount');
+        if (!badge) return;
+        badge.textContent = open.length > 99 ? '99+' : open.length;
+        badge.style.display = open.length > 0 ? 'inline-flex' : 'none';
+    }
+
+    // 9. Opens the moderation console with fresh reports, users and audit log.
+    async open(tab = this.tab) {
+        this.tab = tab;
+        if (!(await this.load())) return;
+        this.render();
+        this.app.openModal('moderationModal');
+    }
+
+    // 10. Loads everything the console shows. Resolves to false if it couldn't be loaded.
+    async load() {
+        try {
+            const [reports, users, log] = await Promise.all([
+                this.app.storage.list('reports'),
+                this.app.storage.list('users'),
+                this.app.storage.list('moderationLog')
+            ]);
+            this.reports = reports.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            this.users = users.map(toPublicUser).sort((a, b) => a.name.localeCompare(b.name));
+            this.log = log.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, MODERATION_LOG_LIMIT);
+        } catch (error) {
+            this.app.showNotification('Could not load the moderation console. Please try again.', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    // 11. Shows the open tab of the console.
+    render() {
+        document.querySelectorAll('#moderationModal .moderation-tab').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-tab') === this.tab);
+        });
+        document.querySelectorAll('#moderationModal .moderation-panel').forEach(panel => {
+            panel.style.display = panel.getAttribute('data-panel') === this.tab ? 'block' : 'none';
+        });
+        this.renderReports();
+        this.renderHidden();
+        this.renderUsers();
+        this.renderLog();
+        this.refreshReportCount();
+    }
+
+    // 12. Lists the reported listings, the most reported first, with every reason given and the actions for it.
+    renderReports() {
+        const byItem = new Map();
+        for (const report of this.reports.filter(r => r.status === 'open')) {
+            if (!byItem.has(report.itemId)) byItem.set(report.itemId, []);
+            byItem.get(report.itemId).push(report);
+        }
+        const queue = [...byItem.entries()].sort((a, b) => b[1].length - a[1].length);
+
+        document.getElementById('moderationReports').innerHTML = queue.length === 0
+            ? html`<p class="thread-empty">No open reports. Nice and quiet.</p>`
+            : html`${queue.map(([itemId, reports]) => {
+                const item = this.app.items.find(i => i.id === itemId);
+                const seller = this.users.find(u => u.id === reports[0].sellerId);
+                return html`
+                <div class="moderation-row">
+                    <div class="moderation-row-header">
+                        <strong>${reports[0].itemName}</strong>
+                        <span class="unread-count">${reports.length}</span>
+                    </div>
+                    <span class="inbox-thread-item">
+                        by ${reports[0].sellerName}${seller?.suspended ? ' (suspended)' : ''}${!item ? ' · listing no longer exists' : item.hidden ? ' · hidden' : ''}
+                    </span>
+                    <ul class="moderation-reasons">
+                        ${reports.map(report => html`
+                        <li>
+                            <strong>${REPORT_REASONS[report.reason] || report.reason}</strong> from ${report.reporterName},
+                            ${new Date(report.createdAt).toLocaleDateString()}${report.details && html`: “${report.details}”`}
+                        </li>`)}
+                    </ul>
+                    <div class="owner-actions">
+                        ${item && html`
+                        <button class="owner-action-btn" data-action="view" data-item-id="${itemId}"><i class="fas fa-eye"></i> View</button>
+                        ${!item.hidden && html`<button class="owner-action-btn" data-action="hide" data-item-id="${itemId}"><i class="fas fa-eye-slash"></i> Hide</button>`}
+                        <button class="owner-action-btn danger" data-action="remove" data-item-id="${itemId}"><i class="fas fa-trash"></i> Remove</button>`}
+                        ${seller && !seller.suspended && this.canModerate(seller) && html`
+                        <button class="owner-action-btn danger" data-action="suspend" data-user-id="${seller.id}"><i class="fas fa-user-slash"></i> Suspend Seller</button>`}
+                        <button class="owner-action-btn" data-action="dismiss" data-item-id="${itemId}"><i class="fas fa-check"></i> Dismiss</button>
+                    </div>
+                </div>`;
+            })}`;
+    }
+
+    // 13. Lists the listings moderators have hidden, so they can be restored.
+    renderHidden() {
+        const hidden = this.app.items.filter(item => item.hidden);
+        document.getElementById('moderationHidden').innerHTML = hidden.length === 0
+            ? html`<p class="thread-empty">No hidden listings.</p>`
+            : html`${hidden.map(item => html`
+                <div class="moderation-row">
+                    <div class="moderation-row-header">
+                        <strong>${item.name}</strong>
+                    </div>
+                    <span class="inbox-thread-item">
+                        by ${item.sellerName} · hidden ${new Date(item.hiddenAt).toLocaleDateString()}${item.hiddenReason && html`: ${item.hiddenReason}`}
+                    </span>
+                    <div class="owner-actions">
+                        <button class="owner-action-btn" data-action="view" data-item-id="${item.id}"><i class="fas fa-eye"></i> View</button>
+                        <button class="owner-action-btn" data-action="unhide" data-item-id="${item.id}"><i class="fas fa-undo"></i> Restore</button>
+                        <button class="owner-action-btn danger" data-action="remove" data-item-id="${item.id}"><i class="fas fa-trash"></i> Remove</button>
+                    </div>
+                </div>
+            `)}`;
+    }
+
+    // 14. Lists the users matching the search box, suspended ones first, with the actions the current user may take.
+    renderUsers() {
+        const query = document.getElementById('moderationUserSearch')?.value.trim().toLowerCase() || '';
+        const users = this.users
+            .filter(user => !query || user.name.toLowerCase().includes(query) || (user.email || '').toLowerCase().includes(query))
+            .sort((a, b) => Number(!!b.suspended) - Number(!!a.suspended));
+        const isAdmin = this.app.currentUser.role === 'admin';
+
+        document.getElementById('moderationUsers').innerHTML = users.length === 0
+            ? html`<p class="thread-empty">No users found.</p>`
+            : html`${users.map(user => html`
+                <div class="moderation-row${user.suspended ? ' suspended' : ''}">
+                    <div class="moderation-row-header">
+                        <button class="link-btn" data-action="profile" data-user-id="${user.id}">${user.name}</button>
+                        ${isStaff(user) && html`<span class="badge staff-badge">${user.role === 'admin' ? 'Admin' : 'Moderator'}</span>`}
+                        ${user.suspended && html`<span class="badge status-sold">Suspended</span>`}
+                    </div>
+                    <span class="inbox-thread-item">
+                        ${user.email && `${user.email} · `}${user.college || 'No college'}${user.suspended && user.suspendedReason && html` · ${user.suspendedReason}`}
+                    </span>
+                    ${this.canModerate(user) && html`
+                    <div class="owner-actions">
+                        ${user.suspended
+                            ? html`<button class="owner-action-btn" data-action="unsuspend" data-user-id="${user.id}"><i class="fas fa-user-check"></i> Lift Suspension</button>`
+                            : html`<button class="owner-action-btn danger" data-action="suspend" data-user-id="${user.id}"><i class="fas fa-user-slash"></i> Suspend</button>`}
+                        ${isAdmin && !user.suspended && user.role !== 'admin' && (user.role === 'moderator'
+                            ? html`<button class="owner-action-btn" data-action="demote" data-user-id="${user.id}"><i class="fas fa-user-minus"></i> Remove Moderator</button>`
+                            : html`<button class="owner-action-btn" data-action="promote" data-user-id="${user.id}"><i class="fas fa-user-shield"></i> Make Moderator</button>`)}
+                    </div>`}
+                </div>
+            `)}`;
+    }
+
+    // 15. Lists the latest moderator actions, newest first.
+    renderLog() {
+        document.getElementById('moderationLog').innerHTML = this.log.length === 0
+            ? html`<p class="thread-empty">No moderator actions yet.</p>`
+            : html`${this.log.map(entry => html`
+                <div class="moderation-log-entry">
+                    <span class="inbox-thread-item">${new Date(entry.createdAt).toLocaleString()}</span>
+                    <p>
+                        <strong>${entry.moderatorName}</strong> ${this.describeAction(entry.action)}
+                        <strong>${entry.targetName}</strong>${entry.note && html` — ${entry.note}`}
+                    </p>
+                </div>
+            `)}`;
+    }
+
+    // 16. Describes a logged action, e.g. 'hid the listing'.
+    describeAction(action) {
+        const actions = {
+            hide: 'hid the listing',
+            unhide: 'restored the listing',
+            remove: 'removed the listing',
+            dismiss: 'dismissed the reports on',
+            suspend: 'suspended',
+            unsuspend: 'lifted the suspension of',
+            promote: 'made a moderator:',
+            demote: 'removed as moderator:'
+        };
+        return actions[action] || action;
+    }
+
+    // 17. Checks whether the current user may suspend someone or change their role. Nobody moderates themselves,
+    // and only admins can act on other moderators and admins.
+    canModerate(user) {
+        const me = this.app.currentUser;
+        return user.id !== me.id && (me.role === 'admin' ? user.role !== 'admin' : !isStaff(user));
+    }
+
+    // 18. Handles clicks in the console: switching tabs and every moderation action.
+    async handleClick(e) {
+        const tabBtn = e.target.closest('.moderation-tab');
+        if (tabBtn) {
+            this.tab = tabBtn.getAttribute('data-tab');
+            this.render();
+            return;
+        }
+
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        const action = btn.getAttribute('data-action');
+        const item = this.app.items.find(i => i.id === btn.getAttribute('data-item-id'));
+        const user = this.users.find(u => u.id === btn.getAttribute('data-user-id'));
+
+        if (action === 'view' && item) {
+            this.app.closeModal('moderationModal');
+            this.app.detail.open(item.id);
+            return;
+        }
+        if (action === 'profile' && user) {
+            this.app.closeModal('moderationModal');
+            this.app.profile.open(user.id);
+            return;
+        }
+
+        let done = false;
+        if (action === 'hide' && item) {
+            done = await this.hideItem(item);
+        } else if (action === 'unhide' && item) {
+            done = await this.unhideItem(item);
+        } else if (action === 'remove' && item) {
+            done = await this.removeItem(item);
+        } else if (action === 'dismiss') {
+            done = await this.dismissReports(btn.getAttribute('data-item-id'));
+        } else if (action === 'suspend' && user) {
+            done = await this.suspendUser(user);
+        } else if (action === 'unsuspend' && user) {
+            done = await this.unsuspendUser(user);
+        } else if ((action === 'promote' || action === 'demote') && user) {
+            done = await this.setModerator(user, action === 'promote');
+        }
+        if (done && await this.load()) {
+            this.render();
+        }
+    }
+
+    // 19. Hides a listing from everyone but its seller and the moderators, and closes its reports.
+    async hideItem(item) {
+        const reason = prompt(`Why is "${item.name}" being hidden? The seller will see this.`, this.getTopReason(item.id) || '');
+        if (reason === null) return false;
+
+        const saved = await this.updateItem(item, {
+            hidden: true,
+            hiddenAt: new Date().toISOString(),
+            hiddenBy: this.app.currentUser.id,
+            hiddenReason: reason.trim()
+        });
+        if (!saved) return false;
+        await this.resolveReports(item.id, 'hidden');
+        await this.record('hide', { type: 'item', id: item.id, name: item.name }, reason.trim());
+        this.app.showNotification(`"${item.name}" is now hidden`, 'success');
+        return true;
+    }
+
+    // 20. Puts a hidden listing back on the marketplace.
+    async unhideItem(item) {
+        const saved = await this.updateItem(item, { hidden: false, hiddenAt: null, hiddenBy: null, hiddenReason: null, hiddenForSuspension: false });
+        if (!saved) return false;
+        await this.record('unhide', { type: 'item', id: item.id, name: item.name }, '');
+        this.app.showNotification(`"${item.name}" is visible again`, 'success');
+        return true;
+    }
+
+    // 21. Permanently deletes a listing and its photos, and closes its reports.
+    async removeItem(item) {
+        const reason = prompt(`Why is "${item.name}" being removed? This cannot be undone.`, this.getTopReason(item.id) || '');
+        if (reason === null) return false;
+
+        try {
+            await this.app.storage.remove('items', item.id);
+        } catch (error) {
+            this.app.showNotification('Could not remove the listing. Please try again.', 'error');
+            return false;
+        }
+        this.app.items = this.app.items.filter(i => i.id !== item.id);
+        await this.app.removePhotos(this.app.getItemPhotoIds(item));
+        this.app.applyFilters(false);
+        this.app.detail.refresh();
+
+        await this.resolveReports(item.id, 'removed');
+        await this.record('remove', { type: 'item', id: item.id, name: item.name }, reason.trim());
+        this.app.showNotification(`"${item.name}" was removed`, 'success');
+        return true;
+    }
+
+    // 22. Closes a listing's open reports without taking action against it.
+    async dismissReports(itemId) {
+        const name = this.reports.find(report => report.itemId === itemId)?.itemName;
+        if (!(await this.resolveReports(itemId, 'dismissed'))) return false;
+        await this.record('dismiss', { type: 'item', id: itemId, name: name || 'a listing' }, '');
+        return true;
+    }
+
+    // 23. Suspends a user: they can no longer log in, and their listings are hidden until the suspension is lifted.
+    async suspendUser(user) {
+        const reason = prompt(`Why is ${user.name} being suspended?`);
+        if (reason === null) return false;
+        if (!reason.trim()) {
+            this.app.showNotification('Please give a reason for the suspension', 'error');
+            return false;
+        }
+
+        try {
+            await this.app.storage.update('users', user.id, {
+                suspended: true,
+                suspendedAt: new Date().toISOString(),
+                suspendedBy: this.app.currentUser.id,
+                suspendedReason: reason.trim()
+            });
+        } catch (error) {
+            this.app.showNotification('Could not suspend this user. Please try again.', 'error');
+            return false;
+        }
+
+        // Only listings that are still visible are hidden, so lifting the suspension doesn't undo other moderation.
+        for (const item of this.app.items.filter(i => i.sellerId === user.id && !i.hidden)) {
+            await this.updateItem(item, {
+                hidden: true,
+                hiddenAt: new Date().toISOString(),
+                hiddenBy: this.app.currentUser.id,
+                hiddenReason: 'Seller suspended',
+                hiddenForSuspension: true
+            });
+            await this.resolveReports(item.id, 'seller suspended');
+        }
+        await this.record('suspend', { type: 'user', id: user.id, name: user.name }, reason.trim());
+        this.app.showNotification(`${user.name} is suspended`, 'success');
+        return true;
+    }
+
+    // 24. Lifts a suspension and restores the listings that were hidden because of it.
+    async unsuspendUser(user) {
+        try {
+            await this.app.storage.update('users', user.id, { suspended: false, suspendedAt: null, suspendedBy: null, suspendedReason: null });
+        } catch (error) {
+            this.app.showNotification('Could not lift the suspension. Please try again.', 'error');
+            return false;
+        }
+        for (const item of this.app.items.filter(i => i.sellerId === user.id && i.hiddenForSuspension)) {
+            await this.updateItem(item, { hidden: false, hiddenAt: null, hiddenBy: null, hiddenReason: null, hiddenForSuspension: false });
+        }
+        await this.record('unsuspend', { type: 'user', id: user.id, name: user.name }, '');
+        this.app.showNotification(`${user.name} can use CampusKart again`, 'success');
+        return true;
+    }
+
+    // 25. Appoints a user as a moderator, or makes a moderator a regular user again. Admins only.
+    async setModerator(user, isModerator) {
+        if (this.app.currentUser.role !== 'admin') return false;
+        try {
+            await this.app.storage.update('users', user.id, { role: isModerator ? 'moderator' : 'both' });
+        } catch (error) {
+            this.app.showNotification('Could not change this user\'s role. Please try again.', 'error');
+            return false;
+        }
+        await this.record(isModerator ? 'promote' : 'demote', { type: 'user', id: user.id, name: user.name }, '');
+        return true;
+    }
+
+    // 26. Saves moderation changes to a listing and refreshes the pages showing it. Resolves to true if they were saved.
+    async updateItem(item, changes) {
+        try {
+            const updated = await this.app.storage.update('items', item.id, changes);
+            this.app.items = this.app.items.map(i => (i.id === item.id ? updated : i));
+        } catch (error) {
+            this.app.showNotification(`Could not update "${item.name}". Please try again.`, 'error');
+            return false;
+        }
+        this.app.applyFilters(false);
+        this.app.detail.refresh();
+        return true;
+    }
+
+    // 27. Closes every open report of a listing with the outcome. Resolves to false if any couldn't be saved.
+    async resolveReports(itemId, resolution) {
+        const open = this.reports.filter(report => report.itemId === itemId && report.status === 'open');
+        try {
+            for (const report of open) {
+                await this.app.storage.update('reports', report.id, {
+                    status: resolution === 'dismissed' ? 'dismissed' : 'resolved',
+                    resolution,
+                    resolvedBy: this.app.currentUser.id,
+                    resolvedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            this.app.showNotification('Could not close the reports. Please try again.', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    // 28. Returns the reason most often given in a listing's open reports, to suggest as the moderator's note.
+    getTopReason(itemId) {
+        const counts = {};
+        for (const report of this.reports.filter(r => r.itemId === itemId && r.status === 'open')) {
+            counts[report.reason] = (counts[report.reason] || 0) + 1;
+        }
+        const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return top ? REPORT_REASONS[top[0]] : null;
+    }
+
+    // 29. Writes a moderator action on a listing or user ({ type: 'item' | 'user', id, name }) to the audit log.
+    // A failed write doesn't undo the action.
+    async record(action, target, note) {
+        const moderator = this.app.currentUser;
+        try {
+            await this.app.storage.create('moderationLog', {
+                id: `${Date.now()}-${randomToken(4)}`,
+                action,
+                targetType: target.type,
+                targetId: target.id,
+                targetName: target.name,
+                note,
+                moderatorId: moderator.id,
+                moderatorName: moderator.name,
+                createdAt: new Date().toISOString()
+            });
+        } catch (error) {
+            this.app.showNotification('The action was taken but could not be written to the audit log', 'error');
+        }
+    }
+}
@@ -0,0 +1,423 @@
+// Offers JavaScript
+// Price negotiation on for-sale items (modes with `offers` in taxonomy.js). A buyer offers a
+// price with an optional note; the seller accepts, counters or declines it from My Listings,
+// and the buyer can take a counter-offer or answer with a new price. Every step is kept in
+// the offer's history. An accepted offer reserves the item for that buyer, so others can
+// see it's spoken for until the seller marks it sold or the hold ends (see reservations.js).
+// Offers live in the 'offers' collection.
+
+// The longest note a buyer or seller can add to an offer.
+const MAX_OFFER_NOTE_LENGTH = 300;
+// Offers still being negotiated: waiting for the seller ('pending') or for the buyer ('countered').
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+// How each offer status is shown.
+const OFFER_STATUS_NAMES = {
+    pending: 'Waiting for the seller',
+    countered: 'Countered',
+    accepted: 'Accepted',
+    declined: 'Declined',
+    withdrawn: 'Withdrawn',
+    cancelled: 'Hold released',
+    expired: 'Hold expired'
+};
+
+class OfferManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user, items and modals.
+    constructor(app) {
+        this.app = app;
+        // Every offer the current user made or received.
+        this.offers = [];
+        // The item the buyer's offer modal is open for, and the item whose offers the seller is looking at.
+        this.offerItem = null;
+        this.reviewItem = null;
+    }
+
+    // 2. Wires up the offer form and the seller's offer list, and loads the current user's offers.
+    async initialize() {
+        document.getElementById('offerForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submitOffer();
+        });
+        document.getElementById('offerModal')?.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-offer-action]');
+            if (btn) await this.handleBuyerAction(btn.getAttribute('data-offer-action'));
+        });
+        document.getElementById('offersList')?.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-offer-action]');
+            if (btn) await this.handleSellerAction(btn.getAttribute('data-offer-id'), btn.getAttribute('data-offer-action'));
+        });
+        await this.load();
+    }
+
+    // 3. Loads all offers the current user made as a buyer or received as a seller.
+    async load() {
+        const userId = this.app.currentUser.id;
+        try {
+            const [made, received] = await Promise.all([
+                this.app.storage.list('offers', { buyerId: userId }),
+                this.app.storage.list('offers', { sellerId: userId })
+            ]);
+            this.offers = [...made, ...received];
+        } catch (error) {
+            this.offers = [];
+        }
+    }
+
+    // 4. Returns every offer on an item, newest first.
+    getOffers(itemId) {
+        return this.offers
+            .filter(offer => offer.itemId === itemId)
+            .sort((a, b) => (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt));
+    }
+
+    // 5. Returns the offers on an item waiting for the seller's answer.
+    getPendingOffers(itemId) {
+        return this.getOffers(itemId).filter(offer => offer.status === 'pending');
+    }
+
+    // 6. Returns the current user's open or accepted offer on an item, if any.
+    getOwnOffer(itemId) {
+        return this.offers.find(offer =>
+            offer.itemId === itemId &&
+            offer.buyerId === this.app.currentUser.id &&
+            [...OPEN_OFFER_STATUSES, 'accepted'].includes(offer.status)
+        ) || null;
+    }
+
+    // 7. Checks whether an item takes offers: its mode allows them and it's someone else's synced listing that hasn't expired.
+    acceptsOffers(item) {
+        return !!this.app.taxonomy.getMode(item.mode)?.offers && item.sellerId !== this.app.currentUser.id && !item.pendingSync &&
+               !this.app.expiry.isExpired(item);
+    }
+
+    // 8. Returns the buyer's offer button for an item, reflecting an offer already made.
+    createOfferAction(item) {
+        if (!this.acceptsOffers(item)) return '';
+
+        const offer = this.getOwnOffer(item.id);
+        if (offer?.status === 'accepted') {
+            return html`<button class="offer-btn" disabled><i class="fas fa-handshake"></i> Offer of ${formatPrice(offer.amount)} accepted</button>`;
+        }
+        if (offer?.status === 'countered') {
+            return html`
+                <button class="offer-btn countered" data-item-id="${item.id}">
+                    <i class="fas fa-reply"></i> Counter-offer: ${formatPrice(offer.amount)}
+                </button>`;
+        }
+        if (offer) {
+            return html`
+                <button class="offer-btn" data-item-id="${item.id}">
+                    <i class="fas fa-hourglass-half"></i> Offer Sent: ${formatPrice(offer.amount)}
+                </button>`;
+        }
+        if (!this.app.isAvailable(item)) return '';
+        return html`
+                <button class="offer-btn" data-item-id="${item.id}">
+                    <i class="fas fa-tag"></i> Make an Offer
+                </button>`;
+    }
+
+    // 9. Returns the button that opens the offers on one of the user's own items, with how many wait for an answer.
+    createOffersAction(item) {
+        const offers = this.getOffers(item.id);
+        if (offers.length === 0) return '';
+        const pending = this.getPendingOffers(item.id).length;
+        return html`
+                    <button class="owner-action-btn" data-action="offers" data-item-id="${item.id}">
+                        <i class="fas fa-tags"></i> Offers${pending > 0 && html` <span class="unread-count">${pending}</span>`}
+                    </button>`;
+    }
+
+    // 10. Opens the offer modal for an item: a new offer, or the buyer's side of an offer already made.
+    openOfferModal(item) {
+        if (!this.acceptsOffers(item)) return;
+        const offer = this.getOwnOffer(item.id);
+        if (!offer && !this.app.isAvailable(item)) {
+            this.app.showNotification('This item is no longer available', 'info');
+            return;
+        }
+
+        this.offerItem = item;
+        document.getElementById('offerForm').reset();
+        document.getElementById('offerItemName').textContent = `${item.name} · listed at ${formatPrice(item.price)}`;
+        // A counter-offer is the starting point for the buyer's answer; otherwise the listing price is.
+        document.getElementById('offerAmount').value = offer ? offer.amount : item.price;
+        document.getElementById('offerHistory').innerHTML = offer ? this.renderHistory(offer) : '';
+        document.getElementById('offerBuyerActions').innerHTML = offer ? html`
+            ${offer.status === 'countered' && html`
+            <button type="button" class="owner-action-btn" data-offer-action="accept"><i class="fas fa-check"></i> Accept ${formatPrice(offer.amount)}</button>`}
+            <button type="button" class="owner-action-btn danger" data-offer-action="withdraw"><i class="fas fa-times"></i> Withdraw Offer</button>` : '';
+        document.querySelector('#offerForm .submit-btn').innerHTML = offer
+            ? '<i class="fas fa-paper-plane"></i> Send New Offer'
+            : '<i class="fas fa-paper-plane"></i> Send Offer';
+        this.app.openModal('offerModal');
+    }
+
+    // 11. Sends the buyer's offer: a new one, or an answer to the seller's counter-offer.
+    async submitOffer() {
+        const item = this.offerItem;
+        if (!item) return;
+
+        const amount = Number(document.getElementById('offerAmount').value);
+        const note = document.getElementById('offerNote').value.trim();
+        if (!amount || amount <= 0) {
+            this.app.showNotification('Please enter a valid amount', 'error');
+            return;
+        }
+        if (note.length > MAX_OFFER_NOTE_LENGTH) {
+            this.app.showNotification(`Please keep your note under ${MAX_OFFER_NOTE_LENGTH} characters`, 'error');
+            return;
+        }
+
+        const existing = this.getOwnOffer(item.id);
+        if (existing?.status === 'accepted') return;
+        const user = this.app.currentUser;
+        const entry = { by: 'buyer', action: existing ? 'countered' : 'offered', amount, note, at: new Date().toISOString() };
+        try {
+            if (existing) {
+                await this.update(existing, { status: 'pending', amount }, entry);
+            } else {
+                const offer = await this.app.storage.create('offers', {
+                    id: `${Date.now()}-${user.id}`,
+                    itemId: item.id,
+                    itemName: item.name,
+                    sellerId: item.sellerId,
+                    buyerId: user.id,
+                    buyerName: user.name,
+                    buyerCollege: user.college,
+                    amount,
+                    status: 'pending',
+                    history: [entry],
+                    createdAt: entry.at,
+                    updatedAt: entry.at
+                });
+                this.offers.push(offer);
+            }
+        } catch (error) {
+            this.app.showNotification('Could not send your offer. Please try again.', 'error');
+            return;
+        }
+
+        this.app.closeModal('offerModal');
+        this.app.renderItems();
+        this.app.showNotification(`Offer of ${formatPrice(amount)} sent to the seller!`, 'success');
+    }
+
+    // 12. Runs the buyer's answer to their own offer from the offer modal: accepting a counter-offer or withdrawing.
+    async handleBuyerAction(action) {
+        const item = this.offerItem;
+        const offer = item && this.getOwnOffer(item.id);
+        if (!offer) return;
+
+        if (action === 'accept') {
+            await this.accept(offer);
+        } else if (action === 'withdraw') {
+            if (!confirm('Withdraw your offer?')) return;
+            try {
+                await this.update(offer, { status: 'withdrawn' }, { by: 'buyer', action: 'withdrew' });
+            } catch (error) {
+                this.app.showNotification('Could not withdraw your offer. Please try again.', 'error');
+                return;
+            }
+            this.app.renderItems();
+            this.app.showNotification('Offer withdrawn', 'info');
+        }
+        this.app.closeModal('offerModal');
+    }
+
+    // 13. Opens the seller's list of offers on one of their items, each with its history.
+    openOffers(item) {
+        this.reviewItem = item;
+        this.renderOffers();
+        this.app.openModal('offersModal');
+    }
+
+    // 14. Fills the seller's offer list. Offers waiting for an answer can be accepted, countered or declined.
+    renderOffers() {
+        const item = this.reviewItem;
+        const offers = this.getOffers(item.id);
+        document.getElementById('offersItemName').textContent = `${item.name} · listed at ${formatPrice(item.price)}`;
+        document.getElementById('offersList').innerHTML = offers.length === 0
+            ? html`<p class="thread-empty">No offers yet.</p>`
+            : html`${offers.map(offer => html`
+                <div class="offer-card">
+                    <div class="offer-card-header">
+                        <strong>${offer.buyerName}${offer.buyerCollege && html` <span>· ${offer.buyerCollege}</span>`}</strong>
+                        <span class="offer-status status-${offer.status}">${OFFER_STATUS_NAMES[offer.status] || offer.status}</span>
+                    </div>
+                    ${this.renderHistory(offer)}
+                    ${offer.status === 'pending' && this.app.isAvailable(item) && html`
+                    <div class="offer-counter">
+                        <input type="number" min="0" step="0.01" id="counterAmount-${offer.id}" placeholder="Counter price" aria-label="Counter price">
+                        <input type="text" id="counterNote-${offer.id}" maxlength="${MAX_OFFER_NOTE_LENGTH}" placeholder="Note (optional)" aria-label="Note">
+                    </div>
+                    <div class="loan-request-actions offer-actions">
+                        <button class="owner-action-btn" data-offer-action="accept" data-offer-id="${offer.id}"><i class="fas fa-check"></i> Accept ${formatPrice(offer.amount)}</button>
+                        <button class="owner-action-btn" data-offer-action="counter" data-offer-id="${offer.id}"><i class="fas fa-reply"></i> Counter</button>
+                        <button class="owner-action-btn danger" data-offer-action="decline" data-offer-id="${offer.id}"><i class="fas fa-times"></i> Decline</button>
+                    </div>`}
+                </div>`)}`;
+    }
+
+    // 15. Returns an offer's history, oldest step first.
+    renderHistory(offer) {
+        const actions = {
+            offered: 'offered',
+            countered: 'countered with',
+            accepted: 'accepted',
+            declined: 'declined',
+            withdrew: 'withdrew the offer',
+            released: 'released the hold',
+            expired: 'expired'
+        };
+        return html`
+            <ol class="offer-history">
+                ${(offer.history || []).map(entry => html`
+                <li>
+                    <span class="offer-history-who">${{ seller: 'Seller', system: 'The hold' }[entry.by] || offer.buyerName}</span>
+                    ${actions[entry.action] || entry.action}${entry.amount && html` <strong>${formatPrice(entry.amount)}</strong>`}
+                    <time>${new Date(entry.at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</time>
+                    ${entry.note && html`<p class="offer-history-note">${entry.note}</p>`}
+                </li>`)}
+            </ol>`;
+    }
+
+    // 16. Runs the seller's answer to an offer from the offer list.
+    async handleSellerAction(offerId, action) {
+        const offer = this.offers.find(o => o.id === offerId);
+        if (!offer || offer.status !== 'pending') return;
+
+        if (action === 'accept') {
+            await this.accept(offer);
+            return;
+        }
+        if (action === 'counter') {
+            const amount = Number(document.getElementById(`counterAmount-${offerId}`).value);
+            const note = document.getElementById(`counterNote-${offerId}`).value.trim();
+            if (!amount || amount <= 0) {
+                this.app.showNotification('Please enter the price you would accept', 'error');
+                return;
+            }
+            try {
+                await this.update(offer, { status: 'countered', amount }, { by: 'seller', action: 'countered', amount, note });
+            } catch (error) {
+                this.app.showNotification('Could not send your counter-offer. Please try again.', 'error');
+                return;
+            }
+            this.app.showNotification(`Counter-offer of ${formatPrice(amount)} sent to ${offer.buyerName}`, 'success');
+        } else if (action === 'decline') {
+            try {
+                await this.update(offer, { status: 'declined' }, { by: 'seller', action: 'declined' });
+            } catch (error) {
+                this.app.showNotification('Could not decline the offer. Please try again.', 'error');
+                return;
+            }
+            this.app.showNotification('Offer declined', 'info');
+        }
+        this.renderOffers();
+        this.app.renderItems();
+    }
+
+    // 17. Accepts an offer, by the seller or (for a counter-offer) by the buyer: the item is reserved for the
+    // buyer at the agreed price and the other open offers on it are declined.
+    async accept(offer) {
+        const by = offer.sellerId === this.app.currentUser.id ? 'seller' : 'buyer';
+        let item;
+        try {
+            item = this.app.storage.shared ? await this.acceptOnServer(offer) : await this.acceptHere(offer, by);
+        } catch (error) {
+            this.app.showNotification(
+                error.status === 409 ? 'This item is no longer available' : 'Could not accept the offer. Please try again.',
+                'error'
+            );
+            this.app.applyFilters();
+            return;
+        }
+
+        this.app.applyFilters();
+        if (by === 'seller') {
+            this.app.closeModal('offersModal');
+            this.app.showNotification(`Offer accepted. "${item.name}" is reserved for ${offer.buyerName}.`, 'success');
+        } else {
+            this.app.showNotification(`You accepted ${formatPrice(offer.amount)}. "${item.name}" is reserved for you.`, 'success');
+        }
+    }
+
+    // 18. Has the server accept an offer. It reserves the item in the same step that checks the item is still
+    // available, so two offers can't both be accepted, and it declines the others (see server/deals.js).
+    // Resolves to the reserved item.
+    async acceptOnServer(offer) {
+        await this.app.storage.perform('offers', offer.id, 'accept');
+        const item = await this.app.storage.get('items', offer.itemId);
+        this.app.items = this.app.items.map(i => (i.id === item.id ? item : i));
+        // Picks up the accepted offer and the ones declined along with it.
+        await this.load();
+        return item;
+    }
+
+    // 19. Accepts an offer in this browser, where every account lives when there's no server.
+    // Resolves to the reserved item. Refuses with a 409 error if the item is no longer available.
+    async acceptHere(offer, by) {
+        // A hold that has run out is moved on first (see reservations.js).
+        const item = await this.app.reservations.refresh(offer.itemId);
+        if (!item || !this.app.isAvailable(item) || this.app.expiry.isExpired(item)) {
+            throw Object.assign(new Error('This item is no longer available'), { status: 409 });
+        }
+
+        await this.update(offer, { status: 'accepted' }, { by, action: 'accepted', amount: offer.amount });
+        const reserved = await this.app.storage.update('items', item.id, {
+            status: 'reserved',
+            reservation: this.app.reservations.createHold(
+                item,
+                { id: offer.buyerId, name: offer.buyerName, college: offer.buyerCollege },
+                { offerId: offer.id, price: offer.amount }
+            ),
+            updatedAt: new Date().toISOString()
+        });
+        this.app.items = this.app.items.map(i => (i.id === item.id ? reserved : i));
+
+        // The item is spoken for, so nobody else's offer can go through.
+        const others = await this.app.storage.list('offers', { itemId: item.id });
+        for (const other of others.filter(o => o.id !== offer.id && OPEN_OFFER_STATUSES.includes(o.status))) {
+            try {
+                await this.update(other, { status: 'declined' }, { by: 'seller', action: 'declined', note: 'The item was reserved for another buyer.' });
+            } catch (error) {
+                // The buyer still sees the item as reserved.
+            }
+        }
+        return reserved;
+    }
+
+    // 20. Closes the offer a hold came from when the hold ends without a deal: released by the seller, cancelled by
+    // the buyer or run out. The offer may be someone else's, so it's loaded from storage if it isn't known here.
+    // Used without a server; with one, the server closes it as the hold ends (see server/deals.js).
+    async close(offerId, status, entry) {
+        if (!offerId) return;
+        try {
+            const offer = this.offers.find(o => o.id === offerId) || await this.app.storage.get('offers', offerId);
+            if (offer?.status === 'accepted') await this.update(offer, { status }, entry);
+        } catch (error) {
+            // The hold still ends; the offer just keeps showing as accepted.
+        }
+    }
+
+    // 21. Saves a change to an offer with a new step in its history, and swaps it into the local list. With a server,
+    // the server checks whose turn it is and adds the step itself (see server/deals.js).
+    async update(offer, changes, entry) {
+        const at = new Date().toISOString();
+        const updated = this.app.storage.shared
+            ? await this.app.storage.perform('offers', offer.id, 'respond', { status: changes.status, amount: changes.amount, note: entry.note || '' })
+            : await this.app.storage.update('offers', offer.id, {
+                ...changes,
+                history: [...(offer.history || []), { ...entry, at: entry.at || at }],
+                updatedAt: at
+            });
+        this.offers = this.offers.map(o => (o.id === updated.id ? updated : o));
+        return updated;
+    }
+}
+
+// Formats an amount of money for display, e.g. '$12.50'.
+function formatPrice(amount) {
+    return `$${Number(amount).toFixed(2)}`;
+}
@@ -0,0 +1,183 @@
+// Offline JavaScript
+// Keeps CampusKart usable on flaky campus Wi-Fi. The service worker (public/sw.js) caches
+// the app shell, photos and the last listings it saw, so the grid still renders offline.
+// New listings and messages that can't reach the server are queued in an IndexedDB
+// outbox and sent, in order, once the connection is back. This file is also loaded by
+// the service worker, so nothing here may touch the page at load time.
+
+// The Background Sync tag the service worker listens for to send the outbox.
+const OUTBOX_SYNC_TAG = 'campuskart-outbox';
+// How long a request claimed for sending stays claimed. After that it's sent again, in case whatever claimed it
+// (a page or the service worker) was closed before it finished.
+const OUTBOX_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Queued API requests waiting for a connection, oldest first.
+class OfflineOutbox {
+    // 1. The constructor stores the database name; the database is opened on first use.
+    constructor(dbName = 'campuskart_offline') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    // 2. Opens (and on first use creates) the database with a single auto-numbered 'outbox' object store.
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('outbox', { autoIncrement: true });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // 3. Runs one request against the 'outbox' store and resolves with its result.
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction('outbox', mode).objectStore('outbox'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 4. Queues a request, e.g. { method: 'POST', url: '/api/items', headers: {...}, body: {...} }, and asks the service
+    // worker to send it as soon as there's a connection, even if the page has been closed by then.
+    async add(request) {
+        await this.run('readwrite', store => store.add({ ...request, queuedAt: new Date().toISOString() }));
+        try {
+            const registration = await navigator.serviceWorker?.ready;
+            await registration?.sync?.register(OUTBOX_SYNC_TAG);
+        } catch (error) {
+            // Without Background Sync the page sends the outbox itself when it comes back online.
+        }
+    }
+
+    // 5. Returns every queued request, oldest first, each with the key it's stored under.
+    async list() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const requests = [];
+            const cursorRequest = db.transaction('outbox', 'readonly').objectStore('outbox').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve(requests);
+                    return;
+                }
+                requests.push({ ...cursor.value, key: cursor.key });
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    // 6. Sends the queued requests in order. Stops at the first one that still can't reach the server, so later
+    // ones (like a message in a new thread) never overtake earlier ones. Each request is claimed before it's sent
+    // (see claimNext()), so the page and the service worker, which each have their own outbox object, never send
+    // the same one twice. Resolves to { sent, rejected }: how many were sent, and the requests the server refused
+    // (each with its status and error), so the user can be told they weren't posted.
+    async flush() {
+        let sent = 0;
+        const rejected = [];
+        for (let request = await this.claimNext(); request; request = await this.claimNext()) {
+            let response;
+            try {
+                response = await fetch(request.url, {
+                    method: request.method,
+                    headers: { ...request.headers, 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request.body)
+                });
+            } catch (error) {
+                await this.release(request);
+                break;
+            }
+            // A server error may pass; it's tried again later. A rejected request would fail the same way forever
+            // (its session may even have ended), so it leaves the outbox and is reported instead. A 409 means an
+            // earlier attempt already got through, so there's nothing to report.
+            if (response.status >= 500) {
+                await this.release(request);
+                break;
+            }
+            await this.run('readwrite', store => store.delete(request.key));
+            if (response.ok) {
+                sent++;
+            } else if (response.status !== 409) {
+                const { key, claimedAt, headers, ...details } = request;
+                rejected.push({ ...details, status: response.status, error: await readResponseError(response) });
+            }
+        }
+        return { sent, rejected };
+    }
+
+    // 7. Claims the oldest queued request for sending and resolves to it, or to null if the outbox is empty or
+    // the oldest one is already being sent elsewhere. The check and the claim happen in one IndexedDB transaction,
+    // which no other page or worker can interleave with.
+    async claimNext() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('outbox', 'readwrite');
+            const cursorRequest = transaction.objectStore('outbox').openCursor();
+            let claimed = null;
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || Date.parse(cursor.value.claimedAt) > Date.now() - OUTBOX_CLAIM_TIMEOUT_MS) return;
+                const value = { ...cursor.value, claimedAt: new Date().toISOString() };
+                cursor.update(value);
+                claimed = { ...value, key: cursor.key };
+            };
+            transaction.oncomplete = () => resolve(claimed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // 8. Gives up the claim on a request that couldn't be sent, so the next flush tries it again straight away.
+    // A claim that timed out in the meantime may be someone else's by now, so it's left alone.
+    async release(request) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('outbox', 'readwrite');
+            const store = transaction.objectStore('outbox');
+            const getRequest = store.get(request.key);
+            getRequest.onsuccess = () => {
+                const stored = getRequest.result;
+                if (stored?.claimedAt === request.claimedAt) store.put({ ...stored, claimedAt: null }, request.key);
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Reads the message the CampusKart server sends with a refused request, falling back to the HTTP status text.
+async function readResponseError(response) {
+    try {
+        return (await response.json()).error || response.statusText;
+    } catch (error) {
+        return response.statusText;
+    }
+}
+
+// Returns the outbox for this page, or null when records are kept in this browser (localStorage works offline anyway).
+function createOfflineOutbox() {
+    const apiUrl = document.querySelector('meta[name="campuskart-api"]')?.getAttribute('content')?.trim();
+    return apiUrl ? new OfflineOutbox() : null;
+}
+
+// Checks whether a storage error means the server couldn't be reached at all, rather than it refusing the request.
+// fetch() rejects without an HTTP status when there's no connection.
+function isNetworkError(error) {
+    return !error?.status && (error instanceof TypeError || !navigator.onLine);
+}
+
+// Registers the service worker that caches the app for offline use. Pages served from a file or without
+// service worker support simply work online only.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(() => {
+            // The app works the same without it, just not offline.
+        });
+    });
+}
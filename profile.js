@@ -0,0 +1,149 @@
+// Profile JavaScript
+// A client-side route (#/user/<id>) showing a user's public profile: their avatar, name,
+// college, contact preferences, seller rating with its reviews, and the listings they
+// still have on offer. It sits next to the item detail route and shares its history handling.
+
+class ProfilePage {
+    // 1. The constructor keeps a reference to the main app for its storage, items, helpers and modals.
+    constructor(app) {
+        this.app = app;
+        // The id of the user being shown, or null while the profile page is hidden.
+        this.userId = null;
+    }
+
+    // 2. Listens for route changes and wires up the page's own buttons.
+    initialize() {
+        window.addEventListener('hashchange', () => this.route());
+
+        document.getElementById('profileBackBtn')?.addEventListener('click', () => this.close());
+
+        document.getElementById('userProfile')?.addEventListener('click', (e) => {
+            if (e.target.closest('#profileEditBtn')) {
+                this.app.settings.open();
+                return;
+            }
+            // The user's listings behave exactly as in the grid.
+            this.app.handleItemClick(e);
+        });
+    }
+
+    // 3. Shows a user's profile by adding a history entry, counted like the detail page's so back returns to the grid.
+    open(userId) {
+        const currentDepth = history.state?.detailDepth || 0;
+        const onRoute = this.userId || this.app.detail.itemId;
+        const detailDepth = onRoute && currentDepth === 0 ? 0 : currentDepth + 1;
+
+        history.pushState({ detailDepth }, '', `${window.location.pathname}${window.location.search}#/user/${encodeURIComponent(userId)}`);
+        this.route();
+    }
+
+    // 4. Returns to the listings: back through history to the grid if it's there, otherwise by dropping the hash.
+    close() {
+        const detailDepth = history.state?.detailDepth || 0;
+        if (detailDepth > 0) {
+            history.go(-detailDepth);
+            return;
+        }
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.route();
+    }
+
+    // 5. Reads the hash and shows the requested profile, or hides the page for any other route.
+    async route() {
+        const match = window.location.hash.match(/^#\/user\/(.+)$/);
+        if (!match) {
+            this.hide();
+            return;
+        }
+
+        const userId = decodeURIComponent(match[1]);
+        let user = null;
+        try {
+            user = userId === this.app.currentUser.id ? this.app.currentUser : await this.app.storage.get('users', userId);
+        } catch (error) {
+            // Treated like a missing user below.
+        }
+        // The hash may have changed while the user was loading.
+        if (window.location.hash !== match[0]) return;
+        if (!user) {
+            this.app.showNotification('This user is no longer on CampusKart', 'error');
+            this.close();
+            return;
+        }
+
+        this.app.detail.hide();
+        this.userId = userId;
+        await this.render(toPublicUser(user));
+        document.querySelectorAll('.hero, .filters-section, .marketplace').forEach(section => {
+            section.style.display = 'none';
+        });
+        document.getElementById('userProfile').style.display = 'block';
+        window.scrollTo({ top: 0 });
+    }
+
+    // 6. Re-renders the open profile after the user's details or listings changed.
+    refresh() {
+        if (this.userId) this.route();
+    }
+
+    // 7. Hides the profile page and shows the marketplace again, unless a listing is being shown instead.
+    hide() {
+        if (!this.userId) return;
+        this.userId = null;
+        document.getElementById('userProfile').style.display = 'none';
+        if (!this.app.detail.itemId) {
+            this.app.detail.setMarketplaceVisible(true);
+        }
+    }
+
+    // 8. Fills the profile page for a user. Only the fields they chose to share are shown.
+    async render(user) {
+        const app = this.app;
+        const isSelf = user.id === app.currentUser.id;
+        const [summary, reviews] = await Promise.all([
+            app.reviews.getSummary(user.id),
+            app.reviews.getReviews(user.id).catch(() => [])
+        ]);
+        const listings = app.items
+            .filter(item => item.sellerId === user.id && !app.isHidden(item) && (app.isAvailable(item) || app.isOnLoan(item)))
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+        document.getElementById('profileContent').innerHTML = html`
+            <div class="seller-info profile-header">
+                ${this.createAvatar(user)}
+                <div class="seller-details">
+                    <h1>${user.name}</h1>
+                    <p><i class="fas fa-university"></i> ${user.college || ''}</p>
+                    ${user.createdAt && html`<p><i class="fas fa-calendar"></i> Member since ${new Date(user.createdAt).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</p>`}
+                    ${user.showEmail && html`<p><i class="fas fa-envelope"></i> ${user.email}</p>`}
+                    ${user.contactNote && html`<p><i class="fas fa-comment"></i> ${user.contactNote}</p>`}
+                    <p>${app.reviews.createRatingSummary(summary)}</p>
+                </div>
+                ${isSelf && html`
+                <button class="clear-btn" id="profileEditBtn">
+                    <i class="fas fa-cog"></i> Edit Profile
+                </button>`}
+            </div>
+            ${app.reviews.createRecentReviews(reviews)}
+            <h2 class="profile-listings-title">${isSelf ? 'Your' : `${user.name}'s`} Listings (${listings.length})</h2>
+            ${listings.length === 0 && html`<p class="profile-empty">No active listings right now.</p>`}
+        `;
+        document.getElementById('profileItemsGrid').innerHTML = listings.map(item => app.createItemCard(item)).join('');
+
+        // Renders again once listing photos that weren't loaded yet are available.
+        app.loadItemPhotos(listings, 'thumb').then(loaded => loaded && this.refresh());
+    }
+
+    // 9. Returns a user's avatar: their uploaded photo, or the default user icon.
+    createAvatar(user) {
+        const url = user.avatarPhotoId && this.app.images.getUrl(user.avatarPhotoId, 'thumb');
+        if (!url) {
+            // The photo is loaded for the next render if it hasn't been yet.
+            if (user.avatarPhotoId && url === undefined) {
+                this.app.images.load([user.avatarPhotoId], 'thumb').then(loaded => loaded && this.refresh());
+            }
+            return html`<div class="seller-avatar"><i class="fas fa-user-circle"></i></div>`;
+        }
+        return html`<div class="seller-avatar"><img src="${url}" alt="${user.name}"></div>`;
+    }
+}
@@ -0,0 +1,156 @@
+// Service Worker JavaScript
+// Makes CampusKart work offline. The app shell is cached when the worker installs, photos are
+// cached as they're seen, and reads of the public listings and reviews fall back to the last
+// response when the network is down, so the grid still renders on flaky campus Wi-Fi. Listings and messages created offline
+// wait in the outbox (see offline.js) and are sent here when Background Sync fires.
+importScripts('offline.js');
+
+// Bump the version whenever SHELL_FILES changes, so old caches are replaced.
+const CACHE_VERSION = 'v26';
+const SHELL_CACHE = `campuskart-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `campuskart-images-${CACHE_VERSION}`;
+const DATA_CACHE = `campuskart-data-${CACHE_VERSION}`;
+// Font Awesome's stylesheet and fonts come from this CDN.
+const CDN_ORIGIN = 'https://cdnjs.cloudflare.com';
+// Photos beyond this many are dropped from the cache, oldest first.
+const MAX_CACHED_IMAGES = 300;
+// The only API collections whose responses are cached, so the grid renders offline. Both are public: anything
+// private (messages, offers, loans, alerts, sessions, accounts...) would otherwise stay readable on the device after
+// logging out, so it always goes to the network. Offline, pages use the account remembered in the account switcher
+// instead (see session.js).
+const CACHED_API_COLLECTIONS = ['items', 'reviews'];
+// Everything both pages need to start without a connection, relative to the worker's scope.
+const SHELL_FILES = [
+    'index.html',
+    'home.html',
+    'styles.css',
+    'schema.js',
+    'storage.js',
+    'session.js',
+    'html.js',
+    'taxonomy.js',
+    'colleges.js',
+    'verification.js',
+    'auth.js',
+    'search.js',
+    'books.js',
+    'messages.js',
+    'detail.js',
+    'images.js',
+    'loans.js',
+    'offers.js',
+    'reservations.js',
+    'expiry.js',
+    'reviews.js',
+    'favorites.js',
+    'profile.js',
+    'settings.js',
+    'accounts.js',
+    'moderation.js',
+    'bulk.js',
+    'offline.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'images/image.png',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+const outbox = new OfflineOutbox();
+
+// 1. Caches the app shell. A file that can't be fetched is skipped rather than failing the whole install.
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_FILES.map(file => cache.add(file).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 2. Deletes the caches of older versions and takes over open pages straight away.
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, IMAGE_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('campuskart-') && !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 3. Answers requests: photos from the cache first, public API reads and the shell from the network first.
+// Anything that changes data (POST, PATCH, PUT, DELETE) and every other API read always go straight to the network.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isImage = request.destination === 'image' || url.pathname.includes('/api/images/');
+    if (isImage) {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (url.pathname.includes('/api/')) {
+        // '/Campus-Kart/api/items/123' is in the 'items' collection.
+        const collection = url.pathname.split('/api/')[1].split('/')[0];
+        if (CACHED_API_COLLECTIONS.includes(collection)) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        }
+    } else if (url.origin === self.location.origin || url.origin === CDN_ORIGIN) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// 4. Sends the outbox once the browser has a connection again, then tells open pages to reload their data
+// and which queued requests the server refused.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(
+        outbox.flush().then(async ({ sent, rejected }) => {
+            if (sent === 0 && rejected.length === 0) return;
+            const pages = await self.clients.matchAll({ type: 'window' });
+            pages.forEach(page => page.postMessage({ type: 'outbox-sent', sent, rejected }));
+        })
+    );
+});
+
+// 5. Returns a cached copy if there is one, otherwise fetches and caches it. Photo URLs never change content.
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimCache(cache, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (error) {
+        // Offline and never seen: the placeholder is better than a broken image.
+        return (await caches.match(new URL('images/image.png', self.registration.scope).href)) || Response.error();
+    }
+}
+
+// 6. Fetches a fresh copy and caches it, falling back to the cached copy when the network is down.
+// Pages fall back to the cached page of the same name whatever their query string (e.g. home.html?view=free).
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// 7. Deletes the oldest entries once a cache holds more than maxEntries.
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) {
+        await cache.delete(key);
+    }
+}
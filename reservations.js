@@ -0,0 +1,347 @@
+// Reservations JavaScript
+// Holds that stop an item being promised to two people. A buyer requests to reserve an
+// available item (modes with `holds` in taxonomy.js) and it's held for them for the window
+// the seller chose; anyone asking while it's held joins a waitlist instead. When a hold ends,
+// because the buyer cancelled, the seller released it or it ran out, the first person on
+// the waitlist gets the next hold, or the item becomes available again. Any signed-in
+// browser that notices an expired hold moves it on, so no server job is needed. The hold
+// is kept on the item itself as `reservation`, the queue as `waitlist`. With a server, every
+// change to a hold is made there (see server/deals.js), one at a time per item.
+
+// The hold windows a seller can choose from, in hours, and the one new listings get.
+const HOLD_WINDOW_HOURS = [12, 24, 48, 72, 168];
+const DEFAULT_HOLD_HOURS = 48;
+// The most buyers that can wait for one item.
+const MAX_WAITLIST_LENGTH = 10;
+// How often the grid's holds are checked for expiry while the page is open.
+const HOLD_CHECK_MS = 60 * 1000;
+
+class ReservationManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user and items.
+    constructor(app) {
+        this.app = app;
+    }
+
+    // 2. Moves on the holds that ran out while nobody was looking, tells the user about holds they were
+    // promoted to, and keeps checking while the page is open. Needs the items to be loaded.
+    async initialize() {
+        await this.expireStale();
+        setInterval(() => this.expireStale(), HOLD_CHECK_MS);
+    }
+
+    // 3. Fills the form's hold window dropdown.
+    fillHoldSelect(select) {
+        select.innerHTML = html`${HOLD_WINDOW_HOURS.map(hours => html`
+            <option value="${hours}" ${hours === DEFAULT_HOLD_HOURS && 'selected'}>${formatHoldWindow(hours)}</option>`)}`;
+    }
+
+    // 4. Returns a hold window from the form or an import as a number of hours, falling back to the default.
+    cleanHoldHours(value) {
+        const hours = Number(value);
+        return HOLD_WINDOW_HOURS.includes(hours) ? hours : DEFAULT_HOLD_HOURS;
+    }
+
+    // 5. Returns a new hold on an item for a buyer ({ id, name, college }), ending after the item's hold window.
+    // Extra fields are kept with it, e.g. the accepted offer a hold came from.
+    createHold(item, buyer, extra = {}) {
+        const reservedAt = new Date();
+        const expiresAt = new Date(reservedAt.getTime() + this.cleanHoldHours(item.holdHours) * 60 * 60 * 1000);
+        return {
+            buyerId: buyer.id,
+            buyerName: buyer.name,
+            buyerCollege: buyer.college || '',
+            ...extra,
+            reservedAt: reservedAt.toISOString(),
+            expiresAt: expiresAt.toISOString()
+        };
+    }
+
+    // 6. Checks whether the current user can reserve an item: its mode allows holds and it's someone else's synced
+    // listing that hasn't expired (see expiry.js).
+    takesHolds(item) {
+        return !!this.app.taxonomy.getMode(item.mode)?.holds && item.sellerId !== this.app.currentUser.id && !item.pendingSync &&
+               !this.app.expiry.isExpired(item);
+    }
+
+    // 7. Checks whether an item's hold has run out. Holds from before expiry existed never do.
+    isExpired(item) {
+        const expiresAt = item.reservation?.expiresAt;
+        return this.app.isReserved(item) && !!expiresAt && new Date(expiresAt) <= new Date();
+    }
+
+    // 8. Returns a user's place on an item's waitlist, counting from 1, or 0 if they aren't on it.
+    getWaitlistPosition(item, userId) {
+        return (item.waitlist || []).findIndex(entry => entry.userId === userId) + 1;
+    }
+
+    // 9. Returns the reserve button for someone else's item, reflecting the current user's hold or place in line.
+    createReserveAction(item) {
+        if (!this.takesHolds(item) || (!this.app.isAvailable(item) && !this.app.isReserved(item))) return '';
+
+        const userId = this.app.currentUser.id;
+        if (this.app.isReserved(item) && item.reservation?.buyerId === userId) {
+            return html`
+                <button class="reserve-btn held" data-item-id="${item.id}">
+                    <i class="fas fa-lock-open"></i> Cancel My Hold
+                </button>`;
+        }
+        const position = this.getWaitlistPosition(item, userId);
+        if (position > 0) {
+            return html`
+                <button class="reserve-btn waiting" data-item-id="${item.id}">
+                    <i class="fas fa-user-clock"></i> #${position} on the Waitlist · Leave
+                </button>`;
+        }
+        if (this.app.isAvailable(item)) {
+            return html`
+                <button class="reserve-btn" data-item-id="${item.id}">
+                    <i class="fas fa-lock"></i> Request to Reserve
+                </button>`;
+        }
+        const waiting = item.waitlist?.length || 0;
+        if (waiting >= MAX_WAITLIST_LENGTH) {
+            return html`<button class="reserve-btn" disabled><i class="fas fa-user-clock"></i> Waitlist Full</button>`;
+        }
+        return html`
+                <button class="reserve-btn" data-item-id="${item.id}">
+                    <i class="fas fa-user-clock"></i> Join Waitlist${waiting > 0 && ` (${waiting} waiting)`}
+                </button>`;
+    }
+
+    // 10. Runs the reserve button: cancels the user's hold, takes them off the waitlist, or asks for the item.
+    async handleAction(item) {
+        const userId = this.app.currentUser.id;
+        if (this.app.isReserved(item) && item.reservation?.buyerId === userId) {
+            await this.cancel(item);
+        } else if (this.getWaitlistPosition(item, userId) > 0) {
+            await this.leaveWaitlist(item);
+        } else {
+            await this.request(item);
+        }
+    }
+
+    // 11. Holds an available item for the current user, or puts them on the waitlist if it's already held.
+    async request(item) {
+        let updated;
+        try {
+            updated = await this.apply(item.id, 'request');
+        } catch (error) {
+            // A request refused on the stored copy says why, e.g. the waitlist filled up or the item was just sold.
+            if (error.status === 409) {
+                this.app.showNotification(error.message, 'info');
+                this.app.applyFilters();
+            } else {
+                this.app.showNotification('Could not reserve the item. Please try again.', 'error');
+            }
+            return;
+        }
+
+        if (updated.reservation?.buyerId === this.app.currentUser.id) {
+            this.app.showNotification(
+                `"${updated.name}" is reserved for you until ${formatHoldTime(updated.reservation.expiresAt)}. Contact the seller to arrange the handover.`,
+                'success'
+            );
+        } else {
+            this.app.showNotification(
+                `"${updated.name}" is held for someone else. You're #${this.getWaitlistPosition(updated, this.app.currentUser.id)} on the waitlist and will get the next hold.`,
+                'info'
+            );
+        }
+        this.app.applyFilters();
+        this.app.detail.refresh();
+    }
+
+    // 12. Gives up the current user's hold on an item, passing it to the next person waiting.
+    async cancel(item) {
+        if (!confirm(`Cancel your hold on "${item.name}"?`)) return;
+        try {
+            await this.apply(item.id, 'cancel');
+        } catch (error) {
+            this.app.showNotification('Could not cancel your hold. Please try again.', 'error');
+            return;
+        }
+        this.app.applyFilters();
+        this.app.detail.refresh();
+        this.app.showNotification('Your hold was cancelled', 'info');
+    }
+
+    // 13. Takes the current user off an item's waitlist.
+    async leaveWaitlist(item) {
+        try {
+            await this.apply(item.id, 'leave');
+        } catch (error) {
+            this.app.showNotification('Could not leave the waitlist. Please try again.', 'error');
+            return;
+        }
+        this.app.applyFilters();
+        this.app.detail.refresh();
+        this.app.showNotification('You left the waitlist', 'info');
+    }
+
+    // 14. Ends the hold on one of the seller's items. The next person waiting gets it, or it's available again.
+    async release(item) {
+        if (!confirm(`Release the hold on "${item.name}"?`)) return;
+        let updated;
+        try {
+            updated = await this.apply(item.id, 'release');
+        } catch (error) {
+            this.app.showNotification('Could not release the hold. Please try again.', 'error');
+            return;
+        }
+        this.app.applyFilters();
+        this.app.detail.refresh();
+        this.app.showNotification(
+            this.app.isReserved(updated)
+                ? `Hold released. "${updated.name}" is now reserved for ${updated.reservation.buyerName}, next on the waitlist.`
+                : 'Hold released. The listing is available again.',
+            'success'
+        );
+    }
+
+    // 15. Loads the stored copy of an item, moving its hold on first if it has run out. Resolves to null if it's gone.
+    async refresh(itemId) {
+        const stored = await this.app.storage.get('items', itemId);
+        return stored && this.isExpired(stored) ? this.apply(itemId, 'expire') : stored;
+    }
+
+    // 16. Carries out a change to an item's hold and resolves to the item as it is now: 'request', 'cancel',
+    // 'leave', 'release', 'expire' or 'announce'. With a server, the server makes the change on the stored copy
+    // (see server/deals.js), so two buyers asking at once can't both get the hold and two browsers can't both move
+    // the waitlist on. Without one, every account lives in this browser and the change is made here.
+    // A request that can't be met is refused with a 409 error.
+    async apply(itemId, action) {
+        if (this.app.storage.shared) {
+            const updated = await this.app.storage.perform('items', itemId, 'holds', { action });
+            this.app.items = this.app.items.map(i => (i.id === updated.id ? updated : i));
+            return updated;
+        }
+
+        const stored = await this.app.storage.get('items', itemId);
+        if (!stored) throw holdRefused('This item is no longer available');
+        const item = await this.expire(stored);
+        const user = this.app.currentUser;
+        const isHolder = this.app.isReserved(item) && item.reservation?.buyerId === user.id;
+        switch (action) {
+            case 'request':
+                return this.reserve(item);
+            case 'cancel':
+                if (!isHolder) return item;
+                await this.app.offers.close(item.reservation.offerId, 'withdrawn', { by: 'buyer', action: 'withdrew' });
+                return this.promote(item);
+            case 'leave':
+                if (this.getWaitlistPosition(item, user.id) === 0) return item;
+                return this.save(item, { waitlist: item.waitlist.filter(entry => entry.userId !== user.id) });
+            case 'release':
+                if (item.sellerId !== user.id || !this.app.isReserved(item)) return item;
+                await this.app.offers.close(item.reservation?.offerId, 'cancelled', { by: 'seller', action: 'released' });
+                return this.promote(item);
+            case 'announce':
+                if (!isHolder) return item;
+                return this.save(item, { reservation: { ...item.reservation, announced: true } });
+            default:
+                return item;
+        }
+    }
+
+    // 17. Holds an available item for the current user, or adds them to the waitlist if it's held for someone else.
+    // Used without a server; server/deals.js does the same there.
+    async reserve(item) {
+        const user = this.app.currentUser;
+        if (this.app.isAvailable(item) && !this.app.expiry.isExpired(item)) {
+            return this.save(item, { status: 'reserved', reservation: this.createHold(item, user) });
+        }
+        if (!this.app.isReserved(item)) throw holdRefused('This item is no longer available');
+        if (item.reservation?.buyerId === user.id || this.getWaitlistPosition(item, user.id) > 0) return item;
+        if ((item.waitlist || []).length >= MAX_WAITLIST_LENGTH) throw holdRefused('The waitlist for this item is full');
+        return this.save(item, {
+            waitlist: [...(item.waitlist || []), {
+                userId: user.id,
+                userName: user.name,
+                userCollege: user.college || '',
+                requestedAt: new Date().toISOString()
+            }]
+        });
+    }
+
+    // 18. Ends an item's hold if it has run out, closing the offer it came from. Returns the item as it is now.
+    // Used without a server.
+    async expire(item) {
+        if (!this.isExpired(item)) return item;
+        await this.app.offers.close(item.reservation.offerId, 'expired', { by: 'system', action: 'expired' });
+        return this.promote(item);
+    }
+
+    // 19. Moves on the expired holds among the loaded items and redraws the grid if any changed.
+    async expireStale() {
+        let changed = false;
+        for (const item of this.app.items.filter(i => this.isExpired(i))) {
+            try {
+                // Another browser may have moved the hold on already, so the stored copy decides.
+                await this.apply(item.id, 'expire');
+                changed = true;
+            } catch (error) {
+                // Tried again on the next check.
+            }
+        }
+        await this.announcePromotions();
+        if (changed) {
+            this.app.applyFilters();
+            this.app.detail.refresh();
+        }
+    }
+
+    // 20. Tells the current user about holds they got from the waitlist since they last looked.
+    async announcePromotions() {
+        const userId = this.app.currentUser.id;
+        const promoted = this.app.items.filter(item =>
+            this.app.isReserved(item) && item.reservation?.buyerId === userId && item.reservation.promoted && !item.reservation.announced
+        );
+        for (const item of promoted) {
+            this.app.showNotification(
+                `Your turn! "${item.name}" is now reserved for you until ${formatHoldTime(item.reservation.expiresAt)}.`,
+                'success'
+            );
+            try {
+                await this.apply(item.id, 'announce');
+            } catch (error) {
+                // It's announced again next time.
+            }
+        }
+    }
+
+    // 21. Ends an item's current hold: the first person on the waitlist gets a new one, or the item is available again.
+    async promote(item) {
+        const [next, ...rest] = item.waitlist || [];
+        return this.save(item, next
+            ? {
+                status: 'reserved',
+                reservation: this.createHold(item, { id: next.userId, name: next.userName, college: next.userCollege }, { promoted: true }),
+                waitlist: rest
+            }
+            : { status: 'available', reservation: null });
+    }
+
+    // 22. Saves changes to an item's hold or waitlist and swaps the stored item into the loaded list.
+    async save(item, changes) {
+        const updated = await this.app.storage.update('items', item.id, { ...changes, updatedAt: new Date().toISOString() });
+        this.app.items = this.app.items.map(i => (i.id === updated.id ? updated : i));
+        return updated;
+    }
+}
+
+// Returns the error a hold request is refused with when it can't be met, matching the server's 409.
+function holdRefused(message) {
+    return Object.assign(new Error(message), { status: 409 });
+}
+
+// Formats a hold window for the form, e.g. '12 hours', '2 days' or '1 week'.
+function formatHoldWindow(hours) {
+    if (hours % 168 === 0) return hours === 168 ? '1 week' : `${hours / 168} weeks`;
+    if (hours % 24 === 0) return hours === 24 ? '1 day' : `${hours / 24} days`;
+    return `${hours} hours`;
+}
+
+// Formats when a hold ends, e.g. 'Oct 20, 3:00 PM'.
+function formatHoldTime(dateString) {
+    return new Date(dateString).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
@@ -0,0 +1,290 @@
+// Reviews JavaScript
+// Seller ratings. When a seller marks an item sold, given away or traded they say who it went
+// to, and a borrower's loan ends when it's returned; either way that buyer or borrower
+// can then rate the seller 1–5 with a short review, once per deal. Reviews live in the
+// 'reviews' collection and are summed up wherever a seller is shown.
+
+// The longest review text that can be written.
+const MAX_REVIEW_LENGTH = 500;
+// How many of a seller's latest reviews are shown on a listing's detail page.
+const RECENT_REVIEWS_LIMIT = 3;
+// The item statuses that end a deal with a named buyer, who can then review the seller.
+const REVIEWABLE_STATUSES = ['sold', 'given', 'traded'];
+
+class ReviewManager {
+    // 1. The constructor keeps a reference to the main app for its storage, user, items and modals.
+    constructor(app) {
+        this.app = app;
+        // Completed deals the current user took part in as buyer or borrower and hasn't reviewed yet.
+        this.pending = [];
+        // Each seller's reviews, newest first, by seller id. Filled on demand and updated when a review is added.
+        this.reviewsBySeller = new Map();
+        // The deal being reviewed, and the item and status waiting for the seller to pick a buyer.
+        this.reviewDeal = null;
+        this.completingItem = null;
+        this.completingStatus = null;
+    }
+
+    // 2. Wires up the review and 'who was it for?' forms and finds deals waiting for a review.
+    async initialize() {
+        document.getElementById('reviewForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.submitReview();
+        });
+        document.getElementById('completeDealForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.completeDeal();
+        });
+        // 'Rate seller' buttons in the list of deals to review.
+        document.getElementById('pendingReviewsList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-deal-id]');
+            if (btn) this.openReviewModal(btn.getAttribute('data-deal-id'));
+        });
+
+        await this.loadPending();
+    }
+
+    // 3. Lists the completed deals the current user can still review: items sold or given to them, and returned loans.
+    async loadPending() {
+        const userId = this.app.currentUser.id;
+        let written = [];
+        try {
+            written = await this.app.storage.list('reviews', { reviewerId: userId });
+        } catch (error) {
+            // Without the server nothing can be reviewed anyway; the list simply stays empty.
+            this.pending = [];
+            this.renderPending();
+            return;
+        }
+        const reviewed = new Set(written.map(review => review.dealId));
+
+        const purchases = this.app.items
+            .filter(item => item.buyerId === userId && REVIEWABLE_STATUSES.includes(item.status))
+            .map(item => ({
+                id: `sale:${item.id}`,
+                itemId: item.id,
+                itemName: item.name,
+                sellerId: item.sellerId,
+                sellerName: item.sellerName
+            }));
+        const loans = this.app.loans.loans
+            .filter(loan => loan.borrowerId === userId && loan.status === 'returned')
+            .map(loan => ({
+                id: `loan:${loan.id}`,
+                itemId: loan.itemId,
+                itemName: loan.itemName,
+                sellerId: loan.ownerId,
+                sellerName: this.app.items.find(item => item.id === loan.itemId)?.sellerName || 'the owner'
+            }));
+
+        // A seller can't review themselves, even if they somehow ended up as the buyer of their own item.
+        this.pending = [...purchases, ...loans].filter(deal => !reviewed.has(deal.id) && deal.sellerId !== userId);
+        this.renderPending();
+    }
+
+    // 4. Shows the 'Rate your recent deals' list above the grid, or hides it when there's nothing to review.
+    renderPending() {
+        const section = document.getElementById('pendingReviews');
+        if (!section) return;
+        section.style.display = this.pending.length ? 'block' : 'none';
+        document.getElementById('pendingReviewsList').innerHTML = html`${this.pending.map(deal => html`
+            <div class="pending-review">
+                <span><strong>${deal.itemName}</strong> from ${deal.sellerName}</span>
+                <button class="review-btn" data-deal-id="${deal.id}">
+                    <i class="fas fa-star"></i> Rate Seller
+                </button>
+            </div>
+        `)}`;
+    }
+
+    // 5. Returns the current user's unreviewed deal for an item, if any.
+    getPendingDealForItem(itemId) {
+        return this.pending.find(deal => deal.itemId === itemId) || null;
+    }
+
+    // 6. Opens the review modal for one of the current user's completed deals.
+    openReviewModal(dealId) {
+        const deal = this.pending.find(d => d.id === dealId);
+        if (!deal) {
+            this.app.showNotification('You can only review sellers you completed a deal with', 'error');
+            return;
+        }
+        this.reviewDeal = deal;
+        document.getElementById('reviewForm').reset();
+        document.getElementById('reviewSellerName').textContent = deal.sellerName;
+        document.getElementById('reviewItemName').textContent = deal.itemName;
+        this.app.openModal('reviewModal');
+    }
+
+    // 7. Validates and saves the review, after checking again that the deal really happened and isn't reviewed yet.
+    async submitReview() {
+        const deal = this.reviewDeal;
+        if (!deal) return;
+
+        const rating = Number(document.querySelector('#reviewForm input[name="rating"]:checked')?.value);
+        const text = document.getElementById('reviewText').value.trim();
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            this.app.showNotification('Please choose a rating from 1 to 5 stars', 'error');
+            return;
+        }
+        if (text.length > MAX_REVIEW_LENGTH) {
+            this.app.showNotification(`Reviews can be at most ${MAX_REVIEW_LENGTH} characters`, 'error');
+            return;
+        }
+
+        const user = this.app.currentUser;
+        try {
+            if (!(await this.isEligible(deal))) {
+                this.app.showNotification('You can only review sellers you completed a deal with', 'error');
+                return;
+            }
+            // The id combines deal and reviewer, so a second review of the same deal is refused as a duplicate.
+            const review = await this.app.storage.create('reviews', {
+                id: `${deal.id}:${user.id}`,
+                dealId: deal.id,
+                itemId: deal.itemId,
+                itemName: deal.itemName,
+                sellerId: deal.sellerId,
+                reviewerId: user.id,
+                reviewerName: user.name,
+                rating,
+                text,
+                createdAt: new Date().toISOString()
+            });
+            this.reviewsBySeller.get(deal.sellerId)?.unshift(review);
+        } catch (error) {
+            this.app.showNotification('Could not save your review. Please try again.', 'error');
+            return;
+        }
+
+        this.pending = this.pending.filter(d => d.id !== deal.id);
+        this.renderPending();
+        this.app.closeModal('reviewModal');
+        this.app.detail.refresh();
+        this.app.showNotification('Thanks for your review!', 'success');
+    }
+
+    // 8. Checks the stored records behind a deal: the user must be its buyer or borrower, not the seller,
+    // the deal must be complete, and it must not have been reviewed already.
+    async isEligible(deal) {
+        const userId = this.app.currentUser.id;
+        if (deal.sellerId === userId) return false;
+        if (await this.app.storage.get('reviews', `${deal.id}:${userId}`)) return false;
+
+        const [kind, recordId] = deal.id.split(/:(.+)/);
+        if (kind === 'sale') {
+            const item = await this.app.storage.get('items', recordId);
+            return !!item && item.buyerId === userId && item.sellerId === deal.sellerId && REVIEWABLE_STATUSES.includes(item.status);
+        }
+        const loan = await this.app.storage.get('loans', recordId);
+        return !!loan && loan.borrowerId === userId && loan.ownerId === deal.sellerId && loan.status === 'returned';
+    }
+
+    // 9. Returns a seller's reviews, newest first, loading them the first time they're needed.
+    async getReviews(sellerId) {
+        if (!this.reviewsBySeller.has(sellerId)) {
+            const reviews = await this.app.storage.list('reviews', { sellerId });
+            this.reviewsBySeller.set(sellerId, reviews.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+        }
+        return this.reviewsBySeller.get(sellerId);
+    }
+
+    // 10. Returns a seller's average rating and review count, e.g. { average: 4.5, count: 12 }.
+    async getSummary(sellerId) {
+        try {
+            const reviews = await this.getReviews(sellerId);
+            const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+            return { average: reviews.length ? total / reviews.length : 0, count: reviews.length };
+        } catch (error) {
+            return { average: 0, count: 0 };
+        }
+    }
+
+    // 11. Returns the stars, average and count for a seller's summary, or 'No reviews yet'.
+    createRatingSummary(summary) {
+        if (!summary.count) {
+            return html`<span class="rating-summary empty">No reviews yet</span>`;
+        }
+        return html`
+            <span class="rating-summary" title="${summary.average.toFixed(1)} out of 5">
+                ${this.createStars(summary.average)}
+                <strong>${summary.average.toFixed(1)}</strong>
+                <span>(${summary.count} ${summary.count === 1 ? 'review' : 'reviews'})</span>
+            </span>`;
+    }
+
+    // 12. Returns five star icons for a rating, rounded to the nearest half star.
+    createStars(rating) {
+        const halves = Math.round(rating * 2);
+        return html`<span class="stars">${[1, 2, 3, 4, 5].map(star => {
+            const icon = halves >= star * 2 ? 'fas fa-star' : halves === star * 2 - 1 ? 'fas fa-star-half-alt' : 'far fa-star';
+            return html`<i class="${icon}"></i>`;
+        })}</span>`;
+    }
+
+    // 13. Returns a seller's latest reviews for the detail page.
+    createRecentReviews(reviews) {
+        if (!reviews.length) return '';
+        return html`
+            <div class="recent-reviews">
+                ${reviews.slice(0, RECENT_REVIEWS_LIMIT).map(review => html`
+                    <div class="review">
+                        <div class="review-header">
+                            ${this.createStars(review.rating)}
+                            <strong>${review.reviewerName}</strong>
+                            <span class="review-date">${new Date(review.createdAt).toLocaleDateString()}</span>
+                        </div>
+                        ${review.text && html`<p>${review.text}</p>`}
+                    </div>
+                `)}
+            </div>`;
+    }
+
+    // 14. Asks the seller who an item went to before marking it sold, given away or traded, so that person can review them.
+    // The choices are the buyer it's reserved for, the buyers who messaged about it, or someone who isn't on CampusKart.
+    async openCompleteDealModal(item, status) {
+        this.completingItem = item;
+        this.completingStatus = status;
+
+        let threads = [];
+        try {
+            threads = await this.app.storage.list('threads', { itemId: item.id, sellerId: this.app.currentUser.id });
+        } catch (error) {
+            // The item can still be closed out without naming the buyer.
+        }
+
+        // The buyer an accepted offer reserved the item for is the likely one, so they come first.
+        const reserved = item.reservation && { buyerId: item.reservation.buyerId, buyerName: item.reservation.buyerName, buyerCollege: '' };
+        threads = [...(reserved ? [reserved] : []), ...threads.filter(thread => thread.buyerId !== reserved?.buyerId)];
+
+        document.getElementById('completeDealTitle').textContent = `Who was "${item.name}" ${{ given: 'given to', traded: 'traded with' }[status] || 'sold to'}?`;
+        document.getElementById('completeDealOptions').innerHTML = html`
+            ${threads.map((thread, index) => html`
+                <label class="deal-option">
+                    <input type="radio" name="dealBuyer" value="${thread.buyerId}" data-name="${thread.buyerName}" ${index === 0 ? 'checked' : ''}>
+                    ${thread.buyerName}${thread.buyerCollege && html` <span>· ${thread.buyerCollege}</span>`}
+                </label>
+            `)}
+            <label class="deal-option">
+                <input type="radio" name="dealBuyer" value="" ${threads.length === 0 ? 'checked' : ''}>
+                Someone not on CampusKart
+            </label>`;
+        this.app.openModal('completeDealModal');
+    }
+
+    // 15. Marks the item sold, given away or traded to the chosen buyer.
+    async completeDeal() {
+        const item = this.completingItem;
+        if (!item) return;
+
+        const choice = document.querySelector('#completeDealForm input[name="dealBuyer"]:checked');
+        const buyerId = choice?.value || null;
+        this.app.closeModal('completeDealModal');
+        await this.app.setItemStatus(item.id, this.completingStatus, {
+            buyerId,
+            buyerName: buyerId ? choice.getAttribute('data-name') : null,
+            completedAt: new Date().toISOString()
+        });
+        this.completingItem = null;
+    }
+}
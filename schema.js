@@ -0,0 +1,120 @@
+// Schema JavaScript
+// The stored shape of items and users, and how older records are brought up to date.
+// Records are stamped with the schema version they were saved in (`schemaVersion`); those
+// from before versioning count as version 1. Whenever the storage layer reads a record, the
+// migrations after its version run in order, and a record that still isn't a usable item or
+// user is left out instead of breaking the page. To change a shape, bump the version and add
+// a migration that turns the previous shape into the new one.
+
+const RECORD_SCHEMAS = {
+    // Items, as created in app.js (createListing): id, name, category, subcategory, attributes, courses,
+    // semester, mode, price, wants, holdHours, description, photos, status, seller fields, createdAt and
+    // expiresAt, plus the loan, reservation and waitlist while a deal is under way.
+    items: {
+        version: 5,
+        migrations: {
+            // 2: statuses arrived with My Listings; listings from before are still available.
+            2: item => ({ ...item, status: item.status || 'available' }),
+            // 3: photos moved to the image store (see images.js), and the seller's email is no longer copied onto
+            // listings, since sellers now choose whether to show it. A single `image` is moved later by app.js.
+            3: ({ sellerEmail, ...item }) => ({ ...item, photos: Array.isArray(item.photos) ? item.photos : [] }),
+            // 4: the taxonomy added attributes and course tags, and a price is always a number. The first
+            // version saved a blank price as null.
+            4: item => ({
+                ...item,
+                price: toStoredPrice(item.price),
+                attributes: isPlainObject(item.attributes) ? item.attributes : {},
+                courses: Array.isArray(item.courses) ? item.courses : []
+            }),
+            // 5: listings started expiring (see expiry.js). Those from before get a full 30-day lifetime from
+            // now, so their sellers see the renew reminder before anything is deleted.
+            5: item => ({ ...item, expiresAt: item.expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() })
+        },
+        required: { id: 'string', name: 'string', category: 'string', mode: 'string', price: 'number', sellerId: 'string' }
+    },
+    // Users, as created in auth.js (createAccount): id, name, email, the password hash fields, college,
+    // collegeId, emailVerified, role, showEmail and createdAt, plus suspension fields set by moderators.
+    // The server leaves out someone else's email unless they chose to show it, so it isn't required.
+    users: {
+        version: 3,
+        migrations: {
+            // 2: sign-up started checking college emails. Accounts from before aren't verified, and always have a role.
+            2: user => ({
+                ...user,
+                emailVerified: user.emailVerified === true,
+                collegeId: user.collegeId || null,
+                role: user.role || 'buyer'
+            }),
+            // 3: account settings made showing the email a choice, off unless the user turned it on.
+            3: user => ({ ...user, showEmail: user.showEmail === true })
+        },
+        required: { id: 'string', name: 'string' }
+    }
+};
+
+// Brings a record up to its collection's current schema. Returns the upgraded copy (or the record itself if it
+// was current or the collection has no schema), or null if it isn't a usable record.
+function upgradeRecord(collection, record) {
+    if (!isPlainObject(record)) return null;
+    const schema = RECORD_SCHEMAS[collection];
+    if (!schema) return record;
+
+    const from = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 1;
+    let upgraded = record;
+    try {
+        for (let version = from + 1; version <= schema.version; version++) {
+            upgraded = schema.migrations[version](upgraded);
+        }
+    } catch (error) {
+        return null;
+    }
+    if (from < schema.version) {
+        upgraded = { ...upgraded, schemaVersion: schema.version };
+    }
+    return hasRequiredFields(schema, upgraded) ? upgraded : null;
+}
+
+// Upgrades every record read from a collection. Returns the usable records, the ones that had to be left out,
+// and whether any record changed, so the caller can save the upgraded copies.
+function upgradeRecords(collection, records) {
+    const valid = [];
+    const rejected = [];
+    let upgraded = false;
+    records.forEach(record => {
+        const result = upgradeRecord(collection, record);
+        if (!result) {
+            rejected.push(record);
+            return;
+        }
+        valid.push(result);
+        if (result !== record) upgraded = true;
+    });
+    return { records: valid, rejected, upgraded };
+}
+
+// Stamps a new record with its collection's current schema version before it's saved.
+function stampSchemaVersion(collection, record) {
+    const schema = RECORD_SCHEMAS[collection];
+    return schema ? { ...record, schemaVersion: schema.version } : record;
+}
+
+// Checks that a record has every required field, with the right type. Strings must not be empty and
+// numbers must be finite.
+function hasRequiredFields(schema, record) {
+    return Object.entries(schema.required).every(([field, type]) => {
+        const value = record[field];
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeof value === type && value !== '';
+    });
+}
+
+// Turns a stored price into a number of at least 0. Blank, missing or unreadable prices become 0.
+function toStoredPrice(value) {
+    const price = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof price === 'number' && Number.isFinite(price) && price > 0 ? price : 0;
+}
+
+// Checks whether a value is a plain object, such as a parsed JSON record, rather than an array, null or a primitive.
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,197 @@
+// Search JavaScript
+// An in-memory inverted index over the listings. Queries are tokenized the same way as
+// the items, each query word may match a whole word, a prefix or a close misspelling,
+// and results are ranked by where and how well the words matched.
+
+// How much a match in each field counts towards an item's relevance.
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    courses: 3,
+    category: 1.5,
+    details: 1.5,
+    description: 1,
+    sellerName: 1,
+    sellerCollege: 1
+};
+
+// How much each kind of match counts, relative to an exact word match.
+const SEARCH_MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+class SearchIndex {
+    // 1. The constructor starts with an empty index; build() fills it.
+    constructor() {
+        // Maps each indexed term to the items (and fields) it appears in: term -> Map(itemId -> best field weight).
+        this.postings = new Map();
+        // The items array the index was built from, used to detect when it needs rebuilding.
+        this.indexedItems = null;
+        this.indexedCount = 0;
+    }
+
+    // 2. Rebuilds the index if the items changed since the last build. getCategoryName turns codes (and
+    // 'category:subcategory' values) into searchable labels.
+    sync(items, getCategoryName) {
+        // The app replaces the array on edits and pushes onto it on adds, so both are cheap to detect.
+        if (items === this.indexedItems && items.length === this.indexedCount) return;
+        this.build(items, getCategoryName);
+    }
+
+    // 3. Indexes every searchable field of every item.
+    build(items, getCategoryName) {
+        this.postings = new Map();
+        this.indexedItems = items;
+        this.indexedCount = items.length;
+
+        items.forEach(item => {
+            const fields = {
+                name: item.name,
+                // Course codes are also indexed joined up, so 'CHEM 201' is found by 'chem201' as well as 'chem 201'.
+                courses: (item.courses || []).flatMap(course => [course, course.replace(/\s+/g, '')]).join(' '),
+                category: getCategoryName(item.subcategory ? `${item.category}:${item.subcategory}` : item.category),
+                // Book details (ISBN, author, edition), sizes and the like, plus the semester and what a trade wants.
+                details: [...Object.values(item.attributes || {}), item.semester, item.wants].filter(Boolean).join(' '),
+                description: item.description,
+                sellerName: item.sellerName,
+                sellerCollege: item.sellerCollege
+            };
+            Object.entries(fields).forEach(([field, text]) => {
+                tokenize(text).forEach(term => this.addPosting(term, item.id, SEARCH_FIELD_WEIGHTS[field]));
+            });
+        });
+    }
+
+    // 4. Records that a term appears in an item, keeping the highest-weighted field it appears in.
+    addPosting(term, itemId, weight) {
+        if (!this.postings.has(term)) {
+            this.postings.set(term, new Map());
+        }
+        const items = this.postings.get(term);
+        items.set(itemId, Math.max(items.get(itemId) || 0, weight));
+    }
+
+    // 5. Runs a query. Returns a Map of itemId -> { score, terms } for items matching every query word,
+    // where terms is the set of indexed terms that matched (used for highlighting).
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return null;
+
+        let results = null;
+        queryTerms.forEach(queryTerm => {
+            // Scores every item for this one query word, keeping its best match.
+            const termResults = new Map();
+            this.matchTerms(queryTerm).forEach(({ term, score }) => {
+                this.postings.get(term).forEach((weight, itemId) => {
+                    const current = termResults.get(itemId);
+                    const value = weight * score;
+                    if (!current) {
+                        termResults.set(itemId, { score: value, terms: new Set([term]) });
+                    } else {
+                        // Every matching term is highlighted, but only the best one counts towards the score.
+                        current.score = Math.max(current.score, value);
+                        current.terms.add(term);
+                    }
+                });
+            });
+
+            // Items must match every query word, so only those already in the results carry over.
+            if (results === null) {
+                results = termResults;
+                return;
+            }
+            const combined = new Map();
+            termResults.forEach((match, itemId) => {
+                const previous = results.get(itemId);
+                if (previous) {
+                    combined.set(itemId, {
+                        score: previous.score + match.score,
+                        terms: new Set([...previous.terms, ...match.terms])
+                    });
+                }
+            });
+            results = combined;
+        });
+
+        return results;
+    }
+
+    // 6. Finds indexed terms that match one query word exactly, by prefix, or within a small typo distance.
+    matchTerms(queryTerm) {
+        const matches = [];
+        const maxDistance = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+
+        this.postings.forEach((_, term) => {
+            if (term === queryTerm) {
+                matches.push({ term, score: SEARCH_MATCH_SCORES.exact });
+            } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+                // Lets partial words like 'calc' find 'calculator' while the user is still typing.
+                matches.push({ term, score: SEARCH_MATCH_SCORES.prefix });
+            } else if (maxDistance > 0 && Math.abs(term.length - queryTerm.length) <= maxDistance &&
+                       sameDigits(term, queryTerm) && editDistance(term, queryTerm, maxDistance) <= maxDistance) {
+                matches.push({ term, score: SEARCH_MATCH_SCORES.fuzzy });
+            }
+        });
+        return matches;
+    }
+}
+
+// Splits text into lowercase search terms. Besides each word and its letter/number parts,
+// a hyphenated or mixed word is also indexed joined up, so 'TI-84' is found by 'ti84', 'ti' and '84'.
+function tokenize(text) {
+    if (!text) return [];
+    const terms = [];
+    String(text).toLowerCase().split(/\s+/).forEach(word => {
+        const parts = word.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        terms.push(...parts);
+        if (parts.length > 1) {
+            terms.push(parts.join(''));
+        }
+    });
+    return terms;
+}
+
+// Wraps the words of a text that matched a search in <mark> tags. `escape` is applied to every piece of the
+// original text, so callers decide how the text is made safe for HTML.
+function highlightTerms(text, terms, escape = value => value) {
+    if (!text) return '';
+    if (!terms || terms.size === 0) return escape(text);
+
+    // Splits the text into words and the characters between them, keeping both.
+    return String(text).split(/(\S+)/).map(piece => {
+        const matched = tokenize(piece).some(term => terms.has(term));
+        return matched ? `<mark>${escape(piece)}</mark>` : escape(piece);
+    }).join('');
+}
+
+// Checks whether two words contain the same digits in the same order. A different number is a different
+// thing rather than a typo ('CHEM 101' is not 'CHEM 201', a TI-83 is not a TI-84), so only letters may be misspelt.
+function sameDigits(a, b) {
+    return a.replace(/\D/g, '') === b.replace(/\D/g, '');
+}
+
+// Damerau–Levenshtein distance (with adjacent swaps) between two words, giving up early once it exceeds maxDistance.
+function editDistance(a, b, maxDistance) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            // Counts swapped neighbours ('teh' -> 'the') as a single typo.
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
@@ -0,0 +1,201 @@
+// Access Rules JavaScript (server)
+// Who may read, create, change and delete the records of each collection through the generic
+// REST routes (see index.js). Those routes are only open to a signed-in caller. A record can
+// only be changed by the people it belongs to, and the fields naming those people never change
+// after it's created. Steps that several people race for, like holds and accepting offers, have
+// routes of their own (see deals.js).
+import { isStaff } from './auth.js';
+import { colleges } from './shared.js';
+
+// The fields moderators set on a listing they hide (see moderation.js). Sellers can't change them.
+const HIDDEN_FIELDS = ['hidden', 'hiddenAt', 'hiddenBy', 'hiddenReason', 'hiddenForSuspension'];
+// The fields set on an account when it's suspended. Only moderators can change them, and never on their own account.
+const SUSPENSION_FIELDS = ['suspended', 'suspendedAt', 'suspendedBy', 'suspendedReason'];
+// The fields naming who an item went to. They're set by completing the deal (see deals.js), so a buyer can review
+// the seller; otherwise they can only be cleared, when the item is relisted.
+const DEAL_FIELDS = ['buyerId', 'buyerName', 'completedAt'];
+// The statuses the owner can move a loan on to from each status: a request is approved or declined, and an approved
+// loan is returned.
+const LOAN_STEPS = { requested: ['approved', 'declined'], approved: ['returned'] };
+// The fields that follow from an account's verified email address, set by the server when the email changes.
+const ACCOUNT_EMAIL_FIELDS = ['emailVerified', 'college', 'collegeId'];
+// The roles an admin can give someone: appointing a moderator, or making them a regular user again.
+const APPOINTED_ROLES = ['moderator', 'both'];
+
+// For each collection: `read`, `create`, `update` and `remove` decide whether the caller may do that to a record,
+// given { caller, record, changes, store }; `fixed` lists the fields that can't change once the record exists.
+const RULES = {
+    // Listings are browsed by everyone. Only the seller changes or deletes one. Moderators can hide or remove any
+    // listing, but not edit it otherwise (see moderation.js).
+    items: {
+        read: () => true,
+        create: ({ caller, record }) => record.sellerId === caller.id && ![...HIDDEN_FIELDS, ...DEAL_FIELDS].some(field => record[field]) &&
+            isOwnCampus(caller, record),
+        update: ({ caller, record, changes }) => {
+            const changed = changedFields(record, changes);
+            if (changed.some(field => HIDDEN_FIELDS.includes(field)) && !isStaff(caller)) return false;
+            if (changed.some(field => DEAL_FIELDS.includes(field) && changes[field] !== null)) return false;
+            if (!isOwnCampus(caller, changes)) return false;
+            return record.sellerId === caller.id || (isStaff(caller) && onlyChanges(changes, HIDDEN_FIELDS));
+        },
+        remove: ({ caller, record }) => record.sellerId === caller.id || isStaff(caller),
+        fixed: ['sellerId']
+    },
+    // Accounts are created by signing up and deleted with the password (see index.js). Their owner edits the
+    // profile; moderators suspend them and admins appoint moderators (see canModerate()).
+    users: {
+        read: () => true,
+        create: () => false,
+        update: ({ caller, record, changes }) => {
+            const changed = changedFields(record, changes);
+            // A new email is marked verified once its code is checked, and the college is the one it belongs to (see
+            // index.js); otherwise neither changes.
+            if (changed.some(field => ACCOUNT_EMAIL_FIELDS.includes(field)) && !changed.includes('email')) return false;
+            if (changed.some(field => SUSPENSION_FIELDS.includes(field)) && !canModerate(caller, record)) return false;
+            if (changed.includes('role')) {
+                // A buyer can start selling; every other role change is an admin appointing or demoting a moderator.
+                const upgrades = record.id === caller.id && record.role === 'buyer' && changes.role === 'both';
+                const appoints = caller.role === 'admin' && canModerate(caller, record) && APPOINTED_ROLES.includes(changes.role);
+                if (!upgrades && !appoints) return false;
+            }
+            return record.id === caller.id || (canModerate(caller, record) && onlyChanges(changes, [...SUSPENSION_FIELDS, 'role']));
+        },
+        remove: () => false,
+        fixed: []
+    },
+    // A conversation about an item is only seen by its two participants, the buyer and the seller (see messages.js).
+    // The buyer starts it, with the item's seller, under the id messages.js derives for that buyer and item.
+    threads: {
+        read: ({ caller, record }) => [record.buyerId, record.sellerId].includes(caller.id),
+        create: async ({ caller, record, store }) => {
+            if (record.buyerId !== caller.id || record.sellerId === caller.id || record.id !== `${record.itemId}:${record.buyerId}`) return false;
+            return (await store.get('items', record.itemId))?.sellerId === record.sellerId;
+        },
+        update: ({ caller, record }) => [record.buyerId, record.sellerId].includes(caller.id),
+        remove: () => false,
+        fixed: ['buyerId', 'sellerId', 'itemId']
+    },
+    // A message is sent as the caller, in a conversation they take part in, to the other participant. Its recipient
+    // can only mark it read; nobody edits what was said.
+    messages: {
+        read: ({ caller, record }) => [record.senderId, record.recipientId].includes(caller.id),
+        create: async ({ caller, record, store }) => {
+            if (record.senderId !== caller.id) return false;
+            const thread = await store.get('threads', record.threadId);
+            if (!thread) return false;
+            return (thread.buyerId === caller.id && record.recipientId === thread.sellerId) ||
+                (thread.sellerId === caller.id && record.recipientId === thread.buyerId);
+        },
+        update: ({ caller, record, changes }) => record.recipientId === caller.id && onlyChanges(changes, ['readAt']),
+        remove: () => false,
+        fixed: ['senderId', 'recipientId', 'threadId']
+    },
+    // A borrower asks to borrow someone's 'borrow' listing; only its owner approves, declines and marks the loan
+    // returned (see loans.js), which is what lets the borrower review them.
+    loans: {
+        read: ({ caller, record }) => [record.borrowerId, record.ownerId].includes(caller.id),
+        create: async ({ caller, record, store }) => {
+            if (record.borrowerId !== caller.id || record.ownerId === caller.id || record.status !== 'requested') return false;
+            const item = await store.get('items', record.itemId);
+            return !!item && item.sellerId === record.ownerId && item.mode === 'borrow';
+        },
+        update: ({ caller, record, changes }) => record.ownerId === caller.id &&
+            (!('status' in changes) || changes.status === record.status || (LOAN_STEPS[record.status] || []).includes(changes.status)),
+        remove: () => false,
+        fixed: ['borrowerId', 'ownerId', 'itemId']
+    },
+    // An offer is made by the buyer, with its first step as the only history. Both sides then negotiate it through
+    // /api/offers/<id>/respond and /api/offers/<id>/accept, which check whose turn it is and write the history
+    // themselves (see deals.js), so it never changes through PATCH.
+    offers: {
+        read: ({ caller, record }) => [record.buyerId, record.sellerId].includes(caller.id),
+        create: ({ caller, record }) => record.buyerId === caller.id && record.sellerId !== caller.id && record.status === 'pending' &&
+            isOpeningOffer(record),
+        update: () => false,
+        remove: () => false,
+        fixed: ['buyerId', 'sellerId', 'itemId']
+    },
+    // Reviews are public. They are written by the reviewer, who can later change the rating and text, and
+    // moderators can remove them.
+    reviews: {
+        read: () => true,
+        create: ({ caller, record }) => record.reviewerId === caller.id,
+        update: ({ caller, record, changes }) => record.reviewerId === caller.id && onlyChanges(changes, ['rating', 'text']),
+        remove: ({ caller, record }) => record.reviewerId === caller.id || isStaff(caller),
+        fixed: ['reviewerId', 'sellerId', 'dealId']
+    },
+    favorites: ownedBy('userId'),
+    // Saved searches are private to their owner; the server matches them against new listings (see alerts.js).
+    savedSearches: ownedBy('userId'),
+    // Alerts about a new listing are only created by the server, for the people whose searches it matched. Their
+    // owner marks them notified or read.
+    alerts: {
+        ...ownedBy('userId'),
+        create: () => false,
+        update: ({ caller, record, changes }) => record.userId === caller.id && onlyChanges(changes, ['read', 'notified'])
+    },
+    // Reports are seen and handled by moderators; the reporter can check their own.
+    reports: {
+        read: ({ caller, record }) => record.reporterId === caller.id || isStaff(caller),
+        create: ({ caller, record }) => record.reporterId === caller.id,
+        update: ({ caller }) => isStaff(caller),
+        remove: ({ caller }) => isStaff(caller),
+        fixed: ['reporterId', 'itemId']
+    },
+    // The moderation log is only written and read by moderators, and never changed.
+    moderationLog: {
+        read: ({ caller }) => isStaff(caller),
+        create: ({ caller, record }) => isStaff(caller) && record.moderatorId === caller.id,
+        update: () => false,
+        remove: () => false,
+        fixed: []
+    }
+};
+
+// Checks whether the caller may 'read', 'create', 'update' or 'remove' a record of a collection.
+// Takes { caller, collection, record, changes, store }; `changes` are only given for 'update'.
+export async function isAllowed(action, context) {
+    const rule = RULES[context.collection];
+    if (!rule || !context.caller) return false;
+    if (action === 'update' && rule.fixed.some(field => field in context.changes && context.changes[field] !== context.record[field])) {
+        return false;
+    }
+    return !!(await rule[action](context));
+}
+
+// The rules for a collection whose records each belong to the user named in one field.
+function ownedBy(field) {
+    const isOwner = ({ caller, record }) => record[field] === caller.id;
+    return { read: isOwner, create: isOwner, update: isOwner, remove: isOwner, fixed: [field] };
+}
+
+// Checks that the campus a listing names, if any, is its seller's own, so nobody can post to another campus.
+function isOwnCampus(caller, fields) {
+    const ownId = colleges.resolveId(caller.collegeId, caller.college);
+    return (fields.sellerCollegeId == null || fields.sellerCollegeId === ownId) &&
+        (fields.sellerCollege == null || fields.sellerCollege === caller.college);
+}
+
+// Checks that a new offer names a price, and that its history is only the buyer's offer of that price.
+function isOpeningOffer(offer) {
+    const history = offer.history || [];
+    const isPrice = typeof offer.amount === 'number' && Number.isFinite(offer.amount) && offer.amount > 0;
+    return isPrice && Array.isArray(history) && history.length <= 1 &&
+        history.every(entry => entry?.by === 'buyer' && entry.action === 'offered' && entry.amount === offer.amount);
+}
+
+// Checks whether a user may suspend another user or change their role, like canModerate() in moderation.js.
+// Nobody moderates themselves, and only admins can act on other moderators and admins.
+function canModerate(caller, user) {
+    return user.id !== caller.id && (caller.role === 'admin' ? user.role !== 'admin' : isStaff(caller) && !isStaff(user));
+}
+
+// Returns the fields a change would give a new value.
+function changedFields(record, changes) {
+    return Object.keys(changes).filter(field => changes[field] !== record[field]);
+}
+
+// Checks that a change only touches the given fields.
+function onlyChanges(changes, fields) {
+    return Object.keys(changes).every(field => fields.includes(field));
+}
@@ -0,0 +1,71 @@
+// Saved Search Alerts JavaScript (server)
+// Matches every new listing against the saved searches of everyone else, the way the search
+// box would (see favorites.js), and leaves an alert for each person it matched. Saved searches
+// are private to their owner, and alerts are only ever written here, from the stored listing.
+import { SearchIndex, taxonomy } from './shared.js';
+
+export class AlertService {
+    // 1. The constructor keeps the FileStore the saved searches and alerts live in.
+    constructor(store) {
+        this.store = store;
+    }
+
+    // 2. Leaves an alert for every other user with a saved search that a newly added item matches, one per user even
+    // if several of their searches match. Resolves to the alerts created.
+    async notifyMatches(item) {
+        const alerted = new Set();
+        const alerts = [];
+        for (const search of await this.store.read('savedSearches')) {
+            if (search.userId === item.sellerId || alerted.has(search.userId) || !matchesSafely(search, item)) continue;
+            alerted.add(search.userId);
+            alerts.push({
+                id: `${search.userId}:${item.id}`,
+                userId: search.userId,
+                searchId: search.id,
+                searchLabel: describeSearch(search),
+                itemId: item.id,
+                itemName: item.name,
+                read: false,
+                notified: false,
+                createdAt: new Date().toISOString()
+            });
+        }
+        if (alerts.length === 0) return [];
+
+        return this.store.mutate('alerts', records => {
+            const created = alerts.filter(alert => !records.some(record => record.id === alert.id));
+            records.push(...created);
+            return created;
+        });
+    }
+}
+
+// Checks whether an item matches a saved search, like matches() in favorites.js.
+function matches(search, item) {
+    if (!taxonomy.matchesCategory(item, search.category)) return false;
+    if (search.mode && item.mode !== search.mode) return false;
+    if (!search.query) return true;
+
+    const index = new SearchIndex();
+    index.sync([item], category => taxonomy.getCategoryName(category));
+    return !!index.search(String(search.query))?.has(item.id);
+}
+
+// Checks a saved search like matches(), treating a search or listing that can't be read as no match, so one
+// malformed record doesn't stop everyone else's alerts.
+function matchesSafely(search, item) {
+    try {
+        return matches(search, item);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Describes a saved search for the alert, like describeSearch() in favorites.js, e.g. '"calculator" in Tech (For Sale)'.
+function describeSearch(search) {
+    const parts = [];
+    if (search.query) parts.push(`"${search.query}"`);
+    if (search.category) parts.push(`${search.query ? 'in ' : ''}${taxonomy.getCategoryName(search.category)}`);
+    if (search.mode) parts.push(`(${taxonomy.getModeName(search.mode)})`);
+    return parts.join(' ');
+}
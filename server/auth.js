@@ -0,0 +1,149 @@
+// Accounts JavaScript (server)
+// Password checks and login sessions for the CampusKart server. The browser only ever sends a
+// password to be checked here; it never sees another account's password fields or creates a
+// session itself. Hashes use the same PBKDF2 settings as the browser (see session.js), so
+// accounts created before the server took over keep working.
+import { pbkdf2, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+// How long a session stays valid without any activity.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// How often an active session has its expiry pushed forward (sliding refresh), to avoid a write on every request.
+const SESSION_REFRESH_MS = 60 * 60 * 1000;
+// PBKDF2 settings for new password hashes. Older hashes keep the iteration count they were created with.
+const PASSWORD_HASH_ITERATIONS = 310000;
+// The fields a user record keeps its password in. They are never sent to a client or changed through PATCH.
+export const PASSWORD_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'passwordIterations'];
+// Roles that can moderate listings and users, matching STAFF_ROLES in session.js.
+export const STAFF_ROLES = ['moderator', 'admin'];
+
+const derive = promisify(pbkdf2);
+
+export class SessionService {
+    // 1. The constructor keeps the FileStore the user and session records live in.
+    constructor(store) {
+        this.store = store;
+    }
+
+    // 2. Checks an email and password and starts a session for the account. Resolves to { session, user }, or null
+    // if they don't match. A suspended account is refused with a 403 that says why.
+    async logIn(email, password) {
+        const users = (await this.store.read('users'))
+            .filter(user => String(user.email).toLowerCase() === String(email).trim().toLowerCase());
+        for (const user of users) {
+            let matched = await verifyPassword(password, user);
+            // Accounts created before hashing still hold a plaintext password: accept it once and replace it with a hash.
+            if (!matched && user.password && user.password === password) {
+                await this.store.update('users', user.id, { ...(await hashPassword(password)), password: null });
+                matched = true;
+            }
+            if (!matched) continue;
+
+            if (user.suspended) {
+                const reason = user.suspendedReason ? `: ${user.suspendedReason}` : '';
+                throw Object.assign(new Error(`This account has been suspended${reason}`), { status: 403 });
+            }
+            return { session: await this.start(user.id), user };
+        }
+        return null;
+    }
+
+    // 3. Creates a new session for a user and returns it. Its id is the token the browser sends back.
+    async start(userId) {
+        const now = Date.now();
+        return this.store.create('sessions', {
+            id: randomBytes(32).toString('hex'),
+            userId,
+            createdAt: new Date(now).toISOString(),
+            refreshedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        });
+    }
+
+    // 4. Looks up the session for a token and its user. Resolves to { session, user }, or null if the session is
+    // missing, expired or belongs to a suspended account. An active session has its expiry pushed forward.
+    async resolve(token) {
+        if (typeof token !== 'string' || !token) return null;
+        let session = await this.store.get('sessions', token);
+        if (!session) return null;
+        if (Date.parse(session.expiresAt) <= Date.now()) {
+            await this.store.remove('sessions', token);
+            return null;
+        }
+
+        const user = await this.store.get('users', session.userId);
+        // A suspended user is logged out on their next request. See moderation.js.
+        if (!user || user.suspended) return null;
+
+        const now = Date.now();
+        if (now - Date.parse(session.refreshedAt) >= SESSION_REFRESH_MS) {
+            session = await this.store.update('sessions', token, {
+                refreshedAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+            }) || session;
+        }
+        return { session, user };
+    }
+
+    // 5. Returns the signed-in user behind a request's 'Authorization: Bearer <token>' header, or null.
+    async getCaller(req) {
+        return (await this.resolve(getBearerToken(req)))?.user || null;
+    }
+
+    // 6. Ends a session. Knowing the token is enough, the same as logging in with it.
+    async end(token) {
+        return this.store.remove('sessions', token);
+    }
+
+    // 7. Ends every session of a user, e.g. when the account is deleted, or all but one after a password change.
+    async endAll(userId, keptToken = null) {
+        await this.store.mutate('sessions', records => {
+            const kept = records.filter(session => session.userId !== userId || session.id === keptToken);
+            records.splice(0, records.length, ...kept);
+        });
+    }
+}
+
+// Returns the session token from a request's 'Authorization: Bearer <token>' header, or null.
+export function getBearerToken(req) {
+    const [scheme, token] = String(req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// Hashes a password with a fresh random salt. Returns the fields to store on the user record.
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    return {
+        passwordHash: await pbkdf2Hex(password, salt, PASSWORD_HASH_ITERATIONS),
+        passwordSalt: salt,
+        passwordIterations: PASSWORD_HASH_ITERATIONS
+    };
+}
+
+// Checks a password against a user record's stored hash.
+export async function verifyPassword(password, user) {
+    if (typeof password !== 'string' || !user.passwordHash || !user.passwordSalt) return false;
+    const hash = await pbkdf2Hex(password, user.passwordSalt, user.passwordIterations || PASSWORD_HASH_ITERATIONS);
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Checks whether a user is a moderator or admin.
+export function isStaff(user) {
+    return STAFF_ROLES.includes(user?.role);
+}
+
+// Returns a copy of a user record that is safe to send to the caller: without any password fields, and without
+// the email unless it's the caller's own account or its owner chose to show it (see settings.js).
+export function toPublicUser(user, caller) {
+    const publicUser = { ...user };
+    for (const field of PASSWORD_FIELDS) delete publicUser[field];
+    if (!user.showEmail && user.id !== caller?.id) delete publicUser.email;
+    return publicUser;
+}
+
+// Derives a hex-encoded PBKDF2-SHA-256 hash, matching pbkdf2() in the browser (the salt is used as UTF-8 text).
+async function pbkdf2Hex(password, salt, iterations) {
+    return (await derive(password, salt, iterations, 32, 'sha256')).toString('hex');
+}
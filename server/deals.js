@@ -0,0 +1,312 @@
+// Deals JavaScript (server)
+// The steps of a deal that several people can race for: holds on an item and its waitlist
+// (see reservations.js), accepting offers (see offers.js), and recording who an item went to,
+// which lets that buyer review the seller (see reviews.js). Each step reads the stored item
+// and saves the change inside the items write queue (FileStore.modify), so two buyers asking at
+// once can't both get a hold, two offers on one item can't both be accepted, and two browsers
+// noticing the same expired hold can't both move the waitlist on.
+
+// The modes whose items can be held, matching `holds` in taxonomy.js.
+const HOLD_MODES = ['buy', 'donate', 'trade'];
+// The hold windows a seller can choose from, in hours, and the default, matching reservations.js.
+const HOLD_WINDOW_HOURS = [12, 24, 48, 72, 168];
+const DEFAULT_HOLD_HOURS = 48;
+// The most buyers that can wait for one item.
+const MAX_WAITLIST_LENGTH = 10;
+// Offers still being negotiated, matching OPEN_OFFER_STATUSES in offers.js.
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+// The statuses that complete a deal with a buyer, matching REVIEWABLE_STATUSES in reviews.js.
+const COMPLETED_STATUSES = ['sold', 'given', 'traded'];
+// How each side can answer an open offer, by the status it moves to: who may, from which statuses, the step added to
+// its history, and whether it names a new amount. Accepting has a step of its own (see acceptOffer()).
+const OFFER_RESPONSES = {
+    countered: { by: 'seller', from: ['pending'], action: 'countered', amount: true },
+    declined: { by: 'seller', from: ['pending'], action: 'declined' },
+    pending: { by: 'buyer', from: ['countered'], action: 'countered', amount: true },
+    withdrawn: { by: 'buyer', from: ['pending', 'countered'], action: 'withdrew' }
+};
+// The longest note a buyer or seller can add to an offer, matching MAX_OFFER_NOTE_LENGTH in offers.js.
+const MAX_OFFER_NOTE_LENGTH = 300;
+
+export class DealService {
+    // 1. The constructor keeps the FileStore the items and offers live in.
+    constructor(store) {
+        this.store = store;
+    }
+
+    // 2. Changes the hold on an item for the signed-in caller and resolves to the item as it is now, or null if it's
+    // missing. The actions are 'request' (hold it, or join the waitlist), 'cancel' (the holder gives it up), 'leave'
+    // (the waitlist), 'release' (the seller ends the hold), 'expire' (move on a hold that ran out) and 'announce'
+    // (the holder has seen they were promoted). A hold that has run out is always moved on first.
+    async hold(caller, itemId, action) {
+        // The offers behind holds that ended, closed once the item is saved.
+        const endedOffers = [];
+        const item = await this.store.modify('items', itemId, stored => {
+            let item = stored;
+            if (isHoldExpired(item)) {
+                endedOffers.push([item.reservation.offerId, 'expired', { by: 'system', action: 'expired' }]);
+                item = promote(item);
+            }
+
+            switch (action) {
+                case 'request':
+                    return request(item, caller);
+                case 'cancel':
+                    if (item.status !== 'reserved' || item.reservation?.buyerId !== caller.id) return item;
+                    endedOffers.push([item.reservation.offerId, 'withdrawn', { by: 'buyer', action: 'withdrew' }]);
+                    return promote(item);
+                case 'leave':
+                    if (!(item.waitlist || []).some(entry => entry.userId === caller.id)) return item;
+                    return { ...item, waitlist: (item.waitlist || []).filter(entry => entry.userId !== caller.id), updatedAt: now() };
+                case 'release':
+                    if (item.sellerId !== caller.id) {
+                        throw Object.assign(new Error('Only the seller can release a hold'), { status: 403 });
+                    }
+                    if (item.status !== 'reserved') return item;
+                    endedOffers.push([item.reservation?.offerId, 'cancelled', { by: 'seller', action: 'released' }]);
+                    return promote(item);
+                case 'expire':
+                    return item;
+                case 'announce':
+                    if (item.status !== 'reserved' || item.reservation?.buyerId !== caller.id) return item;
+                    return { ...item, reservation: { ...item.reservation, announced: true } };
+                default:
+                    throw Object.assign(new Error('Unknown hold action'), { status: 400 });
+            }
+        });
+
+        for (const [offerId, status, entry] of endedOffers) {
+            await this.closeOffer(offerId, status, entry);
+        }
+        return item;
+    }
+
+    // 3. Accepts an offer: by the seller while it waits for them, or by the buyer once the seller has countered it,
+    // at the amount the seller last asked for. The item is reserved for the buyer in the same step that checks it's
+    // still available, then the other open offers on it are declined. Resolves to the accepted offer, or null if
+    // it's missing. Refuses with a 409 if the item is no longer available.
+    async acceptOffer(caller, offerId) {
+        const offer = await this.store.get('offers', offerId);
+        if (!offer) return null;
+        const by = caller.id === offer.sellerId && offer.status === 'pending' ? 'seller'
+            : caller.id === offer.buyerId && offer.status === 'countered' ? 'buyer'
+            : null;
+        if (!by) {
+            throw Object.assign(new Error('You cannot accept this offer'), { status: 403 });
+        }
+
+        const endedOffers = [];
+        const item = await this.store.modify('items', offer.itemId, stored => {
+            if (stored.sellerId !== offer.sellerId) {
+                throw Object.assign(new Error('You cannot accept this offer'), { status: 403 });
+            }
+            let item = stored;
+            if (isHoldExpired(item)) {
+                endedOffers.push([item.reservation.offerId, 'expired', { by: 'system', action: 'expired' }]);
+                item = promote(item);
+            }
+            if (!isAvailable(item) || isListingExpired(item)) {
+                throw Object.assign(new Error('This item is no longer available'), { status: 409 });
+            }
+            return {
+                ...item,
+                status: 'reserved',
+                reservation: createHold(
+                    item,
+                    { id: offer.buyerId, name: offer.buyerName, college: offer.buyerCollege },
+                    { offerId: offer.id, price: offer.amount }
+                ),
+                updatedAt: now()
+            };
+        });
+        if (!item) return null;
+        for (const [endedId, status, entry] of endedOffers) {
+            await this.closeOffer(endedId, status, entry);
+        }
+
+        const at = now();
+        const accepted = await this.store.modify('offers', offer.id, current => ({
+            ...current,
+            status: 'accepted',
+            history: [...(current.history || []), { by, action: 'accepted', amount: offer.amount, at }],
+            updatedAt: at
+        }));
+        // The item is spoken for, so nobody else's offer can go through.
+        const others = (await this.store.list('offers', { itemId: offer.itemId }))
+            .filter(other => other.id !== offer.id && OPEN_OFFER_STATUSES.includes(other.status));
+        for (const other of others) {
+            await this.store.modify('offers', other.id, current => !OPEN_OFFER_STATUSES.includes(current.status) ? current : {
+                ...current,
+                status: 'declined',
+                history: [...(current.history || []), { by: 'seller', action: 'declined', note: 'The item was reserved for another buyer.', at }],
+                updatedAt: at
+            });
+        }
+        return accepted;
+    }
+
+    // 4. Answers an offer for the signed-in caller, given { status, amount, note }: the seller counters or declines a
+    // pending offer, and the buyer answers a counter-offer with a new amount or withdraws. Each answer names a new
+    // amount if it changes the price, and the step is added to the offer's history here. Resolves to the offer, or
+    // null if it's missing.
+    async respondToOffer(caller, offerId, { status, amount, note = '' }) {
+        const response = OFFER_RESPONSES[status];
+        if (!response) {
+            throw Object.assign(new Error('Unknown offer status'), { status: 400 });
+        }
+        if (response.amount && !(typeof amount === 'number' && Number.isFinite(amount) && amount > 0)) {
+            throw Object.assign(new Error('Please enter a valid amount'), { status: 400 });
+        }
+        if (typeof note !== 'string' || note.length > MAX_OFFER_NOTE_LENGTH) {
+            throw Object.assign(new Error(`Notes can be at most ${MAX_OFFER_NOTE_LENGTH} characters`), { status: 400 });
+        }
+
+        return this.store.modify('offers', offerId, offer => {
+            const by = caller.id === offer.sellerId ? 'seller' : caller.id === offer.buyerId ? 'buyer' : null;
+            if (by !== response.by || !response.from.includes(offer.status)) {
+                throw Object.assign(new Error('You cannot change this offer'), { status: 403 });
+            }
+            const at = now();
+            return {
+                ...offer,
+                status,
+                ...(response.amount ? { amount } : {}),
+                history: [
+                    ...(offer.history || []),
+                    { by, action: response.action, ...(response.amount ? { amount } : {}), ...(note ? { note } : {}), at }
+                ],
+                updatedAt: at
+            };
+        });
+    }
+
+    // 5. Marks the seller's item sold, given away or traded, to a buyer or to someone not on CampusKart (no buyerId).
+    // The buyer has to be the one the item is held for or someone who messaged the seller about it, so nobody can
+    // be named as a buyer (and so review the seller) without having taken part in the deal. Resolves to the item,
+    // or null if it's missing.
+    async complete(caller, itemId, status, buyerId) {
+        if (!COMPLETED_STATUSES.includes(status)) {
+            throw Object.assign(new Error('Unknown deal status'), { status: 400 });
+        }
+        const buyer = buyerId ? await this.store.get('users', buyerId) : null;
+        if (buyerId && !buyer) {
+            throw Object.assign(new Error('That buyer does not have an account'), { status: 400 });
+        }
+        const [thread] = buyerId ? await this.store.list('threads', { itemId, buyerId, sellerId: caller.id }) : [];
+
+        return this.store.modify('items', itemId, item => {
+            if (item.sellerId !== caller.id) {
+                throw Object.assign(new Error('Only the seller can complete this deal'), { status: 403 });
+            }
+            if (buyerId && !thread && item.reservation?.buyerId !== buyerId) {
+                throw Object.assign(new Error('That person has not asked about this item'), { status: 409 });
+            }
+            const at = now();
+            return {
+                ...item,
+                status,
+                buyerId: buyerId || null,
+                buyerName: buyer?.name || null,
+                completedAt: at,
+                updatedAt: at
+            };
+        });
+    }
+
+    // 6. Closes the accepted offer a hold came from when the hold ends without a deal.
+    async closeOffer(offerId, status, entry) {
+        if (!offerId) return;
+        const at = now();
+        await this.store.modify('offers', offerId, offer => offer.status !== 'accepted' ? offer : {
+            ...offer,
+            status,
+            history: [...(offer.history || []), { ...entry, at }],
+            updatedAt: at
+        });
+    }
+}
+
+// Holds an available item for the caller, or puts them on the waitlist if it's held for someone else.
+// Refuses with a 409 if neither is possible.
+function request(item, caller) {
+    if (item.sellerId === caller.id) {
+        throw Object.assign(new Error('You cannot reserve your own listing'), { status: 403 });
+    }
+    if (!HOLD_MODES.includes(item.mode)) {
+        throw Object.assign(new Error('This item cannot be reserved'), { status: 409 });
+    }
+    if (isAvailable(item) && !isListingExpired(item)) {
+        return {
+            ...item,
+            status: 'reserved',
+            reservation: createHold(item, { id: caller.id, name: caller.name, college: caller.college }),
+            updatedAt: now()
+        };
+    }
+    if (item.status !== 'reserved') {
+        throw Object.assign(new Error('This item is no longer available'), { status: 409 });
+    }
+
+    const waitlist = item.waitlist || [];
+    if (item.reservation?.buyerId === caller.id || waitlist.some(entry => entry.userId === caller.id)) {
+        return item;
+    }
+    if (waitlist.length >= MAX_WAITLIST_LENGTH) {
+        throw Object.assign(new Error('The waitlist for this item is full'), { status: 409 });
+    }
+    return {
+        ...item,
+        waitlist: [...waitlist, { userId: caller.id, userName: caller.name, userCollege: caller.college || '', requestedAt: now() }],
+        updatedAt: now()
+    };
+}
+
+// Ends an item's current hold: the first person on the waitlist gets a new one, or the item is available again.
+function promote(item) {
+    const [next, ...rest] = item.waitlist || [];
+    return next
+        ? {
+            ...item,
+            status: 'reserved',
+            reservation: createHold(item, { id: next.userId, name: next.userName, college: next.userCollege }, { promoted: true }),
+            waitlist: rest,
+            updatedAt: now()
+        }
+        : { ...item, status: 'available', reservation: null, updatedAt: now() };
+}
+
+// Returns a new hold on an item for a buyer ({ id, name, college }), ending after the item's hold window.
+// Extra fields are kept with it, e.g. the accepted offer a hold came from.
+function createHold(item, buyer, extra = {}) {
+    const hours = HOLD_WINDOW_HOURS.includes(Number(item.holdHours)) ? Number(item.holdHours) : DEFAULT_HOLD_HOURS;
+    const reservedAt = Date.now();
+    return {
+        buyerId: buyer.id,
+        buyerName: buyer.name,
+        buyerCollege: buyer.college || '',
+        ...extra,
+        reservedAt: new Date(reservedAt).toISOString(),
+        expiresAt: new Date(reservedAt + hours * 60 * 60 * 1000).toISOString()
+    };
+}
+
+// Checks whether an item is open to buyers, like isAvailable() in app.js.
+function isAvailable(item) {
+    return !item.status || item.status === 'available';
+}
+
+// Checks whether an item's hold has run out. Holds from before expiry existed never do.
+function isHoldExpired(item) {
+    const expiresAt = item.reservation?.expiresAt;
+    return item.status === 'reserved' && !!expiresAt && Date.parse(expiresAt) <= Date.now();
+}
+
+// Checks whether an open listing has passed its expiry date (see expiry.js), so it can't be reserved.
+function isListingExpired(item) {
+    return isAvailable(item) && !!item.expiresAt && Date.parse(item.expiresAt) <= Date.now();
+}
+
+// The current time as an ISO string, for updatedAt and history entries.
+function now() {
+    return new Date().toISOString();
+}
@@ -0,0 +1,43 @@
+// Listing Expiry JavaScript (server)
+// Cleans up listings that expired and weren't renewed (see expiry.js in the browser). Only the
+// server deletes someone else's listing: every so often it removes the open listings whose
+// grace period is over. Listings from before expiry existed get a full lifetime from the first
+// sweep, so nothing is deleted without its seller first seeing a renew reminder.
+
+// How long a listing stays up after it's posted, relisted or renewed, matching LISTING_LIFETIME_DAYS in expiry.js.
+const LISTING_LIFETIME_DAYS = 30;
+// How long an expired listing can still be renewed before it's deleted, matching EXPIRED_GRACE_DAYS in expiry.js.
+const EXPIRED_GRACE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ExpiryService {
+    // 1. The constructor keeps the FileStore the items live in.
+    constructor(store) {
+        this.store = store;
+    }
+
+    // 2. Gives listings without an expiry date a full lifetime from now, and deletes the open listings whose grace
+    // period is over. Resolves to the deleted listings, so their photos can be removed too.
+    async sweep() {
+        const now = Date.now();
+        return this.store.mutate('items', records => {
+            const purged = [];
+            const kept = [];
+            for (const item of records) {
+                if (isPurgeable(item, now)) {
+                    purged.push(item);
+                    continue;
+                }
+                kept.push(item.expiresAt ? item : { ...item, expiresAt: new Date(now + LISTING_LIFETIME_DAYS * DAY_MS).toISOString() });
+            }
+            records.splice(0, records.length, ...kept);
+            return purged;
+        });
+    }
+}
+
+// Checks whether an open listing expired more than the grace period ago.
+function isPurgeable(item, now) {
+    const isAvailable = !item.status || item.status === 'available';
+    return isAvailable && !!item.expiresAt && Date.parse(item.expiresAt) + EXPIRED_GRACE_DAYS * DAY_MS <= now;
+}
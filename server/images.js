@@ -0,0 +1,56 @@
+// Image Store JavaScript
+// Keeps listing photos for the CampusKart server as plain JPEG files in data/images,
+// one file per photo variant (e.g. data/images/<id>-thumb.jpg), outside the JSON collections.
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// The variants the client uploads for every photo (see PHOTO_VARIANTS in images.js).
+export const PHOTO_VARIANTS = ['thumb', 'full'];
+
+export class ImageStore {
+    // 1. The constructor remembers the directory the photo files are written to.
+    constructor(imageDir) {
+        this.imageDir = imageDir;
+    }
+
+    // 2. Returns the JPEG data of a photo variant, or null if it doesn't exist.
+    async get(id, variant) {
+        try {
+            return await readFile(this.fileFor(id, variant));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // 3. Saves a photo variant, replacing any earlier upload, via a temporary file like FileStore.write().
+    async put(id, variant, data) {
+        await mkdir(this.imageDir, { recursive: true });
+        const file = this.fileFor(id, variant);
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(temp, data);
+        await rename(temp, file);
+    }
+
+    // 4. Deletes every variant of a photo and reports whether anything was removed.
+    async remove(id) {
+        let removed = false;
+        for (const variant of PHOTO_VARIANTS) {
+            try {
+                await unlink(this.fileFor(id, variant));
+                removed = true;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return removed;
+    }
+
+    // 5. Maps a photo variant to its file. Ids are restricted to safe characters so they can't escape the directory.
+    fileFor(id, variant) {
+        if (!/^[\w-]+$/.test(id) || !PHOTO_VARIANTS.includes(variant)) {
+            throw Object.assign(new Error('Invalid photo id'), { status: 400 });
+        }
+        return path.join(this.imageDir, `${id}-${variant}.jpg`);
+    }
+}
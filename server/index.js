@@ -0,0 +1,599 @@
+// CampusKart Server
+// A small REST backend so listings are shared by everyone on campus instead of
+// living in one browser. Start it with `npm run server`, then point the pages at it
+// with <meta name="campuskart-api" content="/api"> (Vite proxies /api here in dev).
+// Sign-up codes are emailed through the transport EMAIL_TRANSPORT names (see verification.js);
+// `EMAIL_TRANSPORT=log npm run server` prints them to the log instead, for development.
+//
+//   GET    /api/<collection>            list records (query params filter by field)
+//   POST   /api/<collection>            create a record
+//   GET    /api/<collection>/<id>       read one record
+//   PATCH  /api/<collection>/<id>       merge changes into a record
+//   DELETE /api/<collection>/<id>       delete a record
+//
+//   GET    /api/images/<id>/<variant>   read a photo ('thumb' or 'full') as JPEG
+//   PUT    /api/images/<id>/<variant>   upload a photo variant (Content-Type: image/jpeg)
+//   DELETE /api/images/<id>             delete every variant of a photo
+//
+//   POST   /api/verifications           email a sign-up code to { email }
+//   POST   /api/verifications/check     check { email, code }; POST /api/users then requires a verified email
+//
+//   POST   /api/login                   check { email, password } and start a session; returns { session, user }
+//   GET    /api/sessions/<token>        read a session (DELETE logs it out); sessions can't be listed, created or changed
+//   POST   /api/users/<id>/password     change the password, given { password, newPassword }
+//   POST   /api/users/<id>/delete       delete the account with its listings, offers and messages, given { password }
+//   POST   /api/items/<id>/holds        change the hold on an item, given { action } (see deals.js)
+//   POST   /api/items/<id>/complete     mark an item sold, given or traded to { status, buyerId } (see deals.js)
+//   POST   /api/offers/<id>/respond     counter, decline or withdraw an offer, given { status, amount, note } (see deals.js)
+//   POST   /api/offers/<id>/accept      accept an offer and reserve its item for the buyer
+//
+// Requests made for a signed-in user carry 'Authorization: Bearer <session token>'. Everything but signing up,
+// logging in and downloading photos takes one, and each caller only sees and changes their own records (see
+// access.js). Passwords are only checked here, and user records are sent without their password fields (see auth.js).
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { FileStore } from './store.js';
+import { isAllowed } from './access.js';
+import { PASSWORD_FIELDS, SessionService, getBearerToken, hashPassword, isStaff, toPublicUser, verifyPassword } from './auth.js';
+import { AlertService } from './alerts.js';
+import { DealService } from './deals.js';
+import { ExpiryService } from './expiry.js';
+import { ImageStore } from './images.js';
+import { colleges } from './shared.js';
+import { VerificationService, createMailTransport } from './verification.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+// Only these collections can be read or written through the generic routes. Sessions have routes of their own.
+const COLLECTIONS = ['items', 'users', 'threads', 'messages', 'loans', 'offers', 'reviews', 'favorites', 'savedSearches',
+                     'alerts', 'reports', 'moderationLog'];
+// The roles a new account can choose; admins come from ADMIN_EMAILS and appoint moderators themselves.
+const SIGNUP_ROLES = ['buyer', 'both'];
+// Comma-separated emails whose new accounts become admins (the same list as <meta name="campuskart-admins">).
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+// The records that go with an account when it's deleted, by the fields that name its owner (see settings.js).
+const ACCOUNT_RECORDS = {
+    offers: ['buyerId', 'sellerId'],
+    threads: ['buyerId', 'sellerId'],
+    messages: ['senderId', 'recipientId'],
+    loans: ['borrowerId', 'ownerId'],
+    favorites: ['userId'],
+    savedSearches: ['userId'],
+    alerts: ['userId']
+};
+// Records are small JSON objects; photos are uploaded separately to /api/images.
+const MAX_BODY_BYTES = 1024 * 1024;
+// Photos are compressed in the browser before upload, so even the 'full' variant is well below this.
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// How often expired listings past their grace period are deleted (see expiry.js).
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const store = new FileStore(DATA_DIR);
+const images = new ImageStore(path.join(DATA_DIR, 'images'));
+const verifications = new VerificationService(store, createMailTransport());
+const sessions = new SessionService(store);
+const deals = new DealService(store);
+const expiry = new ExpiryService(store);
+const alerts = new AlertService(store);
+
+// 1. Sends a JSON response with CORS headers, so the Vite dev server on another port can call the API.
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+// 2. Sends a photo with long-lived caching: a photo id is never reused for different image data.
+function sendImage(res, data) {
+    res.writeHead(200, {
+        'Content-Type': 'image/jpeg',
+        'Content-Length': data.length,
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'Access-Control-Allow-Origin': '*',
+        // Uploads aren't checked to really be JPEGs, so browsers mustn't guess another type from the bytes.
+        'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(data);
+}
+
+// 3. Collects the raw request body, rejecting it once it grows beyond maxBytes.
+function readRawBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// 4. Collects the request body and parses it as a JSON object.
+async function readBody(req) {
+    const raw = await readRawBody(req, MAX_BODY_BYTES);
+    try {
+        const body = JSON.parse(raw.toString('utf8') || '{}');
+        // Records are always plain objects; arrays and primitives are rejected.
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Body must be a JSON object');
+        }
+        return body;
+    } catch (error) {
+        throw Object.assign(error, { status: 400 });
+    }
+}
+
+// 5. Handles /api/images/<id>[/<variant>]: photo uploads, downloads and deletes. Anyone can download a photo;
+// uploading and deleting one takes a session, and only its owner (or a moderator, for deletes) can do either.
+async function handleImageRequest(req, res, caller, id, variant) {
+    if (!id) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+    if (req.method !== 'GET' && !caller) {
+        return sendJson(res, 401, { error: 'Please log in first' });
+    }
+
+    if (req.method === 'DELETE' && !variant) {
+        const ownerId = await findPhotoOwner(id);
+        if (ownerId && ownerId !== caller.id && !isStaff(caller)) {
+            return sendJson(res, 403, { error: 'You can only delete your own photos' });
+        }
+        return (await removePhoto(id))
+            ? sendJson(res, 204)
+            : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (!variant) {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    if (req.method === 'GET') {
+        const data = await images.get(id, variant);
+        return data ? sendImage(res, data) : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (req.method === 'PUT') {
+        // The browser always re-encodes photos as JPEG, so nothing else is accepted.
+        if (req.headers['content-type'] !== 'image/jpeg') {
+            return sendJson(res, 415, { error: 'Photos must be uploaded as image/jpeg' });
+        }
+        // Checks the id and variant before anything is recorded, so a bad request leaves no owner behind.
+        images.fileFor(id, variant);
+        await claimPhoto(id, caller);
+        await images.put(id, variant, await readRawBody(req, MAX_IMAGE_BYTES));
+        return sendJson(res, 204);
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+// 6. Records the caller as the owner of a photo id on its first upload, in the 'photos' collection (which the
+// generic routes don't expose). Refuses with a 403 if the id already belongs to someone else.
+async function claimPhoto(id, caller) {
+    const legacyOwnerId = await findPhotoOwner(id);
+    await store.mutate('photos', records => {
+        const ownerId = records.find(record => record.id === id)?.ownerId || legacyOwnerId;
+        if (ownerId && ownerId !== caller.id) {
+            throw Object.assign(new Error('This photo belongs to someone else'), { status: 403 });
+        }
+        if (!records.some(record => record.id === id)) {
+            records.push({ id, ownerId: caller.id, createdAt: new Date().toISOString() });
+        }
+    });
+}
+
+// 7. Finds who a photo belongs to. Photos uploaded before owners were recorded belong to the seller of the
+// listing or the user whose avatar they are. Resolves to null for a photo nothing uses any more.
+async function findPhotoOwner(id) {
+    const photo = await store.get('photos', id);
+    if (photo) return photo.ownerId;
+    const item = (await store.read('items')).find(item => (item.photos || []).includes(id));
+    if (item) return item.sellerId;
+    return (await store.list('users', { avatarPhotoId: id }))[0]?.id || null;
+}
+
+// 8. Deletes every variant of a photo and its owner record, and reports whether there was a photo.
+async function removePhoto(id) {
+    await store.remove('photos', id);
+    return images.remove(id);
+}
+
+// 9. Handles /api/verifications and /api/verifications/check for sign-up codes.
+async function handleVerificationRequest(req, res, action) {
+    if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    const { email, code } = await readBody(req);
+    if (typeof email !== 'string' || !email.includes('@')) {
+        return sendJson(res, 400, { error: 'A valid email address is required' });
+    }
+    // Only students of a supported college can join, with their college email (see colleges.js).
+    if (!colleges.findByEmail(email)) {
+        return sendJson(res, 400, { error: 'Please use your college email address' });
+    }
+
+    if (!action) {
+        // Sign-up checks the email isn't taken here, since only a signed-in user can look up accounts.
+        if (await findUserByEmail(email)) {
+            return sendJson(res, 409, { error: 'An account with this email already exists' });
+        }
+        await verifications.issue(email);
+        return sendJson(res, 202, {});
+    }
+    if (action === 'check') {
+        return sendJson(res, 200, { verified: await verifications.check(email, code) });
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+// 10. Handles POST /api/login: checks the password here and starts the session, so a client can't skip either step.
+async function handleLogin(req, res) {
+    if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    const { email, password } = await readBody(req);
+    const result = await sessions.logIn(email, password);
+    if (!result) {
+        return sendJson(res, 401, { error: 'Invalid email or password' });
+    }
+    return sendJson(res, 200, { session: result.session, user: toPublicUser(result.user, result.user) });
+}
+
+// 11. Handles /api/sessions/<token>. A session is only ever read or ended by whoever holds its token; reading
+// one that has expired, or whose account was suspended, answers 404 like a logged-out one.
+async function handleSessionRequest(req, res, token) {
+    if (!token) {
+        return sendJson(res, 405, { error: 'Sessions can only be started by logging in' });
+    }
+    if (req.method === 'GET') {
+        const result = await sessions.resolve(token);
+        return result ? sendJson(res, 200, result.session) : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (req.method === 'DELETE') {
+        return (await sessions.end(token))
+            ? sendJson(res, 204)
+            : sendJson(res, 404, { error: 'Not found' });
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+// 12. Handles POST /api/<collection>/<id>/<action>: the changes the server carries out itself for the signed-in
+// caller, because the client can't be trusted to make them through PATCH.
+async function handleAction(req, res, caller, collection, id, action) {
+    if (!caller) {
+        return sendJson(res, 401, { error: 'Please log in first' });
+    }
+    if (collection === 'users') {
+        return handleAccountAction(req, res, caller, id, action);
+    }
+    if (collection === 'items' && action === 'holds') {
+        const item = await deals.hold(caller, id, (await readBody(req)).action);
+        return item ? sendJson(res, 200, item) : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (collection === 'items' && action === 'complete') {
+        const { status, buyerId } = await readBody(req);
+        const item = await deals.complete(caller, id, status, buyerId);
+        return item ? sendJson(res, 200, item) : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (collection === 'offers' && action === 'respond') {
+        const offer = await deals.respondToOffer(caller, id, await readBody(req));
+        return offer ? sendJson(res, 200, offer) : sendJson(res, 404, { error: 'Not found' });
+    }
+    if (collection === 'offers' && action === 'accept') {
+        const offer = await deals.acceptOffer(caller, id);
+        return offer ? sendJson(res, 200, offer) : sendJson(res, 404, { error: 'Not found' });
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+// 13. Handles POST /api/users/<id>/<action>: the account changes that need the current password, which is
+// checked here. Only the owner of the account can make them.
+async function handleAccountAction(req, res, caller, id, action) {
+    if (caller.id !== id) {
+        return sendJson(res, 403, { error: 'You can only change your own account' });
+    }
+    const { password, newPassword } = await readBody(req);
+    if (!(await verifyPassword(password, caller))) {
+        return sendJson(res, 403, { error: 'Your current password is incorrect' });
+    }
+
+    if (action === 'password') {
+        if (typeof newPassword !== 'string' || newPassword.length < 6) {
+            return sendJson(res, 400, { error: 'Password must be at least 6 characters' });
+        }
+        await store.update('users', id, { ...(await hashPassword(newPassword)), password: null });
+        // Anyone else signed in with the old password is logged out; the session that changed it stays.
+        await sessions.endAll(id, getBearerToken(req));
+        return sendJson(res, 204);
+    }
+    if (action === 'delete') {
+        const ownItems = await store.list('items', { sellerId: id });
+        for (const item of ownItems) {
+            await store.remove('items', item.id);
+        }
+        for (const photoId of [...ownItems.flatMap(item => item.photos || []), caller.avatarPhotoId].filter(Boolean)) {
+            await removePhoto(photoId).catch(() => {});
+        }
+        for (const [collection, fields] of Object.entries(ACCOUNT_RECORDS)) {
+            await store.mutate(collection, records => {
+                const kept = records.filter(record => !fields.some(field => record[field] === id));
+                records.splice(0, records.length, ...kept);
+            });
+        }
+        await store.remove('users', id);
+        await sessions.endAll(id);
+        return sendJson(res, 204);
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+// 14. Returns a record the way the caller may see it: user records lose their password fields, and their email
+// unless it's shown (see toPublicUser()).
+function present(collection, record, caller) {
+    return collection === 'users' ? toPublicUser(record, caller) : record;
+}
+
+// 15. Prepares a new account before it's saved: the email must be a college's, have just been verified with a code
+// and not be taken, the role must be one anyone can choose, and the password is hashed here. The college comes
+// from the email, and whatever college or password fields the client sent are replaced. Resolves to
+// { status, error } if the account can't be created, or null.
+async function prepareSignup(record) {
+    if (typeof record.password !== 'string' || record.password.length < 6) {
+        return { status: 400, error: 'Password must be at least 6 characters' };
+    }
+    const email = String(record.email).toLowerCase();
+    const college = colleges.findByEmail(email);
+    if (!college) {
+        return { status: 400, error: 'Please sign up with your college email address' };
+    }
+    if (await findUserByEmail(email)) {
+        return { status: 409, error: 'An account with this email already exists' };
+    }
+    if (!(await verifications.consume(record.email))) {
+        return { status: 403, error: 'Please verify your email address first' };
+    }
+    // Nobody can make themselves a moderator or admin by signing up with that role.
+    if (ADMIN_EMAILS.includes(email)) {
+        record.role = 'admin';
+    } else if (!SIGNUP_ROLES.includes(record.role)) {
+        return { status: 403, error: 'This role cannot be chosen at sign-up' };
+    }
+
+    const password = record.password;
+    for (const field of PASSWORD_FIELDS) delete record[field];
+    Object.assign(record, await hashPassword(password), { emailVerified: true, college: college.name, collegeId: college.id });
+    return null;
+}
+
+// 16. Checks a new email address for an account: it must be a college's, not be taken, and have just been verified
+// with a code. Marks it verified in the changes and moves the account to its college. Resolves to { status, error }
+// if it can't be used, or null.
+async function prepareEmailChange(user, changes) {
+    const college = colleges.findByEmail(changes.email);
+    if (!college) {
+        return { status: 400, error: 'Please use your college email address' };
+    }
+    const owner = await findUserByEmail(changes.email);
+    if (owner && owner.id !== user.id) {
+        return { status: 409, error: 'An account with this email already exists' };
+    }
+    if (typeof changes.email !== 'string' || !(await verifications.consume(changes.email))) {
+        return { status: 403, error: 'Please verify your email address first' };
+    }
+    Object.assign(changes, { emailVerified: true, college: college.name, collegeId: college.id });
+    return null;
+}
+
+// 17. Finds the account with an email address, ignoring case. Resolves to null if there is none.
+async function findUserByEmail(email) {
+    const wanted = String(email).trim().toLowerCase();
+    return (await store.read('users')).find(user => String(user.email).toLowerCase() === wanted) || null;
+}
+
+// 18. Checks a new review against the deal it's for: a rating from 1 to 5, by the item's buyer or the loan's
+// borrower, of that deal's seller, once the deal is complete. Resolves to an error message, or null if it's valid.
+async function checkReview(review) {
+    if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) {
+        return 'Rating must be a whole number from 1 to 5';
+    }
+    if (typeof review.text !== 'string' || review.text.length > 500) {
+        return 'Review text must be at most 500 characters';
+    }
+    if (!review.reviewerId || review.reviewerId === review.sellerId) {
+        return 'You cannot review yourself';
+    }
+
+    const [kind, recordId] = String(review.dealId).split(/:(.+)/);
+    if (review.id !== `${review.dealId}:${review.reviewerId}`) {
+        return 'Invalid review id';
+    }
+    if (kind === 'sale') {
+        const item = await store.get('items', recordId);
+        if (item && item.buyerId === review.reviewerId && item.sellerId === review.sellerId && ['sold', 'given', 'traded'].includes(item.status)) {
+            return null;
+        }
+    } else if (kind === 'loan') {
+        const loan = await store.get('loans', recordId);
+        if (loan && loan.borrowerId === review.reviewerId && loan.ownerId === review.sellerId && loan.status === 'returned') {
+            return null;
+        }
+    }
+    return 'Reviews can only be left after a completed deal';
+}
+
+// 19. Routes a single request to the matching store method. The generic routes take a session, except signing
+// up, and only show and change the records the caller may see and change (see access.js).
+async function handleRequest(req, res) {
+    // Answers CORS preflight requests from the browser.
+    if (req.method === 'OPTIONS') {
+        return sendJson(res, 204);
+    }
+
+    let url, segments;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        // Splits '/api/items/123' into ['api', 'items', '123'].
+        segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        // A broken percent-escape (e.g. '%E0%A4%A') can't be decoded.
+        return sendJson(res, 400, { error: 'Malformed URL' });
+    }
+    const [prefix, collection, id, ...rest] = segments;
+
+    const caller = await sessions.getCaller(req);
+
+    if (prefix === 'api' && collection === 'images' && rest.length <= 1) {
+        return handleImageRequest(req, res, caller, id, rest[0]);
+    }
+    if (prefix === 'api' && collection === 'verifications' && rest.length === 0) {
+        return handleVerificationRequest(req, res, id);
+    }
+    if (prefix === 'api' && collection === 'login' && !id) {
+        return handleLogin(req, res);
+    }
+    if (prefix === 'api' && collection === 'sessions' && rest.length === 0) {
+        return handleSessionRequest(req, res, id);
+    }
+    if (prefix === 'api' && COLLECTIONS.includes(collection) && id && rest.length === 1 && req.method === 'POST') {
+        return handleAction(req, res, caller, collection, id, rest[0]);
+    }
+
+    if (prefix !== 'api' || !COLLECTIONS.includes(collection) || rest.length > 0) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+    const isSignup = collection === 'users' && !id && req.method === 'POST';
+    if (!caller && !isSignup) {
+        return sendJson(res, 401, { error: 'Please log in first' });
+    }
+
+    if (!id) {
+        if (req.method === 'GET') {
+            const query = Object.fromEntries(url.searchParams);
+            const records = [];
+            for (const record of await store.list(collection, query)) {
+                if (!(await isAllowed('read', { caller, collection, record, store }))) continue;
+                const shown = present(collection, record, caller);
+                // A query only matches fields the caller can see, so a hidden email can't be looked up either.
+                if (Object.keys(query).every(field => field in shown)) records.push(shown);
+            }
+            return sendJson(res, 200, records);
+        }
+        if (req.method === 'POST') {
+            const record = await readBody(req);
+            // New accounts are only accepted for an email address that was just verified with a code.
+            if (isSignup) {
+                const problem = await prepareSignup(record);
+                if (problem) {
+                    return sendJson(res, problem.status, { error: problem.error });
+                }
+            } else if (!(await isAllowed('create', { caller, collection, record, store }))) {
+                return sendJson(res, 403, { error: 'You cannot create this record' });
+            }
+            // Reviews are only accepted from the buyer or borrower of a completed deal.
+            if (collection === 'reviews') {
+                const problem = await checkReview(record);
+                if (problem) {
+                    return sendJson(res, 403, { error: problem });
+                }
+            }
+            const created = await store.create(collection, record);
+            // A new listing alerts the people whose saved searches it matches. The listing is saved either way.
+            if (collection === 'items') {
+                await alerts.notifyMatches(created).catch(error => console.error(error));
+            }
+            return sendJson(res, 201, present(collection, created, isSignup ? created : caller));
+        }
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    // Records the caller may not see answer 404, the same as missing ones.
+    const stored = await store.get(collection, id);
+    if (!stored || !(await isAllowed('read', { caller, collection, record: stored, store }))) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    let record;
+    switch (req.method) {
+        case 'GET':
+            record = stored;
+            break;
+        case 'PATCH': {
+            const changes = await readBody(req);
+            // Passwords are only changed through /api/users/<id>/password, which checks the current one.
+            if (collection === 'users' && PASSWORD_FIELDS.some(field => field in changes)) {
+                return sendJson(res, 403, { error: 'Passwords can only be changed with the current password' });
+            }
+            if (!(await isAllowed('update', { caller, collection, record: stored, changes, store }))) {
+                return sendJson(res, 403, { error: 'You cannot change this record' });
+            }
+            // An edited review has to be as valid as a new one.
+            if (collection === 'reviews') {
+                const problem = await checkReview({ ...stored, ...changes });
+                if (problem) {
+                    return sendJson(res, 400, { error: problem });
+                }
+            }
+            // A new email address has to be verified with a code first, like at sign-up.
+            if (collection === 'users' && 'email' in changes && changes.email !== stored.email) {
+                const problem = await prepareEmailChange(stored, changes);
+                if (problem) {
+                    return sendJson(res, problem.status, { error: problem.error });
+                }
+            }
+            record = await store.update(collection, id, changes);
+            break;
+        }
+        case 'DELETE':
+            // Deleting an account takes the password, through /api/users/<id>/delete.
+            if (collection === 'users') {
+                return sendJson(res, 405, { error: 'Method not allowed' });
+            }
+            if (!(await isAllowed('remove', { caller, collection, record: stored, store }))) {
+                return sendJson(res, 403, { error: 'You cannot delete this record' });
+            }
+            return (await store.remove(collection, id))
+                ? sendJson(res, 204)
+                : sendJson(res, 404, { error: 'Not found' });
+        default:
+            return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    return record ? sendJson(res, 200, present(collection, record, caller)) : sendJson(res, 404, { error: 'Not found' });
+}
+
+// 20. Deletes the listings whose grace period is over, with their photos, and dates the ones from before expiry
+// existed. Resolves to the deleted listings.
+export async function sweepListings() {
+    const purged = await expiry.sweep();
+    for (const photoId of purged.flatMap(item => item.photos || [])) {
+        await removePhoto(photoId).catch(() => {});
+    }
+    return purged;
+}
+
+// 21. Creates the HTTP server. Errors carrying a status (400, 409, 413) are reported to the client as-is.
+export const server = createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+        if (!error.status) console.error(error);
+        sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+    });
+});
+
+// Listens, and sweeps expired listings every hour, when run as a program (npm run server). The tests import the
+// server and listen on a port of their own.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    server.listen(PORT, () => {
+        console.log(`CampusKart API listening on http://localhost:${PORT}/api (data in ${DATA_DIR})`);
+    });
+    const sweep = () => sweepListings().catch(error => console.error(error));
+    sweep();
+    setInterval(sweep, SWEEP_INTERVAL_MS);
+}
@@ -0,0 +1,21 @@
+// Shared Rules JavaScript (server)
+// Some rules are kept in the pages' scripts and the server applies them too: the campus directory
+// (colleges.js), so an account's college comes from its verified email the same way sign-up
+// decides it, and the taxonomy and search matching (taxonomy.js, search.js), so saved searches
+// match new listings the same way the search box does. Those are classic browser scripts, so
+// they're run here once, in a context of their own, instead of imported.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const context = vm.createContext({});
+for (const file of ['colleges.js', 'taxonomy.js', 'search.js']) {
+    vm.runInContext(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'), context, { filename: file });
+}
+// Top-level classes aren't properties of the context's global object, so they're read by name.
+const { CollegeDirectory, SearchIndex, Taxonomy } = vm.runInContext('({ CollegeDirectory, SearchIndex, Taxonomy })', context);
+
+// The supported campuses: findByEmail(), resolveId() and the rest, as in the browser.
+export const colleges = new CollegeDirectory();
+// The categories and modes, as in the browser.
+export const taxonomy = new Taxonomy();
+export { SearchIndex };
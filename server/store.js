@@ -0,0 +1,130 @@
+// File Store JavaScript
+// A tiny JSON-file database for the CampusKart server. Each collection lives in
+// its own file (data/items.json, data/users.json, ...) holding a JSON array.
+// Records are kept as the pages sent them; the pages upgrade older ones as they read them (see schema.js).
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+
+export class FileStore {
+    // 1. The constructor remembers the data directory and prepares a write queue per collection.
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        // Writes to the same file are chained one after another so two requests can't overwrite each other.
+        this.queues = new Map();
+    }
+
+    // 2. Returns every record in a collection, keeping only those whose fields equal the query values.
+    async list(collection, query = {}) {
+        const records = await this.read(collection);
+        return records.filter(record =>
+            Object.entries(query).every(([field, value]) => String(record[field]) === String(value))
+        );
+    }
+
+    // 3. Returns a single record by id, or null if it doesn't exist.
+    async get(collection, id) {
+        const records = await this.read(collection);
+        return records.find(record => record.id === id) || null;
+    }
+
+    // 4. Adds a record (keeping the client's id if it sent one) and returns the saved copy.
+    async create(collection, record) {
+        return this.mutate(collection, records => {
+            const saved = { ...record, id: record.id || randomUUID() };
+            // Refuses duplicates so a retried POST can't create the same listing twice.
+            if (records.some(existing => existing.id === saved.id)) {
+                throw Object.assign(new Error(`Record ${saved.id} already exists`), { status: 409 });
+            }
+            records.push(saved);
+            return saved;
+        });
+    }
+
+    // 5. Merges changes into an existing record and returns the updated copy, or null if it's missing.
+    async update(collection, id, changes) {
+        return this.mutate(collection, records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) return null;
+            records[index] = { ...records[index], ...changes, id };
+            return records[index];
+        });
+    }
+
+    // 6. Deletes a record and reports whether anything was removed.
+    async remove(collection, id) {
+        return this.mutate(collection, records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) return false;
+            records.splice(index, 1);
+            return true;
+        });
+    }
+
+    // 7. Changes one record inside its collection's write queue: `change` gets the stored copy and returns the new
+    // one, or throws to refuse. Nothing else can write the collection in between, so a decision made on the stored
+    // copy still holds when it's saved. Resolves to the saved record, or null if it's missing.
+    async modify(collection, id, change) {
+        return this.mutate(collection, records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) return null;
+            records[index] = { ...change(records[index]), id };
+            return records[index];
+        });
+    }
+
+    // 8. Runs a change against a collection's records inside that collection's write queue, then saves the file.
+    mutate(collection, change) {
+        const previous = this.queues.get(collection) || Promise.resolve();
+        const next = previous.then(async () => {
+            const records = await this.read(collection);
+            const result = change(records);
+            await this.write(collection, records);
+            return result;
+        });
+        // A failed change must not block the queue for later requests.
+        this.queues.set(collection, next.catch(() => {}));
+        return next;
+    }
+
+    // 9. Reads a collection file, treating a missing file as an empty collection. A file that isn't a JSON array
+    // (e.g. edited by hand and broken) is renamed to <collection>.corrupt-<time>.json and the collection starts
+    // empty, so one bad file can't take the whole API down.
+    async read(collection) {
+        const file = this.fileFor(collection);
+        let text;
+        try {
+            text = await readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        let records = null;
+        try {
+            records = JSON.parse(text);
+        } catch (error) {
+            // Handled with any other value that isn't an array below.
+        }
+        if (Array.isArray(records)) return records;
+
+        const aside = path.join(this.dataDir, `${collection}.corrupt-${Date.now()}.json`);
+        await rename(file, aside).catch(() => {});
+        console.error(`${file} was not a JSON array; moved it to ${aside} and started the collection empty`);
+        return [];
+    }
+
+    // 10. Writes a collection to a temporary file first and then renames it, so a crash never leaves half a file.
+    async write(collection, records) {
+        await mkdir(this.dataDir, { recursive: true });
+        const file = this.fileFor(collection);
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify(records, null, 2));
+        await rename(temp, file);
+    }
+
+    // 11. Maps a collection name to its JSON file inside the data directory.
+    fileFor(collection) {
+        return path.join(this.dataDir, `${collection}.json`);
+    }
+}
@@ -0,0 +1,127 @@
+// Email Verification JavaScript (server)
+// Issues and checks the six-digit codes new users get at their college email address.
+// Records live in the 'verifications' collection, which is never exposed through the
+// generic REST routes, so a client can't read a code back. Codes are emailed through the
+// transport the environment configures (see createMailTransport()).
+import { createHash, randomBytes, randomInt, timingSafeEqual } from 'node:crypto';
+
+// How long a code can be used, and how long a verified address may take to finish signing up.
+const CODE_TTL_MS = 15 * 60 * 1000;
+// Wrong guesses allowed before a new code has to be requested.
+const MAX_ATTEMPTS = 5;
+
+export class VerificationService {
+    // 1. The constructor keeps the FileStore the verification records are saved in, and the mail transport
+    // ({ send({ to, subject, text, code }) }) the codes are emailed with.
+    constructor(store, transport) {
+        this.store = store;
+        this.transport = transport;
+    }
+
+    // 2. Issues a new code for an address, replacing any earlier one, and delivers it.
+    async issue(email) {
+        const id = normalizeEmail(email);
+        const code = String(randomInt(0, 1000000)).padStart(6, '0');
+        const salt = randomBytes(16).toString('hex');
+        await this.store.remove('verifications', id);
+        await this.store.create('verifications', {
+            id,
+            codeHash: hashCode(code, salt),
+            salt,
+            attempts: 0,
+            verifiedAt: null,
+            expiresAt: new Date(Date.now() + CODE_TTL_MS).toISOString()
+        });
+        await this.transport.send({
+            to: id,
+            subject: 'Your CampusKart verification code',
+            text: `Your CampusKart verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`,
+            code
+        });
+    }
+
+    // 3. Checks a code. A correct code marks the address as verified until the account is created.
+    async check(email, code) {
+        const id = normalizeEmail(email);
+        const record = await this.store.get('verifications', id);
+        if (!record || Date.parse(record.expiresAt) <= Date.now() || record.attempts >= MAX_ATTEMPTS) {
+            return false;
+        }
+        const expected = Buffer.from(record.codeHash, 'hex');
+        const actual = Buffer.from(hashCode(String(code).trim(), record.salt), 'hex');
+        if (!timingSafeEqual(expected, actual)) {
+            await this.store.update('verifications', id, { attempts: record.attempts + 1 });
+            return false;
+        }
+        await this.store.update('verifications', id, {
+            verifiedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + CODE_TTL_MS).toISOString()
+        });
+        return true;
+    }
+
+    // 4. Uses up a verified address when its account is created. Resolves to false if it wasn't verified.
+    async consume(email) {
+        const id = normalizeEmail(email);
+        const record = await this.store.get('verifications', id);
+        if (!record?.verifiedAt || Date.parse(record.expiresAt) <= Date.now()) {
+            return false;
+        }
+        await this.store.remove('verifications', id);
+        return true;
+    }
+}
+
+// Lowercases and trims an address so 'Sam@StateU.edu ' and 'sam@stateu.edu' share one record.
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Hashes a code with its salt (SHA-256, hex), matching hashVerificationCode() in the browser.
+function hashCode(code, salt) {
+    return createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+// Creates the transport verification codes are emailed with, from the environment:
+//   EMAIL_TRANSPORT=webhook  POSTs { from, to, subject, text } as JSON to EMAIL_WEBHOOK_URL, the shape email APIs
+//                            and relays commonly take, with 'Authorization: Bearer <EMAIL_WEBHOOK_TOKEN>' if that's set
+//                            and EMAIL_FROM as the sender.
+//   EMAIL_TRANSPORT=log      prints each code to the server log instead, for development. Refused when
+//                            NODE_ENV=production, since nobody would receive the codes.
+// Throws if no transport is configured, so the server can't start without a way to reach students.
+export function createMailTransport(env = process.env) {
+    const kind = env.EMAIL_TRANSPORT;
+    if (kind === 'log') {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('EMAIL_TRANSPORT=log only prints codes to the server log and cannot be used in production');
+        }
+        return {
+            async send({ to, code }) {
+                console.log(`Verification code for ${to}: ${code}`);
+            }
+        };
+    }
+    if (kind === 'webhook') {
+        if (!env.EMAIL_WEBHOOK_URL) {
+            throw new Error('EMAIL_TRANSPORT=webhook needs EMAIL_WEBHOOK_URL');
+        }
+        return {
+            async send({ to, subject, text }) {
+                const response = await fetch(env.EMAIL_WEBHOOK_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(env.EMAIL_WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.EMAIL_WEBHOOK_TOKEN}` } : {})
+                    },
+                    body: JSON.stringify({ from: env.EMAIL_FROM || 'CampusKart <no-reply@campuskart.app>', to, subject, text })
+                }).catch(() => null);
+                if (!response?.ok) {
+                    throw Object.assign(new Error('Could not send the verification email. Please try again later.'), { status: 502 });
+                }
+            }
+        };
+    }
+    throw new Error(kind
+        ? `Unknown EMAIL_TRANSPORT '${kind}' (use 'webhook', or 'log' in development)`
+        : "No email transport is configured. Set EMAIL_TRANSPORT=webhook with EMAIL_WEBHOOK_URL, or EMAIL_TRANSPORT=log in development");
+}
@@ -0,0 +1,327 @@
+// Session JavaScript
+// Password hashing and login sessions shared by auth.js and app.js.
+// Passwords are never stored: only a salted PBKDF2 hash. A login creates a session record
+// in the storage layer, and the browser keeps just its random token. With a server, passwords
+// are checked and sessions started there instead (see server/auth.js), and the token goes
+// with every request. Several people can stay
+// signed in on a shared device (a campus lab machine, say): each account has its own session
+// and token, and each tab remembers which of them it's using, so switching accounts in one tab
+// or logging one out leaves the others as they were.
+
+// How long a session stays valid without any activity.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// How often an active session has its expiry pushed forward (sliding refresh), to avoid a write on every page load.
+const SESSION_REFRESH_MS = 60 * 60 * 1000;
+// PBKDF2 settings for new password hashes. Older hashes keep the iteration count they were created with.
+const PASSWORD_HASH_ITERATIONS = 310000;
+// Roles that can moderate listings and users (see moderation.js). Staff can also buy and sell, like 'both'.
+const STAFF_ROLES = ['moderator', 'admin'];
+// Where this browser keeps the token of the account in use: per tab in sessionStorage, and the last one
+// chosen in localStorage for new tabs.
+const SESSION_TOKEN_KEY = 'campuskart_session';
+// The accounts signed in on this device: [{ userId, token, name, email, college, lastUsedAt }].
+const SIGNED_IN_ACCOUNTS_KEY = 'campuskart_accounts';
+// The most accounts that can stay signed in on one device. Signing in another logs out the least recently used.
+const MAX_SIGNED_IN_ACCOUNTS = 5;
+
+// Manages the session tokens for this browser and the session records behind them.
+class SessionManager {
+    // 1. The constructor keeps the storage layer where session and user records live.
+    constructor(storage) {
+        this.storage = storage;
+        // Older versions kept the whole user object (password included) under this key; it is never trusted again.
+        localStorage.removeItem('campuskart_current_user');
+    }
+
+    // 2. Logs in with an email and password and switches this tab to the account. Resolves to the user (without
+    // password fields), or null if they don't match. A suspended account is refused with a 403 error saying why.
+    async logIn(email, password) {
+        if (this.storage.shared) {
+            // The server checks the password and starts the session itself.
+            let result;
+            try {
+                result = await this.storage.logIn(email, password);
+            } catch (error) {
+                if (error.status === 401) return null;
+                throw error;
+            }
+            await this.addAccount(result.user, result.session.id);
+            return result.user;
+        }
+
+        const user = await this.findUserByCredentials(email, password);
+        if (!user) return null;
+        if (user.suspended) {
+            const reason = user.suspendedReason ? `: ${user.suspendedReason}` : '';
+            throw Object.assign(new Error(`This account has been suspended${reason}`), { status: 403 });
+        }
+        await this.start(user);
+        return toPublicUser(user);
+    }
+
+    // 3. Finds the account in this browser matching an email and password, or returns null.
+    async findUserByCredentials(email, password) {
+        const users = await this.storage.list('users', { email });
+        for (const user of users) {
+            if (await verifyPassword(password, user)) {
+                return user;
+            }
+            // Accounts created before hashing still hold a plaintext password: accept it once and replace it with a hash.
+            if (user.password && user.password === password) {
+                return this.storage.update('users', user.id, { ...(await hashPassword(password)), password: null });
+            }
+        }
+        return null;
+    }
+
+    // 4. Starts a new session in this browser for a user who was just checked, and switches to them.
+    async start(user) {
+        const now = Date.now();
+        const session = await this.storage.create('sessions', {
+            id: randomToken(),
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            refreshedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        });
+        await this.addAccount(user, session.id);
+        return session;
+    }
+
+    // 5. Adds a new session to the accounts signed in on this device and switches to it. Signing in again to an
+    // account that's already here replaces its old session.
+    async addAccount(user, token) {
+        const previous = this.getAccounts().find(account => account.userId === user.id);
+        if (previous && previous.token !== token) await this.end(previous.token);
+        this.rememberAccount(user, token);
+        // Makes room by logging out the accounts that haven't been used for longest.
+        for (const account of this.getAccounts().slice(MAX_SIGNED_IN_ACCOUNTS)) {
+            await this.end(account.token);
+        }
+        this.setActiveToken(token);
+    }
+
+    // 6. Checks a password against an account kept in this browser. With a server, the password is checked
+    // there by the action that needs it (see changePassword() and settings.js).
+    async checkPassword(userId, password) {
+        const record = await this.storage.get('users', userId);
+        return !!record && verifyPassword(password, record);
+    }
+
+    // 7. Changes an account's password after checking the current one, and ends the account's other sessions so
+    // nobody stays signed in with the old password. Resolves to false if it was wrong.
+    async changePassword(userId, password, newPassword) {
+        if (this.storage.shared) {
+            try {
+                await this.storage.perform('users', userId, 'password', { password, newPassword });
+            } catch (error) {
+                if (error.status === 403) return false;
+                throw error;
+            }
+            return true;
+        }
+        if (!(await this.checkPassword(userId, password))) return false;
+        await this.storage.update('users', userId, { ...(await hashPassword(newPassword)), password: null });
+        const active = this.getActiveToken();
+        for (const session of await this.storage.list('sessions', { userId })) {
+            if (session.id !== active) await this.end(session.id);
+        }
+        return true;
+    }
+
+    // 8. Validates this tab's session and returns the logged-in user (without password fields), or null.
+    async getCurrentUser() {
+        const token = this.getActiveToken();
+        if (!token) return null;
+
+        let session, user;
+        try {
+            session = await this.storage.get('sessions', token);
+            user = session && await this.storage.get('users', session.userId);
+        } catch (error) {
+            // Offline, the session can't be checked, and the service worker doesn't cache sessions or accounts.
+            if (isNetworkError(error)) return this.getOfflineUser(token);
+            throw error;
+        }
+        // A missing or expired session is cleaned up so the next check is quick.
+        if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+            await this.end(token);
+            return null;
+        }
+
+        // A suspended user is logged out on their next page load. See moderation.js.
+        if (!user || user.suspended) {
+            await this.end(token);
+            return null;
+        }
+
+        await this.refresh(session);
+        // Pins this tab to the account, so switching accounts in another tab doesn't change it on the next page load.
+        sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+        // Keeps the name shown in the account switcher up to date, and adds sessions from before it existed.
+        this.rememberAccount(user, token);
+        return toPublicUser(user);
+    }
+
+    // 9. Returns the user a session was last seen signed in as on this device (see rememberAccount()), for pages
+    // opened offline, or null if it isn't signed in here.
+    getOfflineUser(token) {
+        const account = this.getAccounts().find(a => a.token === token);
+        return account
+            ? { id: account.userId, name: account.name, email: account.email, college: account.college, collegeId: account.collegeId || null, role: account.role }
+            : null;
+    }
+
+    // 10. Pushes the session's expiry forward while the user stays active (sliding refresh).
+    // The server does this itself whenever the session is used.
+    async refresh(session) {
+        if (this.storage.shared) return;
+        const now = Date.now();
+        if (now - Date.parse(session.refreshedAt) < SESSION_REFRESH_MS) return;
+        await this.storage.update('sessions', session.id, {
+            refreshedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        });
+    }
+
+    // 11. Ends a session (this tab's, unless another token is given), both in storage and in this browser.
+    // The other accounts signed in on this device stay signed in.
+    async end(token = this.getActiveToken()) {
+        if (!token) return;
+        this.saveAccounts(this.getAccounts().filter(account => account.token !== token));
+        if (sessionStorage.getItem(SESSION_TOKEN_KEY) === token) sessionStorage.removeItem(SESSION_TOKEN_KEY);
+        if (localStorage.getItem(SESSION_TOKEN_KEY) === token) localStorage.removeItem(SESSION_TOKEN_KEY);
+        try {
+            await this.storage.remove('sessions', token);
+        } catch (error) {
+            // The token is already gone from this browser, so a failed delete only leaves a record that will expire.
+        }
+    }
+
+    // 12. Ends every session signed in on this device, e.g. before leaving a shared computer.
+    async endAll() {
+        const tokens = new Set([...this.getAccounts().map(account => account.token), this.getActiveToken()]);
+        for (const token of tokens) {
+            await this.end(token);
+        }
+    }
+
+    // 13. Returns the accounts signed in on this device, most recently used first.
+    getAccounts() {
+        let accounts = [];
+        try {
+            accounts = JSON.parse(localStorage.getItem(SIGNED_IN_ACCOUNTS_KEY) || '[]');
+        } catch (error) {
+            // A damaged list is treated as empty; its sessions simply expire.
+        }
+        return (Array.isArray(accounts) ? accounts : [])
+            .filter(account => account?.token && account.userId)
+            .sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+    }
+
+    // 14. Switches this tab (and new tabs) to another account signed in on this device. Returns false if it isn't one.
+    // The page reloads afterwards, and the session is checked then like any other.
+    switchTo(userId) {
+        const account = this.getAccounts().find(a => a.userId === userId);
+        if (!account) return false;
+        this.setActiveToken(account.token);
+        return true;
+    }
+
+    // 15. Returns the token of the session this tab uses: its own, or the last one chosen on this device.
+    getActiveToken() {
+        return sessionStorage.getItem(SESSION_TOKEN_KEY) || localStorage.getItem(SESSION_TOKEN_KEY);
+    }
+
+    // 16. Makes a session the one this tab uses, and the one new tabs start with.
+    setActiveToken(token) {
+        sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+        localStorage.setItem(SESSION_TOKEN_KEY, token);
+    }
+
+    // 17. Adds or updates an account in the list of those signed in on this device, marking it as just used.
+    // Only what the switcher and pages opened offline need is kept, never password fields.
+    rememberAccount(user, token) {
+        const others = this.getAccounts().filter(account => account.userId !== user.id);
+        this.saveAccounts([
+            {
+                userId: user.id, token, name: user.name, email: user.email, college: user.college || '',
+                collegeId: user.collegeId || null, role: user.role, lastUsedAt: new Date().toISOString()
+            },
+            ...others
+        ]);
+    }
+
+    // 18. Saves the list of accounts signed in on this device.
+    saveAccounts(accounts) {
+        localStorage.setItem(SIGNED_IN_ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+}
+
+// Hashes a password with a fresh random salt. Returns the fields to store on the user record.
+async function hashPassword(password) {
+    const salt = randomToken(16);
+    return {
+        passwordHash: await pbkdf2(password, salt, PASSWORD_HASH_ITERATIONS),
+        passwordSalt: salt,
+        passwordIterations: PASSWORD_HASH_ITERATIONS
+    };
+}
+
+// Checks a password against a user record's stored hash.
+async function verifyPassword(password, user) {
+    if (!user.passwordHash || !user.passwordSalt) return false;
+    const hash = await pbkdf2(password, user.passwordSalt, user.passwordIterations || PASSWORD_HASH_ITERATIONS);
+    // Compares every character so the time taken doesn't reveal how much of the hash matched.
+    let difference = hash.length ^ user.passwordHash.length;
+    for (let i = 0; i < hash.length; i++) {
+        difference |= hash.charCodeAt(i) ^ user.passwordHash.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+// Returns the header that tells the server which signed-in user this tab is acting for, or none if nobody is.
+function getAuthHeaders() {
+    const token = sessionStorage.getItem(SESSION_TOKEN_KEY) || localStorage.getItem(SESSION_TOKEN_KEY);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Checks whether a user is a moderator or admin.
+function isStaff(user) {
+    return STAFF_ROLES.includes(user?.role);
+}
+
+// Checks whether an email is one of the admin addresses set in <meta name="campuskart-admins"> (comma-separated).
+// Accounts created with these addresses are admins, who can then appoint moderators from the moderation console.
+function isAdminEmail(email) {
+    const admins = document.querySelector('meta[name="campuskart-admins"]')?.getAttribute('content') || '';
+    return admins.split(',').some(admin => admin.trim() && admin.trim().toLowerCase() === email.toLowerCase());
+}
+
+// Returns a copy of a user record without any password fields, safe to keep in memory and render.
+function toPublicUser(user) {
+    const { password, passwordHash, passwordSalt, passwordIterations, ...publicUser } = user;
+    return publicUser;
+}
+
+// Derives a hex-encoded PBKDF2-SHA-256 hash using the browser's WebCrypto API.
+async function pbkdf2(password, salt, iterations) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+        key,
+        256
+    );
+    return toHex(new Uint8Array(bits));
+}
+
+// Generates a random hex string, used for session tokens and password salts.
+function randomToken(bytes = 32) {
+    return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// Converts bytes to a lowercase hex string.
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,369 @@
+// Settings JavaScript
+// The account settings modal: the logged-in user can change their name, avatar and
+// contact preferences, move to another college by verifying its email address, change
+// their password, start selling, or delete their account together with their listings.
+
+// The longest contact note ('Best reached after 5pm…') shown on a public profile.
+const MAX_CONTACT_NOTE_LENGTH = 200;
+// The size avatars are stored at; they're only ever shown small.
+const AVATAR_VARIANT = { maxSize: 256, quality: 0.8 };
+// The records deleted along with an account, by the fields that name its owner (the server does the same).
+const ACCOUNT_RECORDS = {
+    offers: ['buyerId', 'sellerId'],
+    threads: ['buyerId', 'sellerId'],
+    messages: ['senderId', 'recipientId'],
+    loans: ['borrowerId', 'ownerId'],
+    favorites: ['userId'],
+    savedSearches: ['userId'],
+    alerts: ['userId'],
+    sessions: ['userId']
+};
+
+class AccountSettings {
+    // 1. The constructor keeps a reference to the main app for its storage, user, images and modals.
+    constructor(app) {
+        this.app = app;
+        // Sends and checks the code that proves the user owns a new college email. See verification.js.
+        this.verifier = createEmailVerifier(app.storage);
+        // The new college email waiting for its code, and the college it belongs to.
+        this.pendingEmail = null;
+        this.pendingCollege = null;
+        // The avatar chosen in the form: a photo id, null to remove it, or undefined while unchanged.
+        this.avatarPhotoId = undefined;
+    }
+
+    // 2. Wires up the settings button and each of the modal's forms.
+    initialize() {
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.open());
+
+        document.getElementById('profileSettingsForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.saveProfile();
+        });
+        document.getElementById('avatarUpload')?.addEventListener('change', async (e) => {
+            await this.handleAvatarUpload(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('removeAvatarBtn')?.addEventListener('click', () => {
+            this.discardUnsavedAvatar();
+            this.avatarPhotoId = null;
+            this.renderAvatar();
+        });
+
+        document.getElementById('collegeEmailForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (this.pendingEmail) {
+                await this.verifyCollegeEmail();
+            } else {
+                await this.sendCollegeCode();
+            }
+        });
+        document.getElementById('settingsEmail')?.addEventListener('input', () => {
+            // Editing the address starts over with a new code.
+            this.pendingEmail = null;
+            this.renderCollegeStep();
+        });
+
+        document.getElementById('passwordForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.changePassword();
+        });
+        document.getElementById('upgradeRoleBtn')?.addEventListener('click', async () => {
+            await this.upgradeRole();
+        });
+        document.getElementById('deleteAccountForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.deleteAccount();
+        });
+    }
+
+    // 3. Opens the settings modal filled in with the current user's details.
+    open() {
+        const user = this.app.currentUser;
+        ['profileSettingsForm', 'collegeEmailForm', 'passwordForm', 'deleteAccountForm'].forEach(id => {
+            document.getElementById(id)?.reset();
+        });
+        document.getElementById('settingsName').value = user.name;
+        document.getElementById('settingsContactNote').value = user.contactNote || '';
+        document.getElementById('settingsShowEmail').checked = !!user.showEmail;
+        document.getElementById('settingsCollege').textContent = user.college || 'No college on record';
+        document.getElementById('settingsEmail').value = user.email;
+        document.getElementById('upgradeRoleSection').style.display = user.role === 'buyer' ? 'block' : 'none';
+
+        this.discardUnsavedAvatar();
+        this.avatarPhotoId = undefined;
+        this.pendingEmail = null;
+        this.renderAvatar();
+        this.renderCollegeStep();
+        this.app.openModal('settingsModal');
+    }
+
+    // 4. Compresses a chosen picture into a small avatar and stores it, to be saved with the profile.
+    async handleAvatarUpload(file) {
+        if (!file) return;
+        if (!file.type.startsWith('image/') || file.size > MAX_PHOTO_FILE_BYTES) {
+            this.app.showNotification('Please choose an image file under 20MB', 'error');
+            return;
+        }
+        try {
+            const id = `avatar-${randomToken(8)}`;
+            await this.app.images.save(id, { thumb: await compressImage(await decodeImage(file), AVATAR_VARIANT) });
+            this.discardUnsavedAvatar();
+            this.avatarPhotoId = id;
+        } catch (error) {
+            this.app.showNotification('Could not use this picture. Please try another one.', 'error');
+            return;
+        }
+        this.renderAvatar();
+    }
+
+    // 5. Deletes an avatar that was uploaded in the form but never saved to the profile.
+    discardUnsavedAvatar() {
+        if (this.avatarPhotoId && this.avatarPhotoId !== this.app.currentUser.avatarPhotoId) {
+            this.app.removePhotos([this.avatarPhotoId]);
+        }
+    }
+
+    // 6. Shows the avatar the form will save.
+    renderAvatar() {
+        const user = this.app.currentUser;
+        const avatarPhotoId = this.avatarPhotoId === undefined ? user.avatarPhotoId : this.avatarPhotoId;
+        document.getElementById('settingsAvatar').innerHTML = this.app.profile.createAvatar({ ...user, avatarPhotoId });
+        document.getElementById('removeAvatarBtn').style.display = avatarPhotoId ? '' : 'none';
+    }
+
+    // 7. Validates and saves the name, avatar and contact preferences. A new name is also shown on the user's listings.
+    async saveProfile() {
+        const user = this.app.currentUser;
+        const name = document.getElementById('settingsName').value.trim();
+        const contactNote = document.getElementById('settingsContactNote').value.trim();
+        const showEmail = document.getElementById('settingsShowEmail').checked;
+
+        if (!name) {
+            this.app.showNotification('Please enter your name', 'error');
+            return;
+        }
+        if (contactNote.length > MAX_CONTACT_NOTE_LENGTH) {
+            this.app.showNotification(`The contact note can be at most ${MAX_CONTACT_NOTE_LENGTH} characters`, 'error');
+            return;
+        }
+
+        const changes = { name, contactNote, showEmail };
+        const oldAvatar = user.avatarPhotoId;
+        if (this.avatarPhotoId !== undefined) {
+            changes.avatarPhotoId = this.avatarPhotoId;
+        }
+        if (!(await this.updateUser(changes))) return;
+
+        // The replaced avatar is no longer needed.
+        if (this.avatarPhotoId !== undefined && oldAvatar && oldAvatar !== this.avatarPhotoId) {
+            await this.app.removePhotos([oldAvatar]);
+        }
+        this.avatarPhotoId = undefined;
+        if (name !== user.name) {
+            await this.updateOwnListings({ sellerName: name });
+        }
+        this.app.showNotification('Profile saved', 'success');
+    }
+
+    // 8. Sends a verification code to a new college email address.
+    async sendCollegeCode() {
+        const email = document.getElementById('settingsEmail').value.trim();
+        const college = this.app.colleges.findByEmail(email);
+        if (email.toLowerCase() === this.app.currentUser.email.toLowerCase()) {
+            this.app.showNotification('That is already your email address', 'info');
+            return;
+        }
+        if (!college) {
+            this.app.showNotification('Please use your college email address (e.g. name@stateu.edu)', 'error');
+            return;
+        }
+
+        try {
+            const existing = await this.app.storage.list('users', { email });
+            if (existing.length > 0) {
+                this.app.showNotification('An account with this email already exists', 'error');
+                return;
+            }
+            const { code } = await this.verifier.send(email);
+            document.getElementById('settingsLocalCode').textContent = code ? `Your code is ${code} (shown here because no email server is set up)` : '';
+        } catch (error) {
+            // A 409 means the email already has an account, even one whose email isn't shown.
+            this.app.showNotification(error.status === 409 ? error.message : 'Could not send a verification code. Please try again.', 'error');
+            return;
+        }
+
+        this.pendingEmail = email;
+        this.pendingCollege = college;
+        this.renderCollegeStep();
+        this.app.showNotification(`We sent a code to ${email}`, 'success');
+    }
+
+    // 9. Checks the code and moves the account, and its listings, to the new address's college.
+    async verifyCollegeEmail() {
+        const code = document.getElementById('settingsCode').value;
+        let verified = false;
+        try {
+            verified = await this.verifier.check(this.pendingEmail, code);
+        } catch (error) {
+            this.app.showNotification('Could not check the code. Please try again.', 'error');
+            return;
+        }
+        if (!verified) {
+            this.app.showNotification('That code is wrong or has expired', 'error');
+            return;
+        }
+
+        const college = this.pendingCollege;
+        const saved = await this.updateUser({
+            email: this.pendingEmail,
+            college: college.name,
+            collegeId: college.id,
+            emailVerified: true
+        });
+        if (!saved) return;
+
+        await this.updateOwnListings({ sellerCollege: college.name, sellerCollegeId: college.id });
+        this.pendingEmail = null;
+        document.getElementById('settingsCollege').textContent = college.name;
+        this.renderCollegeStep();
+        this.app.applyFilters();
+        this.app.showNotification(`You're now at ${college.name}`, 'success');
+    }
+
+    // 10. Shows either the new email field or, once a code was sent, the field to enter it.
+    renderCollegeStep() {
+        const waiting = !!this.pendingEmail;
+        document.getElementById('settingsCodeGroup').style.display = waiting ? 'block' : 'none';
+        document.getElementById('settingsCode').required = waiting;
+        if (!waiting) document.getElementById('settingsLocalCode').textContent = '';
+        document.querySelector('#collegeEmailForm .submit-btn').innerHTML = waiting
+            ? '<i class="fas fa-check"></i> Verify Code'
+            : '<i class="fas fa-paper-plane"></i> Send Code';
+    }
+
+    // 11. Changes the password after checking the current one.
+    async changePassword() {
+        const current = document.getElementById('currentPassword').value;
+        const next = document.getElementById('newPassword').value;
+        const confirmation = document.getElementById('confirmPassword').value;
+
+        if (next.length < 6) {
+            this.app.showNotification('Password must be at least 6 characters', 'error');
+            return;
+        }
+        if (next !== confirmation) {
+            this.app.showNotification('The new passwords do not match', 'error');
+            return;
+        }
+
+        let changed;
+        try {
+            // The current password is checked where the account is kept: the server, or this browser. See session.js.
+            changed = await this.app.session.changePassword(this.app.currentUser.id, current, next);
+        } catch (error) {
+            this.app.showNotification('Could not change your password. Please try again.', 'error');
+            return;
+        }
+        if (!changed) {
+            this.app.showNotification('Your current password is incorrect', 'error');
+            return;
+        }
+        document.getElementById('passwordForm').reset();
+        this.app.showNotification('Password changed. Any other sessions on this account have been logged out.', 'success');
+    }
+
+    // 12. Lets a buyer start posting items.
+    async upgradeRole() {
+        if (await this.updateUser({ role: 'both' })) {
+            document.getElementById('upgradeRoleSection').style.display = 'none';
+            this.app.showNotification('You can now post items for sale, loan or donation', 'success');
+        }
+    }
+
+    // 13. Deletes the account after checking the password, together with its listings and their photos, and its
+    // offers, conversations, loans, favorites, saved searches, alerts and sessions.
+    async deleteAccount() {
+        const password = document.getElementById('deletePassword').value;
+        const shared = this.app.storage.shared;
+        // With a server, the password is checked there as the account is deleted.
+        if (!shared && !(await this.checkPassword(password))) return;
+        if (!confirm('Delete your account and all of your listings? This cannot be undone.')) return;
+
+        const user = this.app.currentUser;
+        const ownItems = this.app.items.filter(item => item.sellerId === user.id);
+        try {
+            if (shared) {
+                // The server deletes the listings, their photos and the other records along with the account.
+                await this.app.storage.perform('users', user.id, 'delete', { password });
+            } else {
+                for (const item of ownItems) {
+                    await this.app.storage.remove('items', item.id);
+                }
+                for (const [collection, fields] of Object.entries(ACCOUNT_RECORDS)) {
+                    for (const field of fields) {
+                        for (const record of await this.app.storage.list(collection, { [field]: user.id })) {
+                            await this.app.storage.remove(collection, record.id);
+                        }
+                    }
+                }
+                await this.app.storage.remove('users', user.id);
+            }
+        } catch (error) {
+            this.app.showNotification(
+                error.status === 403 ? 'Your current password is incorrect' : 'Could not delete your account. Please try again.',
+                'error'
+            );
+            return;
+        }
+        if (!shared) {
+            await this.app.removePhotos([
+                ...ownItems.flatMap(item => this.app.getItemPhotoIds(item)),
+                ...(user.avatarPhotoId ? [user.avatarPhotoId] : [])
+            ]);
+        }
+
+        await this.app.session.end();
+        window.location.href = 'index.html';
+    }
+
+    // 14. Checks a password against the account kept in this browser, showing an error if it's wrong.
+    async checkPassword(password) {
+        try {
+            if (await this.app.session.checkPassword(this.app.currentUser.id, password)) return true;
+        } catch (error) {
+            this.app.showNotification('Could not reach the server. Please try again.', 'error');
+            return false;
+        }
+        this.app.showNotification('Your current password is incorrect', 'error');
+        return false;
+    }
+
+    // 15. Saves changes to the user's account and updates the page to match. Resolves to true if they were saved.
+    async updateUser(changes) {
+        try {
+            const updated = await this.app.storage.update('users', this.app.currentUser.id, changes);
+            this.app.currentUser = toPublicUser(updated);
+        } catch (error) {
+            this.app.showNotification('Could not save your changes. Please try again.', 'error');
+            return false;
+        }
+        this.app.setupUserInterface();
+        this.app.profile.refresh();
+        return true;
+    }
+
+    // 16. Copies changed seller details (name, college) onto all of the user's listings.
+    async updateOwnListings(changes) {
+        const ownItems = this.app.items.filter(item => item.sellerId === this.app.currentUser.id);
+        try {
+            for (const item of ownItems) {
+                const updated = await this.app.storage.update('items', item.id, changes);
+                this.app.items = this.app.items.map(i => (i.id === item.id ? updated : i));
+            }
+        } catch (error) {
+            // Listings that weren't updated keep showing the old details until they're edited.
+        }
+        this.app.applyFilters();
+    }
+}
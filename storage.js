@@ -0,0 +1,212 @@
+// Storage Layer JavaScript
+// These classes hide where CampusKart data lives. Every adapter exposes the same
+// promise-based methods (list, get, create, update, remove), so app.js and auth.js
+// work the same way whether records sit in this browser or on a shared server.
+// Records read through either adapter are upgraded to the current schema (see schema.js).
+
+// Keeps each collection as a JSON array in the browser's localStorage (the original behavior).
+class LocalStorageAdapter {
+    // 1. The constructor stores the key prefix, so 'items' is saved under 'campuskart_items'.
+    constructor(prefix = 'campuskart_') {
+        this.prefix = prefix;
+        // The collections whose saved data was damaged and set aside, so the page can tell the user.
+        this.problems = [];
+        // Records only live in this browser, so the page itself checks passwords and carries out deals.
+        this.shared = false;
+    }
+
+    // 2. Returns every record in a collection, optionally keeping only those whose fields equal the query values.
+    async list(collection, query = {}) {
+        const records = this.read(collection);
+        return records.filter(record => matchesQuery(record, query));
+    }
+
+    // 3. Returns a single record by its id, or null if it doesn't exist.
+    async get(collection, id) {
+        return this.read(collection).find(record => record.id === id) || null;
+    }
+
+    // 4. Adds a new record to a collection and returns the saved copy.
+    async create(collection, record) {
+        const records = this.read(collection);
+        // Generates an id the same way the app always has, unless the caller already chose one.
+        const saved = stampSchemaVersion(collection, { ...record, id: record.id || Date.now().toString() });
+        records.push(saved);
+        this.write(collection, records);
+        return saved;
+    }
+
+    // 5. Merges the given changes into an existing record and returns the updated copy.
+    async update(collection, id, changes) {
+        const records = this.read(collection);
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) {
+            throw new Error(`No ${collection} record with id ${id}`);
+        }
+        // The id is never allowed to change, whatever the caller passes in.
+        records[index] = { ...records[index], ...changes, id };
+        this.write(collection, records);
+        return records[index];
+    }
+
+    // 6. Deletes a record from a collection. Removing a missing record is not an error.
+    async remove(collection, id) {
+        const records = this.read(collection);
+        this.write(collection, records.filter(record => record.id !== id));
+    }
+
+    // 7. Reads and parses the JSON array for a collection. Older records are upgraded and saved back, so each
+    // migration only runs once. Damaged data is set aside instead of failing: JSON that can't be parsed is moved
+    // to '<key>_corrupt_<time>', and records that aren't usable to '<key>_rejected'.
+    read(collection) {
+        const key = this.prefix + collection;
+        const raw = localStorage.getItem(key);
+        if (!raw) return [];
+
+        let records = null;
+        try {
+            records = JSON.parse(raw);
+        } catch (error) {
+            // Handled with any other value that isn't an array of records below.
+        }
+        if (!Array.isArray(records)) {
+            this.setAside(collection, `${key}_corrupt_${Date.now()}`, raw);
+            localStorage.removeItem(key);
+            return [];
+        }
+
+        const result = upgradeRecords(collection, records);
+        if (result.rejected.length > 0) {
+            let earlier = [];
+            try {
+                earlier = JSON.parse(localStorage.getItem(`${key}_rejected`) || '[]');
+            } catch (error) {
+                // A damaged list of rejected records is replaced.
+            }
+            this.setAside(collection, `${key}_rejected`, JSON.stringify([...(Array.isArray(earlier) ? earlier : []), ...result.rejected]));
+        }
+        if (result.upgraded || result.rejected.length > 0) {
+            this.write(collection, result.records);
+        }
+        return result.records;
+    }
+
+    // 8. Serializes and writes the whole array for a collection back to localStorage.
+    write(collection, records) {
+        localStorage.setItem(this.prefix + collection, JSON.stringify(records));
+    }
+
+    // 9. Keeps damaged data under a separate key, where it can still be recovered by hand, and notes the problem.
+    setAside(collection, key, value) {
+        if (!this.problems.includes(collection)) this.problems.push(collection);
+        try {
+            localStorage.setItem(key, value);
+        } catch (error) {
+            // Without room to keep it, the damaged data is dropped so the rest of the page still works.
+        }
+    }
+}
+
+// Talks to the CampusKart REST server (see server/index.js), so every student sees the same listings.
+class HttpStorageAdapter {
+    // 1. The constructor stores the API base URL, normally '/api' on the page's own origin (during development Vite
+    // forwards it to the server, see vite.config.js). The pages' Content-Security-Policy only allows connect-src 'self',
+    // so a server on another origin also needs adding there.
+    constructor(baseUrl) {
+        // Removes any trailing slash so paths can always be joined with '/'.
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        // The collections that returned records that aren't usable, so the page can tell the user.
+        this.problems = [];
+        // Records are shared by everyone, so the server checks passwords and carries out deals (see perform()).
+        this.shared = true;
+    }
+
+    // 2. GET /api/<collection>?field=value — the server applies the same equality filters as the local adapter.
+    // Older records are upgraded as they arrive; the server keeps them as they are until they're next saved.
+    async list(collection, query = {}) {
+        const params = new URLSearchParams(query).toString();
+        const records = await this.request('GET', `/${collection}${params ? `?${params}` : ''}`);
+        const result = upgradeRecords(collection, Array.isArray(records) ? records : []);
+        if (result.rejected.length > 0 && !this.problems.includes(collection)) this.problems.push(collection);
+        return result.records;
+    }
+
+    // 3. GET /api/<collection>/<id> — a 404 from the server becomes null, matching the local adapter,
+    // and so does a record that isn't usable.
+    async get(collection, id) {
+        try {
+            return this.upgrade(collection, await this.request('GET', `/${collection}/${encodeURIComponent(id)}`));
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    // 4. POST /api/<collection> with the new record as the JSON body.
+    async create(collection, record) {
+        return this.upgrade(collection, await this.request('POST', `/${collection}`, stampSchemaVersion(collection, record)));
+    }
+
+    // 5. PATCH /api/<collection>/<id> with only the changed fields.
+    async update(collection, id, changes) {
+        return this.upgrade(collection, await this.request('PATCH', `/${collection}/${encodeURIComponent(id)}`, changes));
+    }
+
+    // 6. DELETE /api/<collection>/<id>.
+    async remove(collection, id) {
+        await this.request('DELETE', `/${collection}/${encodeURIComponent(id)}`);
+    }
+
+    // 7. POST /api/<collection>/<id>/<action> — a change the server carries out itself after checking who asks,
+    // e.g. changing a password. Resolves to the updated record, or null if the server sends none back.
+    async perform(collection, id, action, body = {}) {
+        const record = await this.request('POST', `/${collection}/${encodeURIComponent(id)}/${action}`, body);
+        return record && this.upgrade(collection, record);
+    }
+
+    // 8. POST /api/login — the server checks the password and starts a session. Resolves to { session, user }.
+    async logIn(email, password) {
+        return this.request('POST', '/login', { email, password });
+    }
+
+    // 9. Sends a request to the server as this tab's signed-in user (see session.js) and turns any non-2xx
+    // response into a thrown Error.
+    async request(method, path, body) {
+        const response = await fetch(this.baseUrl + path, {
+            method,
+            headers: { ...getAuthHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        // A 204 (e.g. after DELETE) has no body to parse.
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const error = new Error(data?.error || `Request failed with status ${response.status}`);
+            // Keeps the HTTP status so callers can react to specific cases like 404.
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // 10. Upgrades one record from the server to the current schema, or returns null if it isn't usable.
+    upgrade(collection, record) {
+        const upgraded = upgradeRecord(collection, record);
+        if (!upgraded && !this.problems.includes(collection)) this.problems.push(collection);
+        return upgraded;
+    }
+}
+
+// Checks whether a record has every field/value pair in the query object.
+// Values are compared as strings because query parameters always arrive as strings on the server.
+function matchesQuery(record, query) {
+    return Object.entries(query).every(([field, value]) => String(record[field]) === String(value));
+}
+
+// Picks the adapter for this page. If home.html/index.html set <meta name="campuskart-api" content="/api">,
+// data goes to that server; with an empty content attribute everything stays in localStorage.
+function createStorage() {
+    const apiUrl = document.querySelector('meta[name="campuskart-api"]')?.getAttribute('content')?.trim();
+    return apiUrl ? new HttpStorageAdapter(apiUrl) : new LocalStorageAdapter();
+}
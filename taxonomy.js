@@ -0,0 +1,337 @@
+// Taxonomy JavaScript
+// The one place item categories and listing modes are defined. A category can have
+// subcategories and extra attributes (a book's ISBN, a clothing size) that the add item
+// form asks for; a mode decides whether a listing has a price, shows in the Free view,
+// or asks what the seller wants in exchange. The dropdowns, labels, badges and validation
+// are all generated from this config, so adding a category or mode only means adding an
+// entry here, plus a badge colour in styles.css (.badge.mode-<id>) if it should have one.
+
+const TAXONOMY = {
+    // Each category: id (stored on items), name (badges and labels), label (dropdowns, if different),
+    // optional subcategories [{ id, name }] and attributes: { id, name, type: 'text' | 'select' | 'isbn',
+    // options (for 'select'), placeholder, required, badge (also shown on the item card) }. Categories with
+    // courseTags can be tagged with the course codes and semester they're for.
+    categories: [
+        { id: 'stationery', name: 'Stationery' },
+        {
+            id: 'lab',
+            name: 'Lab Items',
+            courseTags: true,
+            subcategories: [
+                { id: 'coats', name: 'Lab Coats' },
+                { id: 'safety', name: 'Goggles & Safety' },
+                { id: 'instruments', name: 'Kits & Instruments' }
+            ]
+        },
+        {
+            id: 'tech',
+            name: 'Tech',
+            subcategories: [
+                { id: 'calculators', name: 'Calculators' },
+                { id: 'computers', name: 'Laptops & Tablets' },
+                { id: 'accessories', name: 'Accessories & Cables' }
+            ]
+        },
+        {
+            id: 'books',
+            name: 'Books',
+            courseTags: true,
+            subcategories: [
+                { id: 'textbooks', name: 'Textbooks' },
+                { id: 'reading', name: 'Fiction & Non-fiction' },
+                { id: 'notes', name: 'Notes & Study Guides' }
+            ],
+            attributes: [
+                { id: 'isbn', name: 'ISBN', type: 'isbn', placeholder: 'e.g. 978-0-13-468599-1' },
+                { id: 'author', name: 'Author', type: 'text' },
+                { id: 'edition', name: 'Edition', type: 'text', placeholder: 'e.g. 5th' }
+            ]
+        },
+        {
+            id: 'clothing',
+            name: 'Clothing',
+            subcategories: [
+                { id: 'tops', name: 'Tops' },
+                { id: 'bottoms', name: 'Bottoms' },
+                { id: 'outerwear', name: 'Jackets & Coats' },
+                { id: 'merch', name: 'College Merch' }
+            ],
+            attributes: [
+                { id: 'size', name: 'Size', type: 'select', options: ['XS', 'S', 'M', 'L', 'XL', 'XXL'], required: true, badge: true }
+            ]
+        },
+        {
+            id: 'furniture',
+            name: 'Furniture',
+            attributes: [
+                { id: 'dimensions', name: 'Dimensions', type: 'text', placeholder: 'e.g. 120 × 60 × 75 cm' }
+            ]
+        },
+        { id: 'misc', name: 'Misc', label: 'Miscellaneous' }
+    ],
+    // Each mode: id (stored on items), name (badges), label (dropdowns), the status a listing gets once the deal
+    // is done, and what it needs: priced (a price above 0), free (shown in the Free view), exchange (what the
+    // seller wants in return), offers (buyers can offer a different price, see offers.js), holds (buyers can
+    // reserve it for a while, see reservations.js). priceLabel replaces the price on cards.
+    modes: [
+        { id: 'buy', name: 'For Sale', priced: true, offers: true, holds: true, completedStatus: 'sold' },
+        { id: 'borrow', name: 'Borrow', label: 'For Borrow', priced: true, free: true, priceLabel: 'BORROW', completedStatus: 'lent' },
+        { id: 'donate', name: 'Free', label: 'Free/Donate', free: true, holds: true, priceLabel: 'FREE', completedStatus: 'given' },
+        { id: 'trade', name: 'Trade', label: 'Trade/Swap', exchange: true, holds: true, priceLabel: 'TRADE', completedStatus: 'traded' }
+    ]
+};
+// The longest value an attribute or the 'wants in exchange' field can hold.
+const MAX_ATTRIBUTE_LENGTH = 100;
+const MAX_WANTS_LENGTH = 200;
+// Course codes look like 'CHEM 201' or 'MATH 110A': 2 to 5 letters, then 2 to 4 digits and an optional letter.
+const COURSE_CODE_PATTERN = /^([A-Z]{2,5})\s*-?\s*(\d{2,4}[A-Z]?)$/;
+// The most course codes one listing can be tagged with.
+const MAX_COURSE_TAGS = 5;
+// The terms of the academic year, in calendar order. Semester tags read e.g. 'Fall 2026'.
+const SEMESTER_TERMS = ['Spring', 'Summer', 'Fall'];
+
+class Taxonomy {
+    // 1. The constructor indexes the config's categories and modes by id.
+    constructor(config = TAXONOMY) {
+        this.categories = config.categories;
+        this.modes = config.modes;
+        this.categoriesById = new Map(this.categories.map(category => [category.id, category]));
+        this.modesById = new Map(this.modes.map(mode => [mode.id, mode]));
+    }
+
+    // 2. Returns a category by id, or undefined.
+    getCategory(id) {
+        return this.categoriesById.get(id);
+    }
+
+    // 3. Returns a mode by id, or undefined.
+    getMode(id) {
+        return this.modesById.get(id);
+    }
+
+    // 4. Returns a category's subcategory by id, or undefined.
+    getSubcategory(categoryId, subcategoryId) {
+        return this.getCategory(categoryId)?.subcategories?.find(subcategory => subcategory.id === subcategoryId);
+    }
+
+    // 5. Returns a category's attributes, or an empty list.
+    getAttributes(categoryId) {
+        return this.getCategory(categoryId)?.attributes || [];
+    }
+
+    // 6. Returns the name shown for a category, or for a category filter value with a subcategory
+    // ('books:textbooks' -> 'Books › Textbooks'). Unknown values are shown as they are.
+    getCategoryName(value) {
+        const [categoryId, subcategoryId] = String(value).split(':');
+        const category = this.getCategory(categoryId);
+        if (!category) return value;
+        const subcategory = subcategoryId && this.getSubcategory(categoryId, subcategoryId);
+        return subcategory ? `${category.name} › ${subcategory.name}` : category.name;
+    }
+
+    // 7. Returns the name shown for a mode. Unknown modes are shown as they are.
+    getModeName(id) {
+        return this.getMode(id)?.name || id;
+    }
+
+    // 8. Checks whether an item matches a category filter value: a category ('books') or a subcategory ('books:textbooks').
+    matchesCategory(item, value) {
+        if (!value) return true;
+        const [categoryId, subcategoryId] = value.split(':');
+        return item.category === categoryId && (!subcategoryId || item.subcategory === subcategoryId);
+    }
+
+    // 9. Fills a category dropdown after its first (placeholder) option. Filters also list each subcategory,
+    // indented under its category, as 'category:subcategory'.
+    fillCategorySelect(select, withSubcategories = false) {
+        if (!select) return;
+        const options = this.categories.flatMap(category => [
+            { value: category.id, text: category.label || category.name },
+            ...(withSubcategories ? category.subcategories || [] : []).map(subcategory => ({
+                value: `${category.id}:${subcategory.id}`,
+                // Plain spaces would be collapsed, so the indent uses non-breaking ones.
+                text: `\u00A0\u00A0\u00A0${subcategory.name}`
+            }))
+        ]);
+        this.fillSelect(select, options);
+    }
+
+    // 10. Fills the subcategory dropdown for a category after its first (placeholder) option.
+    fillSubcategorySelect(select, categoryId) {
+        const subcategories = this.getCategory(categoryId)?.subcategories || [];
+        this.fillSelect(select, subcategories.map(subcategory => ({ value: subcategory.id, text: subcategory.name })));
+    }
+
+    // 11. Fills a mode dropdown after its first (placeholder) option.
+    fillModeSelect(select) {
+        if (!select) return;
+        this.fillSelect(select, this.modes.map(mode => ({ value: mode.id, text: mode.label || mode.name })));
+    }
+
+    // 12. Fills the semester dropdown after its first (placeholder) option, keeping an older semester a listing
+    // was already tagged with.
+    fillSemesterSelect(select, current = '') {
+        const semesters = getSemesterOptions();
+        if (current && !semesters.includes(current)) semesters.unshift(current);
+        this.fillSelect(select, semesters.map(semester => ({ value: semester, text: semester })));
+        select.value = current || '';
+    }
+
+    // 13. Replaces a dropdown's options, keeping its first (placeholder) option and, if it's still offered, its value.
+    fillSelect(select, options) {
+        const value = select.value;
+        const placeholder = select.options[0];
+        select.replaceChildren(...(placeholder ? [placeholder] : []), ...options.map(({ value, text }) => new Option(text, value)));
+        select.value = options.some(option => option.value === value) ? value : '';
+    }
+
+    // 14. Finds a category by its id, name or label, in any letter case (e.g. from an imported file).
+    findCategoryId(text) {
+        return this.findId(this.categories, text);
+    }
+
+    // 15. Finds a category's subcategory by its id or name, in any letter case.
+    findSubcategoryId(categoryId, text) {
+        return this.findId(this.getCategory(categoryId)?.subcategories || [], text);
+    }
+
+    // 16. Finds a mode by its id, name or label, in any letter case.
+    findModeId(text) {
+        return this.findId(this.modes, text);
+    }
+
+    // 17. Returns the id of the entry whose id, name or label matches the text, or the trimmed text itself if none does.
+    findId(entries, text) {
+        const wanted = String(text ?? '').trim();
+        const lower = wanted.toLowerCase();
+        const entry = entries.find(e => [e.id, e.name, e.label].some(key => key && key.toLowerCase() === lower));
+        return entry ? entry.id : wanted;
+    }
+
+    // 18. Checks a listing's fields against the taxonomy. Returns the problem as a message, or null if they're valid.
+    validate({ name, category, subcategory, mode, price, wants, attributes = {}, courses = [], semester }) {
+        if (!name || !category || !mode) {
+            return 'Please fill in all required fields';
+        }
+        const categoryConfig = this.getCategory(category);
+        if (!categoryConfig) {
+            return 'Please choose a valid category';
+        }
+        if (subcategory && !this.getSubcategory(category, subcategory)) {
+            return `Please choose a valid ${categoryConfig.name} subcategory`;
+        }
+        const modeConfig = this.getMode(mode);
+        if (!modeConfig) {
+            return 'Please choose a valid type';
+        }
+        // Validates the price for modes that have one.
+        if (modeConfig.priced && (!price || price <= 0)) {
+            return 'Please enter a valid price';
+        }
+        if (modeConfig.exchange && !wants) {
+            return 'Please say what you want in exchange';
+        }
+        if (wants && wants.length > MAX_WANTS_LENGTH) {
+            return `Please keep what you want in exchange under ${MAX_WANTS_LENGTH} characters`;
+        }
+
+        for (const attribute of this.getAttributes(category)) {
+            const value = attributes[attribute.id];
+            if (!value) {
+                if (attribute.required) return `Please enter the ${attribute.name.toLowerCase()}`;
+                continue;
+            }
+            if (value.length > MAX_ATTRIBUTE_LENGTH) {
+                return `The ${attribute.name} can be at most ${MAX_ATTRIBUTE_LENGTH} characters`;
+            }
+            if (attribute.type === 'select' && !attribute.options.includes(value)) {
+                return `Please choose a valid ${attribute.name.toLowerCase()}`;
+            }
+            if (attribute.type === 'isbn' && !isValidIsbn(value)) {
+                return `Please enter a valid ${attribute.name} (10 or 13 digits)`;
+            }
+        }
+
+        if ((courses.length > 0 || semester) && !categoryConfig.courseTags) {
+            return `${categoryConfig.name} can't be tagged with courses`;
+        }
+        if (courses.length > MAX_COURSE_TAGS) {
+            return `Please tag at most ${MAX_COURSE_TAGS} courses`;
+        }
+        const invalidCourse = courses.find(course => !normalizeCourseCode(course));
+        if (invalidCourse) {
+            return `"${invalidCourse}" doesn't look like a course code (e.g. CHEM 201)`;
+        }
+        if (semester && !parseSemester(semester)) {
+            return 'Please choose a valid semester';
+        }
+        return null;
+    }
+
+    // 19. Keeps only the filled-in attributes that belong to a category, trimmed. ISBNs are stored as bare digits.
+    cleanAttributes(categoryId, attributes = {}) {
+        const cleaned = {};
+        for (const attribute of this.getAttributes(categoryId)) {
+            let value = String(attributes[attribute.id] ?? '').trim();
+            if (attribute.type === 'isbn') value = normalizeIsbn(value);
+            if (value) cleaned[attribute.id] = value;
+        }
+        return cleaned;
+    }
+
+    // 20. Returns a category's course codes written the same way ('chem201' -> 'CHEM 201'), without repeats.
+    // Categories without course tags have none.
+    cleanCourses(categoryId, courses = []) {
+        if (!this.getCategory(categoryId)?.courseTags) return [];
+        return [...new Set(courses.map(normalizeCourseCode).filter(Boolean))];
+    }
+
+    // 21. Returns an item's attributes as { attribute, value } pairs in the category's order, for display.
+    describeAttributes(item) {
+        return this.getAttributes(item.category)
+            .filter(attribute => item.attributes?.[attribute.id])
+            .map(attribute => ({ attribute, value: item.attributes[attribute.id] }));
+    }
+}
+
+// Splits a list of course codes typed into one box ('CHEM 201, BIO 110; MATH 120') into its entries.
+function parseCourseCodes(text) {
+    return String(text ?? '').split(/[,;\n]/).map(course => course.trim()).filter(Boolean);
+}
+
+// Writes a course code the standard way ('chem-201' -> 'CHEM 201'). Returns null if it isn't one.
+function normalizeCourseCode(text) {
+    const match = String(text).trim().toUpperCase().match(COURSE_CODE_PATTERN);
+    return match ? `${match[1]} ${match[2]}` : null;
+}
+
+// Reads a semester tag ('Fall 2026') as { term, year }, or returns null if it isn't one.
+function parseSemester(text) {
+    const match = String(text).match(/^(\w+) (\d{4})$/);
+    return match && SEMESTER_TERMS.includes(match[1]) ? { term: match[1], year: Number(match[2]) } : null;
+}
+
+// Lists the semesters a listing can be tagged with: from a year before the current one to a year after it.
+function getSemesterOptions(now = new Date()) {
+    const year = now.getFullYear();
+    return [year - 1, year, year + 1].flatMap(y => SEMESTER_TERMS.map(term => `${term} ${y}`));
+}
+
+// Strips spaces and hyphens from an ISBN and upper-cases a final X check digit.
+function normalizeIsbn(value) {
+    return String(value).replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Checks an ISBN-10 or ISBN-13, including its check digit.
+function isValidIsbn(value) {
+    const isbn = normalizeIsbn(value);
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+        const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+        return sum % 11 === 0;
+    }
+    if (/^\d{13}$/.test(isbn)) {
+        const sum = [...isbn].reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+    return false;
+}
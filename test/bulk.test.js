@@ -0,0 +1,56 @@
+// Bulk Import Tests
+// Checks how bulk.js reads CSV files, which sellers often export from a spreadsheet. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './scripts.js';
+
+const { BulkListings } = loadScripts(['taxonomy.js', 'bulk.js'], ['BulkListings']);
+const bulk = new BulkListings(null);
+
+// Parses CSV text and compares the rows as plain objects, since they're created in another context.
+function parse(text) {
+    return JSON.parse(JSON.stringify(bulk.parseCsv(text)));
+}
+
+describe('parseCsv', () => {
+    test('reads one object per line, keyed by the lower-cased column names', () => {
+        assert.deepEqual(parse('Name,Category,Price\nLamp,Home,12\nDesk,Home,40\n'), [
+            { name: 'Lamp', category: 'Home', price: '12' },
+            { name: 'Desk', category: 'Home', price: '40' }
+        ]);
+    });
+
+    test('reads quoted values holding commas, quotes and line breaks', () => {
+        assert.deepEqual(parse('name,description\n"Lamp, desk","A ""bright"" lamp\nwith a bulb"\n'), [
+            { name: 'Lamp, desk', description: 'A "bright" lamp\nwith a bulb' }
+        ]);
+    });
+
+    test('accepts Windows line breaks, a byte order mark and a missing final line break', () => {
+        assert.deepEqual(parse('\uFEFFname,price\r\nLamp,12\r\nDesk,40'), [
+            { name: 'Lamp', price: '12' },
+            { name: 'Desk', price: '40' }
+        ]);
+    });
+
+    test('skips blank lines and fills in missing cells', () => {
+        assert.deepEqual(parse('name,price,wants\n\nLamp\n ,  \nDesk,40\n'), [
+            { name: 'Lamp', price: '', wants: '' },
+            { name: 'Desk', price: '40', wants: '' }
+        ]);
+    });
+
+    test('reads back the formula protection an export adds', () => {
+        assert.deepEqual(parse("name,wants\n'=SUM(A1),'-5 books\n"), [{ name: '=SUM(A1)', wants: '-5 books' }]);
+        assert.deepEqual(parse(bulk.toCsv(['name', 'wants'], [{ name: '+1 pen', wants: '@you' }])), [{ name: '+1 pen', wants: '@you' }]);
+    });
+
+    test('rejects a quoted value that is never closed', () => {
+        assert.throws(() => bulk.parseCsv('name\n"Lamp\n'), /never closed/);
+    });
+
+    test('rejects a file whose first line does not name the columns', () => {
+        assert.throws(() => bulk.parseCsv('Lamp,Home,12\n'), /first line must name the columns/);
+        assert.throws(() => bulk.parseCsv(''), /first line must name the columns/);
+    });
+});
@@ -0,0 +1,167 @@
+// Schema Tests
+// Checks how schema.js brings stored items and users up to date, so records saved by older versions of
+// CampusKart keep loading. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './scripts.js';
+
+const { upgradeRecord, upgradeRecords, stampSchemaVersion } = loadScripts(
+    ['schema.js'],
+    ['upgradeRecord', 'upgradeRecords', 'stampSchemaVersion']
+);
+
+// Upgrades a record and returns it as a plain object, since it's created in another context.
+function upgrade(collection, record) {
+    return JSON.parse(JSON.stringify(upgradeRecord(collection, record)));
+}
+
+// An item as the first version of CampusKart saved it, before schemaVersion existed.
+const firstItem = {
+    id: 'i1',
+    name: 'Desk Lamp',
+    category: 'misc',
+    mode: 'buy',
+    price: '12.50',
+    sellerId: 'u1',
+    sellerEmail: 'sam@stateu.edu',
+    createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('item migrations', () => {
+    test('bring a first-version item up to the current schema', () => {
+        const before = Date.now();
+        const item = upgrade('items', firstItem);
+        const { expiresAt, ...rest } = item;
+        assert.deepEqual(rest, {
+            id: 'i1',
+            name: 'Desk Lamp',
+            category: 'misc',
+            mode: 'buy',
+            price: 12.5,
+            sellerId: 'u1',
+            createdAt: '2024-01-01T00:00:00.000Z',
+            status: 'available',
+            photos: [],
+            attributes: {},
+            courses: [],
+            schemaVersion: 5
+        });
+        // Listings from before expiry get a full 30 days from now.
+        const lifetime = Date.parse(expiresAt) - before;
+        assert.ok(lifetime >= 30 * 24 * 60 * 60 * 1000 && lifetime < 31 * 24 * 60 * 60 * 1000);
+    });
+
+    test('keep the values a newer record already has', () => {
+        const item = upgrade('items', {
+            ...firstItem,
+            schemaVersion: 3,
+            price: 8,
+            status: 'sold',
+            photos: ['p1'],
+            attributes: { isbn: '9780134685991' },
+            courses: ['CHEM 201'],
+            expiresAt: '2025-05-01T00:00:00.000Z'
+        });
+        assert.equal(item.status, 'sold');
+        assert.deepEqual(item.photos, ['p1']);
+        assert.deepEqual(item.attributes, { isbn: '9780134685991' });
+        assert.deepEqual(item.courses, ['CHEM 201']);
+        assert.equal(item.expiresAt, '2025-05-01T00:00:00.000Z');
+        assert.equal(item.schemaVersion, 5);
+    });
+
+    test('turn blank, negative and unreadable prices into 0', () => {
+        for (const price of [null, '', 'free', -3, Infinity]) {
+            assert.equal(upgrade('items', { ...firstItem, price }).price, 0, String(price));
+        }
+    });
+
+    test('replace attributes and courses of the wrong shape', () => {
+        const item = upgrade('items', { ...firstItem, attributes: ['isbn'], courses: 'CHEM 201' });
+        assert.deepEqual(item.attributes, {});
+        assert.deepEqual(item.courses, []);
+    });
+
+    test('leave a current item as it is', () => {
+        const current = upgradeRecord('items', firstItem);
+        assert.equal(upgradeRecord('items', current), current);
+    });
+});
+
+describe('user migrations', () => {
+    test('bring a first-version user up to the current schema', () => {
+        assert.deepEqual(upgrade('users', { id: 'u1', name: 'Sam', email: 'sam@stateu.edu' }), {
+            id: 'u1',
+            name: 'Sam',
+            email: 'sam@stateu.edu',
+            emailVerified: false,
+            collegeId: null,
+            role: 'buyer',
+            showEmail: false,
+            schemaVersion: 3
+        });
+    });
+
+    test('keep the values a newer record already has', () => {
+        const user = upgrade('users', {
+            id: 'u1',
+            name: 'Sam',
+            emailVerified: true,
+            collegeId: 'state',
+            role: 'both',
+            showEmail: true,
+            schemaVersion: 2
+        });
+        assert.equal(user.emailVerified, true);
+        assert.equal(user.collegeId, 'state');
+        assert.equal(user.role, 'both');
+        assert.equal(user.showEmail, true);
+        assert.equal(user.schemaVersion, 3);
+    });
+
+    test('do not count anything but true as verified or showing the email', () => {
+        const user = upgrade('users', { id: 'u1', name: 'Sam', emailVerified: 'yes', showEmail: 1 });
+        assert.equal(user.emailVerified, false);
+        assert.equal(user.showEmail, false);
+    });
+});
+
+describe('upgradeRecord', () => {
+    test('leaves out records that are not usable', () => {
+        for (const record of [null, 'item', ['i1'], { ...firstItem, id: '' }, { ...firstItem, sellerId: 7 }]) {
+            assert.equal(upgradeRecord('items', record), null);
+        }
+        assert.equal(upgradeRecord('users', { id: 'u1' }), null);
+    });
+
+    test('leaves out a record a migration cannot read', () => {
+        assert.equal(upgradeRecord('items', { ...firstItem, schemaVersion: 0 }), null);
+    });
+
+    test('leaves records of collections without a schema as they are', () => {
+        const loan = { id: 'l1', status: 'requested' };
+        assert.equal(upgradeRecord('loans', loan), loan);
+    });
+});
+
+describe('upgradeRecords', () => {
+    test('returns the usable records, the rejected ones and whether any changed', () => {
+        const current = upgradeRecord('items', firstItem);
+        const broken = { id: 'i2' };
+        const result = upgradeRecords('items', [current, firstItem, broken]);
+        assert.equal(result.records.length, 2);
+        assert.equal(result.records[0], current);
+        assert.equal(result.rejected.length, 1);
+        assert.equal(result.rejected[0], broken);
+        assert.equal(result.upgraded, true);
+        assert.equal(upgradeRecords('items', [current]).upgraded, false);
+    });
+});
+
+describe('stampSchemaVersion', () => {
+    test('stamps new records with their collection\'s current version', () => {
+        assert.equal(stampSchemaVersion('items', { id: 'i1' }).schemaVersion, 5);
+        assert.equal(stampSchemaVersion('users', { id: 'u1' }).schemaVersion, 3);
+        assert.equal(stampSchemaVersion('loans', { id: 'l1' }).schemaVersion, undefined);
+    });
+});
@@ -0,0 +1,18 @@
+// Browser Script Loader
+// The pages load their scripts as classic <script> tags that share one global scope (see home.html), so
+// they can't be imported. This runs the given scripts in order in a fresh context, the way a page would,
+// and returns the top-level names the tests ask for.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const root = new URL('../', import.meta.url);
+
+// Runs the scripts, e.g. ['taxonomy.js', 'bulk.js'], and returns { name: value } for each of the names.
+export function loadScripts(files, names) {
+    const context = vm.createContext({});
+    for (const file of files) {
+        vm.runInContext(readFileSync(new URL(file, root), 'utf8'), context, { filename: file });
+    }
+    // Top-level const and class declarations aren't properties of the global object, so they're read by name.
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
@@ -0,0 +1,761 @@
+// Server Tests
+// Runs the CampusKart API (server/index.js) against a temporary data directory and checks its
+// behaviour over HTTP, the way the pages use it. Run with `npm test`.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const dataDir = await mkdtemp(path.join(tmpdir(), 'campuskart-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_EMAILS = 'admin@stateu.edu';
+process.env.EMAIL_TRANSPORT = 'log';
+
+// With the log transport the server prints verification codes instead of emailing them; the tests read them from there.
+const codes = new Map();
+const log = console.log;
+console.log = (...args) => {
+    const match = String(args[0]).match(/^Verification code for (\S+): (\d{6})$/);
+    if (match) codes.set(match[1], match[2]);
+    else log(...args);
+};
+
+const { server, sweepListings } = await import('../server/index.js');
+const { createMailTransport } = await import('../server/verification.js');
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+// Sends a request as the user with the given session token (if any). Resolves to { status, body }.
+async function api(method, urlPath, body, token) {
+    const response = await fetch(baseUrl + urlPath, {
+        method,
+        headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+let nextUserId = 1;
+
+// Signs up a new account the way auth.js does (verify the email, create the user, log in).
+// Resolves to { user, token }.
+async function signUp(email, { role = 'both', password = 'secret123', ...fields } = {}) {
+    await api('POST', '/verifications', { email });
+    await api('POST', '/verifications/check', { email, code: codes.get(email) });
+    const id = `user-${nextUserId++}`;
+    const created = await api('POST', '/users', { id, name: email.split('@')[0], email, password, role, ...fields });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const login = await api('POST', '/login', { email, password });
+    assert.equal(login.status, 200);
+    return { user: login.body.user, token: login.body.session.id };
+}
+
+describe('accounts and sessions', () => {
+    test('logging in checks the password on the server and starts a session', async () => {
+        const { user, token } = await signUp('sam@stateu.edu');
+        assert.equal(user.email, 'sam@stateu.edu');
+
+        const wrong = await api('POST', '/login', { email: 'sam@stateu.edu', password: 'wrong-password' });
+        assert.equal(wrong.status, 401);
+
+        const session = await api('GET', `/sessions/${token}`);
+        assert.equal(session.status, 200);
+        assert.equal(session.body.userId, user.id);
+    });
+
+    test('user records never include password fields', async () => {
+        const { user, token } = await signUp('riley@stateu.edu', { showEmail: true });
+        const responses = [
+            (await api('GET', '/users', undefined, token)).body,
+            [(await api('GET', `/users/${user.id}`, undefined, token)).body],
+            [(await api('PATCH', `/users/${user.id}`, { name: 'Riley' }, token)).body]
+        ].flat();
+        assert.ok(responses.length > 0);
+        for (const record of responses) {
+            for (const field of ['password', 'passwordHash', 'passwordSalt', 'passwordIterations']) {
+                assert.equal(field in record, false, `${field} was sent`);
+            }
+        }
+    });
+
+    test('an email is only sent to its owner, unless they chose to show it', async () => {
+        const quiet = await signUp('quiet@stateu.edu', { showEmail: false });
+        const open = await signUp('open@stateu.edu', { showEmail: true });
+
+        assert.equal((await api('GET', `/users/${quiet.user.id}`, undefined, quiet.token)).body.email, 'quiet@stateu.edu');
+        assert.equal('email' in (await api('GET', `/users/${quiet.user.id}`, undefined, open.token)).body, false);
+        assert.equal((await api('GET', `/users/${open.user.id}`, undefined, quiet.token)).body.email, 'open@stateu.edu');
+        const listed = (await api('GET', '/users', undefined, open.token)).body.find(user => user.id === quiet.user.id);
+        assert.equal('email' in listed, false);
+        // Nor can a hidden email be found by searching for it.
+        assert.deepEqual((await api('GET', '/users?email=quiet@stateu.edu', undefined, open.token)).body, []);
+    });
+
+    test('sessions cannot be listed, created or changed through the generic routes', async () => {
+        const { user, token } = await signUp('jo@stateu.edu');
+        assert.equal((await api('GET', '/sessions', undefined, token)).status, 405);
+
+        const forged = await api('POST', '/sessions', {
+            id: 'forged-token', userId: user.id, expiresAt: new Date(Date.now() + 60000).toISOString()
+        });
+        assert.equal(forged.status, 405);
+        assert.equal((await api('GET', '/sessions/forged-token')).status, 404);
+
+        const extended = await api('PATCH', `/sessions/${token}`, { expiresAt: '2999-01-01T00:00:00.000Z' }, token);
+        assert.equal(extended.status, 405);
+    });
+
+    test('a password hash cannot be set through PATCH', async () => {
+        const { user, token } = await signUp('alex@stateu.edu');
+        const result = await api('PATCH', `/users/${user.id}`, { passwordHash: 'abc', passwordSalt: 'def' }, token);
+        assert.equal(result.status, 403);
+    });
+
+    test('sign-up rejects an email that already has an account', async () => {
+        await signUp('taken@stateu.edu');
+        assert.equal((await api('POST', '/verifications', { email: 'TAKEN@stateu.edu' })).status, 409);
+        await api('POST', '/verifications/check', { email: 'taken@stateu.edu', code: codes.get('taken@stateu.edu') });
+        const again = await api('POST', '/users', { id: 'dup', name: 'Dup', email: 'taken@stateu.edu', password: 'secret123', role: 'buyer' });
+        assert.equal(again.status, 409);
+    });
+
+    test('changing the password needs the current one', async () => {
+        const { user, token } = await signUp('casey@stateu.edu');
+        const wrong = await api('POST', `/users/${user.id}/password`, { password: 'nope', newPassword: 'another1' }, token);
+        assert.equal(wrong.status, 403);
+
+        const changed = await api('POST', `/users/${user.id}/password`, { password: 'secret123', newPassword: 'another1' }, token);
+        assert.equal(changed.status, 204);
+        assert.equal((await api('POST', '/login', { email: 'casey@stateu.edu', password: 'secret123' })).status, 401);
+        assert.equal((await api('POST', '/login', { email: 'casey@stateu.edu', password: 'another1' })).status, 200);
+    });
+
+    test('changing the password logs out the other sessions of the account', async () => {
+        const { user, token } = await signUp('drew@stateu.edu');
+        const other = (await api('POST', '/login', { email: 'drew@stateu.edu', password: 'secret123' })).body.session.id;
+
+        await api('POST', `/users/${user.id}/password`, { password: 'secret123', newPassword: 'another1' }, token);
+        assert.equal((await api('GET', `/sessions/${other}`)).status, 404);
+        assert.equal((await api('GET', `/sessions/${token}`)).status, 200);
+    });
+
+    test('a new email has to be verified before it is saved', async () => {
+        const { user, token } = await signUp('mover@stateu.edu');
+        await signUp('occupied@stateu.edu');
+        const unverified = await api('PATCH', `/users/${user.id}`, { email: 'mover@tech.edu', emailVerified: true }, token);
+        assert.equal(unverified.status, 403);
+        assert.equal((await api('PATCH', `/users/${user.id}`, { email: 'occupied@stateu.edu' }, token)).status, 409);
+
+        await api('POST', '/verifications', { email: 'mover@tech.edu' });
+        await api('POST', '/verifications/check', { email: 'mover@tech.edu', code: codes.get('mover@tech.edu') });
+        const moved = await api('PATCH', `/users/${user.id}`, { email: 'mover@tech.edu' }, token);
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.email, 'mover@tech.edu');
+        assert.equal(moved.body.emailVerified, true);
+        assert.equal(moved.body.collegeId, 'tech-institute');
+        assert.equal(moved.body.college, 'Tech Institute');
+    });
+
+    test('accounts belong to the college of their verified email', async () => {
+        assert.equal((await api('POST', '/verifications', { email: 'x@gmail.com' })).status, 400);
+        const signup = await api('POST', '/users', {
+            id: 'outsider', name: 'Outsider', email: 'x@gmail.com', password: 'secret123', role: 'both', collegeId: 'state-university'
+        });
+        assert.equal(signup.status, 400);
+
+        // The college a client claims is replaced by the email's.
+        const { user, token } = await signUp('claims@stateu.edu', { college: 'Tech Institute', collegeId: 'tech-institute' });
+        assert.equal(user.collegeId, 'state-university');
+        assert.equal(user.college, 'State University');
+        assert.equal((await api('PATCH', `/users/${user.id}`, { collegeId: 'tech-institute', college: 'Tech Institute' }, token)).status, 403);
+
+        // Listings can only be posted to the seller's own campus.
+        const seller = { user, token };
+        assert.equal((await api('POST', '/items', {
+            id: 'elsewhere', name: 'Lamp', sellerId: user.id, sellerCollege: 'Tech Institute', sellerCollegeId: 'tech-institute'
+        }, token)).status, 403);
+        const item = await createItem(seller, { sellerCollege: 'State University', sellerCollegeId: 'state-university' });
+        assert.equal((await api('PATCH', `/items/${item.id}`, { sellerCollegeId: 'tech-institute' }, token)).status, 403);
+    });
+
+    test('logging out ends the session', async () => {
+        const { token } = await signUp('morgan@stateu.edu');
+        assert.equal((await api('DELETE', `/sessions/${token}`)).status, 204);
+        assert.equal((await api('GET', `/sessions/${token}`)).status, 404);
+    });
+});
+
+// Creates a listing for a seller through the API. Resolves to the saved item.
+async function createItem(seller, fields = {}) {
+    const id = `item-${Math.random().toString(36).slice(2)}`;
+    const result = await api('POST', '/items', {
+        id,
+        name: 'Desk lamp',
+        category: 'furniture',
+        mode: 'buy',
+        price: 10,
+        status: 'available',
+        sellerId: seller.user.id,
+        sellerName: seller.user.name,
+        holdHours: 48,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        ...fields
+    }, seller.token);
+    assert.equal(result.status, 201, JSON.stringify(result.body));
+    return result.body;
+}
+
+describe('holds and waitlists', () => {
+    test('two buyers asking at once get one hold and one place on the waitlist', async () => {
+        const seller = await signUp('seller.holds@stateu.edu');
+        const first = await signUp('first.holds@stateu.edu');
+        const second = await signUp('second.holds@stateu.edu');
+        const item = await createItem(seller);
+
+        const results = await Promise.all([first, second].map(buyer =>
+            api('POST', `/items/${item.id}/holds`, { action: 'request' }, buyer.token)
+        ));
+        assert.deepEqual(results.map(result => result.status), [200, 200]);
+
+        const stored = (await api('GET', `/items/${item.id}`, undefined, seller.token)).body;
+        assert.equal(stored.status, 'reserved');
+        const holder = stored.reservation.buyerId;
+        assert.ok([first.user.id, second.user.id].includes(holder));
+        assert.deepEqual(stored.waitlist.map(entry => entry.userId), [first.user.id, second.user.id].filter(id => id !== holder));
+    });
+
+    test('an expired hold moved on from two browsers at once promotes only the next person', async () => {
+        const seller = await signUp('seller.expire@stateu.edu');
+        const waiting = await signUp('waiting.expire@stateu.edu');
+        const later = await signUp('later.expire@stateu.edu');
+        const item = await createItem(seller, {
+            status: 'reserved',
+            reservation: { buyerId: 'someone', buyerName: 'Someone', reservedAt: '2026-01-01T00:00:00.000Z', expiresAt: '2026-01-03T00:00:00.000Z' },
+            waitlist: [
+                { userId: waiting.user.id, userName: waiting.user.name, requestedAt: '2026-01-01T01:00:00.000Z' },
+                { userId: later.user.id, userName: later.user.name, requestedAt: '2026-01-01T02:00:00.000Z' }
+            ]
+        });
+
+        await Promise.all([waiting, later].map(user => api('POST', `/items/${item.id}/holds`, { action: 'expire' }, user.token)));
+
+        const stored = (await api('GET', `/items/${item.id}`, undefined, seller.token)).body;
+        assert.equal(stored.reservation.buyerId, waiting.user.id);
+        assert.equal(stored.reservation.promoted, true);
+        assert.deepEqual(stored.waitlist.map(entry => entry.userId), [later.user.id]);
+    });
+
+    test('only the holder can cancel a hold and only the seller can release it', async () => {
+        const seller = await signUp('seller.release@stateu.edu');
+        const buyer = await signUp('buyer.release@stateu.edu');
+        const other = await signUp('other.release@stateu.edu');
+        const item = await createItem(seller);
+        await api('POST', `/items/${item.id}/holds`, { action: 'request' }, buyer.token);
+
+        const cancelled = await api('POST', `/items/${item.id}/holds`, { action: 'cancel' }, other.token);
+        assert.equal(cancelled.body.reservation.buyerId, buyer.user.id);
+        assert.equal((await api('POST', `/items/${item.id}/holds`, { action: 'release' }, other.token)).status, 403);
+
+        const released = await api('POST', `/items/${item.id}/holds`, { action: 'release' }, seller.token);
+        assert.equal(released.body.status, 'available');
+    });
+
+    test('a full waitlist or an unavailable item is refused', async () => {
+        const seller = await signUp('seller.full@stateu.edu');
+        const buyer = await signUp('buyer.full@stateu.edu');
+        const full = await createItem(seller, {
+            status: 'reserved',
+            reservation: { buyerId: 'someone', expiresAt: new Date(Date.now() + 60000).toISOString() },
+            waitlist: Array.from({ length: 10 }, (_, i) => ({ userId: `waiting-${i}` }))
+        });
+        const sold = await createItem(seller, { status: 'sold' });
+
+        assert.equal((await api('POST', `/items/${full.id}/holds`, { action: 'request' }, buyer.token)).status, 409);
+        assert.equal((await api('POST', `/items/${sold.id}/holds`, { action: 'request' }, buyer.token)).status, 409);
+        assert.equal((await api('POST', `/items/${sold.id}/holds`, { action: 'request' })).status, 401);
+    });
+});
+
+// Makes an offer on an item as a buyer. Resolves to the saved offer.
+async function makeOffer(buyer, item, amount, fields = {}) {
+    const result = await api('POST', '/offers', {
+        id: `${item.id}:${buyer.user.id}`,
+        itemId: item.id,
+        itemName: item.name,
+        buyerId: buyer.user.id,
+        buyerName: buyer.user.name,
+        sellerId: item.sellerId,
+        amount,
+        status: 'pending',
+        history: [{ by: 'buyer', action: 'offered', amount, at: new Date().toISOString() }],
+        createdAt: new Date().toISOString(),
+        ...fields
+    }, buyer.token);
+    assert.equal(result.status, 201, JSON.stringify(result.body));
+    return result.body;
+}
+
+describe('offers', () => {
+    test('two offers accepted at once reserve the item for only one buyer', async () => {
+        const seller = await signUp('seller.offers@stateu.edu');
+        const first = await signUp('first.offers@stateu.edu');
+        const second = await signUp('second.offers@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const offers = [await makeOffer(first, item, 40), await makeOffer(second, item, 45)];
+
+        const results = await Promise.all(offers.map(offer => api('POST', `/offers/${encodeURIComponent(offer.id)}/accept`, {}, seller.token)));
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+        const winner = offers[results.findIndex(result => result.status === 200)];
+        const stored = (await api('GET', `/items/${item.id}`, undefined, seller.token)).body;
+        assert.equal(stored.reservation.buyerId, winner.buyerId);
+        assert.equal(stored.reservation.offerId, winner.id);
+        assert.equal(stored.reservation.price, winner.amount);
+
+        const statuses = (await api('GET', `/offers?itemId=${item.id}`, undefined, seller.token)).body.map(offer => offer.status).sort();
+        assert.deepEqual(statuses, ['accepted', 'declined']);
+    });
+
+    test('a buyer can only accept a counter-offer, and never a pending one', async () => {
+        const seller = await signUp('seller.counter@stateu.edu');
+        const buyer = await signUp('buyer.counter@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const offer = await makeOffer(buyer, item, 30);
+        const url = `/offers/${encodeURIComponent(offer.id)}/accept`;
+
+        assert.equal((await api('POST', url, {}, buyer.token)).status, 403);
+
+        await api('POST', `/offers/${encodeURIComponent(offer.id)}/respond`, { status: 'countered', amount: 42 }, seller.token);
+        const accepted = await api('POST', url, {}, buyer.token);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.status, 'accepted');
+        const stored = (await api('GET', `/items/${item.id}`, undefined, buyer.token)).body;
+        assert.equal(stored.reservation.price, 42);
+    });
+
+    test('a buyer cannot counter their own offer and then accept it', async () => {
+        const seller = await signUp('seller.selfcounter@stateu.edu');
+        const buyer = await signUp('buyer.selfcounter@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const offer = await makeOffer(buyer, item, 30);
+        const offerUrl = `/offers/${encodeURIComponent(offer.id)}`;
+
+        assert.equal((await api('PATCH', offerUrl, { status: 'countered', amount: 1 }, buyer.token)).status, 403);
+        assert.equal((await api('POST', `${offerUrl}/respond`, { status: 'countered', amount: 1 }, buyer.token)).status, 403);
+        assert.equal((await api('POST', `${offerUrl}/accept`, {}, buyer.token)).status, 403);
+
+        const stored = (await api('GET', `/items/${item.id}`, undefined, seller.token)).body;
+        assert.equal(stored.status, 'available');
+        assert.equal((await api('GET', offerUrl, undefined, buyer.token)).body.amount, 30);
+    });
+
+    test('each side answers only on its turn, and the server writes the history', async () => {
+        const seller = await signUp('seller.turns@stateu.edu');
+        const buyer = await signUp('buyer.turns@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const offer = await makeOffer(buyer, item, 30);
+        const url = `/offers/${encodeURIComponent(offer.id)}/respond`;
+
+        // A counter-offer has to name the new price.
+        assert.equal((await api('POST', url, { status: 'countered' }, seller.token)).status, 400);
+        assert.equal((await api('POST', url, { status: 'pending', amount: 35 }, buyer.token)).status, 403);
+        const countered = await api('POST', url, { status: 'countered', amount: 45, note: 'Firm', history: [] }, seller.token);
+        assert.equal(countered.status, 200);
+        assert.equal((await api('POST', url, { status: 'countered', amount: 44 }, seller.token)).status, 403);
+
+        const answered = (await api('POST', url, { status: 'pending', amount: 40 }, buyer.token)).body;
+        assert.equal(answered.amount, 40);
+        assert.deepEqual(answered.history.map(entry => [entry.by, entry.action, entry.amount]), [
+            ['buyer', 'offered', 30],
+            ['seller', 'countered', 45],
+            ['buyer', 'countered', 40]
+        ]);
+        assert.equal(answered.history[1].note, 'Firm');
+    });
+
+    test('a new offer cannot come with steps the seller never took', async () => {
+        const seller = await signUp('seller.forged@stateu.edu');
+        const buyer = await signUp('buyer.forged@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const forged = await api('POST', '/offers', {
+            id: `${item.id}:${buyer.user.id}`,
+            itemId: item.id,
+            buyerId: buyer.user.id,
+            sellerId: seller.user.id,
+            amount: 1,
+            status: 'pending',
+            history: [{ by: 'buyer', action: 'offered', amount: 1 }, { by: 'seller', action: 'countered', amount: 1 }]
+        }, buyer.token);
+        assert.equal(forged.status, 403);
+    });
+});
+
+// Uploads a photo variant as the user with the given session token (if any). Resolves to the response status.
+async function uploadPhoto(id, token, variant = 'thumb') {
+    const response = await fetch(`${baseUrl}/images/${id}/${variant}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'image/jpeg', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: Buffer.from([0xff, 0xd8, 0xff, 0xd9])
+    });
+    return response.status;
+}
+
+describe('account deletion', () => {
+    test('deleting an account removes its offers, conversations and sessions too', async () => {
+        const seller = await signUp('seller.leaving@stateu.edu');
+        const buyer = await signUp('buyer.leaving@stateu.edu');
+        const item = await createItem(seller);
+        const offer = await makeOffer(buyer, item, 5);
+        const thread = { id: `${item.id}:${buyer.user.id}`, itemId: item.id, buyerId: buyer.user.id, sellerId: seller.user.id };
+        assert.equal((await api('POST', '/threads', thread, buyer.token)).status, 201);
+        const message = { id: 'leaving-1', threadId: thread.id, senderId: buyer.user.id, recipientId: seller.user.id, text: 'Hi' };
+        assert.equal((await api('POST', '/messages', message, buyer.token)).status, 201);
+
+        const deleted = await api('POST', `/users/${buyer.user.id}/delete`, { password: 'secret123' }, buyer.token);
+        assert.equal(deleted.status, 204);
+        assert.equal((await api('GET', `/sessions/${buyer.token}`)).status, 404);
+        assert.equal((await api('GET', `/offers/${encodeURIComponent(offer.id)}`, undefined, seller.token)).status, 404);
+        assert.equal((await api('GET', `/threads/${encodeURIComponent(thread.id)}`, undefined, seller.token)).status, 404);
+        assert.equal((await api('GET', '/messages/leaving-1', undefined, seller.token)).status, 404);
+        assert.equal((await api('GET', `/items/${item.id}`, undefined, seller.token)).status, 200);
+    });
+});
+
+describe('access', () => {
+    test('the generic routes take a session, except signing up', async () => {
+        const seller = await signUp('seller.access@stateu.edu');
+        const item = await createItem(seller);
+        assert.equal((await api('GET', '/items')).status, 401);
+        assert.equal((await api('GET', `/users/${seller.user.id}`)).status, 401);
+        assert.equal((await api('PATCH', `/items/${item.id}`, { price: 1 })).status, 401);
+        assert.equal((await api('DELETE', `/items/${item.id}`)).status, 401);
+        assert.equal((await api('GET', `/items/${item.id}`, undefined, 'not-a-session')).status, 401);
+    });
+
+    test('only the owner can change or delete a listing', async () => {
+        const seller = await signUp('owner.access@stateu.edu');
+        const other = await signUp('other.access@stateu.edu');
+        const item = await createItem(seller, { price: 20 });
+
+        assert.equal((await api('PATCH', `/items/${item.id}`, { price: 1 }, other.token)).status, 403);
+        assert.equal((await api('DELETE', `/items/${item.id}`, undefined, other.token)).status, 403);
+        assert.equal((await api('POST', '/items', { id: 'forged-item', name: 'Lamp', sellerId: seller.user.id }, other.token)).status, 403);
+        // The seller can't hand the listing to someone else either.
+        assert.equal((await api('PATCH', `/items/${item.id}`, { sellerId: other.user.id }, seller.token)).status, 403);
+
+        const changed = await api('PATCH', `/items/${item.id}`, { price: 15 }, seller.token);
+        assert.equal(changed.status, 200);
+        assert.equal(changed.body.price, 15);
+        assert.equal((await api('DELETE', `/items/${item.id}`, undefined, seller.token)).status, 204);
+    });
+
+    test('users can only change their own account, and only write reviews as themselves', async () => {
+        const sam = await signUp('sam.access@stateu.edu');
+        const kim = await signUp('kim.access@stateu.edu');
+        assert.equal((await api('PATCH', `/users/${sam.user.id}`, { name: 'Not Sam' }, kim.token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${kim.user.id}`, { name: 'Kim' }, kim.token)).status, 200);
+
+        const review = await api('POST', '/reviews', {
+            id: 'sale:none:' + kim.user.id, dealId: 'sale:none', reviewerId: sam.user.id, sellerId: kim.user.id, rating: 1, text: ''
+        }, kim.token);
+        assert.equal(review.status, 403);
+    });
+
+    test('private records are only listed and read by the people in them', async () => {
+        const seller = await signUp('seller.private@stateu.edu');
+        const buyer = await signUp('buyer.private@stateu.edu');
+        const other = await signUp('other.private@stateu.edu');
+        const item = await createItem(seller, { price: 50 });
+        const offer = await makeOffer(buyer, item, 40);
+
+        assert.equal((await api('GET', `/offers/${encodeURIComponent(offer.id)}`, undefined, other.token)).status, 404);
+        assert.deepEqual((await api('GET', `/offers?itemId=${item.id}`, undefined, other.token)).body, []);
+        assert.equal((await api('GET', `/offers?itemId=${item.id}`, undefined, seller.token)).body.length, 1);
+        assert.equal((await api('PATCH', `/offers/${encodeURIComponent(offer.id)}`, { amount: 1 }, other.token)).status, 404);
+        // Accepting goes through /api/offers/<id>/accept, which reserves the item too.
+        assert.equal((await api('PATCH', `/offers/${encodeURIComponent(offer.id)}`, { status: 'accepted' }, seller.token)).status, 403);
+    });
+
+    test('messages are only posted by a participant of the thread, to the other participant', async () => {
+        const seller = await signUp('seller.thread@stateu.edu');
+        const buyer = await signUp('buyer.thread@stateu.edu');
+        const intruder = await signUp('intruder.thread@stateu.edu');
+        const item = await createItem(seller);
+        const thread = { id: `${item.id}:${buyer.user.id}`, itemId: item.id, buyerId: buyer.user.id, sellerId: seller.user.id };
+        // Sends a message in the thread. Resolves to the response status.
+        const post = (sender, recipientId, token = sender.token) => api('POST', '/messages', {
+            id: `msg-${Math.random().toString(36).slice(2)}`, threadId: thread.id, senderId: sender.user.id, recipientId, text: 'Pay me on venmo first'
+        }, token).then(result => result.status);
+
+        // Nobody can start someone else's conversation, or one with a stand-in for the seller.
+        assert.equal((await api('POST', '/threads', { ...thread, sellerId: intruder.user.id }, intruder.token)).status, 403);
+        assert.equal((await api('POST', '/threads', { ...thread, buyerId: buyer.user.id }, seller.token)).status, 403);
+        assert.equal((await api('POST', '/threads', { ...thread, id: 'other', sellerId: intruder.user.id, buyerId: buyer.user.id }, intruder.token)).status, 403);
+        assert.equal(await post(buyer, seller.user.id), 403);
+        assert.equal((await api('POST', '/threads', thread, buyer.token)).status, 201);
+
+        assert.equal(await post(intruder, buyer.user.id), 403);
+        assert.equal(await post(intruder, seller.user.id), 403);
+        assert.equal(await post(buyer, intruder.user.id), 403);
+        assert.equal(await post(buyer, seller.user.id), 201);
+        assert.equal(await post(seller, buyer.user.id), 201);
+    });
+
+    test('saved searches are private, and only the server leaves alerts for them', async () => {
+        const seller = await signUp('seller.alerts@stateu.edu');
+        const watcher = await signUp('watcher.alerts@stateu.edu');
+        const other = await signUp('other.alerts@stateu.edu');
+        const search = { id: `${watcher.user.id}:calc`, userId: watcher.user.id, query: 'calculator', category: 'tech', mode: '' };
+        assert.equal((await api('POST', '/savedSearches', search, watcher.token)).status, 201);
+        assert.deepEqual((await api('GET', '/savedSearches', undefined, other.token)).body, []);
+        assert.equal((await api('GET', `/savedSearches/${encodeURIComponent(search.id)}`, undefined, other.token)).status, 404);
+
+        const item = await createItem(seller, { name: 'TI-84 graphing calculater', category: 'tech' });
+        await createItem(seller, { name: 'Desk lamp', category: 'furniture' });
+        const [alert, ...rest] = (await api('GET', `/alerts?userId=${watcher.user.id}`, undefined, watcher.token)).body;
+        assert.equal(rest.length, 0);
+        assert.equal(alert.itemId, item.id);
+        assert.equal(alert.itemName, 'TI-84 graphing calculater');
+        assert.equal(alert.searchLabel, '"calculator" in Tech');
+
+        // Nobody can write someone else's notifications, not even about their own listing.
+        const phishing = await api('POST', '/alerts', {
+            id: `${watcher.user.id}:phish`, userId: watcher.user.id, itemId: item.id, itemName: 'Your account is locked, log in at evil.example'
+        }, seller.token);
+        assert.equal(phishing.status, 403);
+        const url = `/alerts/${encodeURIComponent(alert.id)}`;
+        assert.equal((await api('PATCH', url, { itemName: 'Changed' }, watcher.token)).status, 403);
+        assert.equal((await api('PATCH', url, { read: true }, watcher.token)).status, 200);
+    });
+
+    test('photos can only be replaced or deleted by their owner', async () => {
+        const seller = await signUp('seller.photos@stateu.edu');
+        const other = await signUp('other.photos@stateu.edu');
+        assert.equal(await uploadPhoto('photo-1'), 401);
+        assert.equal(await uploadPhoto('photo-1', seller.token), 204);
+        assert.equal(await uploadPhoto('photo-1', other.token), 403);
+        assert.equal((await api('DELETE', '/images/photo-1', undefined, other.token)).status, 403);
+        assert.equal((await fetch(`${baseUrl}/images/photo-1/thumb`)).status, 200);
+        assert.equal((await api('DELETE', '/images/photo-1', undefined, seller.token)).status, 204);
+    });
+
+    test('a rejected photo upload does not claim the photo id', async () => {
+        const seller = await signUp('seller.badphoto@stateu.edu');
+        const other = await signUp('other.badphoto@stateu.edu');
+        assert.equal(await uploadPhoto('..%2Fevil', seller.token), 400);
+        assert.equal(await uploadPhoto('photo-2', seller.token, 'huge'), 400);
+        assert.equal(await uploadPhoto('photo-2', other.token), 204);
+        const response = await fetch(`${baseUrl}/images/photo-2/thumb`);
+        assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    });
+
+    test('a malformed percent-escape is a bad request', async () => {
+        const { token } = await signUp('escape.access@stateu.edu');
+        assert.equal((await api('GET', '/items/%E0%A4%A', undefined, token)).status, 400);
+    });
+});
+
+describe('moderation', () => {
+    test('nobody can make themselves staff or lift their own suspension', async () => {
+        const { user, token } = await signUp('climber@stateu.edu', { role: 'buyer' });
+        assert.equal((await api('PATCH', `/users/${user.id}`, { role: 'admin' }, token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${user.id}`, { role: 'moderator' }, token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${user.id}`, { emailVerified: false, suspended: true }, token)).status, 403);
+        // A buyer can still start selling.
+        assert.equal((await api('PATCH', `/users/${user.id}`, { role: 'both' }, token)).body.role, 'both');
+        assert.equal((await api('PATCH', `/users/${user.id}`, { role: 'buyer' }, token)).status, 403);
+    });
+
+    test('moderators suspend regular users, and only admins appoint moderators', async () => {
+        const admin = await signUp('admin@stateu.edu');
+        const moderator = await signUp('mod@stateu.edu');
+        const member = await signUp('member@stateu.edu');
+        assert.equal(admin.user.role, 'admin');
+
+        assert.equal((await api('PATCH', `/users/${moderator.user.id}`, { role: 'moderator' }, member.token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${moderator.user.id}`, { role: 'admin' }, admin.token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${moderator.user.id}`, { role: 'moderator' }, admin.token)).status, 200);
+
+        // Moderators can suspend, but not edit a profile or act on other staff.
+        assert.equal((await api('PATCH', `/users/${member.user.id}`, { name: 'Renamed' }, moderator.token)).status, 403);
+        assert.equal((await api('PATCH', `/users/${admin.user.id}`, { suspended: true }, moderator.token)).status, 403);
+        const suspended = await api('PATCH', `/users/${member.user.id}`, { suspended: true, suspendedReason: 'Spam' }, moderator.token);
+        assert.equal(suspended.status, 200);
+        // A suspended user's session stops working, so they can't lift it themselves.
+        assert.equal((await api('PATCH', `/users/${member.user.id}`, { suspended: false }, member.token)).status, 401);
+        assert.equal((await api('PATCH', `/users/${member.user.id}`, { suspended: false }, moderator.token)).status, 200);
+    });
+
+    test('only moderators hide listings, and they cannot otherwise edit them', async () => {
+        const moderator = await signUp('mod.items@stateu.edu');
+        const seller = await signUp('seller.hidden@stateu.edu');
+        const admin = await api('POST', '/login', { email: 'admin@stateu.edu', password: 'secret123' });
+        await api('PATCH', `/users/${moderator.user.id}`, { role: 'moderator' }, admin.body.session.id);
+
+        const item = await createItem(seller);
+        assert.equal((await api('PATCH', `/items/${item.id}`, { price: 1 }, moderator.token)).status, 403);
+        const hidden = await api('PATCH', `/items/${item.id}`, { hidden: true, hiddenReason: 'Spam' }, moderator.token);
+        assert.equal(hidden.status, 200);
+        assert.equal((await api('PATCH', `/items/${item.id}`, { hidden: false }, seller.token)).status, 403);
+        assert.equal((await api('PATCH', `/items/${item.id}`, { price: 12 }, seller.token)).status, 200);
+    });
+});
+
+describe('completed deals and reviews', () => {
+    test('only the seller records who an item went to, and only someone who asked about it', async () => {
+        const seller = await signUp('seller.deal@stateu.edu');
+        const buyer = await signUp('buyer.deal@stateu.edu');
+        const stranger = await signUp('stranger.deal@stateu.edu');
+        const item = await createItem(seller);
+        const url = `/items/${item.id}/complete`;
+
+        // Nobody can name themselves (or anyone) as the buyer by editing the listing.
+        assert.equal((await api('PATCH', `/items/${item.id}`, { buyerId: stranger.user.id, status: 'sold' }, seller.token)).status, 403);
+        assert.equal((await api('POST', url, { status: 'sold', buyerId: buyer.user.id }, buyer.token)).status, 403);
+        assert.equal((await api('POST', url, { status: 'sold', buyerId: stranger.user.id }, seller.token)).status, 409);
+
+        await api('POST', `/items/${item.id}/holds`, { action: 'request' }, buyer.token);
+        const sold = await api('POST', url, { status: 'sold', buyerId: buyer.user.id }, seller.token);
+        assert.equal(sold.status, 200);
+        assert.equal(sold.body.buyerId, buyer.user.id);
+        assert.equal(sold.body.buyerName, buyer.user.name);
+
+        // Relisting clears the buyer.
+        const relisted = await api('PATCH', `/items/${item.id}`, { status: 'available', buyerId: null, buyerName: null, completedAt: null }, seller.token);
+        assert.equal(relisted.status, 200);
+    });
+
+    test('only the author edits a review, and only its rating and text', async () => {
+        const seller = await signUp('seller.review@stateu.edu');
+        const buyer = await signUp('buyer.review@stateu.edu');
+        const item = await createItem(seller);
+        await api('POST', `/items/${item.id}/holds`, { action: 'request' }, buyer.token);
+        await api('POST', `/items/${item.id}/complete`, { status: 'sold', buyerId: buyer.user.id }, seller.token);
+
+        const dealId = `sale:${item.id}`;
+        const created = await api('POST', '/reviews', {
+            id: `${dealId}:${buyer.user.id}`, dealId, reviewerId: buyer.user.id, sellerId: seller.user.id, rating: 2, text: 'Late'
+        }, buyer.token);
+        assert.equal(created.status, 201);
+        const url = `/reviews/${encodeURIComponent(created.body.id)}`;
+
+        assert.equal((await api('PATCH', url, { rating: 5 }, seller.token)).status, 403);
+        assert.equal((await api('PATCH', url, { sellerId: buyer.user.id }, buyer.token)).status, 403);
+        assert.equal((await api('PATCH', url, { rating: 9 }, buyer.token)).status, 400);
+        assert.equal((await api('PATCH', url, { rating: 4, text: 'On time after all' }, buyer.token)).body.rating, 4);
+    });
+
+    test('a loan starts as a request for a borrow listing, and only its owner can return it', async () => {
+        const owner = await signUp('owner.loan@stateu.edu');
+        const borrower = await signUp('borrower.loan@stateu.edu');
+        const borrowable = await createItem(owner, { mode: 'borrow' });
+        const forSale = await createItem(owner);
+        // Makes a loan request as the borrower, with the given changes. Resolves to { status, body }.
+        const requestLoan = (fields = {}) => api('POST', '/loans', {
+            id: `loan-${Math.random().toString(36).slice(2)}`,
+            itemId: borrowable.id,
+            ownerId: owner.user.id,
+            borrowerId: borrower.user.id,
+            startDate: '2026-01-05',
+            endDate: '2026-01-12',
+            status: 'requested',
+            ...fields
+        }, borrower.token);
+
+        // A loan that was never approved can't be reviewed.
+        const fabricated = await requestLoan({ status: 'returned' });
+        assert.equal(fabricated.status, 403);
+        assert.equal((await requestLoan({ itemId: forSale.id })).status, 403);
+        assert.equal((await requestLoan({ ownerId: borrower.user.id })).status, 403);
+
+        const loan = (await requestLoan()).body;
+        const url = `/loans/${encodeURIComponent(loan.id)}`;
+        assert.equal((await api('PATCH', url, { status: 'returned' }, borrower.token)).status, 403);
+        assert.equal((await api('PATCH', url, { status: 'returned' }, owner.token)).status, 403);
+
+        const review = {
+            id: `loan:${loan.id}:${borrower.user.id}`, dealId: `loan:${loan.id}`, reviewerId: borrower.user.id, sellerId: owner.user.id, rating: 1, text: 'Scam'
+        };
+        assert.equal((await api('POST', '/reviews', review, borrower.token)).status, 403);
+
+        assert.equal((await api('PATCH', url, { status: 'approved' }, owner.token)).status, 200);
+        assert.equal((await api('PATCH', url, { status: 'returned' }, owner.token)).status, 200);
+        assert.equal((await api('POST', '/reviews', review, borrower.token)).status, 201);
+    });
+});
+
+describe('listing expiry', () => {
+    test('the sweep deletes listings past their grace period and dates ones from before expiry', async () => {
+        const seller = await signUp('seller.expiry@stateu.edu');
+        const day = 24 * 60 * 60 * 1000;
+        const stale = await createItem(seller, { expiresAt: new Date(Date.now() - 15 * day).toISOString() });
+        const expired = await createItem(seller, { expiresAt: new Date(Date.now() - 2 * day).toISOString() });
+        const sold = await createItem(seller, { status: 'sold', expiresAt: new Date(Date.now() - 60 * day).toISOString() });
+        const legacy = await createItem(seller, { createdAt: new Date(Date.now() - 90 * day).toISOString(), expiresAt: undefined });
+
+        const purged = await sweepListings();
+        assert.deepEqual(purged.map(item => item.id), [stale.id]);
+        const get = id => api('GET', `/items/${id}`, undefined, seller.token);
+        assert.equal((await get(stale.id)).status, 404);
+        assert.equal((await get(expired.id)).status, 200);
+        assert.equal((await get(sold.id)).status, 200);
+        // A listing from before expiry existed gets a full lifetime, not one counted from when it was posted.
+        const expiresAt = Date.parse((await get(legacy.id)).body.expiresAt);
+        assert.ok(expiresAt > Date.now() + 29 * day);
+    });
+});
+
+describe('email delivery', () => {
+    test('the server needs a mail transport, and printing codes is refused in production', () => {
+        assert.throws(() => createMailTransport({}), /No email transport is configured/);
+        assert.throws(() => createMailTransport({ EMAIL_TRANSPORT: 'smtp' }), /Unknown EMAIL_TRANSPORT/);
+        assert.throws(() => createMailTransport({ EMAIL_TRANSPORT: 'webhook' }), /EMAIL_WEBHOOK_URL/);
+        assert.throws(() => createMailTransport({ EMAIL_TRANSPORT: 'log', NODE_ENV: 'production' }), /cannot be used in production/);
+    });
+
+    test('the webhook transport posts the email, and a failed send is reported', async () => {
+        const received = [];
+        let status = 202;
+        const relay = createServer(async (req, res) => {
+            let body = '';
+            for await (const chunk of req) body += chunk;
+            received.push({ authorization: req.headers.authorization, body: JSON.parse(body) });
+            res.writeHead(status).end();
+        });
+        await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+        try {
+            const transport = createMailTransport({
+                EMAIL_TRANSPORT: 'webhook',
+                EMAIL_WEBHOOK_URL: `http://127.0.0.1:${relay.address().port}/send`,
+                EMAIL_WEBHOOK_TOKEN: 'relay-key',
+                EMAIL_FROM: 'CampusKart <codes@stateu.edu>'
+            });
+            await transport.send({ to: 'sam@stateu.edu', subject: 'Code', text: 'Your code is 123456', code: '123456' });
+            assert.deepEqual(received, [{
+                authorization: 'Bearer relay-key',
+                body: { from: 'CampusKart <codes@stateu.edu>', to: 'sam@stateu.edu', subject: 'Code', text: 'Your code is 123456' }
+            }]);
+
+            status = 500;
+            await assert.rejects(transport.send({ to: 'sam@stateu.edu', subject: 'Code', text: 'Your code is 123456' }), { status: 502 });
+        } finally {
+            await new Promise(resolve => relay.close(resolve));
+        }
+    });
+});
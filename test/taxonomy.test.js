@@ -0,0 +1,113 @@
+// Taxonomy Tests
+// Checks the listing rules in taxonomy.js that the add item form and bulk imports share. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './scripts.js';
+
+const { Taxonomy, isValidIsbn, normalizeCourseCode } = loadScripts(['taxonomy.js'], ['Taxonomy', 'isValidIsbn', 'normalizeCourseCode']);
+const taxonomy = new Taxonomy();
+
+// A valid textbook listing; each test changes the fields it's about.
+const textbook = {
+    name: 'Organic Chemistry',
+    category: 'books',
+    subcategory: 'textbooks',
+    mode: 'buy',
+    price: 45,
+    attributes: { isbn: '978-0-13-468599-1', author: 'Wade', edition: '9th' },
+    courses: ['CHEM 201'],
+    semester: 'Fall 2026'
+};
+
+describe('validate', () => {
+    test('accepts a complete listing', () => {
+        assert.equal(taxonomy.validate(textbook), null);
+        assert.equal(taxonomy.validate({ name: 'Pens', category: 'stationery', mode: 'donate' }), null);
+    });
+
+    test('needs a name, category and type', () => {
+        for (const field of ['name', 'category', 'mode']) {
+            assert.equal(taxonomy.validate({ ...textbook, [field]: '' }), 'Please fill in all required fields');
+        }
+    });
+
+    test('rejects categories, subcategories and types that are not in the taxonomy', () => {
+        assert.equal(taxonomy.validate({ ...textbook, category: 'cars' }), 'Please choose a valid category');
+        assert.equal(taxonomy.validate({ ...textbook, subcategory: 'tops' }), 'Please choose a valid Books subcategory');
+        assert.equal(taxonomy.validate({ ...textbook, mode: 'auction' }), 'Please choose a valid type');
+    });
+
+    test('needs a price above 0 for priced types only', () => {
+        assert.equal(taxonomy.validate({ ...textbook, price: 0 }), 'Please enter a valid price');
+        assert.equal(taxonomy.validate({ ...textbook, price: -5 }), 'Please enter a valid price');
+        assert.equal(taxonomy.validate({ ...textbook, mode: 'donate', price: 0 }), null);
+    });
+
+    test('needs what a trade wants in exchange, within the length limit', () => {
+        assert.equal(taxonomy.validate({ ...textbook, mode: 'trade', wants: '' }), 'Please say what you want in exchange');
+        assert.equal(taxonomy.validate({ ...textbook, mode: 'trade', wants: 'A calculator' }), null);
+        assert.match(taxonomy.validate({ ...textbook, mode: 'trade', wants: 'x'.repeat(201) }), /under 200 characters/);
+    });
+
+    test('checks attributes against their type', () => {
+        const shirt = { name: 'Hoodie', category: 'clothing', mode: 'buy', price: 10 };
+        assert.equal(taxonomy.validate(shirt), 'Please enter the size');
+        assert.equal(taxonomy.validate({ ...shirt, attributes: { size: 'Huge' } }), 'Please choose a valid size');
+        assert.equal(taxonomy.validate({ ...shirt, attributes: { size: 'M' } }), null);
+        assert.match(taxonomy.validate({ ...textbook, attributes: { isbn: '978-0-13-468599-2' } }), /valid ISBN/);
+        assert.match(taxonomy.validate({ ...textbook, attributes: { author: 'x'.repeat(101) } }), /at most 100 characters/);
+    });
+
+    test('allows course tags and a semester only on categories that have them', () => {
+        const lamp = { name: 'Lamp', category: 'furniture', mode: 'buy', price: 10 };
+        assert.equal(taxonomy.validate({ ...lamp, courses: ['CHEM 201'] }), "Furniture can't be tagged with courses");
+        assert.equal(taxonomy.validate({ ...lamp, semester: 'Fall 2026' }), "Furniture can't be tagged with courses");
+    });
+
+    test('checks course codes, how many there are and the semester', () => {
+        assert.equal(taxonomy.validate({ ...textbook, courses: ['Chemistry'] }), '"Chemistry" doesn\'t look like a course code (e.g. CHEM 201)');
+        assert.equal(taxonomy.validate({ ...textbook, courses: ['CHEM 201', 'CHEM 202', 'BIO 110', 'BIO 120', 'MATH 120', 'PHYS 101'] }), 'Please tag at most 5 courses');
+        assert.equal(taxonomy.validate({ ...textbook, semester: 'Winter 2026' }), 'Please choose a valid semester');
+    });
+});
+
+describe('isValidIsbn', () => {
+    test('accepts ISBN-10s and ISBN-13s with a correct check digit', () => {
+        assert.equal(isValidIsbn('9780134685991'), true);
+        assert.equal(isValidIsbn('0-306-40615-2'), true);
+        assert.equal(isValidIsbn('080442957X'), true);
+    });
+
+    test('ignores spaces, hyphens and the case of an X check digit', () => {
+        assert.equal(isValidIsbn(' 978 0 13 468599 1 '), true);
+        assert.equal(isValidIsbn('0-8044-2957-x'), true);
+    });
+
+    test('rejects a wrong check digit', () => {
+        assert.equal(isValidIsbn('9780134685992'), false);
+        assert.equal(isValidIsbn('0306406153'), false);
+    });
+
+    test('rejects the wrong length or other characters', () => {
+        assert.equal(isValidIsbn('978013468599'), false);
+        assert.equal(isValidIsbn('97801346859911'), false);
+        assert.equal(isValidIsbn('978013468599X'), false);
+        assert.equal(isValidIsbn('X306406152'), false);
+        assert.equal(isValidIsbn(''), false);
+    });
+});
+
+describe('normalizeCourseCode', () => {
+    test('writes course codes the standard way', () => {
+        assert.equal(normalizeCourseCode('chem201'), 'CHEM 201');
+        assert.equal(normalizeCourseCode('chem-201'), 'CHEM 201');
+        assert.equal(normalizeCourseCode('  Math   110a '), 'MATH 110A');
+        assert.equal(normalizeCourseCode('BIO 1100'), 'BIO 1100');
+    });
+
+    test('returns null for anything that is not a course code', () => {
+        for (const text of ['Chemistry', 'C 201', 'CHEMIST 201', 'CHEM 2', 'CHEM 20101', 'CHEM 201AB', '201 CHEM', '']) {
+            assert.equal(normalizeCourseCode(text), null, text);
+        }
+    });
+});
@@ -0,0 +1,104 @@
+// Email Verification JavaScript
+// Proves that a new user owns the college email address they sign up with. A six-digit
+// code is issued for the address and must be entered before the account is created.
+// Only a salted hash of the code is stored, and it expires after a short time.
+
+// How long a verification code can be used.
+const VERIFICATION_CODE_TTL_MS = 15 * 60 * 1000;
+// Wrong guesses allowed before a new code has to be requested.
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+// Issues and checks codes in this browser when CampusKart runs without a server. There is no way to send
+// an email from the browser, so send() hands the code back to be shown on the page instead.
+class LocalEmailVerifier {
+    // 1. The constructor keeps the storage layer, where pending codes live in the 'verifications' collection.
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    // 2. Issues a new code for an email address, replacing any earlier one. Resolves to { code }.
+    async send(email) {
+        const id = email.trim().toLowerCase();
+        const code = createVerificationCode();
+        const salt = randomToken(16);
+        const record = {
+            id,
+            codeHash: await hashVerificationCode(code, salt),
+            salt,
+            attempts: 0,
+            expiresAt: new Date(Date.now() + VERIFICATION_CODE_TTL_MS).toISOString()
+        };
+        await this.storage.remove('verifications', id);
+        await this.storage.create('verifications', record);
+        return { code };
+    }
+
+    // 3. Checks a code for an email address. A correct code can only be used once.
+    async check(email, code) {
+        const id = email.trim().toLowerCase();
+        const record = await this.storage.get('verifications', id);
+        if (!record || Date.parse(record.expiresAt) <= Date.now() || record.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+            return false;
+        }
+        if (await hashVerificationCode(code.trim(), record.salt) !== record.codeHash) {
+            await this.storage.update('verifications', id, { attempts: record.attempts + 1 });
+            return false;
+        }
+        await this.storage.remove('verifications', id);
+        return true;
+    }
+}
+
+// Asks the CampusKart server (see server/index.js) to email the code and to check it, so the browser never sees it.
+class HttpEmailVerifier {
+    // 1. The constructor stores the API base URL (e.g. '/api').
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    // 2. POST /api/verifications — the server emails a new code to the address. Resolves to {}.
+    async send(email) {
+        await this.request('/verifications', { email });
+        return {};
+    }
+
+    // 3. POST /api/verifications/check — resolves to whether the code was right.
+    async check(email, code) {
+        const result = await this.request('/verifications/check', { email, code: code.trim() });
+        return !!result?.verified;
+    }
+
+    // 4. Sends a JSON POST and turns any non-2xx response into a thrown Error, like HttpStorageAdapter.
+    async request(path, body) {
+        const response = await fetch(this.baseUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = new Error(data?.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+}
+
+// Picks the verifier for this page, following the same <meta name="campuskart-api"> switch as createStorage().
+function createEmailVerifier(storage) {
+    const apiUrl = document.querySelector('meta[name="campuskart-api"]')?.getAttribute('content')?.trim();
+    return apiUrl ? new HttpEmailVerifier(apiUrl) : new LocalEmailVerifier(storage);
+}
+
+// Generates a random six-digit code, keeping leading zeros.
+function createVerificationCode() {
+    const value = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+    return String(value).padStart(6, '0');
+}
+
+// Hashes a code with its salt (SHA-256, hex). Codes are short-lived, so a single round is enough.
+async function hashVerificationCode(code, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${code}`));
+    return toHex(new Uint8Array(digest));
+}
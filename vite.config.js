@@ -1,5 +1,39 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 
+// The pages of the site. Both are built, so the deployed app has home.html too.
+const PAGES = ['index.html', 'home.html'];
+
+// The pages load their scripts as classic <script src="..."> tags, which Vite leaves in place without
+// bundling them. This copies each of those files into the build unchanged, next to the pages, so the
+// tags (and the service worker's importScripts('offline.js')) resolve under `base` once deployed.
+function copyClassicScripts(pages) {
+  return {
+    name: 'copy-classic-scripts',
+    apply: 'build',
+    generateBundle() {
+      const scripts = new Set(pages.flatMap(page =>
+        [...readFileSync(page, 'utf8').matchAll(/<script src="([^":]+)"><\/script>/g)].map(match => match[1])
+      ));
+      for (const file of scripts) {
+        this.emitFile({ type: 'asset', fileName: file, source: readFileSync(file, 'utf8') });
+      }
+    },
+  };
+}
+
 export default defineConfig({
   base: '/Campus-Kart/', // Use your repo name here
+  build: {
+    rollupOptions: {
+      input: PAGES,
+    },
+  },
+  plugins: [copyClassicScripts(PAGES)],
+  server: {
+    // Forwards API calls to the CampusKart server (`npm run server`) during development.
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 });